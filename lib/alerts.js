@@ -0,0 +1,60 @@
+/**
+ * alerts.js - GitHub-style alerts: blockquotes starting with [!NOTE], [!TIP],
+ * [!IMPORTANT], [!WARNING] or [!CAUTION] on a line of their own
+ *
+ * > [!WARNING]
+ * > Back up your files first.
+ */
+
+const { Lexer } = require('marked');
+
+const alertTypes = {
+    note: { title: 'Note', icon: 'ℹ️' },
+    tip: { title: 'Tip', icon: '💡' },
+    important: { title: 'Important', icon: '❗' },
+    warning: { title: 'Warning', icon: '⚠️' },
+    caution: { title: 'Caution', icon: '🛑' }
+};
+
+const markerRegex = /^\[!(note|tip|important|warning|caution)\][ \t]*(?:\n|$)/i;
+
+/**
+ * marked extension turning alert blockquotes into callouts
+ */
+const alertExtension = {
+    walkTokens(token) {
+        if (token.type !== 'blockquote') return;
+
+        const first = token.tokens[0];
+        const match = first && first.type === 'paragraph' && first.raw.match(markerRegex);
+        if (!match) return;
+
+        // Drop the marker line, and the paragraph if nothing else is in it
+        const text = first.raw.substring(match[0].length).replace(/\n+$/, '');
+        if (text.trim()) {
+            first.raw = first.text = text;
+            first.tokens = Lexer.lexInline(text, this.defaults);
+        } else {
+            token.tokens.shift();
+        }
+
+        token.type = 'alert';
+        token.alertType = match[1].toLowerCase();
+    },
+    extensions: [
+        {
+            name: 'alert',
+            renderer(token) {
+                const { title, icon } = alertTypes[token.alertType];
+                return `<div class="markdown-alert markdown-alert-${token.alertType}">\n` +
+                    `<p class="markdown-alert-title"><span aria-hidden="true">${icon}</span>${title}</p>\n` +
+                    `${this.parser.parse(token.tokens)}</div>\n`;
+            }
+        }
+    ]
+};
+
+module.exports = {
+    alertTypes,
+    alertExtension
+};
@@ -7,30 +7,38 @@ const path = require('path');
 const os = require('os');
 const archiver = require('archiver');
 const archiverZipEncrypted = require('archiver-zip-encrypted');
-const { BlobReader, BlobWriter, ZipReader } = require('@zip.js/zip.js');
-const { findMarkdownFiles, promptPassword, formatSize } = require('./utils');
-const { ZipFS } = require('./virtual-fs');
+const ignore = require('ignore');
+const { ZipReader } = require('@zip.js/zip.js');
+const { promptPassword, formatSize, isRelativeUrl, resolveRelativePath } = require('./utils');
+const { DiskFS, ZipFS, ZipFileReader } = require('./virtual-fs');
+const { DirectoryScanner } = require('./scanner');
+const { extractLinks } = require('./validator');
 const config = require('./config');
 
 // Register the encrypted zip format
-archiver.registerFormat('zip-encrypted', archiverZipEncrypted);
+if (!archiver.isRegisteredFormat('zip-encrypted')) {
+    archiver.registerFormat('zip-encrypted', archiverZipEncrypted);
+}
 
 /**
  * Handle opening and serving of zip/moremaid files without extraction
+ * @param {string} zipPath - Path to the archive
+ * @param {object} options - { cacheSize, preCache, quiet }
+ *   quiet: don't print progress (errors are still reported)
  */
 async function handleZipFile(zipPath, options = {}) {
-    console.log(`📦 Opening zip file: ${path.basename(zipPath)}`);
+    const log = options.quiet ? () => {} : console.log;
+    log(`📦 Opening zip file: ${path.basename(zipPath)}`);
 
-    try {
-        // Load zip file into memory
-        const zipFileBuffer = fs.readFileSync(zipPath);
-        const zipBlob = new Blob([zipFileBuffer]);
-        const fileSize = zipFileBuffer.length;
+    // Entries are read from the file on demand, never the whole archive at once
+    const reader = new ZipFileReader(zipPath);
 
-        console.log(`📊 Archive size: ${formatSize(fileSize)}`);
+    try {
+        await reader.init();
+        log(`📊 Archive size: ${formatSize(reader.size)}`);
 
         // Create initial reader to check for encryption
-        let zipReader = new ZipReader(new BlobReader(zipBlob));
+        let zipReader = new ZipReader(reader);
         let entries;
         let password = null;
 
@@ -47,7 +55,7 @@ async function handleZipFile(zipPath, options = {}) {
 
                 // Close and reopen with password
                 await zipReader.close();
-                zipReader = new ZipReader(new BlobReader(zipBlob), { password });
+                zipReader = new ZipReader(reader, { password });
                 entries = await zipReader.getEntries();
             }
         } catch (err) {
@@ -57,13 +65,14 @@ async function handleZipFile(zipPath, options = {}) {
 
                 // Try again with password
                 await zipReader.close();
-                zipReader = new ZipReader(new BlobReader(zipBlob), { password });
+                zipReader = new ZipReader(reader, { password });
 
                 try {
                     entries = await zipReader.getEntries();
                 } catch (err2) {
                     console.error('❌ Incorrect password or corrupted file');
                     await zipReader.close();
+                    await reader.close();
                     return null;
                 }
             } else {
@@ -77,30 +86,108 @@ async function handleZipFile(zipPath, options = {}) {
             !e.directory && e.filename.match(/\.(md|markdown)$/i)
         );
 
-        console.log(`📊 Archive contains ${fileEntries.length} file(s)`);
-        console.log(`📄 Found ${markdownEntries.length} markdown file(s)`);
+        log(`📊 Archive contains ${fileEntries.length} file(s)`);
+        log(`📄 Found ${markdownEntries.length} markdown file(s)`);
 
         // Create ZipFS instance with the open reader
         const zipFS = new ZipFS(zipReader, entries, password, {
             cacheSize: options.cacheSize || 100 * 1024 * 1024, // 100MB default
-            preCache: options.preCache || ['README.md', 'readme.md', 'index.md']
+            preCache: options.preCache || ['README.md', 'readme.md', 'index.md'],
+            reader
         });
 
-        console.log('✅ Archive opened successfully (serving from memory)');
-        console.log('💾 Cache size: ' + formatSize(zipFS.cache.maxSize));
+        log('✅ Archive opened successfully (reading files on demand)');
+        log('💾 Cache size: ' + formatSize(zipFS.cache.maxSize));
 
         return { virtualFS: zipFS };
 
     } catch (error) {
         console.error('❌ Error opening zip file:', error.message);
+        await reader.close();
         return null;
     }
 }
 
 /**
- * Pack markdown files into a .moremaid archive
+ * Files to pack: the markdown files, the local files they link to or embed
+ * (following links into other markdown files) and the files matching include
+ * globs. Paths are kept relative to baseDir, so links still resolve inside
+ * the archive.
+ * @param {string} baseDir - Folder the archive is rooted at
+ * @param {Array<string>} markdownFiles - Markdown files to pack, relative to baseDir
+ * @param {object} options - { include, exclude, maxDepth }
+ *   include/exclude: gitignore-style globs relative to baseDir (exclude wins)
+ * @returns {Promise<object>} - { files, assets, missing }
+ *   files: markdown files, assets: other files ('/' separated, sorted)
+ *   missing: { file, line, url, outside } for references that cannot be packed
  */
-async function packMarkdownFiles(inputPath, isDirectory) {
+async function collectPackFiles(baseDir, markdownFiles, options = {}) {
+    const excluded = ignore().add(options.exclude || []);
+    const files = new Set();
+    const assets = new Set();
+    const missing = [];
+    const queue = [];
+
+    const add = (file) => {
+        if (files.has(file) || assets.has(file) || excluded.ignores(file)) return;
+        if (config.markdown.extensions.test(file)) {
+            files.add(file);
+            queue.push(file);
+        } else {
+            assets.add(file);
+        }
+    };
+
+    markdownFiles.forEach(file => add(file.split(path.sep).join('/')));
+
+    if (options.include && options.include.length > 0) {
+        // Explicitly included files are packed even if .gitignore'd
+        const included = ignore().add(options.include);
+        const scanner = new DirectoryScanner(baseDir, { maxDepth: options.maxDepth, ignoreFiles: [] });
+        for (const file of await scanner.list('*')) {
+            const relativePath = file.split(path.sep).join('/');
+            if (included.ignores(relativePath)) add(relativePath);
+        }
+    }
+
+    while (queue.length > 0) {
+        const file = queue.shift();
+        let markdown;
+        try {
+            markdown = await fs.promises.readFile(path.join(baseDir, file), 'utf-8');
+        } catch (error) {
+            continue;
+        }
+
+        for (const link of extractLinks(markdown)) {
+            if (!isRelativeUrl(link.url)) continue;
+
+            const target = resolveRelativePath(file, link.url);
+            if (!target) {
+                missing.push({ file, line: link.line, url: link.url, outside: true });
+                continue;
+            }
+
+            try {
+                const stats = await fs.promises.stat(path.join(baseDir, target.path));
+                // Links to folders have nothing to pack
+                if (stats.isFile()) add(target.path);
+            } catch (error) {
+                missing.push({ file, line: link.line, url: link.url, outside: false });
+            }
+        }
+    }
+
+    return { files: [...files].sort(), assets: [...assets].sort(), missing };
+}
+
+/**
+ * Pack markdown files into a .moremaid archive, with the files they reference
+ * @param {string} inputPath - Folder or markdown file to pack
+ * @param {boolean} isDirectory - Whether inputPath is a folder
+ * @param {object} options - { include, exclude, maxDepth } (see collectPackFiles)
+ */
+async function packMarkdownFiles(inputPath, isDirectory, options = {}) {
     const baseDir = isDirectory ? path.resolve(inputPath) : path.dirname(path.resolve(inputPath));
     const baseName = path.basename(baseDir === '.' ? process.cwd() : baseDir);
     const outputFile = `${baseName}${config.archive.extension}`;
@@ -108,7 +195,7 @@ async function packMarkdownFiles(inputPath, isDirectory) {
     // Find markdown files
     let mdFiles = [];
     if (isDirectory) {
-        mdFiles = findMarkdownFiles(baseDir);
+        mdFiles = await new DiskFS(baseDir, { maxDepth: options.maxDepth }).listFiles('*.md');
     } else {
         // Single file mode
         if (inputPath.match(config.markdown.extensions)) {
@@ -119,13 +206,18 @@ async function packMarkdownFiles(inputPath, isDirectory) {
         }
     }
 
-    if (mdFiles.length === 0) {
+    const { files, assets, missing } = await collectPackFiles(baseDir, mdFiles, options);
+
+    if (files.length === 0) {
         console.error('No markdown files found in the specified path');
         process.exit(1);
     }
 
     console.log(`📁 Packing markdown files from ${isDirectory ? 'directory' : 'file'}: ${inputPath}`);
-    console.log(`📊 Found ${mdFiles.length} file(s) to pack`);
+    console.log(`📊 Found ${files.length} file(s) to pack`);
+    if (assets.length > 0) {
+        console.log(`🖼️  Adding ${assets.length} referenced or included file(s)`);
+    }
 
     // Prompt for password (optional)
     const password = await promptPassword('Enter password for zip encryption (optional, press Enter to skip): ');
@@ -163,20 +255,19 @@ async function packMarkdownFiles(inputPath, isDirectory) {
     archive.pipe(output);
 
     // Add files to the archive
-    for (const file of mdFiles) {
-        const fullPath = path.join(baseDir, file);
-        archive.file(fullPath, { name: file });
+    for (const file of [...files, ...assets]) {
+        archive.file(path.join(baseDir, file), { name: file });
     }
 
     // Also add README.md at the root if it doesn't exist
-    if (!mdFiles.includes('README.md') && mdFiles.length > 0) {
+    if (!files.includes('README.md') && files.length > 0) {
         const readmeContent = `# ${baseName}
 
-This archive contains ${mdFiles.length} markdown file(s).
+This archive contains ${files.length} markdown file(s).
 
 ## Files
 
-${mdFiles.map(f => `- ${f}`).join('\n')}
+${files.map(f => `- ${f}`).join('\n')}
 
 ---
 *Created with Moremaid*`;
@@ -191,13 +282,21 @@ ${mdFiles.map(f => `- ${f}`).join('\n')}
 
     const stats = fs.statSync(outputFile);
     console.log(`📦 Created ${outputFile} (${formatSize(stats.size)})`);
-    console.log(`📄 Contains ${mdFiles.length} markdown file(s)`);
+    console.log(`📄 Contains ${files.length} markdown file(s)${assets.length > 0 ? ` and ${assets.length} other file(s)` : ''}`);
     if (password) {
         console.log(`🔒 Password-protected with AES-256 encryption`);
     }
+
+    if (missing.length > 0) {
+        console.warn(`⚠️  ${missing.length} referenced file(s) could not be packed:`);
+        for (const { file, line, url, outside } of missing) {
+            console.warn(`   ${file}:${line}  ${url}  (${outside ? 'outside the packed folder' : 'not found'})`);
+        }
+    }
 }
 
 module.exports = {
     handleZipFile,
+    collectPackFiles,
     packMarkdownFiles
-};
\ No newline at end of file
+};
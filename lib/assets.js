@@ -0,0 +1,218 @@
+/**
+ * Bundled client-side libraries (Mermaid, Prism, MiniSearch, KaTeX styles) so pages render
+ * without network access. The folder server serves them under /assets/,
+ * --oneshot pages inline them and --export copies them next to the site.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const prismRoot = path.dirname(require.resolve('prismjs/package.json'));
+const prismComponents = require('prismjs/components.json');
+const katexRoot = path.dirname(require.resolve('katex/dist/katex.min.css'));
+
+// Asset URL (relative to /assets/) → file on disk
+const assetFiles = {
+    'mermaid.min.js': require.resolve('mermaid/dist/mermaid.min.js'),
+    // minisearch only exports its CommonJS/ES builds, the UMD build sits next to them
+    'minisearch.min.js': path.resolve(require.resolve('minisearch'), '../../umd/index.js')
+};
+
+const contentCache = new Map();
+
+/**
+ * Map a request path under /assets/ to a file on disk
+ * @param {string} assetPath - Path after '/assets/' (e.g. 'prism/components/prism-core.min.js')
+ * @returns {string|null} - Absolute file path, or null if it is not a known asset
+ */
+function resolveAsset(assetPath) {
+    if (assetFiles[assetPath]) {
+        return assetFiles[assetPath];
+    }
+
+    // The whole prismjs package is exposed so the autoloader can fetch languages
+    if (assetPath.startsWith('prism/')) {
+        const fullPath = path.join(prismRoot, assetPath.slice('prism/'.length));
+        if (fullPath.startsWith(prismRoot + path.sep) && /\.(js|css)$/.test(fullPath) && fs.existsSync(fullPath)) {
+            return fullPath;
+        }
+    }
+
+    // KaTeX stylesheet and the fonts it references (math itself is rendered on the server)
+    if (assetPath.startsWith('katex/')) {
+        const fullPath = path.join(katexRoot, assetPath.slice('katex/'.length));
+        if (fullPath.startsWith(katexRoot + path.sep) && /(katex\.min\.css|\.woff2?|\.ttf)$/.test(fullPath) && fs.existsSync(fullPath)) {
+            return fullPath;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read an asset's source (cached - these files never change while running)
+ */
+function readAsset(assetPath) {
+    if (!contentCache.has(assetPath)) {
+        const fullPath = resolveAsset(assetPath);
+        if (!fullPath) {
+            throw new Error(`Unknown asset: ${assetPath}`);
+        }
+        contentCache.set(assetPath, fs.readFileSync(fullPath, 'utf-8'));
+    }
+    return contentCache.get(assetPath);
+}
+
+/**
+ * Escape script source so it can be embedded in an inline <script> element
+ */
+function escapeInlineScript(source) {
+    return source.replace(/<\/(script)/gi, '<\\/$1').replace(/<!--/g, '<\\!--');
+}
+
+/**
+ * <script> tag for an asset, either referencing it or inlined
+ * @param {string} assetPath - Path after '/assets/'
+ * @param {object} options - { inline, id, base } where base is the URL the
+ *                           assets are served from (default '/assets/')
+ */
+function scriptTag(assetPath, options = {}) {
+    const { inline = false, id = null, base = '/assets/' } = options;
+    const idAttr = id ? ` id="${id}"` : '';
+    if (inline) {
+        return `<script${idAttr}>${escapeInlineScript(readAsset(assetPath))}</script>`;
+    }
+    return `<script${idAttr} src="${base}${assetPath}"></script>`;
+}
+
+/**
+ * <link>/<style> tag for a stylesheet asset
+ * @param {string} assetPath - Path after '/assets/'
+ * @param {object} options - { inline, base }
+ */
+function styleTag(assetPath, options = {}) {
+    const { inline = false, base = '/assets/' } = options;
+    if (inline) {
+        return `<style>${readAsset(assetPath).replace(/<\/(style)/gi, '<\\/$1')}</style>`;
+    }
+    return `<link href="${base}${assetPath}" rel="stylesheet" />`;
+}
+
+/**
+ * Resolve Prism language names (including aliases) to component ids,
+ * with the components they require ordered first
+ * @param {string[]} languages - Language names as used in ```lang fences
+ * @returns {string[]} - Component ids in load order
+ */
+function resolvePrismLanguages(languages) {
+    const definitions = prismComponents.languages;
+    const aliases = {};
+    for (const [id, definition] of Object.entries(definitions)) {
+        if (id === 'meta') continue;
+        [].concat(definition.alias || []).forEach(alias => { aliases[alias] = id; });
+    }
+
+    const ordered = [];
+    const visit = (id) => {
+        if (ordered.includes(id) || !definitions[id] || id === 'meta') return;
+        [].concat(definitions[id].require || []).forEach(visit);
+        ordered.push(id);
+    };
+
+    languages.forEach(language => {
+        const name = language.toLowerCase();
+        visit(definitions[name] ? name : aliases[name]);
+    });
+
+    return ordered;
+}
+
+/**
+ * Prism tags: theme, core and language support.
+ * Linked pages use the autoloader; inlined pages embed the languages they
+ * use up front since nothing can be fetched later.
+ * @param {string} theme - Prism theme file name without extension (e.g. 'prism-tomorrow')
+ * @param {object} options - { inline, base, languages } where languages are
+ *                           the languages used on the page (inline mode only)
+ */
+function prismTags(theme = 'prism-tomorrow', options = {}) {
+    const { inline = false, base = '/assets/', languages = [] } = options;
+    const tags = [
+        styleTag(`prism/themes/${theme}.min.css`, { inline, base }),
+        scriptTag('prism/components/prism-core.min.js', { inline, base })
+    ];
+
+    if (inline) {
+        resolvePrismLanguages(languages).forEach(id => {
+            tags.push(scriptTag(`prism/components/prism-${id}.min.js`, { inline }));
+        });
+    } else {
+        tags.push(scriptTag('prism/plugins/autoloader/prism-autoloader.min.js', { base }));
+    }
+
+    return tags.join('\n    ');
+}
+
+/**
+ * KaTeX stylesheet for pages with math. Inlined, the fonts are embedded as
+ * data: URLs (woff2 only - every browser that runs the page supports it).
+ * @param {object} options - { inline, base }
+ */
+function katexTags(options = {}) {
+    const { inline = false, base = '/assets/' } = options;
+    if (!inline) {
+        return styleTag('katex/katex.min.css', { base });
+    }
+
+    const css = readAsset('katex/katex.min.css').replace(
+        /src:url\((fonts\/[^)]+\.woff2)\) format\("woff2"\)(?:,url\([^)]+\) format\("[^"]+"\))*/g,
+        (match, font) => {
+            const data = fs.readFileSync(path.join(katexRoot, font)).toString('base64');
+            return `src:url(data:font/woff2;base64,${data}) format("woff2")`;
+        });
+    return `<style>${css}</style>`;
+}
+
+/**
+ * Copy all bundled assets into a directory (for static site export)
+ * @param {string} outDir - Target directory, e.g. 'site/assets'
+ */
+function copyAssets(outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [assetPath, file] of Object.entries(assetFiles)) {
+        fs.copyFileSync(file, path.join(outDir, assetPath));
+    }
+
+    // Minified Prism files only - languages, the autoloader and themes
+    const copyMinified = (dir) => {
+        const source = path.join(prismRoot, dir);
+        const target = path.join(outDir, 'prism', dir);
+        fs.mkdirSync(target, { recursive: true });
+        for (const file of fs.readdirSync(source)) {
+            if (/\.min\.(js|css)$/.test(file)) {
+                fs.copyFileSync(path.join(source, file), path.join(target, file));
+            }
+        }
+    };
+    copyMinified('components');
+    copyMinified('plugins/autoloader');
+    copyMinified('themes');
+
+    // KaTeX stylesheet and fonts
+    fs.mkdirSync(path.join(outDir, 'katex', 'fonts'), { recursive: true });
+    fs.copyFileSync(path.join(katexRoot, 'katex.min.css'), path.join(outDir, 'katex', 'katex.min.css'));
+    for (const file of fs.readdirSync(path.join(katexRoot, 'fonts'))) {
+        fs.copyFileSync(path.join(katexRoot, 'fonts', file), path.join(outDir, 'katex', 'fonts', file));
+    }
+}
+
+module.exports = {
+    resolveAsset,
+    readAsset,
+    scriptTag,
+    styleTag,
+    prismTags,
+    katexTags,
+    resolvePrismLanguages,
+    copyAssets
+};
@@ -0,0 +1,26 @@
+/**
+ * browser.js - Headless Chromium for PDF and diagram export
+ */
+
+/**
+ * Launch headless Chromium: the one installed for Playwright, else Chrome
+ * @returns {Promise<Browser>}
+ */
+async function launchBrowser() {
+    // Loaded on demand, it is only needed for --pdf and --export-diagrams
+    const { chromium } = require('playwright-core');
+
+    try {
+        return await chromium.launch();
+    } catch (error) {
+        try {
+            return await chromium.launch({ channel: 'chrome' });
+        } catch (chromeError) {
+            throw new Error('No browser found for export. Install Chromium with: npx playwright install chromium');
+        }
+    }
+}
+
+module.exports = {
+    launchBrowser
+};
@@ -27,6 +27,78 @@ const config = {
     },
     markdown: {
         extensions: /\.(md|markdown)$/i
+    },
+    scan: {
+        // Patterns of files to leave out, read from these files at the root of a folder
+        ignoreFiles: ['.gitignore', '.moremaidignore'],
+        // Folder levels to descend into (null: all, mm --max-depth)
+        maxDepth: null
+    },
+    search: {
+        // MiniSearch options shared by the index page and static site export
+        miniSearch: {
+            fields: ['fileName', 'path'],
+            storeFields: ['path', 'fileName', 'directory'],
+            searchOptions: {
+                boost: { fileName: 2 },
+                fuzzy: 0.2,
+                prefix: true
+            }
+        },
+        // Time a query with operators may spend matching files, e.g. on slow /regexes/
+        matchTimeBudget: 2000,
+        // Server-side index of file contents (see search-index.js)
+        content: {
+            searchOptions: {
+                prefix: true,
+                fuzzy: 0.2,
+                combineWith: 'AND'
+            },
+            maxResults: 100,
+            maxFileSize: 2 * 1024 * 1024,
+            // Only text files are indexed - images, videos and other binaries are never read
+            extensions: /\.(md|markdown|mdx|txt|text|rst|adoc|org|tex|csv|tsv|json|ya?ml|toml|ini|xml|html?|css|scss|less|js|mjs|cjs|jsx|ts|tsx|py|rb|go|rs|java|kt|c|h|cpp|hpp|cs|php|sh|bash|zsh|sql|lua|swift|r|log)$/i,
+            // Text of recently searched files kept for queries with operators
+            cacheSize: 16 * 1024 * 1024,
+            // Index cache files of folders not served for maxAge, or beyond the
+            // maxFiles most recently served, are deleted
+            indexCache: {
+                maxAge: 30 * 24 * 60 * 60 * 1000,
+                maxFiles: 20
+            }
+        }
+    },
+    mimeTypes: {
+        '.png': 'image/png',
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.gif': 'image/gif',
+        '.webp': 'image/webp',
+        '.avif': 'image/avif',
+        '.svg': 'image/svg+xml',
+        '.ico': 'image/x-icon',
+        '.bmp': 'image/bmp',
+        '.pdf': 'application/pdf',
+        '.json': 'application/json',
+        '.xml': 'application/xml',
+        '.zip': 'application/zip',
+        '.js': 'text/javascript; charset=utf-8',
+        '.mjs': 'text/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.html': 'text/html; charset=utf-8',
+        '.htm': 'text/html; charset=utf-8',
+        '.txt': 'text/plain; charset=utf-8',
+        '.csv': 'text/csv; charset=utf-8',
+        '.md': 'text/markdown; charset=utf-8',
+        '.markdown': 'text/markdown; charset=utf-8',
+        '.mp4': 'video/mp4',
+        '.webm': 'video/webm',
+        '.mp3': 'audio/mpeg',
+        '.wav': 'audio/wav',
+        '.ogg': 'audio/ogg',
+        '.woff': 'font/woff',
+        '.woff2': 'font/woff2',
+        '.ttf': 'font/ttf'
     }
 };
 
@@ -0,0 +1,98 @@
+/**
+ * diagram-export.js - Write every Mermaid diagram of a folder, archive or file
+ * as an SVG file: docs/guide.md -> <out>/docs/guide-1.svg, guide-2.svg, ...
+ *
+ * Diagrams are rendered by the bundled Mermaid in a headless browser and saved
+ * like the viewer's SVG button saves them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { launchBrowser } = require('./browser');
+const { resolveAsset } = require('./assets');
+const { extractMermaidBlocks } = require('./validator');
+const { diagramExportScript } = require('./html-generator');
+const { darkThemes } = require('./styles');
+
+/**
+ * Output path of a diagram, relative to the output directory
+ * @param {string} filePath - Path of the markdown file
+ * @param {number} index - Position of the diagram in the file (0-based)
+ * @returns {string} - e.g. 'docs/guide-1.svg'
+ */
+function diagramFileName(filePath, index) {
+    return `${filePath.split(path.sep).join('/').replace(config.markdown.extensions, '')}-${index + 1}.svg`;
+}
+
+/**
+ * Render the Mermaid diagrams of all markdown files to SVG files
+ * @param {VirtualFS} virtualFS - Folder, single file or archive
+ * @param {string} outDir - Output directory
+ * @param {object} options - { theme } (dark themes use Mermaid's dark theme)
+ * @returns {Promise<object>} - { files, diagrams, errors: [{ file, line, message }] }
+ */
+async function exportDiagrams(virtualFS, outDir, options = {}) {
+    outDir = path.resolve(outDir);
+
+    // Don't read diagrams from a previous export when the output lives inside the source
+    const outRelative = virtualFS.isVirtual() ? '..' : path.relative(virtualFS.getBasePath(), outDir);
+    const isInOutput = (file) => !outRelative.startsWith('..') &&
+        (file === outRelative || file.startsWith(outRelative + path.sep));
+
+    const markdownFiles = (await virtualFS.listFiles('*'))
+        .filter(file => config.markdown.extensions.test(file) && !isInOutput(file));
+
+    const result = { files: 0, diagrams: 0, errors: [] };
+    const browser = await launchBrowser();
+
+    try {
+        const page = await browser.newPage();
+        await page.setContent('<!DOCTYPE html><html><body></body></html>');
+        await page.addScriptTag({ path: resolveAsset('mermaid.min.js') });
+        await page.addScriptTag({ content: diagramExportScript });
+        await page.evaluate(theme => {
+            window.mermaid.initialize({ startOnLoad: false, theme });
+        }, darkThemes.includes(options.theme) ? 'dark' : 'default');
+
+        for (const file of markdownFiles) {
+            const blocks = extractMermaidBlocks(await virtualFS.readFile(file));
+            let written = 0;
+
+            for (const [index, block] of blocks.entries()) {
+                try {
+                    const svg = await page.evaluate(async ({ id, code }) => {
+                        const { svg } = await window.mermaid.render(id, code);
+                        const container = document.createElement('div');
+                        container.innerHTML = svg;
+                        document.body.appendChild(container);
+                        try {
+                            return diagramSource(container.querySelector('svg')).source;
+                        } finally {
+                            container.remove();
+                        }
+                    }, { id: `diagram-${result.diagrams + result.errors.length}`, code: block.content });
+
+                    const target = path.join(outDir, diagramFileName(file, index));
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    fs.writeFileSync(target, svg);
+                    result.diagrams++;
+                    written++;
+                } catch (error) {
+                    result.errors.push({ file, line: block.lineNumber, message: error.message.replace(/^page\.evaluate: (Error: )?/, '').split('\n')[0] });
+                }
+            }
+
+            if (written > 0) result.files++;
+        }
+    } finally {
+        await browser.close();
+    }
+
+    return result;
+}
+
+module.exports = {
+    diagramFileName,
+    exportDiagrams
+};
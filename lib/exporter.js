@@ -0,0 +1,101 @@
+/**
+ * Static site export - render a folder or archive to plain HTML files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { generateHtmlFromMarkdown, generateStaticSiteIndex, getFileEntry } = require('./html-generator');
+const { copyAssets } = require('./assets');
+const { readMetadata } = require('./front-matter');
+const { LinkGraph } = require('./wiki-links');
+const { SingleFileFS } = require('./virtual-fs');
+const { collectPackFiles } = require('./archive-handler');
+
+// Directory (inside the output) holding the bundled libraries
+const ASSET_DIR = 'moremaid-assets';
+
+/**
+ * Path of the exported page for a markdown file
+ */
+function toHtmlPath(filePath) {
+    return filePath.replace(config.markdown.extensions, '.html');
+}
+
+/**
+ * Export every file of a VirtualFS as a static website: one HTML page per
+ * markdown file, other files (images etc.) copied as-is, bundled libraries,
+ * and an index page with client-side search. A single file is exported with
+ * the files it links to.
+ * @param {VirtualFS} virtualFS - Folder, single file or archive to export
+ * @param {string} outDir - Output directory
+ * @param {object} options - { theme, title }
+ * @returns {Promise<object>} - { pages, files, indexPage }
+ */
+async function exportSite(virtualFS, outDir, options = {}) {
+    outDir = path.resolve(outDir);
+    const basePath = virtualFS.getBasePath();
+
+    // Don't export a previous export when the output lives inside the source
+    const outRelative = virtualFS.isVirtual() ? '..' : path.relative(basePath, outDir);
+    const isInOutput = (file) => !outRelative.startsWith('..') &&
+        (file === outRelative || file.startsWith(outRelative + path.sep));
+
+    let files = await virtualFS.listFiles('*');
+    if (virtualFS instanceof SingleFileFS) {
+        // Just the document: add the images, documents and other files it links to
+        const linked = await collectPackFiles(basePath, files);
+        files = [...linked.files, ...linked.assets].map(file => file.split('/').join(path.sep));
+    }
+    files = files.filter(file => !isInOutput(file));
+    const markdownFiles = files.filter(file => config.markdown.extensions.test(file));
+    const otherFiles = files.filter(file => !config.markdown.extensions.test(file));
+
+    // A root index.md becomes index.html, the generated index moves aside
+    const indexPage = markdownFiles.some(file => /^index\.(md|markdown)$/i.test(file)) ? 'search.html' : 'index.html';
+
+    const writeFile = (relativePath, content) => {
+        const target = path.join(outDir, relativePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    };
+
+    const linkGraph = new LinkGraph(virtualFS);
+    const documents = [];
+    for (const [index, file] of markdownFiles.entries()) {
+        const filePath = file.split(path.sep).join('/');
+        const htmlPath = toHtmlPath(filePath);
+        const depth = filePath.split('/').length - 1;
+        const markdown = await virtualFS.readFile(file);
+
+        const html = generateHtmlFromMarkdown(markdown, path.basename(file), false, false, options.theme || null, null, {
+            filePath,
+            staticSite: true,
+            assetBase: '../'.repeat(depth) + ASSET_DIR + '/',
+            files: await linkGraph.getFiles(),
+            backlinks: await linkGraph.getBacklinks(filePath)
+        });
+        writeFile(htmlPath, html);
+
+        documents.push({ ...getFileEntry(file, index, readMetadata(markdown), await virtualFS.stat(file)), href: htmlPath, content: markdown });
+    }
+
+    for (const file of otherFiles) {
+        writeFile(file, await virtualFS.readFile(file, null));
+    }
+
+    copyAssets(path.join(outDir, ASSET_DIR));
+
+    const title = options.title || path.basename(basePath);
+    writeFile(indexPage, generateStaticSiteIndex(title, documents, options.theme || null, ASSET_DIR + '/'));
+
+    return {
+        pages: markdownFiles.length,
+        files: otherFiles.length,
+        indexPage
+    };
+}
+
+module.exports = {
+    exportSite
+};
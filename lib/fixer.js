@@ -0,0 +1,214 @@
+/**
+ * fixer.js - Automatic fixes for --validate --fix
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const config = require('./config');
+const { DiskFS } = require('./virtual-fs');
+const { extractMermaidBlocks, validateMermaid, validateLinks, findMarkdownFiles, LinkTargets } = require('./validator');
+
+// Node with a rectangle label: id[label] (not [[subroutine]], [(cylinder)] or ["quoted"])
+const labelRegex = /([A-Za-z0-9_]+)\[(?![[("])([^\]\n]*)\](?!\])/g;
+
+// Parallelogram and trapezoid shapes: [/text/], [\text\], [/text\], [\text/]
+const slantedShapeRegex = /^[/\\].*[/\\]$/;
+
+/**
+ * Why a label should be quoted, or null if it is fine as it is
+ */
+function labelProblem(label) {
+    if (slantedShapeRegex.test(label)) return null;
+    if (/^[/\\]/.test(label)) return `label starts with '${label[0]}'`;
+    if (/<br\s*\/?>\s*\//i.test(label)) return 'path-like text after <br>';
+    if ((label.match(/(?<!\\)\//g) || []).length >= 2) return 'multiple slashes in label';
+    if (/[(){}|]/.test(label)) return 'special characters in label';
+    return null;
+}
+
+/**
+ * Quote flowchart node labels that trip up the Mermaid lexer. Quoting does not
+ * change how a label renders. The result is only kept if it parses at least as
+ * far as the original.
+ * @param {string} code - Diagram source
+ * @returns {Promise<object>} - { code, fixes: [{ line, message }] } (line within the diagram, 1-based)
+ */
+async function fixMermaid(code) {
+    const lines = code.split('\n');
+    const fixes = [];
+    const firstLine = lines.find(line => line.trim() && !/^\s*%%/.test(line)) || '';
+
+    if (!/^\s*(graph|flowchart)\b/.test(firstLine)) {
+        return { code, fixes };
+    }
+
+    const fixedLines = lines.map((line, index) => {
+        if (/^\s*%%/.test(line)) return line;
+
+        return line.replace(labelRegex, (match, id, label) => {
+            const problem = labelProblem(label);
+            if (!problem) return match;
+
+            fixes.push({ line: index + 1, message: `Quoted label of node ${id} (${problem})` });
+            return `${id}["${label.replace(/"/g, '#quot;')}"]`;
+        });
+    });
+
+    if (fixes.length === 0) {
+        return { code, fixes };
+    }
+
+    const fixed = fixedLines.join('\n');
+    const [before] = await validateMermaid(code, 1);
+    const [after] = await validateMermaid(fixed, 1);
+    const position = (error) => error ? error.line * 100000 + error.column : Infinity;
+
+    if (after && position(after) <= position(before)) {
+        return { code, fixes: [] };
+    }
+    return { code: fixed, fixes };
+}
+
+/**
+ * Fix a markdown document: Mermaid labels, fence languages Mermaid would not
+ * pick up (```Mermaid) and #anchors that only differ from a heading ID by
+ * case or by being written as heading text. Line numbers never change.
+ * @param {string} markdown - Markdown source
+ * @param {object} options - { documentPath, linkTargets, config }
+ *   documentPath, linkTargets: needed for anchor fixes
+ *   config: project config - rules turned off there are not fixed
+ * @returns {Promise<object>} - { content, fixes: [{ line, rule, message }] }
+ */
+async function fixMarkdown(markdown, options = {}) {
+    const eol = markdown.includes('\r\n') ? '\r\n' : '\n';
+    const lines = markdown.split(/\r?\n/);
+    const fixes = [];
+    const isEnabled = (ruleId) => !options.config || options.config.severity(ruleId) !== 'off';
+
+    // Anchors, from the end of each line so earlier columns stay valid
+    if (options.linkTargets && isEnabled('link/anchor')) {
+        const { errors } = await validateLinks(markdown, options.documentPath, options.linkTargets);
+        const anchorFixes = errors
+            .filter(error => error.suggestion)
+            .sort((a, b) => a.line - b.line || b.column - a.column);
+
+        for (const error of anchorFixes) {
+            const line = lines[error.line - 1];
+            const start = line.indexOf(error.url, error.column - 1);
+            if (start === -1) continue;
+
+            lines[error.line - 1] = line.substring(0, start) + error.suggestion + line.substring(start + error.url.length);
+            fixes.push({ line: error.line, rule: 'link/anchor', message: `Changed link ${error.url} to ${error.suggestion}` });
+        }
+    }
+
+    // Fence languages
+    if (isEnabled('mermaid/fence')) {
+        lines.forEach((line, index) => {
+            const match = line.match(/^([ \t]*(?:`{3,}|~{3,})[ \t]*)(mermaid)([ \t]*)$/i);
+            if (match && match[2] !== 'mermaid') {
+                lines[index] = match[1] + 'mermaid' + match[3];
+                fixes.push({ line: index + 1, rule: 'mermaid/fence', message: `Changed code block language ${match[2]} to mermaid` });
+            }
+        });
+    }
+
+    // Mermaid diagrams
+    const mermaidBlocks = isEnabled('mermaid/syntax') ? extractMermaidBlocks(lines.join('\n')) : [];
+    for (const block of mermaidBlocks) {
+        const result = await fixMermaid(block.content);
+        if (result.fixes.length === 0) continue;
+
+        const originalLines = block.content.split('\n');
+        result.code.split('\n').forEach((fixedLine, index) => {
+            if (fixedLine === originalLines[index]) return;
+
+            const lineIndex = block.contentLine - 1 + index;
+            const indent = lines[lineIndex].match(new RegExp(`^[ \\t]{0,${block.indent}}`))[0];
+            lines[lineIndex] = indent + fixedLine;
+        });
+        for (const fix of result.fixes) {
+            fixes.push({ line: block.contentLine + fix.line - 1, rule: 'mermaid/syntax', message: fix.message });
+        }
+    }
+
+    fixes.sort((a, b) => a.line - b.line);
+    return { content: lines.join(eol), fixes };
+}
+
+/**
+ * Compute fixes for a markdown file or every markdown file in a directory.
+ * Nothing is written - see writeFixes.
+ * @param {string} inputPath - Markdown file or directory
+ * @param {object} options - { config } project config (rules turned off and ignored paths are skipped)
+ * @returns {Promise<Array>} - { path, original, content, fixes } for each file with fixes
+ */
+async function fixMarkdownFiles(inputPath, options = {}) {
+    const projectConfig = options.config || null;
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`File or directory not found: ${inputPath}`);
+    }
+
+    let rootPath;
+    let files;
+    if (fs.statSync(inputPath).isDirectory()) {
+        rootPath = inputPath;
+        files = findMarkdownFiles(inputPath).map(file => path.relative(inputPath, file));
+    } else if (config.archive.supportedExtensions.test(inputPath)) {
+        throw new Error('Cannot fix files inside an archive');
+    } else if (inputPath.match(/\.md$/i)) {
+        rootPath = path.dirname(inputPath);
+        files = [path.basename(inputPath)];
+    } else {
+        throw new Error(`Not a markdown file or directory: ${inputPath}`);
+    }
+
+    if (projectConfig) {
+        files = files.filter(file => !projectConfig.isIgnored(path.relative(projectConfig.root, path.join(rootPath, file))));
+    }
+
+    const linkTargets = new LinkTargets(new DiskFS(rootPath));
+    const changes = [];
+
+    for (const file of files) {
+        const filePath = path.join(rootPath, file);
+        const original = fs.readFileSync(filePath, 'utf-8');
+        const { content, fixes } = await fixMarkdown(original, { documentPath: file, linkTargets, config: projectConfig });
+
+        if (content !== original) {
+            changes.push({ path: filePath, original, content, fixes });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Write fixed files back to disk
+ * @param {Array} changes - From fixMarkdownFiles
+ */
+function writeFixes(changes) {
+    for (const change of changes) {
+        fs.writeFileSync(change.path, change.content);
+    }
+}
+
+/**
+ * Unified diff of the fixes to one file
+ * @param {object} change - From fixMarkdownFiles
+ * @returns {string}
+ */
+function formatDiff(change) {
+    const relativePath = path.relative(process.cwd(), change.path).split(path.sep).join('/');
+    return createTwoFilesPatch('a/' + relativePath, 'b/' + relativePath, change.original, change.content, undefined, undefined, { context: 3 })
+        .replace(/^=+\n/, '');
+}
+
+module.exports = {
+    fixMermaid,
+    fixMarkdown,
+    fixMarkdownFiles,
+    writeFixes,
+    formatDiff
+};
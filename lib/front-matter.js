@@ -0,0 +1,109 @@
+/**
+ * front-matter.js - YAML front matter at the top of markdown documents
+ *
+ * ---
+ * title: Getting Started
+ * tags: [guide, setup]
+ * author: Jane Doe
+ * date: 2024-03-01
+ * ---
+ */
+
+const YAML = require('yaml');
+
+const frontMatterRegex = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Fields the index and /api/search filter on
+const facetFields = ['tag', 'author', 'date'];
+
+/**
+ * Split a document into front matter and body. A leading --- block that is
+ * not a YAML mapping (e.g. a horizontal rule followed by text) is left alone.
+ * @param {string} markdown - Markdown source
+ * @returns {object} - { data, body } (data is {} without front matter)
+ */
+function parseFrontMatter(markdown) {
+    const match = markdown.match(frontMatterRegex);
+    if (!match) {
+        return { data: {}, body: markdown };
+    }
+
+    let data;
+    try {
+        data = match[1] ? YAML.parse(match[1], { logLevel: 'error' }) : {};
+    } catch (error) {
+        data = null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { data: {}, body: markdown };
+    }
+
+    return { data, body: markdown.substring(match[0].length) };
+}
+
+/**
+ * The front matter fields moremaid uses, normalized
+ * @param {object} data - Parsed front matter
+ * @returns {object} - { title, tags, author, date } (title, author and date are strings or null)
+ */
+function getMetadata(data) {
+    const toText = (value) => {
+        if (value === null || value === undefined || value === '') return null;
+        if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ') || null;
+        if (typeof value === 'object') return toText(value.name);
+        return String(value);
+    };
+
+    // Lists, or comma/space separated strings (Jekyll style)
+    let tags = data.tags === undefined ? data.tag : data.tags;
+    if (typeof tags === 'string') {
+        tags = tags.split(tags.includes(',') ? ',' : /\s+/);
+    }
+    tags = Array.isArray(tags) ? tags.map(toText).map(tag => tag && tag.trim()).filter(Boolean) : [];
+
+    return {
+        title: toText(data.title),
+        tags: [...new Set(tags)],
+        author: toText(data.author === undefined ? data.authors : data.author),
+        date: toText(data.date)
+    };
+}
+
+/**
+ * Front matter fields of a markdown document
+ * @param {string} markdown - Markdown source
+ * @returns {object} - See getMetadata
+ */
+function readMetadata(markdown) {
+    return getMetadata(parseFrontMatter(markdown).data);
+}
+
+/**
+ * Whether a document's metadata matches facet filters. Values of one facet
+ * are alternatives, different facets must all match. Dates match by prefix,
+ * so "2024" or "2024-03" select a year or a month.
+ * @param {object|null} metadata - From getMetadata
+ * @param {object} facets - { tag: [], author: [], date: [] }
+ * @returns {boolean}
+ */
+function matchesFacets(metadata, facets) {
+    metadata = metadata || { tags: [], author: null, date: null };
+    const lower = (value) => String(value).toLowerCase();
+
+    return facetFields.every(field => {
+        const values = (facets[field] || []).map(lower);
+        if (values.length === 0) return true;
+
+        if (field === 'tag') return metadata.tags.some(tag => values.includes(lower(tag)));
+        if (field === 'author') return Boolean(metadata.author) && values.includes(lower(metadata.author));
+        return Boolean(metadata.date) && values.some(value => metadata.date.startsWith(value));
+    });
+}
+
+module.exports = {
+    facetFields,
+    parseFrontMatter,
+    getMetadata,
+    readMetadata,
+    matchesFacets
+};
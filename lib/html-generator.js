@@ -3,26 +3,374 @@
  */
 
 const { marked } = require('marked');
-const fs = require('fs');
 const path = require('path');
 const MiniSearch = require('minisearch');
-const { formatSize } = require('./utils');
-const { themes, typography, getBaseStyles } = require('./styles');
+const config = require('./config');
+const { formatSize, isRelativeUrl, resolveRelativePath, encodeFilePath, escapeHtml, htmlToText } = require('./utils');
+const { parseFrontMatter, getMetadata } = require('./front-matter');
+const { mathExtensions, mathToTex } = require('./math');
+const { slug, Slugger } = require('./slugger');
+const { alertExtension } = require('./alerts');
+const { wikiLinkExtension, wikiLinkText, resolveWikiLink } = require('./wiki-links');
+const { themes, typography, getPrintStyles, getTocStyles, getPermalinkStyles, getAlertStyles, getWikiLinkStyles, getDiagramExportStyles } = require('./styles');
+const { scriptTag, prismTags, katexTags } = require('./assets');
+const { tokenRegex, lineScopes, fieldScopes } = require('./search-query');
+
+// $...$ and $$...$$ math, rendered with KaTeX
+marked.use({ extensions: mathExtensions });
+
+// > [!NOTE] alerts, rendered as callouts
+marked.use(alertExtension);
+
+// [[Page]] wiki links, resolved by the renderer (see generateHtmlFromMarkdown)
+marked.use({ extensions: [wikiLinkExtension] });
+
+// Client-side table of contents helpers, shared by document pages and the index overlay.
+// Sidebar visibility is saved in localStorage next to theme and zoom.
+const tocScript = `
+        function isTocVisible() {
+            return localStorage.getItem('tocVisible') !== 'false';
+        }
+
+        function setTocVisible(visible) {
+            localStorage.setItem('tocVisible', visible);
+            document.body.classList.toggle('toc-open', visible);
+        }
+
+        // Highlight the section being read: the last heading scrolled past the top
+        function updateTocHighlight(toc, content) {
+            const links = Array.from(toc.querySelectorAll('a[href^="#"]'));
+            let current = links[0] || null;
+            for (const link of links) {
+                const heading = content.querySelector('#' + CSS.escape(decodeURIComponent(link.hash.slice(1))));
+                if (heading && heading.getBoundingClientRect().top <= 120) {
+                    current = link;
+                }
+            }
+
+            links.forEach(link => link.classList.toggle('active', link === current));
+
+            // Keep the highlighted entry visible in a long TOC
+            if (current) {
+                if (current.offsetTop < toc.scrollTop) {
+                    toc.scrollTop = current.offsetTop;
+                } else if (current.offsetTop + current.offsetHeight > toc.scrollTop + toc.clientHeight) {
+                    toc.scrollTop = current.offsetTop + current.offsetHeight - toc.clientHeight;
+                }
+            }
+        }
+
+        function watchTocScroll(toc, content, scroller) {
+            let scheduled = false;
+            scroller.addEventListener('scroll', () => {
+                if (scheduled) return;
+                scheduled = true;
+                requestAnimationFrame(() => {
+                    scheduled = false;
+                    updateTocHighlight(toc, content);
+                });
+            }, { passive: true });
+            updateTocHighlight(toc, content);
+        }
+`;
+
+// Client-side copying of heading permalinks, shared by document pages and the index overlay
+const permalinkScript = `
+        function copyPermalink(link, url) {
+            navigator.clipboard.writeText(url).then(() => {
+                link.classList.add('copied');
+                setTimeout(() => link.classList.remove('copied'), 1500);
+            }).catch(error => {
+                console.error('Failed to copy link:', error);
+            });
+        }
+`;
+
+// Client-side saving of rendered Mermaid diagrams as SVG or PNG, shared by document
+// pages, the index overlay and diagram windows (mm --export-diagrams uses diagramSource)
+const diagramExportScript = `
+        // Standalone SVG source of a rendered diagram, sized like its viewBox
+        function diagramSource(svg) {
+            const box = svg.viewBox.baseVal;
+            const width = box && box.width ? box.width : svg.getBoundingClientRect().width;
+            const height = box && box.height ? box.height : svg.getBoundingClientRect().height;
+
+            const clone = svg.cloneNode(true);
+            clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+            clone.setAttribute('width', width);
+            clone.setAttribute('height', height);
+            clone.style.removeProperty('max-width');
+
+            return { source: new XMLSerializer().serializeToString(clone), width, height };
+        }
+
+        // PNG of a diagram at a scale, on the page background so its colours stay readable
+        function diagramPng(svg, scale) {
+            const { source, width, height } = diagramSource(svg);
+            return new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.ceil(width * scale);
+                    canvas.height = Math.ceil(height * scale);
+                    const context = canvas.getContext('2d');
+                    context.fillStyle = getComputedStyle(document.body).backgroundColor;
+                    context.fillRect(0, 0, canvas.width, canvas.height);
+                    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create PNG')), 'image/png');
+                };
+                image.onerror = () => reject(new Error('Could not load diagram SVG'));
+                image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(source);
+            });
+        }
 
-function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme = null, searchQuery = null) {
+        function saveDiagram(blob, fileName) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        // Copy as image where the browser supports it, else as SVG source
+        function copyDiagram(svg) {
+            if (window.ClipboardItem && navigator.clipboard.write) {
+                return navigator.clipboard.write([new ClipboardItem({ 'image/png': diagramPng(svg, 2) })]);
+            }
+            return navigator.clipboard.writeText(diagramSource(svg).source);
+        }
+
+        // Add the download and copy buttons to a rendered diagram.
+        // name: file name without extension, e.g. "guide-2" for the second diagram of guide.md
+        function addDiagramExport(container, svg, name) {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'mermaid-export';
+
+            const actions = [
+                ['SVG', 'Download as SVG', () => saveDiagram(new Blob([diagramSource(svg).source], { type: 'image/svg+xml' }), name + '.svg')],
+                ['PNG 1x', 'Download as PNG', () => diagramPng(svg, 1).then(blob => saveDiagram(blob, name + '.png'))],
+                ['2x', 'Download as PNG at 2x', () => diagramPng(svg, 2).then(blob => saveDiagram(blob, name + '@2x.png'))],
+                ['4x', 'Download as PNG at 4x', () => diagramPng(svg, 4).then(blob => saveDiagram(blob, name + '@4x.png'))],
+                ['Copy', 'Copy to clipboard', () => copyDiagram(svg)]
+            ];
+
+            actions.forEach(([label, title, action]) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.title = title;
+                button.onclick = (e) => {
+                    e.stopPropagation();
+                    Promise.resolve().then(action).then(() => {
+                        if (label === 'Copy') {
+                            button.textContent = 'Copied!';
+                            setTimeout(() => { button.textContent = label; }, 1500);
+                        }
+                    }).catch(error => {
+                        console.error('Failed to export diagram:', error);
+                    });
+                };
+                toolbar.appendChild(button);
+            });
+
+            container.appendChild(toolbar);
+        }
+`;
+
+/**
+ * Rewrite a relative URL from a markdown document so it resolves against the
+ * document's directory: markdown links open in /view, everything else is
+ * served by the /raw/ asset route. For static site export, markdown links
+ * point at the exported .html page and everything else stays as written.
+ * @param {string} url - URL as written in the markdown
+ * @param {string|null} documentPath - Path of the document relative to the served root
+ * @param {boolean} isImage - Whether the URL is an image source
+ * @param {boolean} staticSite - Rewrite for a static site export
+ * @returns {string} - Rewritten URL (unchanged if not relative)
+ */
+function rewriteRelativeUrl(url, documentPath, isImage = false, staticSite = false) {
+    if (!documentPath || !isRelativeUrl(url)) return url;
+
+    const resolved = resolveRelativePath(documentPath, url);
+    if (!resolved) return url;
+
+    const isMarkdown = !isImage && config.markdown.extensions.test(resolved.path);
+    const fragment = resolved.fragment ? '#' + resolved.fragment : '';
+
+    if (staticSite) {
+        return isMarkdown ? url.replace(/\.(md|markdown)(?=[?#]|$)/i, '.html') : url;
+    }
+    if (isMarkdown) {
+        return '/view?file=' + encodeURIComponent(resolved.path) + fragment;
+    }
+    return '/raw/' + encodeFilePath(resolved.path) + fragment;
+}
+
+/**
+ * ID of a heading as GitHub generates it, before duplicate suffixes
+ * @param {string} text - Rendered (inline HTML) heading text
+ * @returns {string}
+ */
+function headingId(text) {
+    return slug(htmlToText(mathToTex(text)));
+}
+
+/**
+ * IDs of all headings in a markdown document, as rendered by generateHtmlFromMarkdown
+ * @param {string} markdown - Markdown source
+ * @returns {Set<string>}
+ */
+function getHeadingIds(markdown) {
+    const ids = new Set();
+    const slugger = new Slugger();
+    marked.walkTokens(marked.lexer(parseFrontMatter(markdown).body), token => {
+        if (token.type === 'heading') {
+            const text = marked.Parser.parseInline(token.tokens, { ...marked.defaults, renderer: new marked.Renderer() });
+            ids.add(slugger.slug(htmlToText(mathToTex(text))));
+        }
+    });
+    return ids;
+}
+
+/**
+ * Table of contents as nested lists of links
+ * @param {Array} headings - { level, id, text } in document order (text is inline HTML)
+ * @returns {string} - HTML, empty without headings
+ */
+function renderToc(headings) {
+    let html = '';
+    const openLevels = [];
+
+    for (const heading of headings) {
+        while (openLevels.length > 0 && openLevels[openLevels.length - 1] > heading.level) {
+            html += '</li></ul>';
+            openLevels.pop();
+        }
+        if (openLevels.length > 0 && openLevels[openLevels.length - 1] === heading.level) {
+            html += '</li><li>';
+        } else {
+            html += '<ul><li>';
+            openLevels.push(heading.level);
+        }
+
+        // Plain text - links can't be nested and rendered math is too big
+        const text = mathToTex(heading.text).replace(/<[^>]*>/g, '');
+        html += `<a href="#${heading.id}">${text}</a>`;
+    }
+
+    return html + '</li></ul>'.repeat(openLevels.length);
+}
+
+/**
+ * URL of another file of the served tree, as a link from a document
+ * @param {string} targetPath - Path of the target file
+ * @param {string} documentPath - Path of the linking document
+ * @param {string} fragment - #fragment (without #), may be empty
+ * @param {boolean} staticSite - Link for a static site export
+ * @returns {string}
+ */
+function fileUrl(targetPath, documentPath, fragment, staticSite) {
+    const relativePath = path.posix.relative(path.posix.dirname(documentPath), targetPath);
+    return rewriteRelativeUrl(encodeFilePath(relativePath) + (fragment ? '#' + fragment : ''), documentPath, false, staticSite);
+}
+
+/**
+ * "Linked from" panel listing the documents that link to this one
+ * @param {Array} backlinks - { path, title } of the linking documents
+ * @param {string} documentPath - Path of this document
+ * @param {boolean} staticSite - Link for a static site export
+ * @returns {string} - HTML, empty without backlinks
+ */
+function renderBacklinks(backlinks, documentPath, staticSite) {
+    if (!backlinks || backlinks.length === 0 || !documentPath) return '';
+
+    const items = backlinks.map(link => {
+        const href = escapeHtml(fileUrl(link.path, documentPath, '', staticSite));
+        const name = escapeHtml(link.title || link.path);
+        const location = link.title ? ` <span class="backlink-path">${escapeHtml(link.path)}</span>` : '';
+        return `<li><a href="${href}">${name}</a>${location}</li>`;
+    });
+
+    return `<aside class="backlinks"><div class="backlinks-title">Linked from</div><ul>${items.join('')}</ul></aside>`;
+}
+
+/**
+ * Header showing a document's front matter (author, date, tags)
+ * @param {object} metadata - From getMetadata
+ * @param {boolean} linkTags - Link tags to the index filtered by that tag
+ * @returns {string} - HTML, empty if there is nothing to show
+ */
+function renderMetadataHeader(metadata, linkTags) {
+    const parts = [];
+    if (metadata.author) {
+        parts.push(`<span class="front-matter-author">✍️ ${escapeHtml(metadata.author)}</span>`);
+    }
+    if (metadata.date) {
+        parts.push(`<time class="front-matter-date" datetime="${escapeHtml(metadata.date)}">📅 ${escapeHtml(metadata.date)}</time>`);
+    }
+    if (metadata.tags.length > 0) {
+        const tags = metadata.tags.map(tag => linkTags
+            ? `<a class="front-matter-tag" href="/?tag=${encodeURIComponent(tag)}">${escapeHtml(tag)}</a>`
+            : `<span class="front-matter-tag">${escapeHtml(tag)}</span>`);
+        parts.push(`<span class="front-matter-tags">${tags.join('')}</span>`);
+    }
+
+    return parts.length > 0 ? `<header class="front-matter">${parts.join('')}</header>` : '';
+}
+
+/**
+ * Render a markdown document as a complete HTML page
+ * @param {string} markdown - Markdown source
+ * @param {string} title - Page title
+ * @param {boolean} isIndex - Whether this is rendered for the index page
+ * @param {boolean} isServer - Whether the page is served (enables WebSocket features)
+ * @param {string|null} forceTheme - Force a specific theme
+ * @param {string|null} searchQuery - Search query to highlight
+ * @param {object} options - { filePath, staticSite, assetBase, files, backlinks }
+ *   filePath: path of the document relative to the served root, used to resolve relative links and images
+ *   staticSite: render for a static site export (.md links become .html links)
+ *   assetBase: URL the bundled libraries are loaded from instead of /assets/ or inlining
+ *   files: paths of all files of the served tree, to resolve [[wiki links]] against
+ *   backlinks: { path, title } of the documents linking here, shown as "Linked from" panel
+ */
+function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme = null, searchQuery = null, options = {}) {
     // Configure marked with custom renderer for headers with IDs
     const renderer = new marked.Renderer();
+    const documentPath = options.filePath || null;
+    const staticSite = Boolean(options.staticSite);
+
+    // Resolve relative links and images against the document's directory
+    renderer.link = function(href, title, text) {
+        return marked.Renderer.prototype.link.call(this, rewriteRelativeUrl(href, documentPath, false, staticSite), title, text);
+    };
+
+    renderer.image = function(href, title, text) {
+        return marked.Renderer.prototype.image.call(this, rewriteRelativeUrl(href, documentPath, true, staticSite), title, text);
+    };
+
+    // [[Page#Heading|alias]] links to other files, [[#Heading]] within the document
+    renderer.wikiLink = function(token) {
+        const text = escapeHtml(wikiLinkText(token));
+        const fragment = token.heading ? slug(token.heading) : '';
+        if (!token.target) {
+            return `<a class="wiki-link" href="#${fragment}">${text}</a>`;
+        }
 
-    // Override heading renderer to add IDs for fragment navigation
+        const target = documentPath && options.files ? resolveWikiLink(token.target, options.files, documentPath) : null;
+        if (!target) {
+            return `<span class="wiki-link wiki-link-missing" title="${escapeHtml('No file named ' + token.target)}">${text}</span>`;
+        }
+        return `<a class="wiki-link" href="${escapeHtml(fileUrl(target, documentPath, fragment, staticSite))}">${text}</a>`;
+    };
+
+    // Override heading renderer to add IDs for fragment navigation, and a permalink shown on hover
+    const headings = [];
+    const slugger = new Slugger();
     renderer.heading = function(text, level) {
-        // Generate ID from text (lowercase, replace spaces with dashes, remove special chars)
-        const id = text.toLowerCase()
-            .replace(/[^\w\s-]/g, '') // Remove special characters
-            .replace(/\s+/g, '-')      // Replace spaces with dashes
-            .replace(/-+/g, '-')       // Replace multiple dashes with single dash
-            .trim();
-
-        return `<h${level} id="${id}">${text}</h${level}>`;
+        const id = slugger.slug(htmlToText(mathToTex(text)));
+        headings.push({ level, id, text });
+        return `<h${level} id="${id}">${text}<a class="heading-permalink" href="#${id}" title="Copy link to this section" aria-label="Copy link to this section">🔗</a></h${level}>`;
     };
 
     marked.setOptions({
@@ -32,8 +380,25 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
         renderer: renderer
     });
 
+    // Front matter is shown as a header, not rendered as markdown
+    const frontMatter = parseFrontMatter(markdown);
+    const metadata = getMetadata(frontMatter.data);
+    const pageTitle = metadata.title ? escapeHtml(metadata.title) : title;
+
     // Convert markdown to HTML
-    let htmlContent = marked.parse(markdown);
+    let htmlContent = marked.parse(frontMatter.body);
+
+    // Table of contents for the sidebar, and in place of [[toc]] paragraphs
+    const tocHtml = renderToc(headings);
+    htmlContent = htmlContent.replace(/<p>\[\[toc\]\]<\/p>/gi,
+        () => `<nav class="toc-inline" aria-label="Table of contents">${tocHtml}</nav>`);
+    const hasToc = headings.length > 1;
+
+    // Raw HTML media tags in the markdown need the same treatment as markdown images
+    if (documentPath) {
+        htmlContent = htmlContent.replace(/(<(?:img|source|video|audio)\b[^>]*?\ssrc=)(["'])(.*?)\2/gi,
+            (match, prefix, quote, url) => prefix + quote + rewriteRelativeUrl(url, documentPath, true, staticSite) + quote);
+    }
 
     // Fix language aliases
     const replacements = [
@@ -62,18 +427,30 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
             return `<div class="mermaid">${decodedCode}</div>`;
         });
 
+    // Served and exported pages load the bundled libraries by URL, standalone (--oneshot)
+    // pages inline them - only what the document needs, mermaid alone is ~3MB
+    const hasMath = htmlContent.includes('<span class="katex');
+    let libraryTags;
+    if (isServer || options.assetBase) {
+        const base = options.assetBase || '/assets/';
+        libraryTags = scriptTag('mermaid.min.js', { id: 'mermaid-lib', base }) + '\n    ' + prismTags('prism-tomorrow', { base }) +
+            (hasMath ? '\n    ' + katexTags({ base }) : '');
+    } else {
+        const languages = [...new Set([...htmlContent.matchAll(/class="language-([\w+#-]+)"/g)].map(match => match[1]))];
+        libraryTags = (htmlContent.includes('<div class="mermaid">') ? scriptTag('mermaid.min.js', { inline: true, id: 'mermaid-lib' }) + '\n    ' : '') +
+            prismTags('prism-tomorrow', { inline: true, languages }) +
+            (hasMath ? '\n    ' + katexTags({ inline: true }) : '');
+    }
+
     // Generate complete HTML document
     const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
-    <!-- Prism.js for syntax highlighting with autoloader -->
-    <link href="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism-tomorrow.min.css" rel="stylesheet" />
-    <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/prism-core.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/plugins/autoloader/prism-autoloader.min.js"></script>
+    <title>${pageTitle}</title>
+    <!-- Mermaid and Prism.js (syntax highlighting) -->
+    ${libraryTags}
     <style>
         * {
             margin: 0;
@@ -758,6 +1135,42 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
             color: var(--file-info-color);
         }
 
+        .math-block {
+            overflow-x: auto;
+            overflow-y: hidden;
+            margin: 1em 0;
+        }
+
+        .front-matter {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px 16px;
+            padding-bottom: 12px;
+            margin-bottom: 20px;
+            border-bottom: 1px solid var(--border-color);
+            font-size: 14px;
+            color: var(--file-info-color);
+        }
+
+        .front-matter-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+        }
+
+        .front-matter-tag {
+            background: var(--file-info-bg);
+            color: var(--file-info-color);
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 12px;
+        }
+
+        a.front-matter-tag {
+            color: var(--link-color);
+        }
+
         .nav-bar {
             margin-bottom: 20px;
         }
@@ -769,6 +1182,58 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
         }
 
         .nav-bar /* Hover effect removed */
+
+        /* GitHub-style alerts */
+        ${getAlertStyles()}
+
+        /* Wiki links and backlinks */
+        ${getWikiLinkStyles()}
+
+        /* Heading permalinks */
+        ${getPermalinkStyles()}
+
+        /* Table of contents sidebar */
+        ${getTocStyles()}
+
+        /* Diagram download buttons */
+        ${getDiagramExportStyles()}
+
+        .toc-sidebar {
+            position: fixed;
+            top: 70px;
+            left: 20px;
+            bottom: 60px;
+            z-index: 1500;
+        }
+
+        .toc-toggle {
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            background: var(--mermaid-btn-bg);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            padding: 8px 12px;
+            font-size: 14px;
+            cursor: pointer;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+            transition: background 0.3s;
+            z-index: 2000;
+        }
+
+        .toc-toggle:hover {
+            background: var(--mermaid-btn-hover);
+        }
+
+        @media (min-width: 1200px) {
+            body.toc-open .toc-sidebar.has-toc ~ .zoom-container {
+                padding-left: 290px;
+            }
+        }
+
+        /* Print mode */
+        ${getPrintStyles()}
     </style>
 </head>
 <body data-typography="default">
@@ -806,15 +1271,22 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
         </select>
     </div>
     <button id="copyButton" class="copy-file-btn" title="Copy raw markdown">Copy</button>
+    <button id="tocToggle" class="toc-toggle" title="Table of contents"${hasToc ? '' : ' hidden'}>☰</button>
+    <nav class="toc-sidebar${hasToc ? ' has-toc' : ''}" id="tocSidebar" aria-label="Table of contents">
+        <div class="toc-title">Contents</div>
+        ${hasToc ? tocHtml : ''}
+    </nav>
     <div class="zoom-container" id="zoomContainer">
         <div class="container">
+            ${renderMetadataHeader(metadata, isServer && !staticSite)}
             ${htmlContent}
+            ${renderBacklinks(options.backlinks, documentPath, staticSite)}
         </div>
     </div>
 
     <script>
         // Store raw markdown for copy functionality
-        const rawMarkdown = ${JSON.stringify(markdown)};
+        let rawMarkdown = ${JSON.stringify(markdown)};
 
         // Theme functionality
         const themes = {
@@ -932,6 +1404,31 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
             updateZoom(currentZoom);
         }
 
+        // Heading permalinks copy the URL of their section
+        ${permalinkScript}
+
+        document.querySelector('.container').addEventListener('click', function(e) {
+            const link = e.target.closest('.heading-permalink');
+            if (!link) return;
+
+            e.preventDefault();
+            const url = new URL(window.location.href);
+            url.hash = link.hash;
+            history.replaceState(null, '', url.href);
+            copyPermalink(link, url.href);
+        });
+
+        // Table of contents sidebar
+        ${tocScript}
+
+        const tocSidebar = document.getElementById('tocSidebar');
+        setTocVisible(isTocVisible());
+        watchTocScroll(tocSidebar, document.querySelector('.container'), window);
+
+        document.getElementById('tocToggle').addEventListener('click', function() {
+            setTocVisible(!isTocVisible());
+        });
+
         // Controls trigger
         const controlsTrigger = document.querySelector('.controls-trigger');
         const controls = document.querySelector('.controls');
@@ -1045,6 +1542,9 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
 
         // Initialize mermaid with theme-aware settings
         function initializeMermaid(theme) {
+            // Standalone pages only bundle mermaid when they contain diagrams
+            if (typeof mermaid === 'undefined') return;
+
             const themeConfig = themes[theme] || themes.light;
             const mermaidTheme = themeConfig.mermaid;
 
@@ -1130,11 +1630,22 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
         // Initialize mermaid
         initializeMermaid(currentTheme);
 
+        // Download and copy buttons of rendered diagrams
+        ${diagramExportScript}
+
+        // Downloads are named after the document: guide-1.svg, guide-2.png, ...
+        const diagramName = ${JSON.stringify(path.basename(documentPath || title).replace(config.markdown.extensions, '')).replace(/</g, '\\u003c')};
+
+        // Diagram windows get the same buttons
+        const diagramExportSource = ${JSON.stringify(diagramExportScript).replace(/</g, '\\u003c')};
+        const diagramExportStyles = ${JSON.stringify(getDiagramExportStyles()).replace(/</g, '\\u003c')};
+
         // Track opened child windows
         window.childWindows = window.childWindows || [];
 
         // Function to open mermaid in new window
-        function openMermaidInNewWindow(graphDefinition) {
+        // name: file name for the diagram's downloads, without extension
+        function openMermaidInNewWindow(graphDefinition, name) {
             const newWindow = window.open('', '_blank', 'width=800,height=600,scrollbars=yes,resizable=yes');
 
             // Track this window
@@ -1164,13 +1675,19 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
             };
             const bgColor = bgColors[currentTheme] || 'white';
 
+            // Reuse this page's copy of mermaid (served from /assets/ or inlined)
+            const mermaidLib = document.getElementById('mermaid-lib');
+            const mermaidScript = mermaidLib.src
+                ? '<script src="' + mermaidLib.src + '"></' + 'script>'
+                : '<script>' + mermaidLib.textContent + '</' + 'script>';
+
             const html = '<!' + 'DOCTYPE html>' +
                 '<html lang="en">' +
                 '<head>' +
                     '<meta charset="UTF-8">' +
                     '<meta name="viewport" content="width=device-width, initial-scale=1.0">' +
                     '<title>Mermaid Diagram</title>' +
-                    '<script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></' + 'script>' +
+                    mermaidScript +
                     '<style>' +
                         'body {' +
                             'margin: 0;' +
@@ -1186,7 +1703,13 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
                             'max-width: 100%;' +
                             'overflow: auto;' +
                         '}' +
+                        diagramExportStyles +
+                        'body > .mermaid-export {' +
+                            'position: fixed;' +
+                            'opacity: 1;' +
+                        '}' +
                     '</style>' +
+                    '<script>' + diagramExportSource + '</' + 'script>' +
                 '</head>' +
                 '<body>' +
                     '<div id="diagram" class="mermaid">' + graphDefinition + '</div>' +
@@ -1217,10 +1740,13 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
                         'else if (theme === "monokai") variables = themeVariables.monokai;' +
                         '' +
                         'mermaid.initialize({' +
-                            'startOnLoad: true,' +
+                            'startOnLoad: false,' +
                             'theme: mermaidTheme,' +
                             'themeVariables: variables' +
                         '});' +
+                        'mermaid.run({ nodes: [document.getElementById("diagram")] }).then(function() {' +
+                            'addDiagramExport(document.body, document.querySelector("#diagram svg"), decodeURIComponent("' + encodeURIComponent(name) + '"));' +
+                        '});' +
                         '' +
                         '// Monitor parent window and close this window if parent closes' +
                         'setInterval(function() {' +
@@ -1290,8 +1816,15 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
                 }
             }, 10);
 
-            // Render all mermaid diagrams
-            const diagrams = document.querySelectorAll('.mermaid');
+            await renderMermaidDiagrams();
+
+            // PDF export waits for this before printing
+            document.body.dataset.diagramsRendered = 'true';
+        });
+
+        // Render all mermaid diagrams inside a container
+        async function renderMermaidDiagrams(container = document) {
+            const diagrams = container.querySelectorAll('.mermaid');
             for (let i = 0; i < diagrams.length; i++) {
                 const diagram = diagrams[i];
                 const graphDefinition = diagram.textContent;
@@ -1316,9 +1849,10 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
                     fullscreenBtn.title = 'Open in new window';
                     fullscreenBtn.onclick = (e) => {
                         e.stopPropagation();
-                        openMermaidInNewWindow(graphDefinition);
+                        openMermaidInNewWindow(graphDefinition, diagramName + '-' + (i + 1));
                     };
                     container.appendChild(fullscreenBtn);
+                    addDiagramExport(container, svgContainer.querySelector('svg'), diagramName + '-' + (i + 1));
 
                     // Replace diagram content with container
                     diagram.innerHTML = '';
@@ -1329,7 +1863,7 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
                     diagram.innerHTML = '<div style="color: #e74c3c; padding: 20px; background: #ffecec; border-radius: 5px;">Error rendering diagram: ' + error.message + '</div>';
                 }
             }
-        });
+        }
 
         // If there's a search query, highlight it after the page loads
         ${searchQuery ? `
@@ -1532,6 +2066,27 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
                 console.error('WebSocket error:', error);
             };
 
+            // Live reload when the displayed file changes on disk
+            window.ws.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (e) {
+                    return;
+                }
+                if (message.type !== 'fileChange') return;
+
+                const currentFile = new URLSearchParams(window.location.search).get('file');
+                if (!currentFile || message.path !== currentFile.replace(/^\\/+/, '')) return;
+
+                if (message.event === 'change' || message.event === 'add') {
+                    document.title = document.title.replace('[DELETED] ', '');
+                    reloadDocument();
+                } else if (message.event === 'unlink' && !document.title.startsWith('[DELETED]')) {
+                    document.title = '[DELETED] ' + document.title;
+                }
+            };
+
             // Send ping every 30 seconds to keep connection alive
             const pingInterval = setInterval(() => {
                 if (window.ws && window.ws.readyState === WebSocket.OPEN) {
@@ -1546,6 +2101,45 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
             });
         }
 
+        // Re-render the document in place, keeping the scroll position
+        async function reloadDocument() {
+            const scrollX = window.scrollX;
+            const scrollY = window.scrollY;
+
+            try {
+                const response = await fetch(window.location.href, { cache: 'no-store' });
+                if (!response.ok) return;
+                const html = await response.text();
+                const doc = new DOMParser().parseFromString(html, 'text/html');
+                const newContent = doc.querySelector('.container');
+                const container = document.querySelector('.container');
+                if (!newContent || !container) return;
+
+                container.innerHTML = newContent.innerHTML;
+                document.title = doc.title;
+
+                const newToc = doc.getElementById('tocSidebar');
+                tocSidebar.className = newToc.className;
+                tocSidebar.innerHTML = newToc.innerHTML;
+                document.getElementById('tocToggle').hidden = doc.getElementById('tocToggle').hidden;
+
+                const file = new URLSearchParams(window.location.search).get('file');
+                const rawResponse = await fetch('/api/file?path=' + encodeURIComponent(file), { cache: 'no-store' });
+                if (rawResponse.ok) {
+                    rawMarkdown = await rawResponse.text();
+                }
+
+                Prism.highlightAllUnder(container);
+                addCopyButtons(container);
+                await renderMermaidDiagrams(container);
+                window.scrollTo(scrollX, scrollY);
+                updateTocHighlight(tocSidebar, container);
+                console.log('🔄 Reloaded ' + file);
+            } catch (error) {
+                console.error('Live reload failed:', error);
+            }
+        }
+
         // Connect WebSocket when page loads
         connectWebSocket();
         ` : ''}
@@ -1555,86 +2149,124 @@ function generateHtmlFromMarkdown(markdown, title, isIndex, isServer, forceTheme
 
     return html;
 }
-function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null, currentFilter = '*.md') {
-    const folderName = path.basename(folderPath) || 'Directory';
 
-    // Prepare file data WITHOUT content for initial load
-    // Content will be loaded via API to avoid script injection issues
-    // Helper function to format time ago
-    const formatTimeAgo = (date) => {
-        const now = new Date();
-        const then = new Date(date);
-        const seconds = Math.floor((now - then) / 1000);
-
-        if (seconds < 60) return 'just now';
-        const minutes = Math.floor(seconds / 60);
-        if (minutes < 60) return minutes === 1 ? '1 min ago' : `${minutes} mins ago`;
-        const hours = Math.floor(minutes / 60);
-        if (hours < 24) return hours === 1 ? '1 hour ago' : `${hours} hours ago`;
-        const days = Math.floor(hours / 24);
-        if (days < 7) return days === 1 ? 'yesterday' : `${days} days ago`;
-        const weeks = Math.floor(days / 7);
-        if (weeks < 4) return weeks === 1 ? 'last week' : `${weeks} weeks ago`;
-        const months = Math.floor(days / 30);
-        if (months < 12) return months === 1 ? 'last month' : `${months} months ago`;
-        const years = Math.floor(days / 365);
-        return years === 1 ? 'last year' : `${years} years ago`;
-    };
+/**
+ * Format a date relative to now ("5 mins ago", "yesterday", ...)
+ */
+function formatTimeAgo(date) {
+    const now = new Date();
+    const then = new Date(date);
+    const seconds = Math.floor((now - then) / 1000);
+
+    if (seconds < 60) return 'just now';
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return minutes === 1 ? '1 min ago' : `${minutes} mins ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return hours === 1 ? '1 hour ago' : `${hours} hours ago`;
+    const days = Math.floor(hours / 24);
+    if (days < 7) return days === 1 ? 'yesterday' : `${days} days ago`;
+    const weeks = Math.floor(days / 7);
+    if (weeks < 4) return weeks === 1 ? 'last week' : `${weeks} weeks ago`;
+    const months = Math.floor(days / 30);
+    if (months < 12) return months === 1 ? 'last month' : `${months} months ago`;
+    const years = Math.floor(days / 365);
+    return years === 1 ? 'last year' : `${years} years ago`;
+}
+
+/**
+ * Build the file list entry used by the index page for a single file
+ * @param {string} file - Path relative to the base folder
+ * @param {number} index - Entry id
+ * @param {object|null} metadata - Front matter fields (see front-matter.js getMetadata)
+ * @param {object|null} stat - { mtimeMs, size } (see VirtualFS stat), null if not known
+ * @returns {object} - File entry with size, modification info and front matter fields
+ */
+function getFileEntry(file, index, metadata = null, stat = null) {
+    let size = '';
+    let sizeBytes = 0;
+    let modified = '';
+    let modifiedDisplay = '';
+    let modifiedFull = '';
+
+    // Archives don't know when their files were modified
+    if (stat) {
+        // Format file size in human readable format
+        const formatSize = (bytes) => {
+            if (bytes < 1024) return bytes + 'B';
+            if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + 'KB';
+            if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + 'MB';
+            return (bytes / (1024 * 1024 * 1024)).toFixed(1) + 'GB';
+        };
 
-    const fileData = files.map((file, index) => {
-        let size = '';
-        let sizeBytes = 0;
-        let modified = '';
-        let modifiedDisplay = '';
-        let modifiedFull = '';
-        let stats = null;
+        const mtime = new Date(stat.mtimeMs);
+        size = formatSize(stat.size);
+        sizeBytes = stat.size;
+        // Store ISO format for sorting
+        modified = mtime.toISOString();
+        // Human-readable time ago
+        modifiedDisplay = formatTimeAgo(mtime);
+        // Full date for tooltip
+        modifiedFull = mtime.toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
 
-        // Only get stats for disk-based files (not virtual/ZIP files)
-        if (!folderPath.includes('[ZIP Archive]')) {
-            try {
-                const fullPath = path.join(folderPath, file);
-                stats = fs.statSync(fullPath);
-
-                // Format file size in human readable format
-                const formatSize = (bytes) => {
-                    if (bytes < 1024) return bytes + 'B';
-                    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + 'KB';
-                    if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + 'MB';
-                    return (bytes / (1024 * 1024 * 1024)).toFixed(1) + 'GB';
-                };
+    return {
+        id: index,
+        path: file,
+        fileName: path.basename(file),
+        directory: path.dirname(file) === '.' ? '' : path.dirname(file),
+        size: size,
+        sizeBytes: sizeBytes,
+        modified: modified,
+        modifiedDisplay: modifiedDisplay,
+        modifiedFull: modifiedFull,
+        title: metadata ? metadata.title : null,
+        tags: metadata ? metadata.tags : [],
+        author: metadata ? metadata.author : null,
+        date: metadata ? metadata.date : null
+        // Content removed - will be loaded via /api/files endpoint
+    };
+}
 
-                size = formatSize(stats.size);
-                sizeBytes = stats.size;
-                // Store ISO format for sorting
-                modified = stats.mtime.toISOString();
-                // Human-readable time ago
-                modifiedDisplay = formatTimeAgo(stats.mtime);
-                // Full date for tooltip
-                modifiedFull = new Date(stats.mtime).toLocaleString('en-US', {
-                    year: 'numeric',
-                    month: 'short',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                });
-            } catch (e) {
-                // Ignore stat errors for virtual files
-            }
-        }
+// Search syntax hints of the index page: [example, description]
+const searchSyntaxExamples = [
+    ['"getting started"', 'Exact phrase'],
+    ['-draft', 'Without the word'],
+    ['/colou?r/i', 'Regular expression'],
+    ['path:api/', 'In the path'],
+    ['heading:setup', 'In headings'],
+    ['code:npm', 'In code blocks and inline code'],
+    ['mermaid:sequenceDiagram', 'In Mermaid diagrams'],
+    ['tag:guide', 'Front matter: title, tag, author, date or any field'],
+    ['case:yes', 'Case-sensitive'],
+    ['word:yes', 'Whole words only']
+];
 
-        return {
-            id: index,
-            path: file,
-            fileName: path.basename(file),
-            directory: path.dirname(file) === '.' ? '' : path.dirname(file),
-            size: size,
-            sizeBytes: sizeBytes,
-            modified: modified,
-            modifiedDisplay: modifiedDisplay,
-            modifiedFull: modifiedFull
-            // Content removed - will be loaded via /api/files endpoint
-        };
-    });
+/**
+ * Generate the index page with search, sorting and front matter facets
+ * @param {string} folderPath - Base folder (or '[ZIP Archive]' path for archives)
+ * @param {Array<string>} files - File paths relative to the base folder
+ * @param {number} port - Server port
+ * @param {string|null} forceTheme - Force a specific theme
+ * @param {string} currentFilter - File filter ('*.md' or '*')
+ * @param {object} metadata - Front matter fields by file path (see front-matter.js getMetadata)
+ * @param {object} options - { graph: show the graph of links between the files instead of the list,
+ *   stats: modification time and size by file path (see VirtualFS stat) }
+ * @returns {string} - Complete HTML document
+ */
+function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null, currentFilter = '*.md', metadata = {}, options = {}) {
+    const folderName = path.basename(folderPath) || 'Directory';
+    const filterQuery = currentFilter === '*.md' ? '' : '?filter=' + encodeURIComponent(currentFilter);
+
+    // Prepare file data WITHOUT content for initial load
+    // Content will be loaded via API to avoid script injection issues
+    const stats = options.stats || {};
+    const fileData = files.map((file, index) => getFileEntry(file, index, metadata[file] || null, stats[file] || null));
 
     // Get theme CSS variables from generateHtmlFromMarkdown
     const dummyHtml = generateHtmlFromMarkdown('', 'dummy', true, true, forceTheme);
@@ -1646,12 +2278,12 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Index of ${folderName}</title>
-    <script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></script>
+    <title>${options.graph ? 'Link Graph' : 'Index'} of ${folderName}</title>
+    ${scriptTag('mermaid.min.js', { id: 'mermaid-lib' })}
     <!-- Prism.js for syntax highlighting with autoloader -->
-    <link href="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism-tomorrow.min.css" rel="stylesheet" />
-    <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/prism-core.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/plugins/autoloader/prism-autoloader.min.js"></script>
+    ${prismTags('prism-tomorrow')}
+    <!-- KaTeX styles for math in the file overlay -->
+    ${katexTags()}
     <style>
         ${styles}
 
@@ -1876,6 +2508,117 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             color: var(--bg-color);
         }
 
+        a.filter-toggle {
+            text-decoration: none;
+        }
+
+        /* Link graph */
+        .container.graph-view {
+            max-width: none;
+        }
+
+        .graph-view .file-list {
+            display: none;
+        }
+
+        .link-graph {
+            display: flex;
+            flex-direction: column;
+            height: calc(100vh - 140px);
+            min-height: 400px;
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            overflow: hidden;
+        }
+
+        .link-graph-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 16px;
+            padding: 8px 12px;
+            font-size: 13px;
+            color: var(--file-info-color);
+            border-bottom: 1px solid var(--border-color);
+            background: var(--code-bg);
+        }
+
+        .link-graph-filter input {
+            width: 140px;
+            padding: 3px 8px;
+            font-size: 12px;
+            font-family: var(--font-code);
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            background: var(--bg-color);
+            color: var(--text-color);
+        }
+
+        .link-graph-legend {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            margin-left: auto;
+        }
+
+        .graph-key {
+            display: inline-block;
+            width: 10px;
+            height: 10px;
+            border-radius: 50%;
+            background: var(--link-color);
+        }
+
+        .graph-key.orphan {
+            background: var(--bg-color);
+            border: 2px dashed var(--alert-caution-color);
+            margin-left: 8px;
+        }
+
+        .link-graph svg {
+            flex: 1;
+            width: 100%;
+            cursor: grab;
+            touch-action: none;
+            user-select: none;
+        }
+
+        .graph-links line {
+            stroke: var(--border-color);
+            stroke-width: 1.5;
+        }
+
+        .graph-node {
+            cursor: pointer;
+        }
+
+        .graph-node circle {
+            fill: var(--link-color);
+            stroke: var(--bg-color);
+            stroke-width: 2;
+        }
+
+        .graph-node.orphan circle {
+            fill: var(--bg-color);
+            stroke: var(--alert-caution-color);
+            stroke-dasharray: 3 2;
+        }
+
+        .graph-node text {
+            fill: var(--text-color);
+            font-size: 11px;
+            pointer-events: none;
+        }
+
+        .graph-node:hover circle {
+            stroke: var(--text-color);
+        }
+
+        .graph-node.dimmed,
+        .graph-links line.dimmed {
+            opacity: 0.15;
+        }
+
         .search-field {
             width: 100%;
             max-width: 500px;
@@ -2365,6 +3108,189 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             font-size: 14px;
         }
 
+        .file-name.has-title {
+            font-family: inherit;
+            font-weight: 500;
+        }
+
+        .file-meta {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 4px 12px;
+            font-size: 12px;
+            color: var(--file-info-color);
+        }
+
+        .file-meta-path {
+            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+        }
+
+        .file-tag {
+            background: var(--file-info-bg);
+            padding: 0 6px;
+            border-radius: 8px;
+        }
+
+        .facet-bar {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            padding-bottom: 12px;
+            margin-bottom: 12px;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .facet-group {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px;
+        }
+
+        .facet-label {
+            width: 60px;
+            font-size: 12px;
+            font-weight: 600;
+            color: var(--file-info-color);
+        }
+
+        .facet-chip {
+            border: 1px solid var(--border-color);
+            background: var(--file-info-bg);
+            color: var(--text-color);
+            border-radius: 12px;
+            padding: 2px 10px;
+            font-size: 12px;
+            cursor: pointer;
+        }
+
+        .facet-chip.active {
+            background: var(--link-color);
+            border-color: var(--link-color);
+            color: var(--bg-color);
+        }
+
+        .facet-count {
+            opacity: 0.6;
+        }
+
+        .query-chips {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 12px;
+        }
+
+        .query-chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            border: 1px solid var(--link-color);
+            background: var(--file-info-bg);
+            color: var(--text-color);
+            border-radius: 12px;
+            padding: 2px 4px 2px 10px;
+            font-size: 12px;
+        }
+
+        .query-chip-kind {
+            font-weight: 600;
+            color: var(--link-color);
+        }
+
+        .query-chip.negated .query-chip-kind {
+            color: #dc2626;
+        }
+
+        .query-chip button {
+            border: none;
+            background: none;
+            color: var(--file-info-color);
+            cursor: pointer;
+            font-size: 14px;
+            line-height: 1;
+            padding: 0 4px;
+        }
+
+        .search-syntax-toggle {
+            width: 28px;
+            height: 28px;
+            flex-shrink: 0;
+            border: 1px solid var(--border-color);
+            border-radius: 50%;
+            background: var(--bg-color);
+            color: var(--file-info-color);
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .search-syntax-toggle[aria-expanded="true"] {
+            border-color: var(--link-color);
+            color: var(--link-color);
+        }
+
+        .search-syntax {
+            position: absolute;
+            top: 100%;
+            left: 50%;
+            transform: translateX(-50%);
+            width: min(520px, calc(100vw - 40px));
+            padding: 12px;
+            background: var(--bg-color);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 4px;
+        }
+
+        .search-syntax-title, .search-syntax-note {
+            grid-column: 1 / -1;
+            font-size: 12px;
+            color: var(--file-info-color);
+        }
+
+        .search-syntax-title {
+            font-weight: 600;
+            margin-bottom: 4px;
+        }
+
+        .search-syntax-title span {
+            font-weight: normal;
+            opacity: 0.7;
+        }
+
+        .search-syntax-note {
+            margin-top: 6px;
+        }
+
+        .syntax-example {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 2px;
+            padding: 6px 8px;
+            border: 1px solid transparent;
+            border-radius: 6px;
+            background: none;
+            color: var(--text-color);
+            text-align: left;
+            cursor: pointer;
+        }
+
+        .syntax-example:hover {
+            border-color: var(--border-color);
+            background: var(--hover-bg);
+        }
+
+        .syntax-example span {
+            font-size: 11px;
+            color: var(--file-info-color);
+        }
+
         .file-size, .file-modified {
             color: var(--text-muted);
             font-size: 12px;
@@ -2567,12 +3493,48 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             transform: scale(0.95);
         }
 
+        .file-overlay-layout {
+            display: flex;
+            align-items: flex-start;
+        }
+
         .file-overlay-body {
+            flex: 1;
+            min-width: 0;
             padding: 30px;
             max-width: 1200px;
             margin: 0 auto;
         }
 
+        .file-overlay-body [id] {
+            scroll-margin-top: 60px;
+        }
+
+        /* Alerts, wiki links, heading permalinks, table of contents and diagram buttons of the overlay document */
+        ${getAlertStyles()}
+        ${getWikiLinkStyles()}
+        ${getPermalinkStyles()}
+        ${getTocStyles()}
+        ${getDiagramExportStyles()}
+
+        .toc-sidebar {
+            position: sticky;
+            top: 60px;
+            flex-shrink: 0;
+            max-height: calc(100vh - 80px);
+            margin: 20px 0 0 20px;
+        }
+
+        .file-overlay-toc {
+            background: transparent;
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            padding: 5px 10px;
+            cursor: pointer;
+            font-size: 12px;
+        }
+
         .file-overlay-loading {
             display: flex;
             justify-content: center;
@@ -2626,6 +3588,17 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                 </svg>`
             }
         </button>
+        <a class="filter-toggle${options.graph ? ' active' : ''}" id="graphToggle" href="${options.graph ? '/' : '/graph'}${filterQuery}" title="${options.graph ? 'Link graph (click to show the file list)' : 'File list (click to show the link graph)'}">
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24">
+                <line x1="6" y1="6" x2="18" y2="9" stroke="currentColor" stroke-width="1.5"/>
+                <line x1="6" y1="6" x2="9" y2="18" stroke="currentColor" stroke-width="1.5"/>
+                <line x1="18" y1="9" x2="9" y2="18" stroke="currentColor" stroke-width="1.5"/>
+                <circle cx="6" cy="6" r="3" fill="#2563eb"/>
+                <circle cx="18" cy="9" r="3" fill="#10b981"/>
+                <circle cx="9" cy="18" r="3" fill="#f59e0b"/>
+                <circle cx="20" cy="20" r="2" fill="none" stroke="currentColor" stroke-width="1.2" stroke-dasharray="2 1"/>
+            </svg>
+        </a>
         <span class="search-mode" id="searchModeIndicator" title="Click to toggle: search in names & paths ⇄ search in file contents" data-mode="filename">
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="24" height="24">
                 <rect x="2" y="0" width="20" height="24" fill="none" stroke="currentColor" stroke-width="1.5" rx="2"/>
@@ -2641,6 +3614,12 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             placeholder="Search ${files.length} files"
             autocomplete="off"
         />
+        <button class="search-syntax-toggle" id="searchSyntaxToggle" title="Search syntax" aria-expanded="false">?</button>
+        <div class="search-syntax hidden" id="searchSyntax">
+            <div class="search-syntax-title">Search syntax <span>click an example to add it to the search</span></div>
+            ${searchSyntaxExamples.map(([example, description]) => `<button class="syntax-example" data-example="${escapeHtml(example)}"><code>${escapeHtml(example)}</code><span>${description}</span></button>`).join('\n            ')}
+            <div class="search-syntax-note">Terms can be combined and excluded (<code>-tag:draft</code>). Scoped terms search the content in both search modes.</div>
+        </div>
         <span class="search-help">
             <kbd>TAB</kbd> focus • <kbd>SHIFT+TAB</kbd> mode • <kbd>Ctrl/Cmd+Shift+F</kbd> filter • <kbd>↑↓</kbd> select • <kbd>ENTER</kbd> open • <kbd>Ctrl/Cmd+Click</kbd> new tab
         </span>
@@ -2680,7 +3659,22 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
         </select>
     </div>
     <div class="zoom-container" id="zoomContainer">
-        <div class="container">
+        <div class="container${options.graph ? ' graph-view' : ''}">
+            <div class="query-chips hidden" id="queryChips"></div>
+            <div class="facet-bar hidden" id="facetBar"></div>${options.graph ? `
+            <div class="link-graph" id="linkGraph">
+                <div class="link-graph-toolbar">
+                    <form class="link-graph-filter" action="/graph" method="get">
+                        <input name="filter" value="${escapeHtml(currentFilter)}" title="Files to show, e.g. *.md, * or guide-*" aria-label="Filter">
+                    </form>
+                    <span id="linkGraphStats">Loading...</span>
+                    <span class="link-graph-legend">
+                        <span class="graph-key"></span> linked
+                        <span class="graph-key orphan"></span> orphan (no links to it)
+                    </span>
+                </div>
+                <svg id="linkGraphSvg" xmlns="http://www.w3.org/2000/svg"><g id="linkGraphViewport"></g></svg>
+            </div>` : ''}
             <div class="file-list" id="fileList">
                 ${generateFileListHTML(fileData, 'name-asc')}
             </div>
@@ -2693,12 +3687,16 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             <div class="file-overlay-header">
                 <h2 class="file-overlay-title" id="overlayTitle"></h2>
                 <div class="file-overlay-buttons">
+                    <button class="file-overlay-toc" id="overlayTocToggle" title="Table of contents" hidden>☰</button>
                     <button class="file-overlay-copy" id="overlayCopy" title="Copy raw markdown">Copy</button>
                     <button class="file-overlay-close" id="overlayClose" title="Close (ESC)">×</button>
                 </div>
             </div>
-            <div class="file-overlay-body" id="overlayBody">
-                <div class="file-overlay-loading">Loading...</div>
+            <div class="file-overlay-layout">
+                <nav class="toc-sidebar" id="overlayToc" aria-label="Table of contents"></nav>
+                <div class="file-overlay-body" id="overlayBody">
+                    <div class="file-overlay-loading">Loading...</div>
+                </div>
             </div>
         </div>
     </div>
@@ -2761,6 +3759,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     <li><kbd>Ctrl/Cmd</kbd>+Click - New tab</li>
                     <li><kbd>Shift</kbd>+Click - New tab</li>
                     <li>Middle-click - New tab</li>
+                    <li><strong>Graph</strong> button - Links between the files; drag to move, scroll to zoom</li>
                 </ul>
             </div>
 
@@ -2804,10 +3803,10 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
         </div>
     </div>
 
-    <script src="https://cdn.jsdelivr.net/npm/minisearch@7/dist/umd/index.min.js"></script>
+    ${scriptTag('minisearch.min.js')}
     <script>
         // File data
-        const allFiles = ${JSON.stringify(fileData)};
+        const allFiles = ${JSON.stringify(fileData).replace(/</g, '\\u003c')};
 
         // Add copy buttons to code blocks
         function addCopyButtons(container = document) {
@@ -2851,16 +3850,8 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             theme: 'default'
         });
 
-        // Initialize MiniSearch for filename search only
-        const contentIndex = new MiniSearch({
-            fields: ['fileName', 'path'],
-            storeFields: ['path', 'fileName', 'directory'],
-            searchOptions: {
-                boost: { fileName: 2 },
-                fuzzy: 0.2,
-                prefix: true
-            }
-        });
+        // Initialize MiniSearch for filename search only
+        const contentIndex = new MiniSearch(${JSON.stringify(config.search.miniSearch)});
 
         // Add all documents to the index
         contentIndex.addAll(allFiles);
@@ -2950,6 +3941,10 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             } else {
                 url.searchParams.delete('q');
             }
+            Object.keys(activeFacets).forEach(field => {
+                url.searchParams.delete(field);
+                activeFacets[field].forEach(value => url.searchParams.append(field, value));
+            });
             window.history.replaceState({}, '', url);
         }
 
@@ -3049,10 +4044,10 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             // Get current filter from URL
             const currentFilter = new URLSearchParams(window.location.search).get('filter') || '*.md';
 
-            // Content search (via API)
-            if (searchMode === 'content' && query.length >= 2) {
+            // Content search, and name searches with operators (via API)
+            if ((searchMode === 'content' && query.length >= 2) || queryOperators(query).length > 0) {
                 try {
-                    const response = await fetch('/api/search?q=' + encodeURIComponent(query) + '&mode=content&filter=' + encodeURIComponent(currentFilter));
+                    const response = await fetch('/api/search?q=' + encodeURIComponent(query) + '&mode=' + searchMode + '&filter=' + encodeURIComponent(currentFilter));
                     if (!response.ok) {
                         throw new Error('HTTP error! status: ' + response.status);
                     }
@@ -3064,17 +4059,18 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                 }
             }
 
-            // Filename search (local)
+            // Filename and title search (local)
             const lowerQuery = query.toLowerCase();
             return allFiles.filter(file => {
                 const fullPath = file.directory ? file.directory + '/' + file.fileName : file.fileName;
-                return fullPath.toLowerCase().includes(lowerQuery);
+                return fullPath.toLowerCase().includes(lowerQuery) ||
+                    Boolean(file.title && file.title.toLowerCase().includes(lowerQuery));
             }).sort((a, b) => {
-                // Sort by relevance (filename matches first, then path matches)
+                // Sort by relevance (filename matches first, then path and title matches)
                 const aFileName = a.fileName.toLowerCase();
                 const bFileName = b.fileName.toLowerCase();
-                const aPath = (a.directory + '/' + a.fileName).toLowerCase();
-                const bPath = (b.directory + '/' + b.fileName).toLowerCase();
+                const aPath = (a.directory + '/' + a.fileName + ' ' + (a.title || '')).toLowerCase();
+                const bPath = (b.directory + '/' + b.fileName + ' ' + (b.title || '')).toLowerCase();
 
                 const aFileMatch = aFileName.includes(lowerQuery);
                 const bFileMatch = bFileName.includes(lowerQuery);
@@ -3090,14 +4086,187 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             });
         }
 
+        // Query operators (see lib/search-query.js), shown as chips above the results
+        const queryTokenRegex = new RegExp(${JSON.stringify(tokenRegex.source)}, 'gi');
+        const queryScopes = ${JSON.stringify([...lineScopes, ...fieldScopes])};
+        const queryChips = document.getElementById('queryChips');
+        const searchSyntax = document.getElementById('searchSyntax');
+        const searchSyntaxToggle = document.getElementById('searchSyntaxToggle');
+
+        // Terms of a query that are more than a plain word: { index, raw, kind, value, negated }
+        function queryOperators(query) {
+            const operators = [];
+            for (const match of query.matchAll(queryTokenRegex)) {
+                const [raw, minus, name, token] = match;
+                let scope = name ? name.toLowerCase() : null;
+                let value = token;
+
+                if (scope === 'case' || scope === 'word') {
+                    const enabled = /^(yes|true|on|1)$/i.test(token);
+                    operators.push({ index: match.index, raw, kind: scope === 'case' ? 'case-sensitive' : 'whole words', value: enabled ? 'on' : 'off', negated: false });
+                    continue;
+                }
+                // URLs are words
+                if (scope && !queryScopes.includes(scope) && token.startsWith('//')) {
+                    scope = null;
+                    value = raw.substring(minus.length);
+                }
+
+                const kind = scope || (value.startsWith('"') ? 'phrase' : /^\\/.+\\/[a-z]*$/i.test(value) ? 'regex' : null);
+                if ((kind || minus) && value && value !== '-') {
+                    operators.push({ index: match.index, raw, kind: (minus ? 'not ' : '') + (kind || 'word'), value, negated: Boolean(minus) });
+                }
+            }
+            return operators;
+        }
+
+        function renderQueryChips() {
+            const html = queryOperators(searchField.value).map(operator =>
+                '<span class="query-chip' + (operator.negated ? ' negated' : '') + '">' +
+                '<span class="query-chip-kind">' + escapeHtml(operator.kind) + '</span> ' + escapeHtml(operator.value) +
+                '<button data-index="' + operator.index + '" data-length="' + operator.raw.length + '" title="Remove from the search">×</button></span>'
+            ).join('');
+
+            queryChips.innerHTML = html;
+            queryChips.classList.toggle('hidden', html === '');
+        }
+
+        function setQuery(query) {
+            searchField.value = query;
+            updateSuggestions(query.trim()).then(() => {
+                updateVisibleFiles();
+                selectFile(-1);
+            });
+        }
+
+        // × removes the term from the search
+        queryChips.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (!button) return;
+
+            const start = Number(button.dataset.index);
+            const value = searchField.value;
+            setQuery((value.substring(0, start) + value.substring(start + Number(button.dataset.length))).replace(/\\s{2,}/g, ' ').trim());
+        });
+
+        searchSyntaxToggle.addEventListener('click', () => {
+            const open = searchSyntax.classList.toggle('hidden') === false;
+            searchSyntaxToggle.setAttribute('aria-expanded', String(open));
+        });
+
+        searchSyntax.addEventListener('click', (e) => {
+            const example = e.target.closest('.syntax-example');
+            if (!example) return;
+
+            setQuery((searchField.value.trim() + ' ' + example.dataset.example).trim());
+            searchField.focus();
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!searchSyntax.classList.contains('hidden') && !e.target.closest('#searchSyntax, #searchSyntaxToggle')) {
+                searchSyntax.classList.add('hidden');
+                searchSyntaxToggle.setAttribute('aria-expanded', 'false');
+            }
+        });
+
+        // Front matter facets: values of one facet are alternatives, all facets must match
+        const activeFacets = {
+            tag: new Set(urlParams.getAll('tag')),
+            author: new Set(urlParams.getAll('author')),
+            date: new Set(urlParams.getAll('date'))
+        };
+        const facetBar = document.getElementById('facetBar');
+
+        function hasActiveFacets() {
+            return Object.values(activeFacets).some(values => values.size > 0);
+        }
+
+        function matchesFacets(file) {
+            const lower = value => String(value).toLowerCase();
+            const tags = [...activeFacets.tag].map(lower);
+            const authors = [...activeFacets.author].map(lower);
+            const dates = [...activeFacets.date].map(lower);
+
+            return (tags.length === 0 || (file.tags || []).some(tag => tags.includes(lower(tag)))) &&
+                (authors.length === 0 || Boolean(file.author && authors.includes(lower(file.author)))) &&
+                (dates.length === 0 || Boolean(file.date && dates.some(date => file.date.startsWith(date))));
+        }
+
+        // Content search results come from the server - look up their metadata in allFiles
+        function applyFacets(files) {
+            if (!hasActiveFacets()) return files;
+            const filesByPath = new Map(allFiles.map(file => [file.path, file]));
+            return files.filter(file => matchesFacets(filesByPath.get(file.path) || file));
+        }
+
+        // Chips for every tag, author and year, with the number of files that have them
+        function renderFacetBar() {
+            const counts = { tag: new Map(), author: new Map(), date: new Map() };
+            const count = (field, value) => counts[field].set(value, (counts[field].get(value) || 0) + 1);
+
+            allFiles.forEach(file => {
+                (file.tags || []).forEach(tag => count('tag', tag));
+                if (file.author) count('author', file.author);
+                if (file.date && /^\\d{4}/.test(file.date)) count('date', file.date.substring(0, 4));
+            });
+
+            // Selected values stay visible when no file has them anymore
+            Object.keys(activeFacets).forEach(field => {
+                activeFacets[field].forEach(value => {
+                    if (!counts[field].has(value)) counts[field].set(value, 0);
+                });
+            });
+
+            const labels = { tag: 'Tags', author: 'Authors', date: 'Year' };
+            let html = '';
+            Object.keys(counts).forEach(field => {
+                if (counts[field].size === 0) return;
+
+                const values = [...counts[field].entries()].sort((a, b) => field === 'date'
+                    ? b[0].localeCompare(a[0])
+                    : b[1] - a[1] || a[0].localeCompare(b[0]));
+
+                html += '<div class="facet-group"><span class="facet-label">' + labels[field] + '</span>';
+                values.forEach(([value, total]) => {
+                    const active = activeFacets[field].has(value) ? ' active' : '';
+                    html += '<button class="facet-chip' + active + '" data-facet="' + field + '" data-value="' + escapeHtml(value) + '">' +
+                        escapeHtml(value) + ' <span class="facet-count">' + total + '</span></button>';
+                });
+                html += '</div>';
+            });
+
+            facetBar.innerHTML = html;
+            facetBar.classList.toggle('hidden', html === '');
+        }
+
+        facetBar.addEventListener('click', (e) => {
+            const chip = e.target.closest('.facet-chip');
+            if (!chip) return;
+
+            const values = activeFacets[chip.dataset.facet];
+            if (values.has(chip.dataset.value)) {
+                values.delete(chip.dataset.value);
+            } else {
+                values.add(chip.dataset.value);
+            }
+            renderFacetBar();
+            updateSuggestions(searchField.value.trim()).then(() => {
+                updateVisibleFiles();
+                selectFile(-1);
+            });
+        });
+
+        renderFacetBar();
+
         // Update filtered file list
         async function updateSuggestions(query) {
-            const filteredFiles = await filterFiles(query);
+            renderQueryChips();
+            const filteredFiles = applyFacets(await filterFiles(query));
 
             // Update URL with current search state
             updateURL(query);
 
-            if (!query) {
+            if (!query && !hasActiveFacets()) {
                 // Show all files
                 document.querySelectorAll('.file-item').forEach(item => {
                     item.classList.remove('hidden');
@@ -3110,7 +4279,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     if (fileName) {
                         // Remove highlighting and match counts
                         const originalText = fileName.textContent.replace(/ \d+ match(es)?$/, '');
-                        fileName.innerHTML = originalText;
+                        fileName.textContent = originalText;
                     }
                 });
 
@@ -3135,7 +4304,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     noResults.className = 'no-results';
                     fileList.appendChild(noResults);
                 }
-                noResults.textContent = 'No files found matching "' + query + '"';
+                noResults.textContent = query ? 'No files found matching "' + query + '"' : 'No files match the selected filters';
                 return;
             }
 
@@ -3168,7 +4337,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
 
                         // Get the clean text without match count (strip any remaining match count text)
                         const originalText = fileName.textContent.replace(/ \d+ match(es)?$/, '');
-                        fileName.innerHTML = originalText; // highlightMatch disabled
+                        fileName.textContent = originalText; // highlightMatch disabled
 
                         // Add match count for content searches
                         if (fileData.matches && fileData.matches.length > 0) {
@@ -3314,7 +4483,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     // Remove highlighting from hidden files
                     if (fileName) {
                         const originalText = fileName.textContent.replace(/ \d+ match(es)?$/, ''); // Remove match count
-                        fileName.innerHTML = originalText;
+                        fileName.textContent = originalText;
                     }
                 }
             });
@@ -3506,7 +4675,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     // Note: File click handlers use delegation, no need to re-attach
                     // Re-run current search if any
                     const query = searchField.value.trim();
-                    if (query) {
+                    if (query || hasActiveFacets()) {
                         updateSuggestions(query);
                     }
                 });
@@ -3827,7 +4996,9 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                 const fullPath = file.path;
                 html += \`<div class="file-item" data-path="\${file.path}">\`;
                 html += '<div class="file-item-row">';
-                html += \`<div class="file-name">\${fullPath}</div>\`;
+                html += file.title
+                    ? \`<div class="file-name has-title" title="\${escapeHtml(fullPath)}">\${escapeHtml(file.title)}</div>\`
+                    : \`<div class="file-name">\${fullPath}</div>\`;
                 html += \`<div class="file-size">\${file.size || ''}</div>\`;
 
                 // Handle modified date
@@ -3850,6 +5021,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                 }
                 html += modifiedHtml;
                 html += '</div>'; // Close file-item-row
+                html += fileMetaHTML(file);
                 html += '</div>';
             });
             html += '</div>';
@@ -3857,6 +5029,16 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             return html;
         }
 
+        // Path (when a title is shown instead), author, date and tags of a file
+        function fileMetaHTML(file) {
+            const parts = [];
+            if (file.title) parts.push('<span class="file-meta-path">' + escapeHtml(file.path) + '</span>');
+            if (file.author) parts.push('<span>✍️ ' + escapeHtml(file.author) + '</span>');
+            if (file.date) parts.push('<span>📅 ' + escapeHtml(file.date) + '</span>');
+            (file.tags || []).forEach(tag => parts.push('<span class="file-tag">' + escapeHtml(tag) + '</span>'));
+            return parts.length > 0 ? '<div class="file-meta">' + parts.join('') + '</div>' : '';
+        }
+
         // Handle focus
         searchField.addEventListener('focus', () => {
             // Set focus mode to search when field gets direct focus
@@ -3900,15 +5082,19 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             const urlParams = new URLSearchParams(window.location.search);
             const query = urlParams.get('q') || '';
 
-            // Update search field
+            // Update search field and facets
             searchField.value = query;
+            Object.keys(activeFacets).forEach(field => {
+                activeFacets[field] = new Set(urlParams.getAll(field));
+            });
+            renderFacetBar();
 
             // Run search
             updateSuggestions(query);
         });
 
-        // Run initial search if there's a query in the URL
-        if (initialQuery) {
+        // Run initial search if there's a query or facet in the URL
+        if (initialQuery || hasActiveFacets()) {
             updateSuggestions(initialQuery);
         }
 
@@ -3929,7 +5115,8 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             if (window.location.hash.startsWith('#file=')) {
                 const fileParam = window.location.hash.substring(6);
                 const filePath = decodeURIComponent(fileParam);
-                if (filePath) {
+                // Skip hash updates made by showOverlay itself
+                if (filePath && filePath !== currentOverlayFile) {
                     showOverlay(filePath);
                 }
             } else if (!window.location.hash && overlay.classList.contains('visible')) {
@@ -4176,11 +5363,19 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             }
         });
 
+        // Download and copy buttons of rendered diagrams
+        ${diagramExportScript}
+
+        // Diagram windows get the same buttons
+        const diagramExportSource = ${JSON.stringify(diagramExportScript).replace(/</g, '\\u003c')};
+        const diagramExportStyles = ${JSON.stringify(getDiagramExportStyles()).replace(/</g, '\\u003c')};
+
         // Track opened child windows
         window.childWindows = window.childWindows || [];
 
         // Function to open mermaid in new window
-        function openMermaidInNewWindow(graphDefinition) {
+        // name: file name for the diagram's downloads, without extension
+        function openMermaidInNewWindow(graphDefinition, name) {
             const newWindow = window.open('', '_blank', 'width=800,height=600,scrollbars=yes,resizable=yes');
 
             // Track this window
@@ -4198,20 +5393,29 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
 
             const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
 
+            // Reuse this page's copy of mermaid from /assets/
+            const mermaidScript = '<script src="' + document.getElementById('mermaid-lib').src + '"></' + 'script>';
+
             const html = '<!DOCTYPE html>' +
                 '<html>' +
                 '<head>' +
                     '<title>Mermaid Diagram</title>' +
-                    '<script src="https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js"></' + 'script>' +
+                    mermaidScript +
                     '<style>' +
                         'body { margin: 20px; display: flex; justify-content: center; align-items: center; min-height: 100vh; background: ' + (currentTheme === 'dark' ? '#1a1a1a' : 'white') + '; }' +
                         '.mermaid { max-width: 100%; }' +
+                        diagramExportStyles +
+                        'body > .mermaid-export { position: fixed; opacity: 1; }' +
                     '</style>' +
+                    '<script>' + diagramExportSource + '</' + 'script>' +
                 '</head>' +
                 '<body>' +
-                    '<div class="mermaid">' + graphDefinition + '</div>' +
+                    '<div id="diagram" class="mermaid">' + graphDefinition + '</div>' +
                     '<script>' +
-                        'mermaid.initialize({ startOnLoad: true, theme: "' + (currentTheme === 'dark' ? 'dark' : 'default') + '" });' +
+                        'mermaid.initialize({ startOnLoad: false, theme: "' + (currentTheme === 'dark' ? 'dark' : 'default') + '" });' +
+                        'mermaid.run({ nodes: [document.getElementById("diagram")] }).then(function() {' +
+                            'addDiagramExport(document.body, document.querySelector("#diagram svg"), decodeURIComponent("' + encodeURIComponent(name) + '"));' +
+                        '});' +
                         '' +
                         '// Monitor parent window and close this window if parent closes' +
                         'setInterval(function() {' +
@@ -4239,10 +5443,33 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
         const overlayBody = document.getElementById('overlayBody');
         const overlayClose = document.getElementById('overlayClose');
         const overlayCopy = document.getElementById('overlayCopy');
+        const overlayToc = document.getElementById('overlayToc');
+        const overlayTocToggle = document.getElementById('overlayTocToggle');
+
+        // Table of contents and heading permalinks of the overlay document
+        ${tocScript}
+        ${permalinkScript}
+
+        setTocVisible(isTocVisible());
+        watchTocScroll(overlayToc, overlayBody, overlay.querySelector('.file-overlay-content'));
+
+        overlayTocToggle.addEventListener('click', () => {
+            setTocVisible(!isTocVisible());
+        });
+
+        // Take the table of contents from a rendered page (none for code files)
+        function setOverlayToc(doc) {
+            const toc = doc && doc.getElementById('tocSidebar');
+            const hasToc = Boolean(toc && toc.classList.contains('has-toc'));
+            overlayToc.innerHTML = hasToc ? toc.innerHTML : '';
+            overlayToc.classList.toggle('has-toc', hasToc);
+            overlayTocToggle.hidden = !hasToc;
+        }
 
         // State preservation for overlay
         let savedSearchState = null;
         let currentRawMarkdown = null;
+        let currentOverlayFile = null;
 
         function saveSearchState() {
             savedSearchState = {
@@ -4281,6 +5508,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
         function showOverlay(filePath, searchQuery = null) {
             // Save current search state before opening overlay
             saveSearchState();
+            currentOverlayFile = filePath;
 
             // Fix GH#6: Update URL hash with file path for reload persistence
             window.location.hash = '#file=' + encodeURIComponent(filePath);
@@ -4295,6 +5523,7 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
 
             // Show loading state
             overlayBody.innerHTML = '<div class="file-overlay-loading">Loading...</div>';
+            setOverlayToc(null);
 
             // Trigger animation after a small delay to ensure CSS transition works
             setTimeout(() => {
@@ -4307,7 +5536,13 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             }
 
             // Fetch and display file content
-            fetch('/api/file?path=' + encodeURIComponent(filePath))
+            return loadOverlayContent(filePath, searchQuery);
+        }
+
+        // Fetch a file and render it into the overlay body
+        // Resolves once the content (including mermaid diagrams) is rendered
+        function loadOverlayContent(filePath, searchQuery = null) {
+            return fetch('/api/file?path=' + encodeURIComponent(filePath))
                 .then(response => response.text())
                 .then(markdown => {
                     // Store the raw markdown for copy functionality
@@ -4320,13 +5555,14 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     if (searchQuery) {
                         viewUrl += '&search=' + encodeURIComponent(searchQuery);
                     }
-                    fetch(viewUrl)
+                    return fetch(viewUrl)
                         .then(response => response.text())
                         .then(html => {
                             // Extract just the content part
                             const parser = new DOMParser();
                             const doc = parser.parseFromString(html, 'text/html');
                             const content = doc.querySelector('.container') || doc.querySelector('.code-container');
+                            setOverlayToc(doc);
 
                             if (content) {
                                 // Remove nav-bar and file-info from overlay content (for markdown)
@@ -4350,9 +5586,11 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                                 // }
 
                                 // Re-render mermaid diagrams
+                                let mermaidRendering = Promise.resolve();
                                 if (typeof mermaid !== 'undefined') {
                                     const mermaidElements = overlayBody.querySelectorAll('.mermaid');
-                                    mermaidElements.forEach(async (element, index) => {
+                                    const diagramName = filePath.split('/').pop().replace(/\\.(md|markdown)$/i, '');
+                                    mermaidRendering = Promise.all(Array.from(mermaidElements).map(async (element, index) => {
                                         const graphDefinition = element.textContent;
                                         const id = 'mermaid-overlay-' + Date.now() + '-' + index;
 
@@ -4375,9 +5613,10 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                                             fullscreenBtn.title = 'Open in new window';
                                             fullscreenBtn.onclick = (e) => {
                                                 e.stopPropagation();
-                                                openMermaidInNewWindow(graphDefinition);
+                                                openMermaidInNewWindow(graphDefinition, diagramName + '-' + (index + 1));
                                             };
                                             container.appendChild(fullscreenBtn);
+                                            addDiagramExport(container, svgContainer.querySelector('svg'), diagramName + '-' + (index + 1));
 
                                             // Replace element content
                                             element.innerHTML = '';
@@ -4386,14 +5625,17 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                                             console.error('Error rendering mermaid diagram:', error);
                                             element.innerHTML = '<div style="color: #e74c3c; padding: 20px; background: #ffecec; border-radius: 5px;">Error rendering diagram: ' + error.message + '</div>';
                                         }
-                                    });
+                                    }));
                                 }
 
                                 // Reapply current zoom to overlay after content is loaded
                                 setTimeout(() => {
                                     const scale = currentZoom / 100;
                                     setZoom(scale);
+                                    updateTocHighlight(overlayToc, overlayBody);
                                 }, 50);
+
+                                return mermaidRendering;
                             } else {
                                 // Fallback: display raw markdown in a pre tag
                                 overlayBody.innerHTML = '<pre><code>' + escapeHtml(markdown) + '</code></pre>';
@@ -4437,6 +5679,60 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                 });
         }
 
+        // Links between documents open in the overlay instead of leaving the index
+        overlayBody.addEventListener('click', (e) => {
+            // Heading permalinks copy the /view URL of the section
+            const permalink = e.target.closest('.heading-permalink');
+            if (permalink) {
+                e.preventDefault();
+                copyPermalink(permalink, window.location.origin + '/view?file=' + encodeURIComponent(currentOverlayFile) + permalink.hash);
+                return;
+            }
+
+            if (scrollToOverlayHeading(e)) return;
+
+            const link = e.target.closest('a[href^="/view?file="]');
+            if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+
+            e.preventDefault();
+            const url = new URL(link.href);
+            const targetFile = url.searchParams.get('file');
+            const hash = decodeURIComponent(url.hash.slice(1));
+
+            showOverlay(targetFile).then(() => {
+                const target = hash && document.getElementById(hash);
+                if (target) target.scrollIntoView();
+            });
+        });
+
+        // #heading links (TOC entries, [[toc]], anchors) scroll the overlay
+        // instead of replacing the #file= hash
+        function scrollToOverlayHeading(e) {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link) return false;
+
+            e.preventDefault();
+            const target = overlayBody.querySelector('#' + CSS.escape(decodeURIComponent(link.hash.slice(1))));
+            if (target) target.scrollIntoView();
+            return true;
+        }
+
+        overlayToc.addEventListener('click', scrollToOverlayHeading);
+
+        // Re-render the open overlay in place, keeping its scroll position
+        function reloadOverlay() {
+            const overlayContent = overlay.querySelector('.file-overlay-content');
+            const scrollTop = overlayContent.scrollTop;
+            const filePath = currentOverlayFile;
+            const searchQuery = searchField.value.trim() || null;
+
+            return loadOverlayContent(filePath, searchQuery).then(() => {
+                if (currentOverlayFile === filePath) {
+                    overlayContent.scrollTop = scrollTop;
+                }
+            });
+        }
+
         function hideOverlay(skipHashUpdate = false) {
             // Fix GH#6: Clear URL hash when closing overlay (unless called from hashchange)
             if (!skipHashUpdate && window.location.hash.startsWith('#file=')) {
@@ -4446,6 +5742,8 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             // Start hide animation
             overlay.classList.remove('active');
 
+            currentOverlayFile = null;
+
             // Wait for animation to complete before hiding
             setTimeout(() => {
                 overlay.classList.remove('visible');
@@ -4526,6 +5824,258 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             }
         });
 
+${options.graph ? `
+        // Link graph: files are nodes, links between them edges, laid out by
+        // a small force simulation. Clicking a node opens the file in the overlay.
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const graphSvg = document.getElementById('linkGraphSvg');
+        const graphViewport = document.getElementById('linkGraphViewport');
+        const graphStats = document.getElementById('linkGraphStats');
+        const graphView = { x: 0, y: 0, scale: 1 };
+        let graphNodes = [];
+        let graphLinks = [];
+        let graphAlpha = 0;
+        let graphFrame = null;
+        let graphDrag = null;
+
+        function loadGraph() {
+            const filter = new URLSearchParams(window.location.search).get('filter') || '*.md';
+            return fetch('/api/graph?filter=' + encodeURIComponent(filter))
+                .then(response => response.json())
+                .then(renderGraph)
+                .catch(error => {
+                    graphStats.textContent = 'Failed to load the link graph: ' + error.message;
+                });
+        }
+
+        function renderGraph(graph) {
+            // Files already shown keep their place, new ones start on a spiral
+            const previous = new Map(graphNodes.map(node => [node.path, node]));
+            graphNodes = graph.nodes.map((node, index) => {
+                const old = previous.get(node.path);
+                const angle = index * 2.4;
+                const radius = 20 * Math.sqrt(index + 1);
+                return Object.assign(node, {
+                    x: old ? old.x : Math.cos(angle) * radius,
+                    y: old ? old.y : Math.sin(angle) * radius,
+                    vx: 0,
+                    vy: 0,
+                    degree: 0
+                });
+            });
+
+            const byPath = new Map(graphNodes.map(node => [node.path, node]));
+            graphLinks = graph.links.map(link => ({ source: byPath.get(link.source), target: byPath.get(link.target) }));
+            graphLinks.forEach(link => {
+                link.source.degree++;
+                link.target.degree++;
+            });
+
+            const linkGroup = document.createElementNS(SVG_NS, 'g');
+            linkGroup.setAttribute('class', 'graph-links');
+            graphLinks.forEach(link => {
+                link.element = document.createElementNS(SVG_NS, 'line');
+                linkGroup.appendChild(link.element);
+            });
+
+            const nodeGroup = document.createElementNS(SVG_NS, 'g');
+            graphNodes.forEach(node => {
+                const radius = 5 + Math.min(node.degree, 10);
+                const group = document.createElementNS(SVG_NS, 'g');
+                group.setAttribute('class', 'graph-node' + (node.orphan ? ' orphan' : ''));
+                group.dataset.path = node.path;
+
+                const circle = document.createElementNS(SVG_NS, 'circle');
+                circle.setAttribute('r', radius);
+                const label = document.createElementNS(SVG_NS, 'text');
+                label.setAttribute('x', radius + 4);
+                label.setAttribute('dy', '0.35em');
+                label.textContent = node.title || node.path.split('/').pop().replace(/\\.(md|markdown)$/i, '');
+                const tooltip = document.createElementNS(SVG_NS, 'title');
+                tooltip.textContent = node.path + (node.orphan ? ' (no links to this file)' : '');
+
+                group.append(circle, label, tooltip);
+                nodeGroup.appendChild(group);
+                node.element = group;
+            });
+
+            graphViewport.replaceChildren(linkGroup, nodeGroup);
+
+            const orphans = graphNodes.filter(node => node.orphan).length;
+            graphStats.textContent = graphNodes.length + ' files • ' + graphLinks.length + ' links • ' + orphans + ' orphans';
+
+            applyGraphView();
+            updateGraphMatches();
+            startGraph(1);
+        }
+
+        function startGraph(alpha) {
+            graphAlpha = Math.max(graphAlpha, alpha);
+            if (!graphFrame) {
+                graphFrame = requestAnimationFrame(tickGraph);
+            }
+        }
+
+        // One simulation step: nodes repel each other, links pull their ends
+        // together and a weak gravity keeps everything centred
+        function tickGraph() {
+            graphFrame = null;
+
+            for (let i = 0; i < graphNodes.length; i++) {
+                const a = graphNodes[i];
+                for (let j = i + 1; j < graphNodes.length; j++) {
+                    const b = graphNodes[j];
+                    let dx = b.x - a.x;
+                    let dy = b.y - a.y;
+                    let distance2 = dx * dx + dy * dy;
+                    if (distance2 < 1) {
+                        dx = Math.random() - 0.5;
+                        dy = Math.random() - 0.5;
+                        distance2 = 1;
+                    }
+                    const force = 600 * graphAlpha / distance2;
+                    a.vx -= dx * force;
+                    a.vy -= dy * force;
+                    b.vx += dx * force;
+                    b.vy += dy * force;
+                }
+            }
+
+            graphLinks.forEach(({ source, target }) => {
+                const dx = target.x - source.x;
+                const dy = target.y - source.y;
+                const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+                const force = (distance - 80) / distance * 0.1 * graphAlpha;
+                source.vx += dx * force;
+                source.vy += dy * force;
+                target.vx -= dx * force;
+                target.vy -= dy * force;
+            });
+
+            graphNodes.forEach(node => {
+                if (node.fixed) {
+                    node.vx = node.vy = 0;
+                    return;
+                }
+                node.vx = (node.vx - node.x * 0.01 * graphAlpha) * 0.6;
+                node.vy = (node.vy - node.y * 0.01 * graphAlpha) * 0.6;
+                node.x += node.vx;
+                node.y += node.vy;
+            });
+
+            drawGraph();
+
+            graphAlpha *= 0.98;
+            if (graphAlpha > 0.005) {
+                graphFrame = requestAnimationFrame(tickGraph);
+            } else {
+                graphAlpha = 0;
+            }
+        }
+
+        function drawGraph() {
+            graphLinks.forEach(({ source, target, element }) => {
+                element.setAttribute('x1', source.x);
+                element.setAttribute('y1', source.y);
+                element.setAttribute('x2', target.x);
+                element.setAttribute('y2', target.y);
+            });
+            graphNodes.forEach(node => {
+                node.element.setAttribute('transform', 'translate(' + node.x + ',' + node.y + ')');
+            });
+        }
+
+        function applyGraphView() {
+            const x = graphSvg.clientWidth / 2 + graphView.x;
+            const y = graphSvg.clientHeight / 2 + graphView.y;
+            graphViewport.setAttribute('transform', 'translate(' + x + ',' + y + ') scale(' + graphView.scale + ')');
+        }
+
+        window.addEventListener('resize', applyGraphView);
+
+        // Zoom around the pointer
+        graphSvg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = graphSvg.getBoundingClientRect();
+            const pointerX = e.clientX - rect.left - rect.width / 2 - graphView.x;
+            const pointerY = e.clientY - rect.top - rect.height / 2 - graphView.y;
+            const scale = Math.min(4, Math.max(0.2, graphView.scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+            graphView.x -= pointerX * (scale / graphView.scale - 1);
+            graphView.y -= pointerY * (scale / graphView.scale - 1);
+            graphView.scale = scale;
+            applyGraphView();
+        }, { passive: false });
+
+        // Drag nodes or pan the background; a node clicked without moving opens
+        graphSvg.addEventListener('pointerdown', (e) => {
+            const element = e.target.closest('.graph-node');
+            graphDrag = {
+                node: element ? graphNodes.find(node => node.element === element) : null,
+                startX: e.clientX,
+                startY: e.clientY,
+                lastX: e.clientX,
+                lastY: e.clientY,
+                moved: false
+            };
+            graphSvg.setPointerCapture(e.pointerId);
+        });
+
+        graphSvg.addEventListener('pointermove', (e) => {
+            if (!graphDrag) return;
+
+            const dx = e.clientX - graphDrag.lastX;
+            const dy = e.clientY - graphDrag.lastY;
+            graphDrag.lastX = e.clientX;
+            graphDrag.lastY = e.clientY;
+            if (Math.abs(e.clientX - graphDrag.startX) + Math.abs(e.clientY - graphDrag.startY) > 3) {
+                graphDrag.moved = true;
+            }
+
+            if (graphDrag.node) {
+                graphDrag.node.x += dx / graphView.scale;
+                graphDrag.node.y += dy / graphView.scale;
+                graphDrag.node.fixed = true;
+                drawGraph();
+                startGraph(0.3);
+            } else {
+                graphView.x += dx;
+                graphView.y += dy;
+                applyGraphView();
+            }
+        });
+
+        graphSvg.addEventListener('pointerup', (e) => {
+            const drag = graphDrag;
+            graphDrag = null;
+            if (!drag || !drag.node) return;
+
+            drag.node.fixed = false;
+            if (drag.moved) return;
+
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                window.open('/view?file=' + encodeURIComponent(drag.node.path), '_blank');
+            } else {
+                showOverlay(drag.node.path, searchField.value.trim());
+            }
+        });
+
+        // Dim the files the search and facets hide from the (hidden) file list
+        function updateGraphMatches() {
+            const hidden = new Set([...fileList.querySelectorAll('.file-item.hidden')].map(item => item.dataset.path));
+            graphNodes.forEach(node => node.element.classList.toggle('dimmed', hidden.has(node.path)));
+            graphLinks.forEach(link => link.element.classList.toggle('dimmed', hidden.has(link.source.path) || hidden.has(link.target.path)));
+        }
+
+        new MutationObserver(updateGraphMatches).observe(fileList, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class']
+        });
+
+        loadGraph();
+` : ''}
+
         // WebSocket connection for server mode
         if (window.location.hostname === 'localhost' && window.location.port) {
             let ws = null;
@@ -4650,6 +6200,19 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                     console.error('WebSocket error:', error);
                 };
 
+                // Live reload: keep file list, search index and open overlay in sync with disk
+                ws.onmessage = (event) => {
+                    let message;
+                    try {
+                        message = JSON.parse(event.data);
+                    } catch (e) {
+                        return;
+                    }
+                    if (message.type === 'fileChange') {
+                        handleFileChange(message);
+                    }
+                };
+
                 // Keep connection alive with ping
                 const pingInterval = setInterval(() => {
                     if (ws && ws.readyState === WebSocket.OPEN) {
@@ -4660,6 +6223,70 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
                 }, 30000);
             }
 
+            function handleFileChange(message) {
+                const existing = allFiles.find(file => file.path === message.path);
+
+                if (message.event === 'unlink' && existing) {
+                    allFiles.splice(allFiles.indexOf(existing), 1);
+                    contentIndex.remove(existing);
+                    refreshFileList();
+                } else if (message.event === 'add' && !existing && message.file && matchesCurrentFilter(message.path)) {
+                    const entry = Object.assign({}, message.file, {
+                        id: allFiles.reduce((max, file) => Math.max(max, file.id), -1) + 1
+                    });
+                    allFiles.push(entry);
+                    contentIndex.add(entry);
+                    refreshFileList();
+                } else if (message.event === 'change' && existing && message.file) {
+                    // Only metadata (size, modified, front matter) changes in the list
+                    Object.assign(existing, message.file, { id: existing.id });
+                    refreshFileList();
+                }
+
+                ${options.graph ? `// Links may have changed
+                loadGraph();
+
+                ` : ''}if (currentOverlayFile === message.path) {
+                    if (message.event === 'unlink') {
+                        overlayTitle.textContent = message.path + ' (deleted)';
+                    } else {
+                        overlayTitle.textContent = message.path;
+                        reloadOverlay();
+                    }
+                }
+            }
+
+            // The file name against the page's filter, as matchesPattern does on the server
+            function matchesCurrentFilter(filePath) {
+                const filter = new URLSearchParams(window.location.search).get('filter') || '*.md';
+                const fileName = filePath.split('/').pop();
+                if (filter === '*') return true;
+                if (filter === '*.md') return /\\.(md|markdown)$/i.test(fileName);
+
+                const pattern = filter.replace(/\\./g, '\\\\.').replace(/\\*/g, '.*').replace(/\\?/g, '.');
+                return new RegExp('^' + pattern + '$', 'i').test(fileName);
+            }
+
+            // Regenerate the file list, keeping sort order, selection and search
+            function refreshFileList() {
+                const selectedPath = selectedFileIndex >= 0 && visibleFiles[selectedFileIndex]
+                    ? visibleFiles[selectedFileIndex].dataset.path
+                    : null;
+
+                fileList.innerHTML = generateFileListHTML(allFiles, currentSortMethod);
+                fileList.insertBefore(fileListFocus, fileList.firstChild);
+                setupSortHandlers();
+                renderFacetBar();
+                searchField.placeholder = 'Search ' + allFiles.length + ' files';
+
+                const query = searchField.value.trim();
+                Promise.resolve(query || hasActiveFacets() ? updateSuggestions(query) : null).then(() => {
+                    updateVisibleFiles();
+                    const index = visibleFiles.findIndex(item => item.dataset.path === selectedPath);
+                    selectFile(index);
+                });
+            }
+
             // Start WebSocket connection for temp mode
             connectWebSocket();
         }
@@ -4735,17 +6362,30 @@ function generateIndexHtmlWithSearch(folderPath, files, port, forceTheme = null,
             const fullPath = file.path;
             html += `<div class="file-item" data-path="${file.path}">`;
             html += '<div class="file-item-row">';
-            html += `<div class="file-name">${fullPath}</div>`;
+            html += file.title
+                ? `<div class="file-name has-title" title="${escapeHtml(fullPath)}">${escapeHtml(file.title)}</div>`
+                : `<div class="file-name">${fullPath}</div>`;
             html += `<div class="file-size">${file.size || ''}</div>`;
             const title = file.modifiedFull ? ` title="${file.modifiedFull}"` : '';
             html += `<div class="file-modified"${title}>${file.modifiedDisplay || ''}</div>`;
             html += '</div>'; // Close file-item-row
+            html += fileMetaHTML(file);
             html += '</div>';
         });
         html += '</div>';
 
         return html;
     }
+
+    // Path (when a title is shown instead), author, date and tags of a file
+    function fileMetaHTML(file) {
+        const parts = [];
+        if (file.title) parts.push('<span class="file-meta-path">' + escapeHtml(file.path) + '</span>');
+        if (file.author) parts.push('<span>✍️ ' + escapeHtml(file.author) + '</span>');
+        if (file.date) parts.push('<span>📅 ' + escapeHtml(file.date) + '</span>');
+        file.tags.forEach(tag => parts.push('<span class="file-tag">' + escapeHtml(tag) + '</span>'));
+        return parts.length > 0 ? '<div class="file-meta">' + parts.join('') + '</div>' : '';
+    }
 }
 function generateFolderIndex(folderPath, files, port = 8080) {
     const folderName = path.basename(folderPath) || 'Directory';
@@ -4853,9 +6493,7 @@ function generateCodeView(content, fileName, forceTheme = null, showBackButton =
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${fileName}</title>
     <!-- Prism.js for syntax highlighting with autoloader -->
-    <link href="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/${prismTheme}.min.css" rel="stylesheet" />
-    <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/prism-core.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/prismjs@1.29.0/plugins/autoloader/prism-autoloader.min.js"></script>
+    ${prismTags(prismTheme)}
     <style>
         ${styles}
 
@@ -5002,7 +6640,7 @@ function generateCodeView(content, fileName, forceTheme = null, showBackButton =
 
     <script>
         // Configure Prism autoloader
-        Prism.plugins.autoloader.languages_path = 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/';
+        Prism.plugins.autoloader.languages_path = '/assets/prism/components/';
 
         // Apply syntax highlighting
         document.addEventListener('DOMContentLoaded', function() {
@@ -5032,9 +6670,134 @@ function generateCodeView(content, fileName, forceTheme = null, showBackButton =
 </html>`;
 }
 
+/**
+ * Generate the index page of a static site export: the file list plus
+ * client-side search over a MiniSearch index built at export time
+ * @param {string} siteTitle - Folder or archive name
+ * @param {Array} documents - getFileEntry() objects with added href and content
+ * @param {string|null} forceTheme - Force a specific theme
+ * @param {string} assetBase - URL of the exported libraries
+ * @returns {string} - Complete HTML document
+ */
+function generateStaticSiteIndex(siteTitle, documents, forceTheme = null, assetBase = 'assets/') {
+    // Same options as the index page; document text is indexed too since
+    // there is no server to run content searches
+    const searchOptions = {
+        ...config.search.miniSearch,
+        fields: [...config.search.miniSearch.fields, 'title', 'content'],
+        storeFields: [...config.search.miniSearch.storeFields, 'title', 'href']
+    };
+    const searchIndex = new MiniSearch(searchOptions);
+    searchIndex.addAll(documents);
+
+    const files = documents.map(({ path: filePath, fileName, directory, title, href }) => ({ path: filePath, fileName, directory, title, href }));
+
+    // Embedded as JSON inside <script> - keep "</script>" in content from closing it
+    const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+    const dummyHtml = generateHtmlFromMarkdown('', 'dummy', true, true, forceTheme);
+    const styleMatch = dummyHtml.match(/<style>([\s\S]*?)<\/style>/);
+    const styles = styleMatch ? styleMatch[1] : '';
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="${forceTheme || 'light'}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${siteTitle}</title>
+    <style>
+        ${styles}
+
+        .site-search {
+            width: 100%;
+            padding: 10px 14px;
+            margin: 20px 0;
+            font-size: 16px;
+            color: var(--text-color);
+            background: var(--bg-color);
+            border: 1px solid var(--table-border);
+            border-radius: 6px;
+        }
+
+        .site-files {
+            list-style: none;
+            padding: 0;
+        }
+
+        .site-files li {
+            padding: 6px 0;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .site-files .file-directory {
+            color: var(--file-info-color);
+            font-size: 0.85em;
+            margin-left: 8px;
+        }
+
+        .site-empty {
+            color: var(--file-info-color);
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📁 ${siteTitle}</h1>
+        <input type="search" id="siteSearch" class="site-search" placeholder="Search ${files.length} documents..." autofocus>
+        <ul id="siteFiles" class="site-files"></ul>
+    </div>
+
+    ${scriptTag('minisearch.min.js', { base: assetBase })}
+    <script>
+        const files = ${toScriptJson(files)};
+        const searchIndex = MiniSearch.loadJSON(${toScriptJson(JSON.stringify(searchIndex))}, ${toScriptJson(searchOptions)});
+
+        ${forceTheme ? '' : `// Follow the theme chosen on the document pages
+        const savedTheme = localStorage.getItem('theme');
+        if (savedTheme) {
+            document.documentElement.setAttribute('data-theme', savedTheme);
+        }`}
+
+        const searchField = document.getElementById('siteSearch');
+        const fileList = document.getElementById('siteFiles');
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+
+        function renderFiles(entries) {
+            if (entries.length === 0) {
+                fileList.innerHTML = '<li class="site-empty">No matching documents</li>';
+                return;
+            }
+            fileList.innerHTML = entries.map(entry =>
+                '<li><a href="' + encodeURI(entry.href) + '">' + escapeHtml(entry.title || entry.fileName) + '</a>' +
+                (entry.directory ? '<span class="file-directory">' + escapeHtml(entry.directory) + '</span>' : '') +
+                '</li>'
+            ).join('');
+        }
+
+        searchField.addEventListener('input', () => {
+            const query = searchField.value.trim();
+            renderFiles(query ? searchIndex.search(query) : files);
+        });
+
+        renderFiles(files);
+    </script>
+</body>
+</html>`;
+}
+
 module.exports = {
+    headingId,
+    getHeadingIds,
     generateHtmlFromMarkdown,
     generateIndexHtmlWithSearch,
+    getFileEntry,
     generateFolderIndex,
-    generateCodeView
+    generateCodeView,
+    generateStaticSiteIndex,
+    diagramExportScript
 };
@@ -0,0 +1,195 @@
+/**
+ * math.js - LaTeX math ($...$ and $$...$$) rendered with KaTeX
+ *
+ * Math is rendered to HTML on the server, so pages only need the KaTeX
+ * stylesheet and fonts (see assets.js katexTags).
+ */
+
+const katex = require('katex');
+const { parseFrontMatter } = require('./front-matter');
+
+// $$...$$ starting a line, possibly spanning several lines
+const blockMathRegex = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/;
+
+// $$...$$ (display) or $...$ inside text. Like pandoc, the opening $ must not be
+// followed by a space and the closing $ not preceded by one or followed by a
+// digit, so "$5 and $10" stays text.
+const inlineMathRegex = /^\$\$(?!\$)([^\n]+?)\$\$|^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+/**
+ * Render TeX to HTML. Invalid TeX is shown in red with the error as tooltip.
+ * @param {string} tex - TeX source (without delimiters)
+ * @param {boolean} displayMode - Block ($$) instead of inline ($) math
+ * @returns {string}
+ */
+function renderMath(tex, displayMode) {
+    return katex.renderToString(tex, { displayMode, throwOnError: false, strict: 'ignore' });
+}
+
+/**
+ * Check TeX for errors
+ * @param {string} tex - TeX source (without delimiters)
+ * @param {boolean} displayMode - Block ($$) instead of inline ($) math
+ * @returns {object|null} - { message, offset } (offset in tex, may be null) or null if valid
+ */
+function checkMath(tex, displayMode) {
+    try {
+        katex.renderToString(tex, { displayMode, throwOnError: true, strict: 'ignore' });
+        return null;
+    } catch (error) {
+        if (!(error instanceof katex.ParseError)) throw error;
+        return {
+            message: error.rawMessage || error.message,
+            offset: typeof error.position === 'number' ? error.position : null
+        };
+    }
+}
+
+/**
+ * Replace math rendered by renderMath with its (HTML-escaped) TeX source,
+ * e.g. to derive heading IDs from text
+ * @param {string} html - Rendered HTML
+ * @returns {string}
+ */
+function mathToTex(html) {
+    let index;
+
+    while ((index = html.search(/<span class="katex(-display)?">/)) !== -1) {
+        // Find the matching </span>
+        const spanRegex = /<span\b|<\/span>/g;
+        spanRegex.lastIndex = index;
+        let depth = 0;
+        let end = html.length;
+        let match;
+        while ((match = spanRegex.exec(html)) !== null) {
+            depth += match[0] === '</span>' ? -1 : 1;
+            if (depth === 0) {
+                end = match.index + match[0].length;
+                break;
+            }
+        }
+
+        const rendered = html.substring(index, end);
+        const annotation = rendered.match(/<annotation encoding="application\/x-tex">([\s\S]*?)<\/annotation>/);
+        html = html.substring(0, index) + (annotation ? annotation[1] : '') + html.substring(end);
+    }
+
+    return html;
+}
+
+/**
+ * marked extensions for block and inline math
+ */
+const mathExtensions = [
+    {
+        name: 'mathBlock',
+        level: 'block',
+        start(src) {
+            const match = src.match(/^ {0,3}\$\$/m);
+            return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+            const match = src.match(blockMathRegex);
+            if (match && match[1].trim()) {
+                return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+            }
+        },
+        renderer(token) {
+            return `<div class="math-block">${renderMath(token.text, true)}</div>\n`;
+        }
+    },
+    {
+        name: 'mathInline',
+        level: 'inline',
+        start(src) {
+            const index = src.indexOf('$');
+            return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+            const match = src.match(inlineMathRegex);
+            if (match) {
+                const display = match[1] !== undefined;
+                return { type: 'mathInline', raw: match[0], text: (display ? match[1] : match[2]).trim(), display };
+            }
+        },
+        renderer(token) {
+            return renderMath(token.text, token.display);
+        }
+    }
+];
+
+/**
+ * Find the math in a markdown document, skipping front matter, code blocks
+ * and code spans
+ * @param {string} markdown - Markdown source
+ * @returns {Array} - { tex, displayMode, line, column } where line/column
+ *   (1-based) are the position of the first character of tex
+ */
+function findMath(markdown) {
+    const formulas = [];
+    const lines = markdown.split(/\r?\n/);
+    const body = parseFrontMatter(markdown).body;
+    const firstLine = markdown.substring(0, markdown.length - body.length).split('\n').length - 1;
+    let fence = null;
+
+    for (let index = firstLine; index < lines.length; index++) {
+        const rawLine = lines[index];
+        const fenceMatch = rawLine.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+            continue;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        // Block math, as the marked extension sees it
+        const blockStart = rawLine.match(/^ {0,3}\$\$/);
+        const block = blockStart && lines.slice(index).join('\n').match(blockMathRegex);
+        if (block && block[1].trim()) {
+            const leading = block[1].length - block[1].trimStart().length;
+            const before = block[1].substring(0, leading).split('\n');
+            formulas.push({
+                tex: block[1].trim(),
+                displayMode: true,
+                line: index + before.length,
+                column: before.length === 1 ? blockStart[0].length + leading + 1 : before[before.length - 1].length + 1
+            });
+            index += block[0].replace(/\n$/, '').split('\n').length - 1;
+            continue;
+        }
+
+        // Blank out code spans without moving anything
+        const text = rawLine.replace(/(`+)[^`]+?\1/g, match => ' '.repeat(match.length));
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '$') {
+                const match = text.substring(i).match(inlineMathRegex);
+                if (!match) continue;
+
+                const display = match[1] !== undefined;
+                const content = display ? match[1] : match[2];
+                const leading = content.length - content.trimStart().length;
+                formulas.push({
+                    tex: content.trim(),
+                    displayMode: display,
+                    line: index + 1,
+                    column: i + (display ? 2 : 1) + leading + 1
+                });
+                i += match[0].length - 1;
+            }
+        }
+    }
+
+    return formulas;
+}
+
+module.exports = {
+    mathExtensions,
+    renderMath,
+    checkMath,
+    mathToTex,
+    findMath
+};
@@ -0,0 +1,144 @@
+/**
+ * pdf.js - Render a markdown document to PDF with a headless browser
+ *
+ * The page is the one /view serves: requests for it, its images and the
+ * bundled libraries are answered from the VirtualFS, without a server.
+ */
+
+const path = require('path');
+const { generateHtmlFromMarkdown } = require('./html-generator');
+const { resolveAsset } = require('./assets');
+const { getMimeType } = require('./utils');
+const { LinkGraph } = require('./wiki-links');
+const { launchBrowser } = require('./browser');
+
+// Origin the page is loaded from - requests to it never reach the network
+const origin = 'http://moremaid.pdf';
+
+// Hide the page controls and keep code blocks and diagrams on one page
+const pdfStyles = `
+    .controls-trigger, .controls, .copy-file-btn, .copy-btn, .toc-toggle, .toc-sidebar,
+    .heading-permalink, .mermaid-fullscreen-btn, .mermaid-export {
+        display: none !important;
+    }
+
+    .zoom-container {
+        padding: 0 !important;
+        transform: none !important;
+    }
+
+    pre, .mermaid, .math-block, .markdown-alert, table, img {
+        break-inside: avoid;
+    }
+
+    h1, h2, h3, h4, h5, h6 {
+        break-after: avoid;
+    }
+`;
+
+// Title and page numbers on every page (filled in by the browser)
+const headerTemplate = `
+<div style="width: 100%; margin: 0 15mm; display: flex; justify-content: space-between; font-family: sans-serif; font-size: 8px; color: #777;">
+    <span class="title"></span>
+    <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+</div>`;
+
+/**
+ * Answer a request of the page from the VirtualFS, like the server would
+ */
+async function serveRequest(route, virtualFS, filePath, options) {
+    const url = new URL(route.request().url());
+
+    if (url.pathname === '/view') {
+        const linkGraph = new LinkGraph(virtualFS);
+        const markdown = await virtualFS.readFile(filePath);
+        const html = generateHtmlFromMarkdown(markdown, path.basename(filePath), false, true, options.theme || null, null, {
+            filePath,
+            files: await linkGraph.getFiles(),
+            backlinks: await linkGraph.getBacklinks(filePath)
+        });
+        return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    }
+
+    if (url.pathname.startsWith('/assets/')) {
+        const assetFile = resolveAsset(url.pathname.slice('/assets/'.length));
+        if (assetFile) {
+            return route.fulfill({ status: 200, contentType: getMimeType(assetFile), path: assetFile });
+        }
+    }
+
+    if (url.pathname.startsWith('/raw/')) {
+        try {
+            const rawPath = decodeURIComponent(url.pathname.slice('/raw/'.length));
+            if (await virtualFS.exists(rawPath)) {
+                const body = await virtualFS.readFile(rawPath, null);
+                return route.fulfill({ status: 200, contentType: getMimeType(rawPath), body });
+            }
+        } catch (error) {
+            // Malformed or inaccessible path - not found
+        }
+    }
+
+    return route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not found' });
+}
+
+/**
+ * Render a markdown document to a paginated PDF, waiting for Mermaid
+ * diagrams and syntax highlighting first
+ * @param {VirtualFS} virtualFS - File system with the document and its images
+ * @param {string} filePath - Path of the document in the VirtualFS
+ * @param {string} outputPath - PDF file to write
+ * @param {object} options - { theme, typography, format } (format: paper size, default A4)
+ * @returns {Promise<object>} - { title, size } of the written PDF
+ */
+async function exportPdf(virtualFS, filePath, outputPath, options = {}) {
+    const browser = await launchBrowser();
+
+    try {
+        const page = await browser.newPage();
+
+        // Keep the live reload socket quiet: the page closes itself when it disconnects
+        await page.routeWebSocket(/\/ws$/, () => {});
+        await page.route(`${origin}/**`, route => serveRequest(route, virtualFS, filePath, options));
+
+        if (options.typography) {
+            await page.addInitScript(typography => {
+                localStorage.setItem('preferredTypography', typography);
+            }, options.typography);
+        }
+
+        // Print the theme as it looks on screen
+        await page.emulateMedia({ media: 'screen' });
+        await page.goto(`${origin}/view?file=${encodeURIComponent(filePath)}`, { waitUntil: 'networkidle' });
+
+        // Mermaid renders after load; Prism may still be loading language grammars
+        await page.waitForSelector('body[data-diagrams-rendered]', { state: 'attached' });
+        await page.waitForLoadState('networkidle');
+        await page.evaluate(async () => {
+            if (window.Prism) {
+                window.Prism.highlightAll();
+            }
+            await document.fonts.ready;
+        });
+        await page.addStyleTag({ content: pdfStyles });
+
+        const title = await page.title();
+        const pdf = await page.pdf({
+            path: outputPath,
+            format: options.format || 'A4',
+            printBackground: true,
+            displayHeaderFooter: true,
+            headerTemplate,
+            footerTemplate: '<span></span>',
+            margin: { top: '20mm', bottom: '15mm', left: '15mm', right: '15mm' }
+        });
+
+        return { title, size: pdf.length };
+    } finally {
+        await browser.close();
+    }
+}
+
+module.exports = {
+    exportPdf
+};
@@ -0,0 +1,163 @@
+/**
+ * Project configuration for --validate (.moremaidrc, JSON or YAML)
+ *
+ * {
+ *   "rules": { "link/anchor": "warning", "mermaid/empty": "off" },
+ *   "diagramTypes": ["architecture-beta"],
+ *   "ignore": ["drafts/**", "CHANGELOG.md"]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+const YAML = require('yaml');
+const { rules } = require('./validator');
+
+const configFiles = ['.moremaidrc', '.moremaidrc.json', '.moremaidrc.yaml', '.moremaidrc.yml'];
+const severities = ['error', 'warning', 'info'];
+
+/**
+ * Find the config file for a path: the nearest one in its folder or a parent folder
+ * @param {string} inputPath - File or directory being validated
+ * @returns {string|null}
+ */
+function findProjectConfig(inputPath) {
+    let dir = path.resolve(inputPath);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        dir = path.dirname(dir);
+    }
+
+    for (;;) {
+        for (const name of configFiles) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return candidate;
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Turn a rule setting into a severity or 'off'. Accepts a severity, 'off',
+ * true/false, or { enabled, severity }.
+ */
+function parseRuleSetting(ruleId, setting) {
+    if (setting === false || setting === 'off') return 'off';
+    if (setting === true || setting === 'on') return 'error';
+    if (severities.includes(setting)) return setting;
+
+    if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+        if (setting.enabled === false) return 'off';
+        if (setting.severity === undefined) return 'error';
+        if (severities.includes(setting.severity)) return setting.severity;
+    }
+
+    throw new Error(`Invalid setting for rule ${ruleId}: ${JSON.stringify(setting)} (use ${severities.join(', ')} or off)`);
+}
+
+/**
+ * Validate and normalize raw config values
+ * @param {object} raw - Parsed config file contents
+ * @param {string} root - Directory ignore globs are relative to
+ * @returns {object} - { root, rules, diagramTypes, ignore, severity(), isIgnored() }
+ */
+function normalizeConfig(raw, root) {
+    raw = raw || {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Expected an object');
+    }
+
+    const unknownKeys = Object.keys(raw).filter(key => !['rules', 'diagramTypes', 'ignore'].includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown option: ${unknownKeys.join(', ')}`);
+    }
+
+    const ruleSeverities = {};
+    for (const ruleId of Object.keys(rules)) {
+        ruleSeverities[ruleId] = 'error';
+    }
+    for (const [ruleId, setting] of Object.entries(raw.rules || {})) {
+        if (!(ruleId in rules)) {
+            throw new Error(`Unknown rule: ${ruleId}. Known rules: ${Object.keys(rules).join(', ')}`);
+        }
+        ruleSeverities[ruleId] = parseRuleSetting(ruleId, setting);
+    }
+
+    const toList = (value, option) => {
+        if (value === undefined || value === null) return [];
+        const list = Array.isArray(value) ? value : [value];
+        if (!list.every(item => typeof item === 'string')) {
+            throw new Error(`${option} must be a list of strings`);
+        }
+        return list;
+    };
+
+    const diagramTypes = toList(raw.diagramTypes, 'diagramTypes');
+    const ignorePatterns = toList(raw.ignore, 'ignore');
+    const ignoreMatcher = ignore().add(ignorePatterns);
+
+    return {
+        root,
+        rules: ruleSeverities,
+        diagramTypes,
+        ignore: ignorePatterns,
+
+        /**
+         * Severity of a rule, or 'off'
+         */
+        severity(ruleId) {
+            return ruleSeverities[ruleId] || 'error';
+        },
+
+        /**
+         * Whether a file (path relative to the project root or an archive) is ignored
+         */
+        isIgnored(relativePath) {
+            relativePath = relativePath.split(path.sep).join('/');
+            if (!relativePath || relativePath.startsWith('../')) return false;
+            return ignoreMatcher.ignores(relativePath);
+        }
+    };
+}
+
+/**
+ * Load the project config for a file, folder or archive being validated.
+ * Without a config file every rule is an error and nothing is ignored.
+ * @param {string} inputPath - File, directory or archive being validated
+ * @returns {object} - Normalized config, with path set to the config file (or null)
+ * @throws {Error} - If the config file cannot be parsed or has invalid settings
+ */
+function loadProjectConfig(inputPath) {
+    const configPath = findProjectConfig(inputPath);
+    if (!configPath) {
+        const resolved = path.resolve(inputPath);
+        const root = fs.existsSync(resolved) && fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved);
+        return { path: null, ...normalizeConfig({}, root) };
+    }
+
+    try {
+        const content = fs.readFileSync(configPath, 'utf-8');
+        const isJson = configPath.endsWith('.json') ||
+            (path.basename(configPath) === '.moremaidrc' && /^\s*\{/.test(content));
+        const raw = isJson ? JSON.parse(content) : YAML.parse(content, { logLevel: 'error' });
+
+        return { path: configPath, ...normalizeConfig(raw, path.dirname(configPath)) };
+    } catch (error) {
+        // YAML errors end with an excerpt of the file - keep the message and position
+        const message = error.message.split('\n')[0].replace(/:$/, '');
+        throw new Error(`Invalid ${path.relative(process.cwd(), configPath)}: ${message}`);
+    }
+}
+
+module.exports = {
+    configFiles,
+    severities,
+    findProjectConfig,
+    normalizeConfig,
+    loadProjectConfig
+};
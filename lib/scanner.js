@@ -0,0 +1,163 @@
+/**
+ * scanner.js - Files of a folder, scanned once in the background and kept
+ * up to date from file watcher events
+ *
+ * Hidden files, files matched by the ignore files (.gitignore and
+ * .moremaidignore at the root, see config.scan) and files nested deeper than
+ * maxDepth folders are left out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { loadGitignore, matchesPattern } = require('./utils');
+
+class DirectoryScanner {
+    /**
+     * @param {string} basePath - Folder to scan
+     * @param {object} options - { maxDepth, ignoreFiles } (default: config.scan).
+     *   maxDepth: folder levels below basePath to include (0: its own files only, null: all)
+     */
+    constructor(basePath, options = {}) {
+        this.basePath = path.resolve(basePath);
+        this.maxDepth = options.maxDepth === undefined ? config.scan.maxDepth : options.maxDepth;
+        this.ignoreFiles = options.ignoreFiles || config.scan.ignoreFiles;
+        this.ignore = loadGitignore(this.basePath, this.ignoreFiles);
+        this.tree = null;
+    }
+
+    /**
+     * The files with their modification time and size, scanned on first call
+     * @returns {Promise<Map>} - Relative path (OS separators) -> { mtimeMs, size }
+     */
+    build() {
+        if (!this.tree) {
+            this.tree = this.scan();
+        }
+        return this.tree;
+    }
+
+    /**
+     * Read the ignore files again and forget the files - the next call scans again
+     */
+    invalidate() {
+        this.ignore = loadGitignore(this.basePath, this.ignoreFiles);
+        this.tree = null;
+    }
+
+    // Folders one at a time (a monorepo has more of them than there are file
+    // descriptors), the entries of a folder in parallel
+    async scan() {
+        const files = new Map();
+        const queue = [{ dir: this.basePath, depth: 0 }];
+
+        while (queue.length > 0) {
+            const { dir, depth } = queue.shift();
+            let items;
+            try {
+                items = await fs.promises.readdir(dir);
+            } catch (error) {
+                continue;
+            }
+
+            await Promise.all(items.map(async (item) => {
+                const fullPath = path.join(dir, item);
+                const relativePath = path.relative(this.basePath, fullPath);
+                const ignorePath = relativePath.split(path.sep).join('/');
+                if (item.startsWith('.') || this.ignore.ignores(ignorePath)) return;
+
+                let stats;
+                try {
+                    stats = await fs.promises.stat(fullPath);
+                } catch (error) {
+                    // Broken symlink or removed meanwhile
+                    return;
+                }
+
+                if (stats.isDirectory()) {
+                    // Folder patterns (build/) only match with the trailing slash
+                    if (this.ignore.ignores(ignorePath + '/')) return;
+                    if (this.maxDepth === null || depth < this.maxDepth) {
+                        queue.push({ dir: fullPath, depth: depth + 1 });
+                    }
+                } else if (stats.isFile()) {
+                    files.set(relativePath, { mtimeMs: stats.mtimeMs, size: stats.size });
+                }
+            }));
+        }
+
+        return files;
+    }
+
+    /**
+     * Whether a file would be listed: not hidden, not ignored, not too deep
+     * @param {string} filePath - Path relative to the folder ('/' or OS separators)
+     */
+    isIncluded(filePath) {
+        const parts = filePath.split(/[\\/]/).filter(Boolean);
+        if (parts.length === 0 || parts.some(part => part.startsWith('.'))) return false;
+        if (this.maxDepth !== null && parts.length - 1 > this.maxDepth) return false;
+        return !this.ignore.ignores(parts.join('/'));
+    }
+
+    /**
+     * Paths of the files matching a filter, sorted
+     * @param {string} filter - Glob pattern (*.md or *)
+     * @returns {Promise<Array<string>>}
+     */
+    async list(filter = '*.md') {
+        const files = await this.build();
+        return [...files.keys()].filter(file => matchesPattern(file, filter)).sort();
+    }
+
+    /**
+     * Modification time and size of a listed file
+     * @returns {Promise<object|null>} - { mtimeMs, size }, null if not listed
+     */
+    async stat(filePath) {
+        const files = await this.build();
+        return files.get(filePath.split(/[\\/]/).join(path.sep)) || null;
+    }
+
+    /**
+     * Stat a file that was added or changed again (a no-op before the first scan)
+     * @param {string} filePath - Path of the file ('/' separated)
+     */
+    async update(filePath) {
+        if (!this.tree) return;
+
+        const files = await this.tree;
+        const relativePath = filePath.split('/').join(path.sep);
+        if (!this.isIncluded(relativePath)) return;
+
+        try {
+            const stats = await fs.promises.stat(path.join(this.basePath, relativePath));
+            if (stats.isFile()) {
+                files.set(relativePath, { mtimeMs: stats.mtimeMs, size: stats.size });
+            }
+        } catch (error) {
+            files.delete(relativePath);
+        }
+    }
+
+    /**
+     * Drop a deleted file, or every file of a deleted folder
+     * @param {string} filePath - Path of the file or folder ('/' separated)
+     */
+    async remove(filePath) {
+        if (!this.tree) return;
+
+        const files = await this.tree;
+        const relativePath = filePath.split('/').join(path.sep);
+        files.delete(relativePath);
+        for (const file of files.keys()) {
+            if (file.startsWith(relativePath + path.sep)) {
+                files.delete(file);
+            }
+        }
+    }
+}
+
+module.exports = {
+    DirectoryScanner
+};
@@ -0,0 +1,397 @@
+/**
+ * search-index.js - Full-text index of file contents for the index page's
+ * content search
+ *
+ * Built once with MiniSearch and updated file by file as files change. A
+ * folder's index is kept in a cache file between runs, so only files whose
+ * modification time or size changed are read again. Archives are indexed in
+ * memory only: their (possibly encrypted) contents never reach the disk.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const MiniSearch = require('minisearch');
+const config = require('./config');
+const { parseQuery, isAdvancedQuery, createMatcher } = require('./search-query');
+const { LRUCache } = require('./virtual-fs');
+
+// Bump when the indexed documents change shape, to ignore older cache files
+const CACHE_VERSION = 1;
+
+const indexOptions = {
+    idField: 'path',
+    fields: ['content']
+};
+
+/**
+ * Cache file for the index of a folder, in $XDG_CACHE_HOME/moremaid (default ~/.cache/moremaid)
+ * @param {string} basePath - Indexed folder
+ * @returns {string}
+ */
+function getCacheFile(basePath) {
+    const cacheDir = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    const key = crypto.createHash('sha1').update(path.resolve(basePath)).digest('hex').substring(0, 16);
+    return path.join(cacheDir, 'moremaid', `search-${key}.json`);
+}
+
+/**
+ * Delete the index cache files of folders not served for a while (see
+ * config.search.content.indexCache). A cache file's modification time is
+ * when its folder was last served.
+ * @param {string} cacheDir - Folder of the cache files
+ * @returns {Array<string>} - Names of the deleted files
+ */
+function pruneCacheFiles(cacheDir) {
+    const { maxAge, maxFiles } = config.search.content.indexCache;
+    let files;
+    try {
+        files = fs.readdirSync(cacheDir)
+            .filter(name => /^search-[0-9a-f]+\.json(\.\d+\.tmp)?$/.test(name))
+            .map(name => ({ name, mtimeMs: fs.statSync(path.join(cacheDir, name)).mtimeMs }))
+            .sort((a, b) => b.mtimeMs - a.mtimeMs);
+    } catch (error) {
+        return [];
+    }
+
+    const deleted = [];
+    files.forEach(({ name, mtimeMs }, index) => {
+        if (index < maxFiles && Date.now() - mtimeMs < maxAge) return;
+        try {
+            fs.unlinkSync(path.join(cacheDir, name));
+            deleted.push(name);
+        } catch (error) {
+            // Deleted by another instance meanwhile
+        }
+    });
+    return deleted;
+}
+
+/**
+ * Lines containing one of the matched terms, each with the lines before and
+ * after it (the first 5, as /api/search has always returned them)
+ * @param {string} content - File content
+ * @param {Array<string>} terms - Indexed terms that matched (lower case)
+ * @returns {Array} - { lineNumber, text, contextLines: [{ lineNumber, text, isMatch }] }
+ */
+function findMatchingLines(content, terms) {
+    const lines = content.split('\n');
+    const indexes = [];
+    lines.forEach((line, index) => {
+        if (terms.some(term => line.toLowerCase().includes(term))) indexes.push(index);
+    });
+    return formatMatches(lines, indexes);
+}
+
+/**
+ * Matches in the /api/search shape for lines of a file
+ * @param {Array<string>} lines - Lines of the file
+ * @param {Array<number>} indexes - Matching lines (0-based, ascending)
+ */
+function formatMatches(lines, indexes) {
+    const matches = [];
+    const lineText = (index) => lines[index].trim().substring(0, 200);
+
+    for (const index of indexes.slice(0, 5)) {
+        const contextLines = [];
+        if (index > 0) {
+            contextLines.push({ lineNumber: index, text: lineText(index - 1), isMatch: false });
+        }
+        contextLines.push({ lineNumber: index + 1, text: lineText(index), isMatch: true });
+        if (index < lines.length - 1) {
+            contextLines.push({ lineNumber: index + 2, text: lineText(index + 1), isMatch: false });
+        }
+
+        matches.push({ lineNumber: index + 1, text: lineText(index), contextLines });
+    }
+
+    return matches;
+}
+
+// Whether a file is a text file, whose content is indexed
+function isIndexed(file) {
+    return config.search.content.extensions.test(file);
+}
+
+function searchResult(file, matches) {
+    return {
+        path: file,
+        fileName: path.basename(file),
+        directory: path.dirname(file) === '.' ? '' : path.dirname(file),
+        matches
+    };
+}
+
+/**
+ * Content index of the files of a VirtualFS. Built on first use - call
+ * update() and remove() when files change.
+ */
+class SearchIndex {
+    /**
+     * @param {VirtualFS} virtualFS - Files to index
+     * @param {object} options - { cacheFile } (none: keep the index in memory only)
+     */
+    constructor(virtualFS, options = {}) {
+        this.virtualFS = virtualFS;
+        this.cacheFile = options.cacheFile || null;
+        this.index = null;
+        this.saveTimer = null;
+        // Text of recently searched files, read again once evicted
+        this.contents = new LRUCache(config.search.content.cacheSize);
+    }
+
+    /**
+     * The index, built (or loaded from the cache) on first call
+     * @returns {Promise<object>} - { miniSearch, stats, fromCache }
+     */
+    build() {
+        if (!this.index) {
+            const index = this.scan();
+            this.index = index;
+            // A failed scan is tried again on next use
+            index.catch(() => {
+                if (this.index === index) this.index = null;
+            });
+        }
+        return this.index;
+    }
+
+    async scan() {
+        const state = this.loadCache() || { miniSearch: new MiniSearch(indexOptions), stats: new Map() };
+        const files = (await this.virtualFS.listFiles('*')).filter(isIndexed);
+        const current = new Set(files);
+        let changed = false;
+
+        for (const file of [...state.stats.keys()]) {
+            if (!current.has(file)) {
+                this.discard(state, file);
+                changed = true;
+            }
+        }
+
+        // Unchanged files keep their entry from the cache
+        state.fromCache = 0;
+        for (const file of files) {
+            const stat = await this.virtualFS.stat(file);
+            const known = state.stats.get(file);
+            if (stat && known && known[0] === stat.mtimeMs && known[1] === stat.size) {
+                state.fromCache++;
+                continue;
+            }
+
+            await this.indexFile(state, file, stat);
+            changed = true;
+        }
+
+        if (changed) {
+            this.save(state);
+        }
+        if (this.cacheFile) {
+            pruneCacheFiles(path.dirname(this.cacheFile));
+        }
+        return state;
+    }
+
+    /**
+     * Read a file into the index, replacing its previous entry. Binary and
+     * very large files are recorded (so they are not read again) but not indexed.
+     */
+    async indexFile(state, file, stat) {
+        this.discard(state, file);
+
+        // Known to be too large: not even read
+        if (stat && stat.size > config.search.content.maxFileSize) {
+            state.stats.set(file, [stat.mtimeMs, stat.size]);
+            return;
+        }
+
+        let content;
+        try {
+            content = await this.virtualFS.readFile(file, null);
+        } catch (error) {
+            return;
+        }
+
+        state.stats.set(file, stat ? [stat.mtimeMs, stat.size] : null);
+        if (content.length > config.search.content.maxFileSize || content.subarray(0, 8000).includes(0)) {
+            return;
+        }
+        state.miniSearch.add({ path: file, content: content.toString('utf-8') });
+    }
+
+    discard(state, file) {
+        if (state.miniSearch.has(file)) {
+            state.miniSearch.discard(file);
+        }
+        state.stats.delete(file);
+        this.contents.delete(file);
+    }
+
+    /**
+     * Text of an indexed file (recently read ones come from a size-bounded cache)
+     * @param {string} file - Path of the file
+     * @returns {Promise<string|null>} - null for binary, very large or unreadable files
+     */
+    async getContent(file) {
+        const state = await this.build();
+        if (!state.miniSearch.has(file)) return null;
+
+        const cached = this.contents.get(file);
+        if (cached) return cached.content;
+
+        let content;
+        try {
+            content = await this.virtualFS.readFile(file);
+        } catch (error) {
+            return null;
+        }
+        this.contents.set(file, content, Buffer.byteLength(content));
+        return content;
+    }
+
+    /**
+     * Re-index a file that was added or changed
+     * @param {string} file - Path of the file ('/' separated)
+     */
+    async update(file) {
+        file = file.split('/').join(path.sep);
+        if (!isIndexed(file)) return;
+        try {
+            const state = await this.build();
+            await this.indexFile(state, file, await this.virtualFS.stat(file));
+            this.scheduleSave();
+        } catch (error) {
+            console.warn(`⚠️  Could not update search index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Drop a deleted file from the index
+     * @param {string} file - Path of the file ('/' separated)
+     */
+    async remove(file) {
+        try {
+            const state = await this.build();
+            this.discard(state, file.split('/').join(path.sep));
+            this.scheduleSave();
+        } catch (error) {
+            console.warn(`⚠️  Could not update search index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Files whose content matches a query, best matches first. Plain words
+     * are looked up in the index (as prefixes, allowing typos); queries with
+     * operators (see search-query.js) are matched against the text of every file.
+     * @param {string} query - Search query
+     * @param {Array<string>} files - Files to search, e.g. those matching the index filter
+     * @returns {Promise<Array>} - { path, fileName, directory, matches } (see formatMatches)
+     */
+    async search(query, files) {
+        const parsed = parseQuery(query);
+        if (isAdvancedQuery(parsed)) {
+            return this.searchText(parsed, files);
+        }
+
+        const { miniSearch } = await this.build();
+        const searched = new Set(files);
+        const hits = miniSearch.search(query, {
+            ...config.search.content.searchOptions,
+            filter: result => searched.has(result.id)
+        }).slice(0, config.search.content.maxResults);
+
+        const results = [];
+        for (const hit of hits) {
+            const content = await this.getContent(hit.id);
+            if (content !== null) {
+                results.push(searchResult(hit.id, findMatchingLines(content, hit.terms)));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Match a parsed query against the text of the files, files with the
+     * most matching lines first. Files left when the time budget is spent
+     * (config.search.matchTimeBudget) are not searched.
+     */
+    async searchText(parsed, files) {
+        const match = createMatcher(parsed, config.search.matchTimeBudget);
+        const results = [];
+        for (const file of files) {
+            const content = await this.getContent(file);
+            if (content === null) continue;
+
+            const indexes = match({ path: file.split(path.sep).join('/'), content }, 'content');
+            if (indexes === undefined) break;
+            if (indexes) {
+                results.push({ result: searchResult(file, formatMatches(content.split('\n'), indexes)), count: indexes.length });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.count - a.count || (a.result.path < b.result.path ? -1 : 1))
+            .slice(0, config.search.content.maxResults)
+            .map(({ result }) => result);
+    }
+
+    loadCache() {
+        if (!this.cacheFile) return null;
+
+        try {
+            const cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
+            if (cache.version !== CACHE_VERSION) return null;
+            // Served again: keep it when pruning
+            const now = new Date();
+            fs.utimesSync(this.cacheFile, now, now);
+            return {
+                miniSearch: MiniSearch.loadJS(cache.index, indexOptions),
+                stats: new Map(Object.entries(cache.files))
+            };
+        } catch (error) {
+            // No cache yet, or unreadable - index from scratch
+            return null;
+        }
+    }
+
+    /**
+     * Write the index to the cache file (if any). Written to a temporary file
+     * first, so another instance never reads half a cache.
+     */
+    save(state) {
+        if (!this.cacheFile) return;
+
+        try {
+            const cache = { version: CACHE_VERSION, files: Object.fromEntries(state.stats), index: state.miniSearch.toJSON() };
+            const tempFile = `${this.cacheFile}.${process.pid}.tmp`;
+            fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+            fs.writeFileSync(tempFile, JSON.stringify(cache));
+            fs.renameSync(tempFile, this.cacheFile);
+        } catch (error) {
+            console.warn(`⚠️  Could not write search index cache: ${error.message}`);
+        }
+    }
+
+    // Changes often come in bursts (e.g. git checkout), save once they settle
+    scheduleSave() {
+        if (!this.cacheFile) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.build()
+                .then(state => this.save(state))
+                .catch(error => console.warn(`⚠️  Could not write search index cache: ${error.message}`));
+        }, 1000);
+        this.saveTimer.unref();
+    }
+}
+
+module.exports = {
+    getCacheFile,
+    pruneCacheFiles,
+    findMatchingLines,
+    formatMatches,
+    SearchIndex
+};
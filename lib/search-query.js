@@ -0,0 +1,281 @@
+/**
+ * search-query.js - Query language of the index page search
+ *
+ *   install guide         both words (anywhere in the text)
+ *   "getting started"     a phrase
+ *   -draft                files without the word
+ *   /colou?r/i            a regular expression (with its own flags)
+ *   path:api/             files whose path contains api/
+ *   heading:setup  code:npm  mermaid:sequenceDiagram
+ *                         text in headings, code or Mermaid diagrams
+ *   title:  tag:  author:  date:  or any other front matter field (status:draft)
+ *   case:yes  word:yes    case-sensitive words and phrases, whole words only
+ *
+ * Scopes take words, "phrases" and /regexes/ and can be excluded (-tag:draft).
+ */
+
+const vm = require('vm');
+const { parseFrontMatter, getMetadata } = require('./front-matter');
+
+// Scopes matched against lines of the document, or its path and front matter
+const lineScopes = ['heading', 'code', 'mermaid'];
+const fieldScopes = ['path', 'title', 'tag', 'author', 'date'];
+const flagScopes = ['case', 'word'];
+
+// -? name: ("phrase" | /regex/flags | word) - an unclosed quote runs to the end
+const tokenRegex = /(-?)(?:([a-z][\w.-]*):)?("[^"]*"?|\/(?:\\.|[^\\/])+\/[a-z]*(?=\s|$)|\S+)/gi;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a query into clauses
+ * @param {string} query - Search query
+ * @returns {object} - { clauses, caseSensitive, wholeWord }, clauses being
+ *   { negate, scope (null: unscoped), kind ('word', 'phrase' or 'regex'), value, test(text) }
+ */
+function parseQuery(query) {
+    const clauses = [];
+    let caseSensitive = false;
+    let wholeWord = false;
+
+    for (const match of query.matchAll(tokenRegex)) {
+        const [raw, minus, name, token] = match;
+        let scope = name ? name.toLowerCase() : null;
+
+        if (scope && flagScopes.includes(scope)) {
+            const enabled = /^(yes|true|on|1)$/i.test(token);
+            if (scope === 'case') caseSensitive = enabled;
+            if (scope === 'word') wholeWord = enabled;
+            continue;
+        }
+
+        // URLs are words, not a front matter field named "https"
+        if (scope && !lineScopes.includes(scope) && !fieldScopes.includes(scope) && token.startsWith('//')) {
+            scope = null;
+        }
+
+        let kind = 'word';
+        const text = scope ? token : raw.substring(minus.length);
+        let value = text;
+        let regexFlags = '';
+        const regex = value.match(/^\/(.+)\/([a-z]*)$/i);
+        if (value.startsWith('"')) {
+            kind = 'phrase';
+            value = value.replace(/^"|"$/g, '').trim();
+        } else if (regex) {
+            const flags = regex[2].replace(/[^imsu]/g, '');
+            try {
+                new RegExp(regex[1], flags);
+                kind = 'regex';
+                value = regex[1];
+                regexFlags = flags;
+            } catch (error) {
+                // Not a valid regular expression - search for the text
+            }
+        }
+
+        // A lone "-" or "" (e.g. while typing) searches nothing
+        if (value && !(kind === 'word' && value === '-')) {
+            clauses.push({ negate: minus === '-', scope, kind, value, regexFlags, text });
+        }
+    }
+
+    for (const clause of clauses) {
+        try {
+            clause.test = compileClause(clause, caseSensitive, wholeWord);
+        } catch (error) {
+            // Still invalid with the query's flags - search for the text
+            Object.assign(clause, { kind: 'word', value: clause.text, regexFlags: '' });
+            clause.test = compileClause(clause, caseSensitive, wholeWord);
+        }
+    }
+
+    return { clauses, caseSensitive, wholeWord };
+}
+
+/**
+ * Tester for a clause's text. Words and phrases ignore case unless
+ * case:yes, regexes follow their own flags.
+ */
+function compileClause(clause, caseSensitive, wholeWord) {
+    let source = clause.kind === 'regex' ? clause.value : escapeRegex(clause.value);
+    if (clause.kind === 'phrase') {
+        source = source.replace(/\s+/g, '\\s+');
+    }
+
+    const flags = clause.kind === 'regex' ? clause.regexFlags : (caseSensitive ? '' : 'i');
+    let regex = new RegExp(source, flags);
+    if (wholeWord) {
+        try {
+            regex = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`, flags.includes('u') ? flags : flags + 'u');
+        } catch (error) {
+            // Regexes that are invalid in unicode mode get ASCII word boundaries
+            regex = new RegExp(`\\b(?:${source})\\b`, flags);
+        }
+    }
+    return (text) => regex.test(text);
+}
+
+/**
+ * Whether a query needs more than plain word search (operators, scopes, phrases...)
+ * @param {object} query - parseQuery result
+ * @returns {boolean}
+ */
+function isAdvancedQuery(query) {
+    return query.caseSensitive || query.wholeWord ||
+        query.clauses.some(clause => clause.negate || clause.scope || clause.kind !== 'word');
+}
+
+/**
+ * Whether matching a query needs the file's content (to search in it, or
+ * for its front matter)
+ * @param {object} query - parseQuery result
+ * @param {string} mode - 'content' or 'filename'
+ */
+function needsContent(query, mode) {
+    return query.clauses.some(clause => clause.scope ? clause.scope !== 'path' : mode === 'content');
+}
+
+/**
+ * Lines of a markdown document with what they are: 'text', 'heading',
+ * 'fence' (code fence markers), 'code' or 'mermaid'. code holds the text
+ * searched by code: - the whole line in code blocks, inline code elsewhere.
+ */
+function classifyLines(content) {
+    const lines = [];
+    let fence = null;
+    let fenceKind = null;
+
+    for (const text of content.split('\n')) {
+        const fenceMatch = text.match(/^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !fenceMatch[2]) {
+                fence = null;
+                lines.push({ text, kind: 'fence', code: '' });
+            } else {
+                lines.push({ text, kind: fenceKind, code: text });
+            }
+            continue;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            fenceKind = fenceMatch[2].toLowerCase() === 'mermaid' ? 'mermaid' : 'code';
+            lines.push({ text, kind: 'fence', code: '' });
+            continue;
+        }
+
+        const inlineCode = [...text.matchAll(/(`+)(.+?)\1/g)].map(span => span[2]).join(' ');
+        lines.push({ text, kind: /^ {0,3}#{1,6}(\s|$)/.test(text) ? 'heading' : 'text', code: inlineCode });
+    }
+
+    return lines;
+}
+
+/**
+ * Values of a front matter field, as strings
+ */
+function fieldValues(scope, data) {
+    const metadata = getMetadata(data);
+    if (scope === 'title') return metadata.title ? [metadata.title] : [];
+    if (scope === 'tag') return metadata.tags;
+    if (scope === 'author') return metadata.author ? [metadata.author] : [];
+    if (scope === 'date') return metadata.date ? [metadata.date] : [];
+
+    const key = Object.keys(data).find(name => name.toLowerCase() === scope);
+    const value = key === undefined ? null : data[key];
+    return (Array.isArray(value) ? value : [value])
+        .filter(item => item !== null && item !== undefined)
+        .map(item => item instanceof Date ? item.toISOString().substring(0, 10) : String(item));
+}
+
+/**
+ * Match a document against a query
+ * @param {object} query - parseQuery result
+ * @param {object} doc - { path ('/' separated), title, content (may be null, see needsContent) }
+ * @param {string} mode - 'content' (unscoped terms search the text) or
+ *   'filename' (unscoped terms search the path and title)
+ * @returns {Array<number>|null} - Matching lines (0-based, for snippets), null if the document does not match
+ */
+function matchDocument(query, doc, mode) {
+    let lines = null;
+    let data = null;
+    const getLines = () => lines || (lines = classifyLines(doc.content || ''));
+    const getData = () => data || (data = parseFrontMatter(doc.content || '').data || {});
+    const matched = new Set();
+
+    for (const clause of query.clauses) {
+        const scope = clause.scope || (mode === 'filename' ? 'name' : 'text');
+        let found;
+
+        if (scope === 'name') {
+            found = clause.test(doc.path) || Boolean(doc.title && clause.test(doc.title));
+        } else if (scope === 'path') {
+            found = clause.test(doc.path);
+        } else if (scope === 'text' || lineScopes.includes(scope)) {
+            const indexes = [];
+            getLines().forEach((line, index) => {
+                const text = scope === 'code' ? line.code
+                    : scope === 'text' || line.kind === scope ? line.text
+                        : '';
+                if (text && clause.test(text)) indexes.push(index);
+            });
+            found = indexes.length > 0;
+            if (!clause.negate) indexes.forEach(index => matched.add(index));
+        } else {
+            found = fieldValues(scope, getData()).some(value => clause.test(value));
+        }
+
+        if (found === clause.negate) return null;
+    }
+
+    return [...matched].sort((a, b) => a - b);
+}
+
+// Calls the context's run() - run in a VM context so that it can be interrupted
+const matchScript = new vm.Script('run()');
+
+/**
+ * Match documents against a query, spending at most timeBudget ms in total.
+ * /regex/ terms run in the server's only thread, and some take exponential
+ * time on some lines (/(a+)+$/) - they are interrupted when the budget is spent.
+ * @param {object} query - parseQuery result
+ * @param {number} timeBudget - Milliseconds for all calls together
+ * @returns {function} - (doc, mode) => matchDocument result, or undefined
+ *   once the budget is spent (stop searching)
+ */
+function createMatcher(query, timeBudget) {
+    const context = vm.createContext({ run: null });
+    let remaining = timeBudget;
+
+    return (doc, mode) => {
+        if (remaining <= 0) return undefined;
+
+        const started = Date.now();
+        context.run = () => matchDocument(query, doc, mode);
+        try {
+            return matchScript.runInContext(context, { timeout: Math.ceil(remaining) });
+        } catch (error) {
+            if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+            remaining = 0;
+            return undefined;
+        } finally {
+            remaining -= Date.now() - started;
+            context.run = null;
+        }
+    };
+}
+
+module.exports = {
+    lineScopes,
+    fieldScopes,
+    flagScopes,
+    tokenRegex,
+    parseQuery,
+    isAdvancedQuery,
+    needsContent,
+    classifyLines,
+    matchDocument,
+    createMatcher
+};
@@ -14,15 +14,23 @@ const {
     findMarkdownFiles,
     findAvailablePort,
     openInBrowser,
-    formatSize
+    formatSize,
+    getMimeType
 } = require('./utils');
 const {
     generateHtmlFromMarkdown,
     generateIndexHtmlWithSearch,
     generateFolderIndex,
-    generateCodeView
+    generateCodeView,
+    getFileEntry
 } = require('./html-generator');
 const { DiskFS, SingleFileFS } = require('./virtual-fs');
+const { facetFields, readMetadata, matchesFacets } = require('./front-matter');
+const { FileWatcher } = require('./watcher');
+const { LinkGraph } = require('./wiki-links');
+const { resolveAsset } = require('./assets');
+const { SearchIndex, getCacheFile } = require('./search-index');
+const { parseQuery, needsContent, createMatcher } = require('./search-query');
 
 /**
  * Start HTTP server for folder mode
@@ -42,7 +50,7 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
         baseDir = path.resolve(folderPathOrFS);
         virtualFS = new DiskFS(baseDir);
     } else {
-        // Use provided VirtualFS (for ZIP mode)
+        // Use provided VirtualFS (ZIP mode, or a DiskFS with scan options)
         virtualFS = folderPathOrFS;
         baseDir = virtualFS.getBasePath();
     }
@@ -74,6 +82,46 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
         }
     };
 
+    // Front matter of markdown files, by path (cleared by the file watcher)
+    const metadataCache = new Map();
+
+    const getMetadata = async (file) => {
+        if (!/\.(md|markdown)$/i.test(file)) return null;
+        if (!metadataCache.has(file)) {
+            try {
+                metadataCache.set(file, readMetadata(await virtualFS.readFile(file)));
+            } catch (error) {
+                return null;
+            }
+        }
+        return metadataCache.get(file);
+    };
+
+    const getMetadataMap = async (files) => {
+        const metadata = {};
+        for (const file of files) {
+            metadata[file] = await getMetadata(file);
+        }
+        return metadata;
+    };
+
+    // Modification time and size of files, for the index page (known from the scan for folders)
+    const getStatsMap = async (files) => {
+        const stats = {};
+        for (const file of files) {
+            stats[file] = await virtualFS.stat(file);
+        }
+        return stats;
+    };
+
+    // Links between documents, for wiki links and backlinks (reset by the file watcher)
+    const linkGraph = new LinkGraph(virtualFS);
+
+    // Full-text index for content search, cached on disk for folders (updated by the file watcher)
+    const searchIndex = new SearchIndex(virtualFS, {
+        cacheFile: virtualFS instanceof DiskFS ? getCacheFile(baseDir) : null
+    });
+
     // Try to find an available port
     let port;
     try {
@@ -92,12 +140,12 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
         if (pathname === '/' || pathname === '/index') {
             // Serve index page
             let filter = parsedUrl.searchParams.get('filter') || '*.md';
-            let files = virtualFS.listFiles(filter);
+            let files = await virtualFS.listFiles(filter);
 
             // If no files found with *.md filter, automatically switch to all files
             if (files.length === 0 && filter === '*.md') {
                 filter = '*';
-                files = virtualFS.listFiles(filter);
+                files = await virtualFS.listFiles(filter);
 
                 // If still no files, show error
                 if (files.length === 0) {
@@ -201,7 +249,9 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
             }
 
             // Generate custom HTML for index with search functionality
-            const indexHtml = generateIndexHtmlWithSearch(baseDir, files, port, selectedTheme, filter);
+            const indexHtml = generateIndexHtmlWithSearch(baseDir, files, port, selectedTheme, filter, await getMetadataMap(files), {
+                stats: await getStatsMap(files)
+            });
 
             res.writeHead(200, {
                 'Content-Type': 'text/html',
@@ -211,6 +261,21 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
             });
             res.end(indexHtml);
 
+        } else if (pathname === '/graph') {
+            // Serve the index as a graph of the links between files
+            const filter = parsedUrl.searchParams.get('filter') || '*.md';
+            const files = await virtualFS.listFiles(filter);
+            const graphHtml = generateIndexHtmlWithSearch(baseDir, files, port, selectedTheme, filter, await getMetadataMap(files), {
+                graph: true,
+                stats: await getStatsMap(files)
+            });
+
+            res.writeHead(200, {
+                'Content-Type': 'text/html',
+                'Cache-Control': 'no-cache, no-store, must-revalidate'
+            });
+            res.end(graphHtml);
+
         } else if (pathname === '/view') {
             // Serve individual file (markdown or other)
             const file = parsedUrl.searchParams.get('file');
@@ -238,7 +303,11 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
 
                 let html;
                 if (isMarkdown) {
-                    html = generateHtmlFromMarkdown(content, fileName, false, true, selectedTheme, searchQuery);
+                    html = generateHtmlFromMarkdown(content, fileName, false, true, selectedTheme, searchQuery, {
+                        filePath: file,
+                        files: await linkGraph.getFiles(),
+                        backlinks: await linkGraph.getBacklinks(file)
+                    });
                 } else {
                     // Generate syntax-highlighted code view
                     // Hide back button in single file mode or when opened directly via specificFile
@@ -289,105 +358,186 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
             const searchMode = parsedUrl.searchParams.get('mode') || 'filename'; // 'filename' or 'content'
             const filter = parsedUrl.searchParams.get('filter') || '*.md';
 
-            if (!query) {
+            // Front matter facets: ?tag=guide&author=Jane&date=2024 (repeat a facet for alternatives)
+            const facets = {};
+            for (const field of facetFields) {
+                facets[field] = parsedUrl.searchParams.getAll(field).filter(Boolean);
+            }
+            const hasFacets = facetFields.some(field => facets[field].length > 0);
+
+            if (!query && !hasFacets) {
                 res.writeHead(400, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ error: 'No search query provided' }));
                 return;
             }
 
-            // Use the filter to determine which files to search
-            const filesToSearch = virtualFS.listFiles(filter);
-            const results = [];
-
-            if (searchMode === 'content') {
-                // If VirtualFS has built-in search, use it
-                if (virtualFS.searchInFiles) {
-                    const searchResults = await virtualFS.searchInFiles(query, filter);
-                    res.writeHead(200, {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*'
-                    });
-                    res.end(JSON.stringify(searchResults));
-                    return;
-                }
+            // A query the parser cannot handle must not take the server down
+            let withMetadata;
+            try {
+                // Use the filter to determine which files to search
+                const filesToSearch = await virtualFS.listFiles(filter);
+                let results = [];
 
-                // Otherwise, search file contents manually
-                for (const file of filesToSearch) {
-                    try {
-                        const content = await virtualFS.readFile(file);
-                        const lines = content.split('\n');
-                        const matches = [];
-
-                        // Find matching lines with context
-                        lines.forEach((line, index) => {
-                            if (line.toLowerCase().includes(query.toLowerCase())) {
-                                // Get context: previous line, matching line, and next line
-                                const contextLines = [];
-
-                                // Previous line
-                                if (index > 0) {
-                                    contextLines.push({
-                                        lineNumber: index,
-                                        text: lines[index - 1].trim().substring(0, 200),
-                                        isMatch: false
-                                    });
-                                }
-
-                                // Matching line
-                                contextLines.push({
-                                    lineNumber: index + 1,
-                                    text: line.trim().substring(0, 200),
-                                    isMatch: true
-                                });
-
-                                // Next line
-                                if (index < lines.length - 1) {
-                                    contextLines.push({
-                                        lineNumber: index + 2,
-                                        text: lines[index + 1].trim().substring(0, 200),
-                                        isMatch: false
-                                    });
-                                }
-
-                                matches.push({
-                                    lineNumber: index + 1,
-                                    text: line.trim().substring(0, 200), // Keep for backward compatibility
-                                    contextLines: contextLines
-                                });
-                            }
+                if (!query) {
+                    // Facets only: every file is a candidate
+                    for (const file of filesToSearch) {
+                        results.push({
+                            path: file,
+                            fileName: path.basename(file),
+                            directory: path.dirname(file) === '.' ? '' : path.dirname(file)
                         });
-
-                        if (matches.length > 0) {
+                    }
+                } else if (searchMode === 'content') {
+                    // Ranked matches from the full-text index, with the matching lines
+                    results = await searchIndex.search(query, filesToSearch);
+                } else {
+                    // Search filenames and titles (fallback); scoped terms may need the content
+                    const parsedQuery = parseQuery(query);
+                    const withContent = needsContent(parsedQuery, 'filename');
+                    const match = createMatcher(parsedQuery, config.search.matchTimeBudget);
+                    for (const file of filesToSearch) {
+                        const metadata = await getMetadata(file);
+                        const doc = {
+                            path: file.split(path.sep).join('/'),
+                            title: metadata && metadata.title,
+                            content: withContent ? await searchIndex.getContent(file) : null
+                        };
+                        const matched = match(doc, 'filename');
+                        // Time budget spent (slow regex) - answer with what was found
+                        if (matched === undefined) break;
+                        if (matched) {
                             results.push({
                                 path: file,
                                 fileName: path.basename(file),
-                                directory: path.dirname(file) === '.' ? '' : path.dirname(file),
-                                matches: matches.slice(0, 5) // Limit to first 5 matches
+                                directory: path.dirname(file) === '.' ? '' : path.dirname(file)
                             });
                         }
-                    } catch (error) {
-                        // Skip files that can't be read
-                        console.error(`Error reading ${file}:`, error.message);
                     }
                 }
-            } else {
-                // Search filenames (fallback)
-                for (const file of filesToSearch) {
-                    if (file.toLowerCase().includes(query.toLowerCase())) {
-                        results.push({
-                            path: file,
-                            fileName: path.basename(file),
-                            directory: path.dirname(file) === '.' ? '' : path.dirname(file)
-                        });
-                    }
+
+                // Add front matter fields and apply the facets
+                withMetadata = [];
+                for (const result of results) {
+                    const metadata = await getMetadata(result.path);
+                    if (hasFacets && !matchesFacets(metadata, facets)) continue;
+                    withMetadata.push(Object.assign(result, metadata || { title: null, tags: [], author: null, date: null }));
                 }
+            } catch (error) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Invalid search query: ${error.message}` }));
+                return;
             }
 
             res.writeHead(200, {
                 'Content-Type': 'application/json',
                 'Access-Control-Allow-Origin': '*'
             });
-            res.end(JSON.stringify(results));
+            res.end(JSON.stringify(withMetadata));
+
+        } else if (pathname === '/api/graph') {
+            // Links between the files matching the filter
+            const filter = parsedUrl.searchParams.get('filter') || '*.md';
+            const graph = await linkGraph.getGraph(await virtualFS.listFiles(filter));
+
+            res.writeHead(200, {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache'
+            });
+            res.end(JSON.stringify(graph));
+
+        } else if (pathname.startsWith('/assets/')) {
+            // Serve bundled client libraries (mermaid, prism, minisearch)
+            const assetFile = resolveAsset(pathname.slice('/assets/'.length));
+            if (!assetFile) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Asset not found');
+                return;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': getMimeType(assetFile),
+                'Cache-Control': 'public, max-age=86400'
+            });
+            fs.createReadStream(assetFile).pipe(res);
+
+        } else if (pathname.startsWith('/raw/')) {
+            // Serve images and other assets referenced from markdown
+            let filePath;
+            try {
+                filePath = decodeURIComponent(pathname.slice('/raw/'.length));
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'text/plain' });
+                res.end('Malformed path');
+                return;
+            }
+
+            try {
+                // Hidden and ignored files are never listed, so not served either
+                const parts = filePath.split(/[\\/]/).filter(Boolean);
+                const hidden = parts.some(part => part.startsWith('.')) ||
+                    Boolean(virtualFS.gitignore && virtualFS.gitignore.ignores(parts.join('/')));
+                const stat = !hidden && await virtualFS.exists(filePath) ? await virtualFS.stat(filePath) : null;
+                if (!stat) {
+                    res.writeHead(404, { 'Content-Type': 'text/plain' });
+                    res.end('File not found');
+                    return;
+                }
+
+                // From the size and modification time, so the file is not read for it
+                const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+                const headers = {
+                    'Content-Type': getMimeType(filePath),
+                    'ETag': etag,
+                    'Accept-Ranges': 'bytes',
+                    'Cache-Control': 'no-cache'
+                };
+
+                if (req.headers['if-none-match'] === etag) {
+                    res.writeHead(304, headers);
+                    res.end();
+                    return;
+                }
+
+                const send = async (status, responseHeaders, range) => {
+                    if (req.method === 'HEAD') {
+                        res.writeHead(status, responseHeaders);
+                        res.end();
+                        return;
+                    }
+                    const stream = await virtualFS.createReadStream(filePath, range);
+                    res.writeHead(status, responseHeaders);
+                    stream.on('error', () => res.destroy());
+                    stream.pipe(res);
+                };
+
+                // Single byte ranges only (enough for video/audio seeking)
+                const range = req.headers.range && /^bytes=(\d*)-(\d*)$/.exec(req.headers.range);
+                if (range && (range[1] || range[2])) {
+                    const size = stat.size;
+                    let start = range[1] ? parseInt(range[1], 10) : size - parseInt(range[2], 10);
+                    let end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), size - 1) : size - 1;
+                    start = Math.max(start, 0);
+
+                    if (start >= size || start > end) {
+                        res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+                        res.end();
+                        return;
+                    }
+
+                    await send(206, {
+                        ...headers,
+                        'Content-Range': `bytes ${start}-${end}/${size}`,
+                        'Content-Length': end - start + 1
+                    }, { start, end });
+                    return;
+                }
+
+                await send(200, { ...headers, 'Content-Length': stat.size });
+            } catch (error) {
+                const status = error.message === 'Access denied' ? 403 : 500;
+                res.writeHead(status, { 'Content-Type': 'text/plain' });
+                res.end(`Error reading file: ${error.message}`);
+            }
 
         } else if (pathname === '/favicon.ico') {
             // Handle favicon requests gracefully
@@ -483,6 +633,55 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
         });
     });
 
+    // Watch the folder and push changes to connected browsers (live reload)
+    let fileWatcher = null;
+    if (virtualFS instanceof DiskFS) {
+        try {
+            fileWatcher = new FileWatcher(baseDir, { scanner: virtualFS.scanner }).start();
+            // Files may have come or gone anywhere - the per-file events follow
+            fileWatcher.on('ignoreChange', () => linkGraph.invalidate());
+            fileWatcher.on('all', async (event, filePath) => {
+                try {
+                    // Files beyond --max-depth stay out of the index
+                    if (!virtualFS.isIncluded(filePath)) return;
+
+                    if (event === 'unlink') {
+                        await virtualFS.remove(filePath);
+                    } else {
+                        await virtualFS.update(filePath);
+                    }
+                    metadataCache.delete(filePath);
+                    await linkGraph.update(filePath);
+                    if (event === 'unlink') {
+                        await searchIndex.remove(filePath);
+                    } else {
+                        await searchIndex.update(filePath);
+                    }
+                    const message = JSON.stringify({
+                        type: 'fileChange',
+                        event,
+                        path: filePath,
+                        file: event === 'unlink' ? null : getFileEntry(filePath, 0, await getMetadata(filePath), await virtualFS.stat(filePath))
+                    });
+
+                    wss.clients.forEach(client => {
+                        if (client.readyState === WebSocket.OPEN) {
+                            client.send(message);
+                        }
+                    });
+                } catch (error) {
+                    // E.g. a file deleted again before it was read
+                    fileWatcher.emit('error', error);
+                }
+            });
+            fileWatcher.on('error', (err) => {
+                console.error('File watcher error:', err.message);
+            });
+        } catch (error) {
+            console.warn(`⚠️  Live reload disabled: ${error.message}`);
+        }
+    }
+
     server.listen(port, () => {
         console.log(`🚀 Moremaid v${config.version} server running at http://localhost:${port}`);
         console.log(`📁 Serving ${isTemp ? 'archive' : 'markdown'} files from: ${virtualFS.isVirtual() ? 'memory (ZIP)' : baseDir}`);
@@ -498,8 +697,18 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
         if (virtualFS.isVirtual()) {
             console.log('📈 In-memory serving (no temp files)');
         }
+        if (fileWatcher) {
+            console.log('👀 Watching for file changes (live reload)');
+        }
         console.log('Press Ctrl+C to stop the server');
 
+        // Index file contents in the background, searches wait for it
+        searchIndex.build().then(({ miniSearch, fromCache }) => {
+            console.log(`🔎 Indexed ${miniSearch.documentCount} files for search${fromCache ? ` (${fromCache} unchanged since the last run)` : ''}`);
+        }).catch(error => {
+            console.error('Search index error:', error.message);
+        });
+
         // Open browser
         const browserUrl = specificFile
             ? `http://localhost:${port}/view?file=${encodeURIComponent(specificFile)}`
@@ -522,6 +731,10 @@ async function startFolderServer(folderPathOrFS, isTemp = false, selectedTheme =
         isShuttingDown = true;
         console.log('\n👋 Stopping server...');
 
+        if (fileWatcher) {
+            fileWatcher.close();
+        }
+
         // Close VirtualFS if needed
         if (virtualFS && virtualFS.close) {
             try {
@@ -0,0 +1,51 @@
+/**
+ * slugger.js - Heading IDs, compatible with the anchors GitHub generates
+ *
+ * "Café & Crème" -> "café--crème", a second "Setup" heading -> "setup-1"
+ */
+
+// Everything but letters, marks, numbers, "_", "-" and spaces is dropped
+const removeRegex = /[^\p{L}\p{M}\p{N}_\- ]/gu;
+
+/**
+ * Slug of a heading's text, without duplicate handling
+ * @param {string} text - Plain heading text
+ * @returns {string}
+ */
+function slug(text) {
+    return text.toLowerCase().replace(removeRegex, '').replace(/ /g, '-');
+}
+
+/**
+ * Slugs for the headings of one document: repeated slugs get -1, -2, ...
+ * suffixes, skipping IDs already taken
+ */
+class Slugger {
+    constructor() {
+        this.occurrences = new Map();
+    }
+
+    /**
+     * Unique slug for the next heading
+     * @param {string} text - Plain heading text
+     * @returns {string}
+     */
+    slug(text) {
+        const base = slug(text);
+        let result = base;
+
+        while (this.occurrences.has(result)) {
+            const count = this.occurrences.get(base) + 1;
+            this.occurrences.set(base, count);
+            result = `${base}-${count}`;
+        }
+
+        this.occurrences.set(result, 0);
+        return result;
+    }
+}
+
+module.exports = {
+    slug,
+    Slugger
+};
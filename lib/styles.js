@@ -19,6 +19,11 @@ const themes = {
         --file-info-color: #666;
         --mermaid-btn-bg: rgba(52, 73, 94, 0.8);
         --mermaid-btn-hover: rgba(52, 73, 94, 1);
+        --alert-note-color: #3498db;
+        --alert-tip-color: #27ae60;
+        --alert-important-color: #8e44ad;
+        --alert-warning-color: #e67e22;
+        --alert-caution-color: #e74c3c;
     `,
     dark: `
         --bg-color: #1a1a1a;
@@ -36,6 +41,11 @@ const themes = {
         --file-info-color: #abb2bf;
         --mermaid-btn-bg: rgba(97, 175, 239, 0.8);
         --mermaid-btn-hover: rgba(97, 175, 239, 1);
+        --alert-note-color: #61afef;
+        --alert-tip-color: #98c379;
+        --alert-important-color: #c678dd;
+        --alert-warning-color: #e5c07b;
+        --alert-caution-color: #e06c75;
     `,
     github: `
         --bg-color: #ffffff;
@@ -53,6 +63,11 @@ const themes = {
         --file-info-color: #586069;
         --mermaid-btn-bg: rgba(3, 102, 214, 0.8);
         --mermaid-btn-hover: rgba(3, 102, 214, 1);
+        --alert-note-color: #0969da;
+        --alert-tip-color: #1a7f37;
+        --alert-important-color: #8250df;
+        --alert-warning-color: #9a6700;
+        --alert-caution-color: #cf222e;
     `,
     'github-dark': `
         --bg-color: #0d1117;
@@ -70,6 +85,11 @@ const themes = {
         --file-info-color: #8b949e;
         --mermaid-btn-bg: rgba(88, 166, 255, 0.8);
         --mermaid-btn-hover: rgba(88, 166, 255, 1);
+        --alert-note-color: #4493f8;
+        --alert-tip-color: #3fb950;
+        --alert-important-color: #ab7df8;
+        --alert-warning-color: #d29922;
+        --alert-caution-color: #f85149;
     `,
     dracula: `
         --bg-color: #282a36;
@@ -87,6 +107,11 @@ const themes = {
         --file-info-color: #6272a4;
         --mermaid-btn-bg: rgba(189, 147, 249, 0.8);
         --mermaid-btn-hover: rgba(189, 147, 249, 1);
+        --alert-note-color: #8be9fd;
+        --alert-tip-color: #50fa7b;
+        --alert-important-color: #bd93f9;
+        --alert-warning-color: #ffb86c;
+        --alert-caution-color: #ff5555;
     `,
     nord: `
         --bg-color: #2e3440;
@@ -104,6 +129,11 @@ const themes = {
         --file-info-color: #d8dee9;
         --mermaid-btn-bg: rgba(136, 192, 208, 0.8);
         --mermaid-btn-hover: rgba(136, 192, 208, 1);
+        --alert-note-color: #81a1c1;
+        --alert-tip-color: #a3be8c;
+        --alert-important-color: #b48ead;
+        --alert-warning-color: #ebcb8b;
+        --alert-caution-color: #bf616a;
     `,
     'solarized-light': `
         --bg-color: #fdf6e3;
@@ -121,6 +151,11 @@ const themes = {
         --file-info-color: #839496;
         --mermaid-btn-bg: rgba(38, 139, 210, 0.8);
         --mermaid-btn-hover: rgba(38, 139, 210, 1);
+        --alert-note-color: #268bd2;
+        --alert-tip-color: #859900;
+        --alert-important-color: #6c71c4;
+        --alert-warning-color: #b58900;
+        --alert-caution-color: #dc322f;
     `,
     'solarized-dark': `
         --bg-color: #002b36;
@@ -138,6 +173,11 @@ const themes = {
         --file-info-color: #657b83;
         --mermaid-btn-bg: rgba(38, 139, 210, 0.8);
         --mermaid-btn-hover: rgba(38, 139, 210, 1);
+        --alert-note-color: #268bd2;
+        --alert-tip-color: #859900;
+        --alert-important-color: #6c71c4;
+        --alert-warning-color: #b58900;
+        --alert-caution-color: #dc322f;
     `,
     monokai: `
         --bg-color: #272822;
@@ -155,6 +195,11 @@ const themes = {
         --file-info-color: #75715e;
         --mermaid-btn-bg: rgba(102, 217, 239, 0.8);
         --mermaid-btn-hover: rgba(102, 217, 239, 1);
+        --alert-note-color: #66d9ef;
+        --alert-tip-color: #a6e22e;
+        --alert-important-color: #ae81ff;
+        --alert-warning-color: #fd971f;
+        --alert-caution-color: #f92672;
     `,
     'one-dark': `
         --bg-color: #282c34;
@@ -172,6 +217,11 @@ const themes = {
         --file-info-color: #5c6370;
         --mermaid-btn-bg: rgba(97, 175, 239, 0.8);
         --mermaid-btn-hover: rgba(97, 175, 239, 1);
+        --alert-note-color: #61afef;
+        --alert-tip-color: #98c379;
+        --alert-important-color: #c678dd;
+        --alert-warning-color: #e5c07b;
+        --alert-caution-color: #e06c75;
     `
 };
 
@@ -570,8 +620,363 @@ function getBaseStyles() {
     `;
 }
 
+// Themes whose Mermaid diagrams are drawn for a dark background
+const darkThemes = ['dark', 'github-dark', 'dracula', 'nord', 'solarized-dark', 'monokai', 'one-dark'];
+
+/**
+ * Print mode: a light palette whatever the theme, no controls, link URLs
+ * after external links and no page breaks inside code blocks or diagrams.
+ * The table of contents is printed when its sidebar is open.
+ */
+function getPrintStyles() {
+    const darkDiagrams = darkThemes.map(theme => `html[data-theme="${theme}"] .mermaid svg`).join(',\n            ');
+
+    return `
+        @media print {
+            :root,
+            html[data-theme] {
+                ${themes.light}
+            }
+
+            body {
+                background: var(--bg-color);
+                color: var(--text-color);
+            }
+
+            .controls-trigger,
+            .controls,
+            .copy-file-btn,
+            .copy-btn,
+            .toc-toggle,
+            .heading-permalink,
+            .mermaid-fullscreen-btn,
+            .mermaid-export,
+            .search-container,
+            .help-trigger {
+                display: none !important;
+            }
+
+            .zoom-container {
+                padding: 0 !important;
+                min-height: 0;
+                transform: none !important;
+                width: auto !important;
+                height: auto !important;
+            }
+
+            pre,
+            .mermaid,
+            .math-block,
+            .markdown-alert,
+            table,
+            img {
+                break-inside: avoid;
+            }
+
+            h1, h2, h3, h4, h5, h6 {
+                break-after: avoid;
+            }
+
+            ${darkDiagrams} {
+                filter: invert(1) hue-rotate(180deg);
+            }
+
+            p {
+                orphans: 3;
+                widows: 3;
+            }
+
+            /* Code keeps its highlighting background, long lines wrap */
+            pre {
+                -webkit-print-color-adjust: exact;
+                print-color-adjust: exact;
+                white-space: pre-wrap;
+                overflow-wrap: anywhere;
+            }
+
+            pre code {
+                white-space: inherit;
+            }
+
+            .container a[href^="http"]::after {
+                content: " (" attr(href) ")";
+                font-size: 0.85em;
+                color: var(--file-info-color);
+                overflow-wrap: anywhere;
+            }
+
+            .toc-sidebar {
+                display: none !important;
+            }
+
+            body.toc-open .toc-sidebar.has-toc {
+                display: block !important;
+                position: static;
+                width: auto;
+                margin-bottom: 2em;
+                overflow: visible;
+                break-after: page;
+            }
+
+            .toc-sidebar a,
+            .toc-sidebar a.active {
+                border-left-color: transparent;
+                color: var(--text-color);
+                opacity: 1;
+            }
+        }
+    `;
+}
+
+/**
+ * Styles for the table of contents: the sidebar of document pages and the
+ * file overlay, and inline [[toc]] blocks
+ */
+function getTocStyles() {
+    return `
+        .toc-sidebar {
+            display: none;
+            width: 250px;
+            overflow-y: auto;
+            padding: 10px 0;
+            background: var(--bg-color);
+            font-family: var(--font-body);
+            font-size: 13px;
+            line-height: 1.4;
+        }
+
+        body.toc-open .toc-sidebar.has-toc {
+            display: block;
+        }
+
+        .toc-title {
+            padding: 0 10px 8px 10px;
+            font-size: 11px;
+            font-weight: 600;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+            color: var(--file-info-color);
+        }
+
+        .toc-sidebar ul,
+        .toc-inline ul {
+            list-style: none;
+            margin: 0;
+            padding-left: 12px;
+        }
+
+        .toc-sidebar > ul {
+            padding-left: 0;
+        }
+
+        .toc-sidebar a {
+            display: block;
+            padding: 3px 10px;
+            border-left: 2px solid transparent;
+            color: var(--text-color);
+            opacity: 0.7;
+            text-decoration: none;
+        }
+
+        .toc-sidebar a:hover {
+            opacity: 1;
+        }
+
+        .toc-sidebar a.active {
+            border-left-color: var(--link-color);
+            color: var(--link-color);
+            opacity: 1;
+        }
+
+        .toc-inline {
+            margin: 1em 0;
+            padding: 10px 20px;
+            border: 1px solid var(--border-color);
+            border-radius: 6px;
+        }
+
+        .toc-inline > ul {
+            padding-left: 0;
+        }
+
+        .toc-inline a {
+            color: var(--link-color);
+            text-decoration: none;
+        }
+    `;
+}
+
+/**
+ * Styles for the permalink shown when hovering a heading
+ */
+function getPermalinkStyles() {
+    return `
+        .heading-permalink {
+            margin-left: 0.4em;
+            font-size: 0.6em;
+            text-decoration: none;
+            vertical-align: middle;
+            opacity: 0;
+            transition: opacity 0.2s;
+        }
+
+        h1:hover .heading-permalink,
+        h2:hover .heading-permalink,
+        h3:hover .heading-permalink,
+        h4:hover .heading-permalink,
+        h5:hover .heading-permalink,
+        h6:hover .heading-permalink,
+        .heading-permalink:focus {
+            opacity: 0.6;
+        }
+
+        .heading-permalink:hover,
+        .heading-permalink.copied {
+            opacity: 1;
+        }
+
+        .heading-permalink.copied::after {
+            content: ' Copied!';
+            font-family: var(--font-body);
+            color: var(--file-info-color);
+        }
+    `;
+}
+
+/**
+ * Styles for GitHub-style alerts (> [!NOTE] ...). Their colours come from the
+ * --alert-* variables of each theme.
+ */
+function getAlertStyles() {
+    const themeColors = Object.entries(themes).map(([name, css]) => {
+        const variables = css.split('\n')
+            .filter(line => line.trim().startsWith('--alert-'))
+            .map(line => '            ' + line.trim());
+        const selector = name === 'light' ? ':root, [data-theme="light"]' : `[data-theme="${name}"]`;
+        return [`${selector} {`, ...variables, '        }'].join('\n');
+    }).join('\n\n        ');
+
+    return `
+        ${themeColors}
+
+        .markdown-alert {
+            --alert-color: var(--alert-note-color);
+            margin: 20px 0;
+            padding: 10px 16px;
+            border-left: 4px solid var(--alert-color);
+            border-radius: 0 6px 6px 0;
+            background: color-mix(in srgb, var(--alert-color) 8%, transparent);
+        }
+
+        .markdown-alert-tip { --alert-color: var(--alert-tip-color); }
+        .markdown-alert-important { --alert-color: var(--alert-important-color); }
+        .markdown-alert-warning { --alert-color: var(--alert-warning-color); }
+        .markdown-alert-caution { --alert-color: var(--alert-caution-color); }
+
+        .markdown-alert > :last-child {
+            margin-bottom: 0;
+        }
+
+        .markdown-alert-title {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            color: var(--alert-color);
+            font-weight: 600;
+            text-align: left;
+        }
+    `;
+}
+
+/**
+ * Styles for [[wiki links]] and the "Linked from" panel
+ */
+function getWikiLinkStyles() {
+    return `
+        .wiki-link-missing {
+            color: var(--code-color);
+            text-decoration: underline dotted;
+            cursor: help;
+        }
+
+        .backlinks {
+            margin-top: 40px;
+            padding-top: 15px;
+            border-top: 1px solid var(--border-color);
+            font-size: 0.9em;
+        }
+
+        .backlinks-title {
+            margin-bottom: 8px;
+            font-size: 0.8em;
+            font-weight: 600;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+            color: var(--file-info-color);
+        }
+
+        .backlinks ul {
+            margin: 0;
+            padding-left: 20px;
+        }
+
+        .backlink-path {
+            font-family: var(--font-code);
+            font-size: 0.85em;
+            color: var(--file-info-color);
+        }
+    `;
+}
+
+/**
+ * Styles for the SVG / PNG / copy buttons of rendered Mermaid diagrams,
+ * shown next to the fullscreen button when hovering a diagram. Colours fall
+ * back to the light theme's in diagram windows, which have no theme variables.
+ */
+function getDiagramExportStyles() {
+    return `
+        .mermaid-export {
+            position: absolute;
+            top: 10px;
+            right: 60px;
+            display: flex;
+            gap: 4px;
+            z-index: 10;
+            opacity: 0;
+            transition: opacity 0.3s;
+        }
+
+        .mermaid-container:hover .mermaid-export,
+        .mermaid-export:focus-within {
+            opacity: 1;
+        }
+
+        .mermaid-export button {
+            background: var(--mermaid-btn-bg, rgba(52, 73, 94, 0.8));
+            color: white;
+            border: none;
+            border-radius: 4px;
+            padding: 6px 8px;
+            cursor: pointer;
+            font-size: 12px;
+            font-family: var(--font-body, sans-serif);
+        }
+
+        .mermaid-export button:hover {
+            background: var(--mermaid-btn-hover, rgba(52, 73, 94, 1));
+        }
+    `;
+}
+
 module.exports = {
     themes,
+    darkThemes,
     typography,
-    getBaseStyles
+    getBaseStyles,
+    getPrintStyles,
+    getTocStyles,
+    getPermalinkStyles,
+    getAlertStyles,
+    getWikiLinkStyles,
+    getDiagramExportStyles
 };
\ No newline at end of file
@@ -7,6 +7,7 @@ const path = require('path');
 const readline = require('readline');
 const net = require('net');
 const ignore = require('ignore');
+const config = require('./config');
 
 /**
  * Recursively find markdown files in a directory
@@ -183,22 +184,24 @@ function formatSize(bytes) {
 /**
  * Load gitignore patterns from a directory
  * @param {string} baseDir - Base directory to search for .gitignore
+ * @param {Array<string>} ignoreFiles - Files with patterns to load (default: .gitignore)
  * @returns {object} - ignore instance with loaded patterns
  */
-function loadGitignore(baseDir) {
+function loadGitignore(baseDir, ignoreFiles = ['.gitignore']) {
     const ig = ignore();
 
     // Always ignore these patterns
     ig.add(['.git', 'node_modules']);
 
-    // Try to load .gitignore file
-    const gitignorePath = path.join(baseDir, '.gitignore');
-    if (fs.existsSync(gitignorePath)) {
-        try {
-            const gitignoreContent = fs.readFileSync(gitignorePath, 'utf-8');
-            ig.add(gitignoreContent);
-        } catch (e) {
-            // Ignore errors reading .gitignore
+    // Try to load the ignore files
+    for (const ignoreFile of ignoreFiles) {
+        const ignorePath = path.join(baseDir, ignoreFile);
+        if (fs.existsSync(ignorePath)) {
+            try {
+                ig.add(fs.readFileSync(ignorePath, 'utf-8'));
+            } catch (e) {
+                // Ignore errors reading ignore files
+            }
         }
     }
 
@@ -232,6 +235,87 @@ function matchesPattern(filePath, pattern) {
     return regex.test(fileName);
 }
 
+/**
+ * Get the MIME type for a file based on its extension
+ * @param {string} filePath - File path
+ * @returns {string} - MIME type (application/octet-stream if unknown)
+ */
+function getMimeType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return config.mimeTypes[ext] || 'application/octet-stream';
+}
+
+/**
+ * Check whether a URL is relative to the current document
+ * (no scheme, not protocol-relative, not root-absolute, not a bare fragment)
+ * @param {string} url - URL from a markdown link or image
+ * @returns {boolean}
+ */
+function isRelativeUrl(url) {
+    return Boolean(url) && !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url);
+}
+
+/**
+ * Resolve a relative URL against the directory of a document
+ * @param {string} documentPath - Path of the document, relative to the root
+ * @param {string} url - Relative URL (may contain ?query and #fragment)
+ * @returns {object|null} - { path, fragment } or null if it escapes the root
+ */
+function resolveRelativePath(documentPath, url) {
+    const [withoutFragment, ...fragmentParts] = url.split('#');
+    const fragment = fragmentParts.join('#');
+    let target = withoutFragment.split('?')[0];
+
+    try {
+        target = decodeURI(target);
+    } catch (e) {
+        // Keep the raw path if it is not valid percent-encoding
+    }
+
+    const baseDir = path.posix.dirname(documentPath.split(path.sep).join('/'));
+    const resolved = path.posix.normalize(path.posix.join(baseDir, target));
+
+    if (resolved.startsWith('..') || path.posix.isAbsolute(resolved)) {
+        return null;
+    }
+
+    return { path: resolved, fragment };
+}
+
+/**
+ * Encode a relative file path for use in a URL path, keeping '/' separators
+ */
+function encodeFilePath(filePath) {
+    return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Text content of an HTML fragment: tags removed, entities decoded
+ */
+function htmlToText(html) {
+    return String(html)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&nbsp;/g, '\u00a0')
+        .replace(/&amp;/g, '&');
+}
+
 module.exports = {
     findMarkdownFiles,
     promptPassword,
@@ -239,5 +323,11 @@ module.exports = {
     openInBrowser,
     formatSize,
     loadGitignore,
-    matchesPattern
+    matchesPattern,
+    getMimeType,
+    isRelativeUrl,
+    resolveRelativePath,
+    encodeFilePath,
+    escapeHtml,
+    htmlToText
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Machine-readable output formats for --validate (JSON, SARIF, JUnit, GitHub annotations)
+ */
+
+const path = require('path');
+const packageJson = require('../package.json');
+const { rules } = require('./validator');
+
+const formats = ['text', 'json', 'sarif', 'junit', 'github'];
+
+/**
+ * Paths in reports are relative to the working directory with '/' separators
+ */
+function reportPath(filePath) {
+    return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Plain JSON: the per-file results and totals from validateMarkdown
+ */
+function formatJson(results) {
+    return JSON.stringify({
+        files: results.files.map(file => ({ ...file, path: reportPath(file.path) })),
+        totalStats: results.totalStats
+    }, null, 2);
+}
+
+/**
+ * SARIF 2.1.0, as consumed by GitHub code scanning and most CI dashboards
+ */
+function formatSarif(results) {
+    const sarifLevels = { error: 'error', warning: 'warning', info: 'note' };
+    const sarifResults = [];
+
+    for (const file of results.files) {
+        for (const error of file.errors) {
+            const region = {};
+            if (error.line) region.startLine = error.line;
+            if (error.column) region.startColumn = error.column;
+
+            sarifResults.push({
+                ruleId: error.rule,
+                level: sarifLevels[error.severity] || 'error',
+                message: { text: error.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: reportPath(file.path) },
+                        ...(error.line ? { region } : {})
+                    }
+                }]
+            });
+        }
+    }
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'moremaid',
+                    version: packageJson.version,
+                    informationUri: packageJson.homepage,
+                    rules: Object.entries(rules).map(([id, description]) => ({
+                        id,
+                        shortDescription: { text: description }
+                    }))
+                }
+            },
+            results: sarifResults,
+            properties: { totalStats: results.totalStats }
+        }]
+    }, null, 2);
+}
+
+/**
+ * JUnit XML: one test case per file, one failure per error. Warnings and
+ * info go to the test case output so they don't fail the build.
+ */
+function formatJunit(results) {
+    const { filesChecked, filesWithErrors } = results.totalStats;
+    const testCases = results.files.map(file => {
+        const name = escapeXml(reportPath(file.path));
+        if (file.errors.length === 0) {
+            return `    <testcase classname="moremaid.validate" name="${name}"/>`;
+        }
+
+        const describe = (error) => {
+            const location = `${reportPath(file.path)}${error.line ? ':' + error.line : ''}${error.column ? ':' + error.column : ''}`;
+            return escapeXml(`[${error.severity}] ${location} ${error.message}`);
+        };
+        const failures = file.errors
+            .filter(error => error.severity === 'error')
+            .map(error => `      <failure type="${escapeXml(error.rule)}" message="${escapeXml(error.message)}">${describe(error)}</failure>`);
+        const notes = file.errors.filter(error => error.severity !== 'error').map(describe);
+        if (notes.length > 0) {
+            failures.push(`      <system-out>${notes.join('\n')}</system-out>`);
+        }
+        return `    <testcase classname="moremaid.validate" name="${name}">\n${failures.join('\n')}\n    </testcase>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="moremaid" tests="${filesChecked}" failures="${filesWithErrors}">`,
+        `  <testsuite name="moremaid validate" tests="${filesChecked}" failures="${filesWithErrors}" errors="0">`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+/**
+ * GitHub Actions workflow commands - shown as annotations on pull requests
+ */
+function formatGithub(results) {
+    const escapeData = (text) => String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    const escapeProperty = (text) => escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+    const commands = { error: 'error', warning: 'warning', info: 'notice' };
+    const lines = [];
+
+    for (const file of results.files) {
+        for (const error of file.errors) {
+            const properties = [`file=${escapeProperty(reportPath(file.path))}`];
+            if (error.line) properties.push(`line=${error.line}`);
+            if (error.column) properties.push(`col=${error.column}`);
+            properties.push(`title=${escapeProperty(error.rule)}`);
+
+            lines.push(`::${commands[error.severity] || 'error'} ${properties.join(',')}::${escapeData(error.message)}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Format validation results
+ * @param {object} results - Results from validateMarkdown
+ * @param {string} format - One of json, sarif, junit, github
+ * @returns {string}
+ */
+function formatReport(results, format) {
+    switch (format) {
+        case 'json':
+            return formatJson(results);
+        case 'sarif':
+            return formatSarif(results);
+        case 'junit':
+            return formatJunit(results);
+        case 'github':
+            return formatGithub(results);
+        default:
+            throw new Error(`Unknown format: ${format}. Use one of: ${formats.join(', ')}`);
+    }
+}
+
+module.exports = {
+    formats,
+    formatReport
+};
@@ -0,0 +1,170 @@
+/**
+ * Watch mode for --validate: keep results up to date as files change
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { DiskFS } = require('./virtual-fs');
+const { FileWatcher } = require('./watcher');
+const { validateMarkdownFile, findMarkdownFiles, summarizeResults, LinkTargets } = require('./validator');
+
+const markdownPattern = /\.md$/i;
+
+/**
+ * Validates a markdown file or folder once, then re-validates only what
+ * changes: edited files, and files whose links point at an added, changed
+ * or removed file. Emits 'update' with ({ results, changed }) after every
+ * run, where results has the shape returned by validateMarkdown.
+ */
+class ValidationWatcher extends EventEmitter {
+    /**
+     * @param {string} inputPath - Markdown file or directory
+     * @param {object} options - { debounceDelay, config }
+     *   config: project config (see loadProjectConfig)
+     */
+    constructor(inputPath, options = {}) {
+        super();
+        this.inputPath = path.resolve(inputPath);
+        this.options = options;
+        this.results = new Map();   // relative path → { path, errors, stats, linkedFiles }
+        this.pending = new Set();
+        this.removed = false;
+        this.running = Promise.resolve();
+        this.timer = null;
+        this.fileWatcher = null;
+    }
+
+    /**
+     * Run the initial validation and start watching
+     * @returns {Promise<ValidationWatcher>}
+     */
+    async start() {
+        if (!fs.existsSync(this.inputPath)) {
+            throw new Error(`File or directory not found: ${this.inputPath}`);
+        }
+
+        if (fs.statSync(this.inputPath).isDirectory()) {
+            this.rootPath = this.inputPath;
+            this.singleFile = null;
+        } else if (markdownPattern.test(this.inputPath)) {
+            this.rootPath = path.dirname(this.inputPath);
+            this.singleFile = path.basename(this.inputPath);
+        } else {
+            throw new Error(`Not a markdown file or directory: ${this.inputPath}`);
+        }
+
+        this.virtualFS = new DiskFS(this.rootPath);
+        this.linkTargets = new LinkTargets(this.virtualFS);
+
+        const files = this.singleFile
+            ? [this.singleFile]
+            : findMarkdownFiles(this.rootPath)
+                .map(file => path.relative(this.rootPath, file).split(path.sep).join('/'))
+                .filter(file => !this.isIgnored(file));
+        for (const file of files) {
+            await this.validateFile(file);
+        }
+        this.emit('update', { results: this.getResults(), changed: files });
+
+        this.fileWatcher = new FileWatcher(this.rootPath, {
+            debounceDelay: this.options.debounceDelay,
+            scanner: this.virtualFS.scanner
+        }).start();
+        this.fileWatcher.on('all', (event, file) => this.queue(event, file));
+        this.fileWatcher.on('error', (err) => this.emit('error', err));
+        // Files are known once scanned, so that deleting one is reported
+        await this.fileWatcher.ready;
+
+        return this;
+    }
+
+    /**
+     * Stop watching
+     */
+    close() {
+        clearTimeout(this.timer);
+        if (this.fileWatcher) {
+            this.fileWatcher.close();
+        }
+    }
+
+    /**
+     * Current results: files in path order and their totals
+     */
+    getResults() {
+        const files = [...this.results.keys()].sort().map(file => {
+            const { linkedFiles, ...result } = this.results.get(file);
+            return result;
+        });
+        return { files, totalStats: summarizeResults(files) };
+    }
+
+    /**
+     * Collect events - a save or checkout often touches several files at once
+     */
+    queue(event, file) {
+        this.linkTargets.invalidate(file);
+
+        const isValidated = this.singleFile
+            ? file === this.singleFile
+            : markdownPattern.test(file) && !this.isIgnored(file);
+        if (event === 'unlink' && isValidated) {
+            this.results.delete(file);
+            this.removed = true;
+        } else if (isValidated) {
+            this.pending.add(file);
+        }
+
+        // Files linking to it may have become broken or fixed
+        for (const [source, result] of this.results) {
+            if (result.linkedFiles.some(target => target === file || file.startsWith(target.replace(/\/?$/, '/')))) {
+                this.pending.add(source);
+            }
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.running = this.running.then(() => this.run());
+        }, this.options.debounceDelay || 100);
+    }
+
+    async run() {
+        const changed = [...this.pending];
+        const removed = this.removed;
+        this.pending.clear();
+        this.removed = false;
+        if (changed.length === 0 && !removed) return;
+
+        for (const file of changed) {
+            if (fs.existsSync(path.join(this.rootPath, file))) {
+                await this.validateFile(file);
+            }
+        }
+        this.emit('update', { results: this.getResults(), changed });
+    }
+
+    isIgnored(file) {
+        const { config } = this.options;
+        return Boolean(config) && config.isIgnored(path.relative(config.root, path.join(this.rootPath, file)));
+    }
+
+    async validateFile(file) {
+        const validation = await validateMarkdownFile(file, {
+            virtualFS: this.virtualFS,
+            linkTargets: this.linkTargets,
+            config: this.options.config
+        });
+
+        this.results.set(file, {
+            path: path.join(this.rootPath, file),
+            errors: validation.errors,
+            stats: validation.stats,
+            linkedFiles: validation.linkedFiles
+        });
+    }
+}
+
+module.exports = {
+    ValidationWatcher
+};
@@ -5,185 +5,518 @@
 const fs = require('fs');
 const path = require('path');
 const { marked } = require('marked');
+const config = require('./config');
+const { isRelativeUrl, resolveRelativePath } = require('./utils');
+const { DiskFS } = require('./virtual-fs');
+const { headingId, getHeadingIds } = require('./html-generator');
+const { findMath, checkMath } = require('./math');
+
+/**
+ * Rules reported by the validator or applied by --fix (rule ID → description)
+ */
+const rules = {
+    'file/read': 'File cannot be read',
+    'markdown/parse': 'Markdown fails to parse',
+    'mermaid/empty': 'Mermaid block is empty',
+    'mermaid/unknown-diagram': 'Mermaid diagram type is missing or unknown',
+    'mermaid/syntax': 'Mermaid diagram fails to parse',
+    'mermaid/fence': 'Code block language is Mermaid in the wrong case, so it is not rendered (--fix only)',
+    'link/broken': 'Relative link points to a file that does not exist',
+    'link/image': 'Image file does not exist',
+    'link/anchor': 'Link #fragment does not match a heading in the target document',
+    'math/syntax': 'LaTeX math fails to parse'
+};
 
 /**
  * Extract Mermaid code blocks from markdown
+ * lineNumber is the line of the opening fence, contentLine the line the
+ * diagram source starts on. Fences indented inside lists have that
+ * indentation removed from their content (as markdown renderers do);
+ * indent records how much so positions map back.
  */
 function extractMermaidBlocks(markdown) {
     const blocks = [];
-    const regex = /```mermaid\n([\s\S]*?)```/g;
+    const regex = /^([ \t]*)```mermaid[ \t]*\r?\n([\s\S]*?)```/gm;
     let match;
 
     while ((match = regex.exec(markdown)) !== null) {
+        const indent = match[1].length;
+        const lineNumber = markdown.substring(0, match.index).split('\n').length;
+        const content = match[2]
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(line => line.replace(new RegExp(`^[ \\t]{0,${indent}}`), ''))
+            .join('\n');
+
         blocks.push({
-            content: match[1].trim(),
+            content,
             startPos: match.index,
-            lineNumber: markdown.substring(0, match.index).split('\n').length
+            lineNumber,
+            contentLine: lineNumber + 1,
+            indent
         });
     }
 
     return blocks;
 }
 
+// Mermaid strips front matter, directives and comment lines before parsing
+// (same patterns as mermaid's preprocessing)
+const frontMatterRegex = /^-{3}\s*[\n\r](.*?)[\n\r]-{3}\s*[\n\r]+/s;
+const directiveRegex = /%{2}{\s*(?:(\w+)\s*:|(\w+))\s*(?:(\w+)|((?:(?!}%{2}).|\r?\n)*))?\s*(?:}%{2})?/gi;
+const commentLineRegex = /^[ \t]*%%(?!{)[^\n]*$/gm;
+
+let mermaidPromise = null;
+
 /**
- * Validate Mermaid syntax
- * This performs basic syntax validation by checking for common issues
+ * Load the bundled Mermaid library into a headless DOM (once)
  */
-function validateMermaid(mermaidCode, lineNumber) {
-    const errors = [];
-    const lines = mermaidCode.split('\n');
+function loadMermaid() {
+    if (!mermaidPromise) {
+        mermaidPromise = Promise.resolve().then(() => {
+            const { JSDOM, VirtualConsole } = require('jsdom');
+            const { readAsset } = require('./assets');
+
+            // Mermaid's own console output would clutter validation results
+            const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+                runScripts: 'outside-only',
+                pretendToBeVisual: true,
+                virtualConsole: new VirtualConsole()
+            });
+            dom.window.structuredClone = structuredClone;
+            dom.window.eval(readAsset('mermaid.min.js'));
+
+            const mermaid = dom.window.mermaid;
+            mermaid.initialize({ startOnLoad: false, logLevel: 'fatal' });
+            return mermaid;
+        });
+    }
+    return mermaidPromise;
+}
+
+/**
+ * Prepare diagram source for the parser without moving anything: comments and
+ * directives are blanked out (not removed) so that the only text mermaid still
+ * strips is a leading prefix (front matter and leading whitespace)
+ * @returns {object} - { text, prefixLength }
+ */
+function prepareDiagram(code) {
+    const text = code
+        // Mermaid normalizes attribute quotes in HTML labels - same length, done here
+        // so error context in messages matches the source
+        .replace(/<(\w+)([^>]*)>/g, (match, tag, attributes) => '<' + tag + attributes.replace(/="([^"]*)"/g, "='$1'") + '>')
+        .replace(directiveRegex, match => match.replace(/[^\n]/g, ' '))
+        .replace(commentLineRegex, match => ' '.repeat(match.length));
+
+    const frontMatter = text.match(frontMatterRegex);
+    let prefixLength = frontMatter ? frontMatter[0].length : 0;
+    const rest = text.substring(prefixLength);
+    prefixLength += rest.length - rest.trimStart().length;
+
+    return { text, prefixLength };
+}
 
-    // Check if it's empty
+/**
+ * Find where a parse/lexical error occurred. Mermaid's (jison) error messages
+ * show up to 20 characters consumed before the failing token - with newlines
+ * removed - above a caret line; match that context against the source.
+ * @param {string} source - Text the parser saw
+ * @param {string} message - Error message
+ * @param {number} reportedLine - Line from the message (1-based), used to pick between matches
+ * @returns {number|null} - Offset of the failing token in source
+ */
+function findErrorOffset(source, message, reportedLine) {
+    const lines = message.split('\n');
+    const caretIndex = lines.findIndex(line => /^-*\^$/.test(line));
+    if (caretIndex < 1) return null;
+
+    let context = lines[caretIndex - 1].substring(0, lines[caretIndex].length - 1);
+    const truncated = context.startsWith('...');
+    if (truncated) context = context.substring(3);
+
+    // Source without newlines, remembering where each character came from
+    let flat = '';
+    const offsets = [];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] !== '\n') {
+            flat += source[i];
+            offsets.push(i);
+        }
+    }
+
+    const offsetAfter = (flatEnd) => flatEnd === 0 ? 0 : offsets[flatEnd - 1] + 1;
+    if (!truncated) {
+        return flat.startsWith(context) ? offsetAfter(context.length) : null;
+    }
+
+    // The context may occur more than once - take the one closest to the reported line
+    let best = null;
+    let bestDistance = Infinity;
+    for (let index = flat.indexOf(context); index !== -1; index = flat.indexOf(context, index + 1)) {
+        const offset = offsetAfter(index + context.length);
+        const line = source.substring(0, offset).split('\n').length;
+        const distance = Math.abs(line - reportedLine);
+        if (distance < bestDistance) {
+            best = offset;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Turn mermaid's multi-line error message into a single line
+ */
+function formatParseError(message) {
+    const lines = message.split('\n');
+    const summary = lines[0]
+        .replace(/ on line \d+[:.]?\s*/, ': ')
+        .replace(/[:\s]+$/, '');
+    const caretIndex = lines.findIndex(line => /^-*\^$/.test(line));
+    const details = caretIndex !== -1 ? lines.slice(caretIndex + 1).join(' ').trim() : '';
+
+    return details ? `${summary}: ${details}` : summary;
+}
+
+/**
+ * Validate Mermaid syntax by running the actual Mermaid parser
+ * @param {string} mermaidCode - Diagram source
+ * @param {number} lineNumber - Line in the markdown file the diagram starts on
+ * @param {number} indent - Indentation removed from each line of the diagram
+ * @param {object} options - { diagramTypes }
+ *   diagramTypes: extra diagram types to accept (unvalidated) when the bundled Mermaid does not know them
+ * @returns {Promise<Array>} - Errors with line and column in the markdown file
+ */
+async function validateMermaid(mermaidCode, lineNumber, indent = 0, options = {}) {
     if (mermaidCode.trim().length === 0) {
-        errors.push({
+        return [{
+            rule: 'mermaid/empty',
             line: lineNumber,
+            column: indent + 1,
             message: 'Empty Mermaid block'
-        });
-        return errors;
+        }];
     }
 
-    // Check for diagram type declaration (first line)
-    const firstLine = lines[0].trim();
-    const validTypes = [
-        'graph', 'flowchart', 'sequenceDiagram', 'classDiagram',
-        'stateDiagram', 'stateDiagram-v2', 'erDiagram', 'journey',
-        'gantt', 'pie', 'quadrantChart', 'requirementDiagram',
-        'gitGraph', 'mindmap', 'timeline', 'zenuml', 'sankey-beta'
-    ];
-
-    const hasValidType = validTypes.some(type => firstLine.startsWith(type));
-    if (!hasValidType) {
-        errors.push({
-            line: lineNumber,
-            message: `Unknown or missing diagram type. First line: "${firstLine}"`
-        });
+    const { text, prefixLength } = prepareDiagram(mermaidCode);
+    const mermaid = await loadMermaid();
+
+    try {
+        await mermaid.parse(text);
+        return [];
+    } catch (error) {
+        const message = String(error.message || error);
+        const source = text.substring(prefixLength);
+        const lineMatch = message.match(/ on line (\d+)/);
+        const errorOffset = findErrorOffset(source, message, lineMatch ? parseInt(lineMatch[1], 10) : 1);
+
+        // Errors without a position (e.g. unknown diagram type) point at the diagram start
+        const offset = prefixLength + (errorOffset !== null ? errorOffset : 0);
+        const before = text.substring(0, offset).split('\n');
+
+        if (error.name === 'UnknownDiagramError') {
+            const diagramType = source.trimStart().split(/[\s{;]/)[0];
+            if ((options.diagramTypes || []).includes(diagramType)) {
+                return [];
+            }
+        }
+
+        return [{
+            rule: error.name === 'UnknownDiagramError' ? 'mermaid/unknown-diagram' : 'mermaid/syntax',
+            line: lineNumber + before.length - 1,
+            column: indent + before[before.length - 1].length + 1,
+            message: formatParseError(message)
+        }];
     }
+}
+
+/**
+ * Extract links and images from markdown with their positions: inline links,
+ * reference definitions and src/href attributes of raw HTML. Code blocks and
+ * code spans are skipped.
+ * @returns {Array} - { url, isImage, line, column }
+ */
+function extractLinks(markdown) {
+    const links = [];
+    const inlineRegex = /(!?)\[(?:[^[\]]|\[[^\]]*\])*\]\(\s*<?([^\s)>]+)>?(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+    const definitionRegex = /^ {0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?/;
+    const htmlRegex = /<(img|source|video|audio|a)\b[^>]*?\s(src|href)\s*=\s*["']([^"']+)["']/gi;
+    let fence = null;
+
+    markdown.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = index + 1;
+        const fenceMatch = rawLine.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+            return;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            return;
+        }
 
-    // Check for unmatched brackets/braces
-    const brackets = { '(': ')', '[': ']', '{': '}' };
-    const stack = [];
-
-    for (let i = 0; i < mermaidCode.length; i++) {
-        const char = mermaidCode[i];
-        if (brackets[char]) {
-            stack.push({ char: brackets[char], pos: i });
-        } else if (Object.values(brackets).includes(char)) {
-            if (stack.length === 0 || stack[stack.length - 1].char !== char) {
-                const lineNum = mermaidCode.substring(0, i).split('\n').length;
-                errors.push({
-                    line: lineNumber + lineNum - 1,
-                    message: `Unmatched closing bracket '${char}'`
-                });
-            } else {
-                stack.pop();
+        // Blank out code spans without moving anything
+        const text = rawLine.replace(/(`+)[^`]+?\1/g, match => ' '.repeat(match.length));
+        let match;
+
+        while ((match = inlineRegex.exec(text)) !== null) {
+            links.push({ url: match[2], isImage: match[1] === '!', line, column: match.index + 1 });
+        }
+
+        const definition = text.match(definitionRegex);
+        if (definition) {
+            links.push({ url: definition[1], isImage: false, line, column: text.indexOf(definition[1]) + 1 });
+        }
+
+        while ((match = htmlRegex.exec(text)) !== null) {
+            links.push({ url: match[3], isImage: match[1].toLowerCase() !== 'a', line, column: match.index + 1 });
+        }
+    });
+
+    return links;
+}
+
+/**
+ * Anchors a document provides: heading IDs (as generateHtmlFromMarkdown renders
+ * them) plus id/name attributes of raw HTML
+ */
+function getAnchors(markdown) {
+    const anchors = getHeadingIds(markdown);
+    const attributeRegex = /<[a-z][^>]*?\s(?:id|name)\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = attributeRegex.exec(markdown)) !== null) {
+        anchors.add(match[1]);
+    }
+    return anchors;
+}
+
+/**
+ * Look up link targets. Targets are resolved inside the VirtualFS; on disk,
+ * links may also leave the validated folder (archives are self-contained).
+ */
+class LinkTargets {
+    constructor(virtualFS) {
+        this.virtualFS = virtualFS;
+        this.anchors = new Map();
+        this.directories = null;
+    }
+
+    /**
+     * Resolve a link from a document
+     * @returns {object|null} - { path, fragment, onDisk } or null if it leaves an archive
+     */
+    resolve(documentPath, url) {
+        const resolved = resolveRelativePath(documentPath, url);
+        if (resolved) return resolved;
+        if (this.virtualFS.isVirtual()) return null;
+
+        const [withoutFragment, ...fragmentParts] = url.split('#');
+        let targetPath = withoutFragment.split('?')[0];
+        try {
+            targetPath = decodeURI(targetPath);
+        } catch (e) {
+            // Keep the raw path if it is not valid percent-encoding
+        }
+        const documentDir = path.dirname(path.join(this.virtualFS.getBasePath(), documentPath));
+        return { path: path.resolve(documentDir, targetPath), fragment: fragmentParts.join('#'), onDisk: true };
+    }
+
+    async exists(target) {
+        if (target.onDisk) return fs.existsSync(target.path);
+        if (target.path === '.' || await this.virtualFS.exists(target.path)) return true;
+
+        // Links to folders (archives only list files)
+        if (!this.directories) {
+            this.directories = new Set();
+            for (const file of await this.virtualFS.listFiles('*')) {
+                const parts = file.split(/[\\/]/);
+                for (let i = 1; i < parts.length; i++) {
+                    this.directories.add(parts.slice(0, i).join('/'));
+                }
             }
         }
+        return this.directories.has(target.path.replace(/\/+$/, ''));
     }
 
-    if (stack.length > 0) {
-        errors.push({
-            line: lineNumber,
-            message: `${stack.length} unclosed bracket(s)`
-        });
+    /**
+     * Forget what is known about a file (it was added, changed or removed)
+     */
+    invalidate(filePath) {
+        this.anchors.delete(filePath);
+        this.directories = null;
     }
 
-    // Check for common syntax issues
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        const currentLine = lineNumber + i;
-
-        // Skip empty lines and comments
-        if (line.length === 0 || line.startsWith('%%')) continue;
-
-        // Check for arrows in flowcharts without proper syntax
-        if (firstLine.startsWith('flowchart') || firstLine.startsWith('graph')) {
-            // Check for node definitions without proper syntax
-            if (line.includes('-->') && !line.match(/\w+\s*-->|--+>|--+\|.+\|--+>/)) {
-                errors.push({
-                    line: currentLine,
-                    message: 'Possible malformed arrow syntax'
-                });
+    async getAnchors(target) {
+        const key = (target.onDisk ? 'disk:' : '') + target.path;
+        if (!this.anchors.has(key)) {
+            const markdown = target.onDisk
+                ? fs.readFileSync(target.path, 'utf-8')
+                : await this.virtualFS.readFile(target.path);
+            this.anchors.set(key, getAnchors(markdown));
+        }
+        return this.anchors.get(key);
+    }
+}
+
+/**
+ * Check relative links and images of a document, and #fragments against the
+ * headings of the target document
+ * @param {string} markdown - Markdown source
+ * @param {string} documentPath - Path of the document inside the VirtualFS
+ * @param {LinkTargets} targets - Link target lookup
+ * @returns {Promise<object>} - { errors, linksChecked, linkedFiles }
+ *   errors carry the link url, and a suggestion (corrected url) where one is certain
+ *   linkedFiles: paths (inside the VirtualFS) the document links to
+ */
+async function validateLinks(markdown, documentPath, targets) {
+    const errors = [];
+    const linkedFiles = new Set();
+    let linksChecked = 0;
+
+    for (const link of extractLinks(markdown)) {
+        const isFragment = link.url.startsWith('#');
+        if (!isFragment && !isRelativeUrl(link.url)) continue;
+        linksChecked++;
+
+        const error = (rule, message, suggestion) => errors.push({
+            rule,
+            line: link.line,
+            column: link.column,
+            message,
+            url: link.url,
+            ...(suggestion ? { suggestion } : {})
+        });
+        const target = isFragment
+            ? { path: documentPath, fragment: link.url.substring(1), self: true }
+            : targets.resolve(documentPath, link.url);
+
+        if (!target) {
+            error('link/broken', `Link points outside the archive: ${link.url}`);
+            continue;
+        }
+        if (!target.self && !target.onDisk) {
+            linkedFiles.add(target.path);
+        }
+        if (!target.self && !await targets.exists(target)) {
+            error(link.isImage ? 'link/image' : 'link/broken',
+                `${link.isImage ? 'Missing image' : 'Broken link'}: ${link.url}`);
+            continue;
+        }
+
+        if (target.fragment && !link.isImage && config.markdown.extensions.test(target.path)) {
+            let fragment = target.fragment;
+            try {
+                fragment = decodeURIComponent(fragment);
+            } catch (e) {
+                // Compare the raw fragment
             }
 
-            // Check for problematic characters in node labels
-            // Mermaid has issues with labels starting with special chars like / or containing unescaped special sequences
-            const nodeMatches = line.match(/(\w+)\[([^\]]+)\]/g);
-            if (nodeMatches) {
-                for (const match of nodeMatches) {
-                    const labelMatch = match.match(/\w+\[([^\]]+)\]/);
-                    if (labelMatch) {
-                        const label = labelMatch[1];
-
-                        // Check if label starts with forward slash (common issue)
-                        if (label.trim().startsWith('/')) {
-                            errors.push({
-                                line: currentLine,
-                                message: `Node label starts with '/': "${label.substring(0, 30)}..." - this may cause lexical errors`
-                            });
-                        }
-
-                        // Check for unbalanced HTML-like tags in labels
-                        const openBrTags = (label.match(/<br\/?>/gi) || []).length;
-                        const textBefore = label.split(/<br\/?>/i);
-                        if (textBefore.length > 1) {
-                            // Has <br> tags, check for potential issues
-                            for (let part of textBefore) {
-                                if (part.trim().startsWith('/') && !part.includes('\\')) {
-                                    errors.push({
-                                        line: currentLine,
-                                        message: `Path-like text after <br> may cause issues: "${part.trim().substring(0, 20)}..." - consider escaping or rephrasing`
-                                    });
-                                }
-                            }
-                        }
-
-                        // Check for potential regex/division ambiguity
-                        if (label.includes('/') && label.split('/').length > 2) {
-                            // Multiple slashes might be interpreted as division or regex
-                            const slashCount = (label.match(/\//g) || []).length;
-                            if (slashCount >= 2 && !label.includes('\\/')) {
-                                errors.push({
-                                    line: currentLine,
-                                    message: `Multiple unescaped slashes in label may cause parsing issues: "${label.substring(0, 30)}..."`
-                                });
-                            }
-                        }
-                    }
-                }
+            const anchors = target.self ? getAnchors(markdown) : await targets.getAnchors(target);
+            if (!anchors.has(fragment)) {
+                // Written as heading text or with different case: suggest the ID if only one fits
+                const candidates = [...anchors].filter(anchor =>
+                    anchor === headingId(fragment) || anchor.toLowerCase() === fragment.toLowerCase());
+                const suggestion = candidates.length === 1
+                    ? link.url.split('#')[0] + '#' + candidates[0]
+                    : null;
+
+                error('link/anchor', (target.self
+                    ? `No heading for anchor: #${fragment}`
+                    : `No heading for anchor #${fragment} in ${link.url.split('#')[0]}`) +
+                    (suggestion ? ` (did you mean #${candidates[0]}?)` : ''), suggestion);
             }
         }
     }
 
-    return errors;
+    return { errors, linksChecked, linkedFiles: [...linkedFiles] };
+}
+
+/**
+ * Validate the $...$ and $$...$$ math of a markdown document
+ * @param {string} markdown - Markdown source
+ * @returns {object} - { errors: [{ rule, line, column, message }], formulasChecked }
+ */
+function validateMath(markdown) {
+    const formulas = findMath(markdown);
+    const errors = [];
+
+    for (const formula of formulas) {
+        const error = checkMath(formula.tex, formula.displayMode);
+        if (!error) continue;
+
+        // Position of the error inside the formula, which may span lines
+        let { line, column } = formula;
+        if (error.offset !== null) {
+            const before = formula.tex.substring(0, error.offset).split('\n');
+            line += before.length - 1;
+            column = before.length === 1 ? column + error.offset : before[before.length - 1].length + 1;
+        }
+
+        errors.push({ rule: 'math/syntax', line, column, message: `Math error: ${error.message}` });
+    }
+
+    return { errors, formulasChecked: formulas.length };
 }
 
 /**
- * Validate a markdown file and its embedded Mermaid diagrams
- * @param {string} filePath - Path to the markdown file
- * @returns {object} Validation result with errors array and statistics
+ * Validate a markdown file, its embedded Mermaid diagrams, math and links
+ * @param {string} filePath - Path to the markdown file (relative to options.virtualFS if given)
+ * @param {object} options - { virtualFS, linkTargets, config }
+ *   virtualFS: folder or archive the file is read from; defaults to the file's folder on disk
+ *   linkTargets: link target lookup shared between the files of one run
+ *   config: project config (see loadProjectConfig) setting rule severities and diagram types
+ * @returns {Promise<object>} Validation result with errors array, statistics
+ *   and linkedFiles (paths inside the VirtualFS the file links to)
  */
-function validateMarkdownFile(filePath) {
+async function validateMarkdownFile(filePath, options = {}) {
     const errors = [];
+    let linkedFiles = [];
     const stats = {
         markdownErrors: 0,
         mermaidErrors: 0,
-        mermaidBlocksChecked: 0
+        mermaidBlocksChecked: 0,
+        linkErrors: 0,
+        linksChecked: 0,
+        mathErrors: 0,
+        mathChecked: 0,
+        warnings: 0,
+        infos: 0
     };
+    const projectConfig = options.config || null;
+
+    // Record an error with its configured severity - rules turned off are dropped
+    const report = (error, statKey) => {
+        const severity = projectConfig ? projectConfig.severity(error.rule) : 'error';
+        if (severity === 'off') return;
+
+        errors.push({ ...error, severity });
+        if (severity === 'error') {
+            if (statKey) stats[statKey]++;
+        } else {
+            stats[severity === 'warning' ? 'warnings' : 'infos']++;
+        }
+    };
+
+    let virtualFS = options.virtualFS;
+    if (!virtualFS) {
+        virtualFS = new DiskFS(path.dirname(filePath));
+        filePath = path.basename(filePath);
+    }
+    const linkTargets = options.linkTargets || new LinkTargets(virtualFS);
 
     try {
         // Read file
-        const content = fs.readFileSync(filePath, 'utf-8');
+        const content = await virtualFS.readFile(filePath);
 
         // Try to parse markdown with marked
         try {
             marked.parse(content);
         } catch (err) {
-            errors.push({
+            report({
                 type: 'markdown',
+                rule: 'markdown/parse',
                 line: null,
                 message: `Markdown parsing error: ${err.message}`
-            });
-            stats.markdownErrors++;
+            }, 'markdownErrors');
         }
 
         // Extract and validate Mermaid blocks
@@ -191,27 +524,56 @@ function validateMarkdownFile(filePath) {
         stats.mermaidBlocksChecked = mermaidBlocks.length;
 
         for (const block of mermaidBlocks) {
-            const mermaidErrors = validateMermaid(block.content, block.lineNumber);
+            const mermaidErrors = await validateMermaid(block.content, block.contentLine, block.indent, {
+                diagramTypes: projectConfig ? projectConfig.diagramTypes : []
+            });
 
             for (const error of mermaidErrors) {
-                errors.push({
+                report({
                     type: 'mermaid',
+                    rule: error.rule,
                     line: error.line,
+                    column: error.column,
                     message: error.message
-                });
-                stats.mermaidErrors++;
+                }, 'mermaidErrors');
             }
         }
 
+        // Check $...$ and $$...$$ math
+        const math = validateMath(content);
+        stats.mathChecked = math.formulasChecked;
+
+        for (const error of math.errors) {
+            report({ type: 'math', ...error }, 'mathErrors');
+        }
+
+        // Check relative links, images and anchors
+        const links = await validateLinks(content, filePath, linkTargets);
+        stats.linksChecked = links.linksChecked;
+        linkedFiles = links.linkedFiles;
+
+        for (const error of links.errors) {
+            report({
+                type: 'link',
+                rule: error.rule,
+                line: error.line,
+                column: error.column,
+                message: error.message
+            }, 'linkErrors');
+        }
+
     } catch (err) {
-        errors.push({
+        report({
             type: 'file',
+            rule: 'file/read',
             line: null,
             message: `Cannot read file: ${err.message}`
         });
     }
 
-    return { errors, stats };
+    errors.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+
+    return { errors, stats, linkedFiles };
 }
 
 /**
@@ -242,20 +604,47 @@ function findMarkdownFiles(dir) {
 }
 
 /**
- * Validate markdown files (single file or directory)
- * @param {string} inputPath - Path to file or directory
- * @returns {object} Overall validation results
+ * Add up the statistics of validated files. Only files with issues of
+ * severity 'error' count as files with errors.
+ * @param {Array} files - { path, errors, stats } per file
+ * @returns {object} - totalStats
+ */
+function summarizeResults(files) {
+    const totalStats = {
+        filesChecked: files.length,
+        filesWithErrors: files.filter(file => file.errors.some(error => error.severity === 'error')).length,
+        markdownErrors: 0,
+        mermaidErrors: 0,
+        mermaidBlocksChecked: 0,
+        linkErrors: 0,
+        linksChecked: 0,
+        mathErrors: 0,
+        mathChecked: 0,
+        warnings: 0,
+        infos: 0
+    };
+
+    for (const file of files) {
+        for (const key of ['markdownErrors', 'mermaidErrors', 'mermaidBlocksChecked', 'linkErrors', 'linksChecked', 'mathErrors', 'mathChecked', 'warnings', 'infos']) {
+            totalStats[key] += file.stats[key];
+        }
+    }
+
+    return totalStats;
+}
+
+/**
+ * Validate markdown files (single file, directory or .moremaid/.zip archive)
+ * @param {string} inputPath - Path to file, directory or archive
+ * @param {object} options - { config }
+ *   config: project config (see loadProjectConfig) - rule severities, diagram types and ignored paths
+ * @returns {Promise<object>} Overall validation results
  */
-function validateMarkdown(inputPath) {
+async function validateMarkdown(inputPath, options = {}) {
+    const projectConfig = options.config || null;
     const results = {
         files: [],
-        totalStats: {
-            filesChecked: 0,
-            filesWithErrors: 0,
-            markdownErrors: 0,
-            mermaidErrors: 0,
-            mermaidBlocksChecked: 0
-        }
+        totalStats: summarizeResults([])
     };
 
     // Check if input exists
@@ -263,49 +652,71 @@ function validateMarkdown(inputPath) {
         throw new Error(`File or directory not found: ${inputPath}`);
     }
 
-    // Determine if input is a file or directory
+    // Determine if input is a file, directory or archive. Files are validated
+    // by their path inside virtualFS and reported as rootPath + that path.
     const stat = fs.statSync(inputPath);
+    let virtualFS;
+    let rootPath;
     let files = [];
 
     if (stat.isDirectory()) {
-        files = findMarkdownFiles(inputPath);
+        virtualFS = new DiskFS(inputPath);
+        rootPath = inputPath;
+        files = findMarkdownFiles(inputPath).map(file => path.relative(inputPath, file));
+    } else if (config.archive.supportedExtensions.test(inputPath)) {
+        const { handleZipFile } = require('./archive-handler');
+        const archive = await handleZipFile(inputPath, { quiet: true });
+        if (!archive) {
+            throw new Error(`Cannot open archive: ${inputPath}`);
+        }
+        virtualFS = archive.virtualFS;
+        rootPath = inputPath;
+        files = await virtualFS.listFiles('*.md');
     } else if (inputPath.match(/\.md$/i)) {
-        files = [inputPath];
+        virtualFS = new DiskFS(path.dirname(inputPath));
+        rootPath = path.dirname(inputPath);
+        files = [path.basename(inputPath)];
     } else {
-        throw new Error(`Not a markdown file or directory: ${inputPath}`);
+        throw new Error(`Not a markdown file, directory or archive: ${inputPath}`);
     }
 
-    if (files.length === 0) {
-        return results; // No files to validate
+    // Ignore globs are relative to the project root on disk, or to the archive root
+    if (projectConfig) {
+        const isArchive = virtualFS.isVirtual();
+        files = files.filter(file => !projectConfig.isIgnored(isArchive ? file : path.relative(projectConfig.root, path.join(rootPath, file))));
     }
 
-    // Validate each file
-    for (const file of files) {
-        results.totalStats.filesChecked++;
-        const validation = validateMarkdownFile(file);
-
-        results.files.push({
-            path: file,
-            errors: validation.errors,
-            stats: validation.stats
-        });
+    const linkTargets = new LinkTargets(virtualFS);
 
-        if (validation.errors.length > 0) {
-            results.totalStats.filesWithErrors++;
+    try {
+        // Validate each file
+        for (const file of files) {
+            const validation = await validateMarkdownFile(file, { virtualFS, linkTargets, config: projectConfig });
+
+            results.files.push({
+                path: path.join(rootPath, file),
+                errors: validation.errors,
+                stats: validation.stats
+            });
         }
-
-        results.totalStats.markdownErrors += validation.stats.markdownErrors;
-        results.totalStats.mermaidErrors += validation.stats.mermaidErrors;
-        results.totalStats.mermaidBlocksChecked += validation.stats.mermaidBlocksChecked;
+        results.totalStats = summarizeResults(results.files);
+    } finally {
+        await virtualFS.close();
     }
 
     return results;
 }
 
 module.exports = {
+    rules,
     extractMermaidBlocks,
+    extractLinks,
     validateMermaid,
+    validateLinks,
+    validateMath,
     validateMarkdownFile,
     findMarkdownFiles,
-    validateMarkdown
+    summarizeResults,
+    validateMarkdown,
+    LinkTargets
 };
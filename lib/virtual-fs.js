@@ -4,8 +4,10 @@
 
 const fs = require('fs');
 const path = require('path');
-const { BlobWriter } = require('@zip.js/zip.js');
-const { loadGitignore, matchesPattern } = require('./utils');
+const { Readable } = require('stream');
+const { Reader, Uint8ArrayWriter } = require('@zip.js/zip.js');
+const { matchesPattern } = require('./utils');
+const { DirectoryScanner } = require('./scanner');
 
 /**
  * LRU Cache implementation for file contents
@@ -34,6 +36,11 @@ class LRUCache {
     }
 
     set(key, value, size) {
+        // Larger than the whole cache: keep what is cached instead
+        if (size > this.maxSize) {
+            return;
+        }
+
         // Remove if already exists
         if (this.cache.has(key)) {
             const existing = this.cache.get(key);
@@ -60,6 +67,15 @@ class LRUCache {
         this.currentSize += size;
     }
 
+    delete(key) {
+        const item = this.cache.get(key);
+        if (!item) return;
+
+        this.currentSize -= item.size;
+        this.cache.delete(key);
+        this.accessOrder.splice(this.accessOrder.indexOf(key), 1);
+    }
+
     clear() {
         this.cache.clear();
         this.accessOrder = [];
@@ -80,7 +96,12 @@ class LRUCache {
  * Base class for Virtual File Systems
  */
 class VirtualFS {
-    async readFile(filePath) {
+    /**
+     * Read a file
+     * @param {string} filePath - Path relative to the root
+     * @param {string|null} encoding - Text encoding, or null for a binary Buffer
+     */
+    async readFile(filePath, encoding = 'utf-8') {
         throw new Error('readFile must be implemented');
     }
 
@@ -88,14 +109,39 @@ class VirtualFS {
         throw new Error('exists must be implemented');
     }
 
-    listMarkdownFiles() {
-        throw new Error('listMarkdownFiles must be implemented');
+    async listMarkdownFiles() {
+        return this.listFiles('*.md');
     }
 
-    listFiles(filter = '*.md') {
+    /**
+     * Paths of the files matching a filter, sorted
+     * @param {string} filter - Glob pattern (*.md or *)
+     * @returns {Promise<Array<string>>}
+     */
+    async listFiles(filter = '*.md') {
         throw new Error('listFiles must be implemented');
     }
 
+    /**
+     * Modification time and size of a file, to tell whether it changed
+     * @returns {Promise<object|null>} - { mtimeMs, size }, null if not known
+     */
+    async stat(filePath) {
+        return null;
+    }
+
+    /**
+     * Stream a file, or a byte range of it
+     * @param {string} filePath - Path relative to the root
+     * @param {object} options - { start, end } (inclusive byte offsets)
+     * @returns {Promise<Readable>}
+     */
+    async createReadStream(filePath, options = {}) {
+        const content = await this.readFile(filePath, null);
+        const end = options.end === undefined ? content.length : options.end + 1;
+        return Readable.from([content.subarray(options.start || 0, end)]);
+    }
+
     async close() {
         // Optional cleanup
     }
@@ -116,31 +162,58 @@ class SingleFileFS extends VirtualFS {
         this.basePath = path.dirname(this.filePath);
     }
 
-    async readFile(filePath) {
+    /**
+     * Full path of the file or of a file next to it (so that relative images
+     * and other assets referenced by it resolve)
+     */
+    resolvePath(filePath) {
         // Normalize path - could be just filename or with leading slash
         const normalizedPath = filePath.replace(/^\/+/, '');
+        const fullPath = normalizedPath === this.fileName
+            ? this.filePath
+            : path.join(this.basePath, normalizedPath);
 
-        if (normalizedPath !== this.fileName) {
-            throw new Error('File not found');
+        if (!fullPath.startsWith(this.basePath + path.sep)) {
+            throw new Error('Access denied');
         }
+        return fullPath;
+    }
 
-        if (!fs.existsSync(this.filePath)) {
+    async readFile(filePath, encoding = 'utf-8') {
+        const fullPath = this.resolvePath(filePath);
+
+        if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
             throw new Error('File not found');
         }
 
-        return fs.readFileSync(this.filePath, 'utf-8');
+        return fs.readFileSync(fullPath, encoding);
+    }
+
+    async stat(filePath) {
+        try {
+            const stats = await fs.promises.stat(this.resolvePath(filePath));
+            return stats.isFile() ? { mtimeMs: stats.mtimeMs, size: stats.size } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async createReadStream(filePath, options = {}) {
+        return fs.createReadStream(this.resolvePath(filePath), options);
     }
 
     async exists(filePath) {
         const normalizedPath = filePath.replace(/^\/+/, '');
-        return normalizedPath === this.fileName && fs.existsSync(this.filePath);
-    }
+        const fullPath = path.join(this.basePath, normalizedPath);
+
+        if (!fullPath.startsWith(this.basePath + path.sep)) {
+            return false;
+        }
 
-    listMarkdownFiles() {
-        return [this.fileName];
+        return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
     }
 
-    listFiles(filter = '*.md') {
+    async listFiles(filter = '*.md') {
         // Single file mode only returns the file if it matches the filter
         if (matchesPattern(this.fileName, filter)) {
             return [this.fileName];
@@ -154,20 +227,30 @@ class SingleFileFS extends VirtualFS {
 }
 
 /**
- * Disk-based file system (current behavior)
+ * Disk-based file system. Files are listed from a DirectoryScanner - call
+ * update() and remove() when files change.
  */
 class DiskFS extends VirtualFS {
-    constructor(basePath) {
+    /**
+     * @param {string} basePath - Folder
+     * @param {object} options - { maxDepth, ignoreFiles } (see DirectoryScanner)
+     */
+    constructor(basePath, options = {}) {
         super();
         this.basePath = path.resolve(basePath);
-        this.gitignore = loadGitignore(this.basePath);
+        this.scanner = new DirectoryScanner(this.basePath, options);
     }
 
-    async readFile(filePath) {
+    // Ignore rules of the scan (read again when the ignore files change)
+    get gitignore() {
+        return this.scanner.ignore;
+    }
+
+    async readFile(filePath, encoding = 'utf-8') {
         const fullPath = path.join(this.basePath, filePath);
 
         // Security check
-        if (!fullPath.startsWith(this.basePath)) {
+        if (!fullPath.startsWith(this.basePath + path.sep)) {
             throw new Error('Access denied');
         }
 
@@ -175,55 +258,79 @@ class DiskFS extends VirtualFS {
             throw new Error('File not found');
         }
 
-        return fs.readFileSync(fullPath, 'utf-8');
+        return fs.readFileSync(fullPath, encoding);
     }
 
     async exists(filePath) {
         const fullPath = path.join(this.basePath, filePath);
 
         // Security check
-        if (!fullPath.startsWith(this.basePath)) {
+        if (!fullPath.startsWith(this.basePath + path.sep)) {
             return false;
         }
 
         return fs.existsSync(fullPath);
     }
 
-    listMarkdownFiles(dir = this.basePath, baseDir = this.basePath) {
-        return this.listFiles('*.md', dir, baseDir);
-    }
+    async stat(filePath) {
+        const fullPath = path.join(this.basePath, filePath);
 
-    listFiles(filter = '*.md', dir = this.basePath, baseDir = this.basePath) {
-        let files = [];
+        // Security check
+        if (!fullPath.startsWith(this.basePath + path.sep)) {
+            return null;
+        }
 
-        if (!fs.existsSync(dir)) {
-            return files;
+        // Listed files are known from the scan, others are looked up
+        const known = await this.scanner.stat(filePath);
+        if (known) {
+            return known;
+        }
+
+        try {
+            const stats = await fs.promises.stat(fullPath);
+            return { mtimeMs: stats.mtimeMs, size: stats.size };
+        } catch (error) {
+            return null;
         }
+    }
 
-        const items = fs.readdirSync(dir);
+    async createReadStream(filePath, options = {}) {
+        const fullPath = path.join(this.basePath, filePath);
 
-        for (const item of items) {
-            // Skip hidden files
-            if (item.startsWith('.')) continue;
+        // Security check
+        if (!fullPath.startsWith(this.basePath + path.sep)) {
+            throw new Error('Access denied');
+        }
 
-            const fullPath = path.join(dir, item);
-            const relativePath = path.relative(baseDir, fullPath);
+        return fs.createReadStream(fullPath, options);
+    }
 
-            // Check gitignore
-            if (this.gitignore.ignores(relativePath)) {
-                continue;
-            }
+    async listFiles(filter = '*.md') {
+        return this.scanner.list(filter);
+    }
 
-            const stat = fs.statSync(fullPath);
+    /**
+     * Whether a file is listed (not hidden, ignored or too deep)
+     * @param {string} filePath - Path of the file ('/' or OS separators)
+     */
+    isIncluded(filePath) {
+        return this.scanner.isIncluded(filePath);
+    }
 
-            if (stat.isDirectory()) {
-                files = files.concat(this.listFiles(filter, fullPath, baseDir));
-            } else if (matchesPattern(item, filter)) {
-                files.push(relativePath);
-            }
-        }
+    /**
+     * Record a file that was added or changed
+     * @param {string} filePath - Path of the file ('/' separated)
+     */
+    async update(filePath) {
+        await this.scanner.update(filePath);
+    }
 
-        return files.sort();
+    /**
+     * Forget a deleted file or folder
+     * @param {string} filePath - Path of the file or folder ('/' separated)
+     */
+    async remove(filePath) {
+        await this.scanner.remove(filePath);
     }
 
     getBasePath() {
@@ -232,13 +339,55 @@ class DiskFS extends VirtualFS {
 }
 
 /**
- * ZIP-based virtual file system
+ * zip.js reader for an archive on disk. Byte ranges are read through a file
+ * descriptor, so only the central directory and the entries actually read
+ * are loaded - not the whole archive.
+ */
+class ZipFileReader extends Reader {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.handle = null;
+    }
+
+    async init() {
+        this.handle = await fs.promises.open(this.filePath, 'r');
+        this.size = (await this.handle.stat()).size;
+        super.init();
+    }
+
+    async readUint8Array(offset, length) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.handle.read(buffer, 0, length, offset);
+        return new Uint8Array(buffer.buffer, buffer.byteOffset, bytesRead);
+    }
+
+    async close() {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+/**
+ * ZIP-based virtual file system. Entries are extracted when first read and
+ * kept in an LRU cache.
  */
 class ZipFS extends VirtualFS {
+    /**
+     * @param {ZipReader} zipReader - Open zip.js reader of the archive
+     * @param {Array} entries - Its entries
+     * @param {string} password - Password of encrypted entries
+     * @param {object} options - { cacheSize, preCache, reader } (reader: the
+     *   ZipFileReader behind zipReader, closed with the ZipFS)
+     */
     constructor(zipReader, entries, password = null, options = {}) {
         super();
         this.zipReader = zipReader;
+        this.reader = options.reader || null;
         this.entries = entries;
+        this.entriesByName = new Map(entries.map(entry => [entry.filename, entry]));
         this.password = password;
         this.cache = new LRUCache(options.cacheSize || 100 * 1024 * 1024);
         this.preCache = options.preCache || ['README.md', 'readme.md', 'index.md'];
@@ -269,43 +418,40 @@ class ZipFS extends VirtualFS {
         }
     }
 
-    async readFile(filePath) {
+    async readFile(filePath, encoding = 'utf-8') {
         this.stats.reads++;
 
         // Normalize path (remove leading slash if present)
         filePath = filePath.replace(/^\/+/, '');
 
-        // Check cache first
+        // Check cache first (raw buffers are cached, decoded on the way out)
         const cached = this.cache.get(filePath);
         if (cached) {
             this.stats.cacheHits++;
-            return cached.content;
+            return encoding ? cached.content.toString(encoding) : cached.content;
         }
 
         this.stats.cacheMisses++;
 
         // Find entry in ZIP
-        const entry = this.entries.find(e => e.filename === filePath);
+        const entry = this.entriesByName.get(filePath);
 
         if (!entry || entry.directory) {
             throw new Error(`File not found: ${filePath}`);
         }
 
-        // Extract file content
+        // Extract file content (reads just this entry from the archive)
         try {
-            const writer = new BlobWriter();
-            // Debug: Check if password is available
             if (entry.encrypted && !this.password) {
                 throw new Error('File is encrypted but no password available');
             }
-            const blob = await entry.getData(writer, { password: this.password });
-            const buffer = Buffer.from(await blob.arrayBuffer());
-            const content = buffer.toString('utf-8');
+            const data = await entry.getData(new Uint8ArrayWriter(), { password: this.password });
+            const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
 
             // Cache the content
-            this.cache.set(filePath, content, buffer.length);
+            this.cache.set(filePath, buffer, buffer.length);
 
-            return content;
+            return encoding ? buffer.toString(encoding) : buffer;
         } catch (error) {
             // Include more details in error message
             const details = entry.encrypted ? ' (file is encrypted)' : '';
@@ -318,14 +464,20 @@ class ZipFS extends VirtualFS {
         filePath = filePath.replace(/^\/+/, '');
 
         // Check if entry exists and is not a directory
-        return this.entries.some(e => e.filename === filePath && !e.directory);
+        const entry = this.entriesByName.get(filePath);
+        return Boolean(entry && !entry.directory);
     }
 
-    listMarkdownFiles() {
-        return this.listFiles('*.md');
+    async stat(filePath) {
+        // Known from the central directory, without extracting the entry
+        const entry = this.entriesByName.get(filePath.replace(/^\/+/, ''));
+        if (!entry || entry.directory) {
+            return null;
+        }
+        return { mtimeMs: entry.lastModDate.getTime(), size: entry.uncompressedSize };
     }
 
-    listFiles(filter = '*.md') {
+    async listFiles(filter = '*.md') {
         const files = this.entries
             .filter(entry => !entry.directory && matchesPattern(entry.filename, filter))
             .map(entry => entry.filename)
@@ -334,72 +486,12 @@ class ZipFS extends VirtualFS {
         return files;
     }
 
-    async searchInFiles(query, filter = '*.md') {
-        const results = [];
-        const mdFiles = this.listFiles(filter);
-
-        for (const file of mdFiles) {
-            try {
-                const content = await this.readFile(file);
-                const lines = content.split('\n');
-                const matches = [];
-
-                lines.forEach((line, index) => {
-                    if (line.toLowerCase().includes(query.toLowerCase())) {
-                        const contextLines = [];
-
-                        // Previous line
-                        if (index > 0) {
-                            contextLines.push({
-                                lineNumber: index,
-                                text: lines[index - 1].trim().substring(0, 200),
-                                isMatch: false
-                            });
-                        }
-
-                        // Matching line
-                        contextLines.push({
-                            lineNumber: index + 1,
-                            text: line.trim().substring(0, 200),
-                            isMatch: true
-                        });
-
-                        // Next line
-                        if (index < lines.length - 1) {
-                            contextLines.push({
-                                lineNumber: index + 2,
-                                text: lines[index + 1].trim().substring(0, 200),
-                                isMatch: false
-                            });
-                        }
-
-                        matches.push({
-                            lineNumber: index + 1,
-                            text: line.trim().substring(0, 200),
-                            contextLines: contextLines
-                        });
-                    }
-                });
-
-                if (matches.length > 0) {
-                    results.push({
-                        path: file,
-                        fileName: path.basename(file),
-                        directory: path.dirname(file) === '.' ? '' : path.dirname(file),
-                        matches: matches.slice(0, 5) // Limit to first 5 matches
-                    });
-                }
-            } catch (error) {
-                console.error(`Error searching in ${file}:`, error.message);
-            }
-        }
-
-        return results;
-    }
-
     async close() {
         try {
             await this.zipReader.close();
+            if (this.reader) {
+                await this.reader.close();
+            }
         } catch (e) {
             // Ignore close errors
         }
@@ -415,7 +507,7 @@ class ZipFS extends VirtualFS {
             ...this.stats,
             cache: this.cache.getStats(),
             totalFiles: this.entries.filter(e => !e.directory).length,
-            markdownFiles: this.listMarkdownFiles().length
+            markdownFiles: this.entries.filter(e => !e.directory && matchesPattern(e.filename, '*.md')).length
         };
     }
 
@@ -430,5 +522,6 @@ module.exports = {
     SingleFileFS,
     DiskFS,
     ZipFS,
+    ZipFileReader,
     LRUCache
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * File watching for live reload in folder mode
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { DirectoryScanner } = require('./scanner');
+
+/**
+ * Watches a directory tree and emits 'add', 'change' and 'unlink' events
+ * with paths relative to the watched directory (always using '/' separators).
+ * Every event is also emitted as 'all' with (event, relativePath).
+ *
+ * Files are the ones its DirectoryScanner lists (not hidden, ignored or too
+ * deep). When an ignore file changes, the scanner is invalidated, 'ignoreChange'
+ * is emitted and the files that appeared or disappeared are reported.
+ */
+class FileWatcher extends EventEmitter {
+    /**
+     * @param {string} basePath - Directory to watch
+     * @param {object} options - { debounceDelay, scanner } (scanner: the
+     *   DirectoryScanner of basePath to share, e.g. a DiskFS's)
+     */
+    constructor(basePath, options = {}) {
+        super();
+        this.basePath = path.resolve(basePath);
+        this.scanner = options.scanner || new DirectoryScanner(this.basePath);
+        this.debounceDelay = options.debounceDelay || 100;
+        this.watchers = new Map();
+        this.pending = new Map();
+        this.knownFiles = new Set();
+        this.ready = null;
+        this.closed = false;
+    }
+
+    /**
+     * Start watching. Uses a single recursive watcher where the platform
+     * supports it, otherwise falls back to one watcher per directory.
+     */
+    start() {
+        this.ready = this.loadFiles();
+
+        try {
+            const watcher = fs.watch(this.basePath, { recursive: true }, (eventType, fileName) => {
+                if (fileName) {
+                    this.queue(path.join(this.basePath, fileName.toString()));
+                }
+            });
+            watcher.on('error', (err) => this.emit('error', err));
+            this.watchers.set(this.basePath, watcher);
+        } catch (err) {
+            if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                throw err;
+            }
+            this.watchDirectory(this.basePath);
+        }
+
+        return this;
+    }
+
+    /**
+     * Stop all watchers and drop pending events
+     */
+    close() {
+        this.closed = true;
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        for (const timer of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Record the scanned files so that later events can tell 'add' from 'change'
+     */
+    loadFiles() {
+        return this.scanner.build()
+            .then(files => {
+                this.knownFiles = new Set([...files.keys()].map(file => file.split(path.sep).join('/')));
+            })
+            .catch(err => this.emit('error', err));
+    }
+
+    /**
+     * Record the files of a directory that was created or moved in
+     */
+    async scan(dir) {
+        let items;
+        try {
+            items = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+
+        for (const item of items) {
+            const fullPath = path.join(dir, item.name);
+            if (this.isIgnored(fullPath)) continue;
+
+            if (item.isDirectory()) {
+                await this.scan(fullPath);
+            } else if (item.isFile()) {
+                this.knownFiles.add(this.toRelative(fullPath));
+            }
+        }
+    }
+
+    /**
+     * Read the ignore files again and report the files they now include or leave out
+     */
+    async reloadIgnoreFiles() {
+        const before = this.knownFiles;
+        this.scanner.invalidate();
+        this.ready = this.loadFiles();
+        await this.ready;
+        this.emit('ignoreChange');
+
+        for (const file of before) {
+            if (!this.knownFiles.has(file)) this.dispatch('unlink', file);
+        }
+        for (const file of this.knownFiles) {
+            if (!before.has(file)) this.dispatch('add', file);
+        }
+    }
+
+    /**
+     * Non-recursive fallback: watch a directory and all of its subdirectories
+     */
+    watchDirectory(dir) {
+        if (this.watchers.has(dir) || this.isIgnored(dir)) return;
+
+        try {
+            const watcher = fs.watch(dir, (eventType, fileName) => {
+                if (fileName) {
+                    this.queue(path.join(dir, fileName.toString()));
+                }
+            });
+            watcher.on('error', () => {
+                // Directory was removed - drop its watcher
+                watcher.close();
+                this.watchers.delete(dir);
+            });
+            this.watchers.set(dir, watcher);
+        } catch (e) {
+            return;
+        }
+
+        let items;
+        try {
+            items = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            // Removed since it was watched
+            this.watchers.get(dir).close();
+            this.watchers.delete(dir);
+            return;
+        }
+
+        for (const item of items) {
+            if (item.isDirectory()) {
+                this.watchDirectory(path.join(dir, item.name));
+            }
+        }
+    }
+
+    /**
+     * Debounce raw fs.watch notifications - editors often write a file
+     * several times (truncate, write, rename) for a single save
+     */
+    queue(fullPath) {
+        if (this.closed || (this.isIgnored(fullPath) && !this.isIgnoreFile(fullPath))) return;
+
+        if (this.pending.has(fullPath)) {
+            clearTimeout(this.pending.get(fullPath));
+        }
+
+        this.pending.set(fullPath, setTimeout(() => {
+            this.pending.delete(fullPath);
+            // Once the scan is loaded, to tell 'add' from 'change'
+            this.ready
+                .then(() => this.isIgnoreFile(fullPath) ? this.reloadIgnoreFiles() : this.flush(fullPath))
+                .catch(err => this.emit('error', err));
+        }, this.debounceDelay));
+    }
+
+    async flush(fullPath) {
+        if (this.closed) return;
+        const relativePath = this.toRelative(fullPath);
+        let stat = null;
+
+        try {
+            stat = fs.statSync(fullPath);
+        } catch (e) {
+            // File is gone
+        }
+
+        if (!stat) {
+            if (this.knownFiles.delete(relativePath)) {
+                this.dispatch('unlink', relativePath);
+            } else {
+                // A directory was removed - report every file that lived in it
+                const prefix = relativePath + '/';
+                for (const file of [...this.knownFiles]) {
+                    if (file.startsWith(prefix)) {
+                        this.knownFiles.delete(file);
+                        this.dispatch('unlink', file);
+                    }
+                }
+            }
+            return;
+        }
+
+        if (stat.isDirectory()) {
+            // A directory was created or moved in - report the files inside it
+            if (!this.watchers.has(this.basePath)) {
+                this.watchDirectory(fullPath);
+            }
+            const before = new Set(this.knownFiles);
+            await this.scan(fullPath);
+            for (const file of this.knownFiles) {
+                if (!before.has(file)) {
+                    this.dispatch('add', file);
+                }
+            }
+            return;
+        }
+
+        if (this.knownFiles.has(relativePath)) {
+            this.dispatch('change', relativePath);
+        } else {
+            this.knownFiles.add(relativePath);
+            this.dispatch('add', relativePath);
+        }
+    }
+
+    dispatch(event, relativePath) {
+        this.emit(event, relativePath);
+        this.emit('all', event, relativePath);
+    }
+
+    isIgnored(fullPath) {
+        const relativePath = path.relative(this.basePath, fullPath);
+        if (!relativePath || relativePath.startsWith('..')) {
+            return false;
+        }
+
+        // Hidden, ignored or too deep (same rules as DiskFS)
+        return !this.scanner.isIncluded(relativePath);
+    }
+
+    // .gitignore or .moremaidignore at the root
+    isIgnoreFile(fullPath) {
+        return path.dirname(fullPath) === this.basePath && this.scanner.ignoreFiles.includes(path.basename(fullPath));
+    }
+
+    toRelative(fullPath) {
+        return path.relative(this.basePath, fullPath).split(path.sep).join('/');
+    }
+}
+
+module.exports = {
+    FileWatcher
+};
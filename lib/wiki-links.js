@@ -0,0 +1,346 @@
+/**
+ * wiki-links.js - Obsidian-style [[Page]] links, and the link graph behind
+ * "Linked from" backlinks
+ *
+ * [[Page Name]]  [[Page#Heading]]  [[folder/Page|alias]]  [[#Heading]]
+ */
+
+const path = require('path');
+const { Marked } = require('marked');
+const config = require('./config');
+const { isRelativeUrl, resolveRelativePath, escapeHtml } = require('./utils');
+const { parseFrontMatter, readMetadata } = require('./front-matter');
+
+const wikiLinkRegex = /^\[\[([^[\]|#\n]*)(?:#([^[\]|\n]*))?(?:\|([^[\]\n]*))?\]\]/;
+
+/**
+ * Text shown for a wiki link: the alias, or the page and heading
+ * @param {object} token - wikiLink token
+ * @returns {string}
+ */
+function wikiLinkText(token) {
+    if (token.alias) return token.alias;
+    if (token.target && token.heading) return `${token.target} > ${token.heading}`;
+    return token.target || token.heading;
+}
+
+/**
+ * marked extension for [[wiki links]]. Links are rendered by the renderer's
+ * wikiLink(token) method, which knows the files to resolve them against;
+ * without one they render as plain text.
+ */
+const wikiLinkExtension = {
+    name: 'wikiLink',
+    level: 'inline',
+    start(src) {
+        const index = src.indexOf('[[');
+        return index === -1 ? undefined : index;
+    },
+    tokenizer(src) {
+        const match = src.match(wikiLinkRegex);
+        if (!match) return;
+
+        const token = {
+            type: 'wikiLink',
+            raw: match[0],
+            target: match[1].trim(),
+            heading: (match[2] || '').trim(),
+            alias: (match[3] || '').trim()
+        };
+
+        // [[toc]] is the table of contents placeholder
+        if (!token.target && !token.heading) return;
+        if (!token.heading && !token.alias && token.target.toLowerCase() === 'toc') return;
+
+        return token;
+    },
+    renderer(token) {
+        if (this.parser.renderer.wikiLink) {
+            return this.parser.renderer.wikiLink(token);
+        }
+        return escapeHtml(wikiLinkText(token));
+    }
+};
+
+// Lexer for finding links without rendering
+const linkLexer = new Marked({ gfm: true, extensions: [wikiLinkExtension] });
+
+/**
+ * Names are compared ignoring case, and spaces, dashes and underscores
+ */
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+/**
+ * Names each file can be linked by - its normalized path with and without
+ * extension, and every ending of those after a '/' - mapped to the files
+ * @param {Array<string>} files - Paths of all files (relative, '/' separated)
+ * @returns {Map<string, Array<string>>}
+ */
+function indexNames(files) {
+    const names = new Map();
+    for (const file of files) {
+        const keys = new Set();
+        for (const key of [normalizeName(file), normalizeName(file.replace(config.markdown.extensions, ''))]) {
+            keys.add(key);
+            for (let index = key.indexOf('/'); index !== -1; index = key.indexOf('/', index + 1)) {
+                keys.add(key.substring(index + 1));
+            }
+        }
+        for (const key of keys) {
+            if (!names.has(key)) names.set(key, []);
+            names.get(key).push(file);
+        }
+    }
+    return names;
+}
+
+// Name index per file list, built on the first link resolved against it
+const nameIndexes = new WeakMap();
+
+function getNameIndex(files) {
+    if (!nameIndexes.has(files)) {
+        nameIndexes.set(files, indexNames(files));
+    }
+    return nameIndexes.get(files);
+}
+
+/**
+ * Resolve a wiki link target like Obsidian does: by file name (markdown files
+ * without extension) or by the end of the path. When several files match, the
+ * one closest to the linking document wins.
+ * @param {string} target - Link target, e.g. "Page Name" or "notes/Page"
+ * @param {Array<string>} files - Paths of all files (relative, '/' separated).
+ *   Pass the same array for every link: its name index is built once.
+ * @param {string} documentPath - Path of the linking document
+ * @returns {string|null} - Path of the target file, null if none matches
+ */
+function resolveWikiLink(target, files, documentPath) {
+    const wanted = normalizeName(target.replace(/\\/g, '/').replace(/^\/+/, ''));
+    if (!wanted) return null;
+
+    const candidates = getNameIndex(files).get(wanted) || [];
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    // Names written exactly as the file name first (ignoring case), then the
+    // closest: most directories in common with the document, then least nested
+    const exactName = target.toLowerCase();
+    const documentDirs = path.posix.dirname(documentPath).split('/');
+    const score = (file) => {
+        const name = file.replace(config.markdown.extensions, '').toLowerCase();
+        const dirs = path.posix.dirname(file).split('/');
+        let shared = 0;
+        while (shared < dirs.length && dirs[shared] === documentDirs[shared]) shared++;
+        return { exact: name === exactName || name.endsWith('/' + exactName) ? 1 : 0, shared, depth: dirs.length };
+    };
+
+    return [...candidates].sort((a, b) => {
+        const scoreA = score(a);
+        const scoreB = score(b);
+        return scoreB.exact - scoreA.exact || scoreB.shared - scoreA.shared || scoreA.depth - scoreB.depth || a.localeCompare(b);
+    })[0];
+}
+
+/**
+ * Link targets of a markdown document as written, in order: relative links
+ * and images (resolved against the document) and wiki link names (links in
+ * code are skipped)
+ * @returns {Array} - { path } or { wikiLink }
+ */
+function extractLinkTargets(markdown, documentPath) {
+    const targets = [];
+
+    linkLexer.walkTokens(linkLexer.lexer(parseFrontMatter(markdown).body), token => {
+        if ((token.type === 'link' || token.type === 'image') && isRelativeUrl(token.href)) {
+            const resolved = resolveRelativePath(documentPath, token.href);
+            if (resolved) targets.push({ path: resolved.path });
+        } else if (token.type === 'wikiLink' && token.target) {
+            targets.push({ wikiLink: token.target });
+        }
+    });
+
+    return targets;
+}
+
+/**
+ * The existing files among a document's link targets
+ * @param {Array} targets - extractLinkTargets result
+ * @param {string} documentPath - Path of the document
+ * @param {Array<string>} files - Paths of all files
+ * @param {Set<string>} existing - The same paths, for lookups
+ * @returns {Set<string>}
+ */
+function resolveLinkTargets(targets, documentPath, files, existing) {
+    const linked = new Set();
+    for (const target of targets) {
+        const file = target.wikiLink ? resolveWikiLink(target.wikiLink, files, documentPath) : target.path;
+        if (file && file !== documentPath && existing.has(file)) {
+            linked.add(file);
+        }
+    }
+    return linked;
+}
+
+/**
+ * Files a markdown document links to, with relative markdown links, images
+ * or wiki links (links in code are skipped)
+ * @param {string} markdown - Markdown source
+ * @param {string} documentPath - Path of the document (relative, '/' separated)
+ * @param {Array<string>} files - Paths of all files
+ * @returns {Set<string>} - Paths of the linked files that exist
+ */
+function findLinkedFiles(markdown, documentPath, files) {
+    return resolveLinkTargets(extractLinkTargets(markdown, documentPath), documentPath, files, new Set(files));
+}
+
+/**
+ * Links between the markdown files of a VirtualFS. Built on first use - call
+ * update() when a file is added, changed or deleted.
+ */
+class LinkGraph {
+    constructor(virtualFS) {
+        this.virtualFS = virtualFS;
+        this.graph = null;
+    }
+
+    /**
+     * Forget everything - the next call reads all files again
+     */
+    invalidate() {
+        this.graph = null;
+    }
+
+    build() {
+        if (!this.graph) {
+            const graph = this.scan();
+            this.graph = graph;
+            // A failed scan is tried again on next use
+            graph.catch(() => {
+                if (this.graph === graph) this.graph = null;
+            });
+        }
+        return this.graph;
+    }
+
+    async scan() {
+        const state = { files: await this.listFiles(), documents: new Map() };
+        for (const file of state.files) {
+            await this.readDocument(state, file);
+        }
+        return this.link(state);
+    }
+
+    async listFiles() {
+        return (await this.virtualFS.listFiles('*')).map(file => file.split(path.sep).join('/'));
+    }
+
+    // Title and link targets of a markdown file, kept to re-resolve wiki links without reading it again
+    async readDocument(state, file) {
+        state.documents.delete(file);
+        if (!config.markdown.extensions.test(file)) return;
+
+        let markdown;
+        try {
+            markdown = await this.virtualFS.readFile(file);
+        } catch (error) {
+            return;
+        }
+        state.documents.set(file, { title: readMetadata(markdown).title, targets: extractLinkTargets(markdown, file) });
+    }
+
+    // Backlinks and titles from the documents' link targets
+    link(state) {
+        const existing = new Set(state.files);
+        const backlinks = new Map();
+        const titles = new Map();
+
+        for (const file of state.files) {
+            const document = state.documents.get(file);
+            if (!document) continue;
+
+            titles.set(file, document.title);
+            for (const target of resolveLinkTargets(document.targets, file, state.files, existing)) {
+                if (!backlinks.has(target)) backlinks.set(target, []);
+                backlinks.get(target).push({ path: file, title: document.title });
+            }
+        }
+
+        return Object.assign(state, { backlinks, titles });
+    }
+
+    /**
+     * Follow a file that was added, changed or deleted: only that file is
+     * read again (a no-op before the graph is built)
+     * @param {string} filePath - Path of the file ('/' separated)
+     */
+    async update(filePath) {
+        if (!this.graph) return;
+
+        let state;
+        try {
+            state = await this.graph;
+        } catch (error) {
+            return;
+        }
+
+        const files = await this.listFiles();
+        // Keep the same array while the files stay the same, with its name index
+        if (files.length !== state.files.length || files.some((file, index) => file !== state.files[index])) {
+            state.files = files;
+        }
+        await this.readDocument(state, filePath.split(path.sep).join('/'));
+        this.link(state);
+    }
+
+    /**
+     * Paths of all files, '/' separated
+     * @returns {Promise<Array<string>>}
+     */
+    async getFiles() {
+        return (await this.build()).files;
+    }
+
+    /**
+     * Documents linking to a file
+     * @param {string} filePath - Path of the file
+     * @returns {Promise<Array>} - { path, title } sorted by path (title from front matter, may be null)
+     */
+    async getBacklinks(filePath) {
+        const { backlinks } = await this.build();
+        return backlinks.get(filePath.split(path.sep).join('/')) || [];
+    }
+
+    /**
+     * Nodes and links of the graph between some of the files, e.g. those
+     * matching a filter. Orphans are files no document links to.
+     * @param {Array<string>} files - Paths of the files to include
+     * @returns {Promise<object>} - { nodes: [{ path, title, orphan }], links: [{ source, target }] }
+     */
+    async getGraph(files) {
+        const { backlinks, titles } = await this.build();
+        const included = new Map(files.map(file => [file.split(path.sep).join('/'), file]));
+        const nodes = [];
+        const links = [];
+
+        for (const [normalized, file] of included) {
+            const sources = backlinks.get(normalized) || [];
+            nodes.push({ path: file, title: titles.get(normalized) || null, orphan: sources.length === 0 });
+            for (const source of sources) {
+                if (included.has(source.path)) {
+                    links.push({ source: included.get(source.path), target: file });
+                }
+            }
+        }
+
+        return { nodes, links };
+    }
+}
+
+module.exports = {
+    wikiLinkExtension,
+    wikiLinkText,
+    resolveWikiLink,
+    findLinkedFiles,
+    LinkGraph
+};
@@ -22,8 +22,15 @@ const {
 const { packMarkdownFiles, handleZipFile } = require('./lib/archive-handler');
 const { generateHtmlFromMarkdown } = require('./lib/html-generator');
 const { startFolderServer } = require('./lib/server');
-const { SingleFileFS } = require('./lib/virtual-fs');
+const { SingleFileFS, DiskFS } = require('./lib/virtual-fs');
+const { exportSite } = require('./lib/exporter');
 const { validateMarkdown } = require('./lib/validator');
+const { formats, formatReport } = require('./lib/validation-report');
+const { ValidationWatcher } = require('./lib/validation-watcher');
+const { fixMarkdownFiles, writeFixes, formatDiff } = require('./lib/fixer');
+const { loadProjectConfig } = require('./lib/project-config');
+const { exportPdf } = require('./lib/pdf');
+const { exportDiagrams } = require('./lib/diagram-export');
 const packageJson = require('./package.json');
 
 // Parse command line arguments
@@ -33,8 +40,15 @@ const args = process.argv.slice(2);
 const darkMode = args.includes('--dark') || args.includes('-d');
 const packMode = args.includes('--pack') || args.includes('-p');
 const keepRunning = args.includes('--keep-running') || args.includes('-k');
-const oneShot = args.includes('--oneshot') || args.includes('-o');
+const pdfMode = args.includes('--pdf');
+// With --pdf, -o is the output file
+const oneShot = args.includes('--oneshot') || (args.includes('-o') && !pdfMode);
 const validateMode = args.includes('--validate');
+const exportMode = args.includes('--export');
+const exportDiagramsMode = args.includes('--export-diagrams');
+const watchMode = args.includes('--watch');
+const fixMode = args.includes('--fix');
+const dryRun = args.includes('--dry-run');
 let selectedTheme = null;
 
 const themeIndex = args.findIndex(arg => arg === '--theme' || arg === '-t');
@@ -42,6 +56,33 @@ if (themeIndex !== -1 && args[themeIndex + 1]) {
     selectedTheme = args[themeIndex + 1];
 }
 
+const outIndex = args.findIndex(arg => arg === '--out' || (pdfMode && arg === '-o'));
+const outDir = outIndex !== -1 && args[outIndex + 1] ? args[outIndex + 1] : (exportDiagramsMode ? 'diagrams' : 'site');
+
+const typographyIndex = args.findIndex(arg => arg === '--typography');
+const selectedTypography = typographyIndex !== -1 && args[typographyIndex + 1] ? args[typographyIndex + 1] : null;
+
+const formatIndex = args.findIndex(arg => arg === '--format');
+const outputFormat = formatIndex !== -1 && args[formatIndex + 1] ? args[formatIndex + 1] : 'text';
+
+// Folder levels to list below the given folder (default: all)
+const maxDepthIndex = args.findIndex(arg => arg === '--max-depth');
+const maxDepth = maxDepthIndex !== -1 ? Number(args[maxDepthIndex + 1]) : null;
+if (maxDepthIndex !== -1 && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+    console.error('Error: --max-depth needs a number of folder levels (0 or more)');
+    process.exit(1);
+}
+
+// Globs for --pack: extra files to add, files to leave out (each flag may repeat)
+const packGlobs = { '--include': [], '--exclude': [] };
+const packGlobIndexes = new Set();
+args.forEach((arg, index) => {
+    if (packGlobs[arg] && args[index + 1]) {
+        packGlobs[arg].push(args[index + 1]);
+        packGlobIndexes.add(index + 1);
+    }
+});
+
 // Legacy dark mode support
 if (darkMode && !selectedTheme) {
     selectedTheme = 'dark';
@@ -64,17 +105,38 @@ Usage:
   mm <directory>                   Start a server to browse markdown files
   mm <file.zip|file.moremaid>     Extract and serve archive
   mm --pack <file|directory>       Create .moremaid archive
-  mm --validate <file|directory>   Validate markdown and mermaid syntax
+  mm --validate <file|dir|archive> Validate markdown, mermaid and links
+  mm --export <dir|archive>        Export a static HTML site
+  mm --pdf <file.md> [-o out.pdf]  Render a document to PDF
+  mm --export-diagrams <dir|archive|file> [--out dir]
+                                   Write every Mermaid diagram as an SVG file
   mm --help                        Show this help message
   mm --version                    Show version number
 
 Options:
   -t, --theme <theme>   Set color theme
+  --typography <name>  Set typography (for --pdf)
   -d, --dark           Use dark theme (legacy)
-  -p, --pack           Pack files into .moremaid archive
-  --validate           Validate markdown and mermaid syntax
+  -p, --pack           Pack files into .moremaid archive, with the images and
+                       other files the markdown links to
+  --include <glob>     With --pack: also pack files matching the glob (repeatable)
+  --exclude <glob>     With --pack: leave out files matching the glob (repeatable)
+  --validate           Validate markdown, mermaid syntax and relative links
+  --export             Export a static HTML site (one page per markdown file)
+  --out <path>         Output directory for --export (default: site) and
+                       --export-diagrams (default: diagrams), output file for
+                       --pdf (default: the file name with .pdf)
+  --export-diagrams    Write each Mermaid diagram to <out>/<file>-<n>.svg
+  --max-depth <n>      List files at most n folders deep (folders; default: all).
+                       Files matched by .gitignore or .moremaidignore are skipped
+  --pdf                Render a markdown file to PDF, with diagrams and page numbers
+  --format <format>    Output format for --validate: text, json, sarif, junit, github
+  --watch              Keep --validate running and re-check files as they change
+  --fix                Fix what --validate can fix safely (quote Mermaid labels etc.)
+  --dry-run            With --fix: print a unified diff instead of writing files
   -k, --keep-running   Keep server running after browser closes
-  -o, --oneshot        Generate temp HTML and exit (legacy single-file mode)
+  -o, --oneshot        Generate temp HTML and exit (legacy single-file mode).
+                       With --pdf, -o is short for --out instead
   -h, --help           Show help
   -v, --version        Show version
 
@@ -89,9 +151,17 @@ Examples:
   mm docs/
   mm --theme github README.md
   mm --pack myproject/
+  mm --pack docs/ --include "assets/**" --exclude "*.psd"
   mm archive.moremaid
   mm --validate README.md
   mm --validate docs/
+  mm --validate docs/ --format sarif > results.sarif
+  mm --validate docs/ --watch
+  mm --validate docs/ --fix --dry-run
+  mm --export docs/ --out site/
+  mm --pdf README.md -o out.pdf --theme github --typography latex
+  mm --export-diagrams docs/ --out diagrams/
+  mm --max-depth 2 monorepo/
 `);
     process.exit(0);
 }
@@ -102,6 +172,16 @@ const inputArgs = args.filter((arg, index) => {
     if (arg.startsWith('--') || arg.startsWith('-')) return false;
     // Skip theme value if it's right after --theme
     if (themeIndex !== -1 && index === themeIndex + 1) return false;
+    // Skip output directory after --out
+    if (outIndex !== -1 && index === outIndex + 1) return false;
+    // Skip typography value after --typography
+    if (typographyIndex !== -1 && index === typographyIndex + 1) return false;
+    // Skip format value after --format
+    if (formatIndex !== -1 && index === formatIndex + 1) return false;
+    // Skip depth after --max-depth
+    if (maxDepthIndex !== -1 && index === maxDepthIndex + 1) return false;
+    // Skip globs after --include and --exclude
+    if (packGlobIndexes.has(index)) return false;
     return true;
 });
 
@@ -149,43 +229,178 @@ const colors = {
     gray: '\x1b[90m'
 };
 
+/**
+ * Print validation results: errors of each file, then the totals
+ */
+function printValidationResults(results) {
+    // Print results only for files with errors
+    for (const fileResult of results.files) {
+        if (fileResult.errors.length > 0) {
+            const relativePath = path.relative(process.cwd(), fileResult.path);
+            const hasErrors = fileResult.errors.some(error => error.severity === 'error');
+            console.log(`${hasErrors ? colors.red + '✗' : colors.yellow + '⚠'}${colors.reset} ${relativePath}`);
+
+            for (const error of fileResult.errors) {
+                const lineInfo = (error.line ? `:${error.line}` : '') + (error.column ? `:${error.column}` : '');
+                if (error.severity === 'error') {
+                    const typeColor = error.type === 'mermaid' ? colors.yellow : colors.red;
+                    console.log(`  ${typeColor}[${error.type}]${colors.reset}${lineInfo} ${error.message}`);
+                } else {
+                    const severityColor = error.severity === 'warning' ? colors.yellow : colors.gray;
+                    console.log(`  ${severityColor}[${error.type} ${error.severity}]${colors.reset}${lineInfo} ${error.message}`);
+                }
+            }
+            console.log(''); // Add blank line between files
+        }
+    }
+
+    // Print summary
+    console.log('');
+    console.log(`${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
+    console.log(`Files checked:        ${results.totalStats.filesChecked}`);
+    console.log(`Files with errors:    ${results.totalStats.filesWithErrors > 0 ? colors.red : colors.green}${results.totalStats.filesWithErrors}${colors.reset}`);
+    console.log(`Markdown errors:      ${results.totalStats.markdownErrors > 0 ? colors.red : colors.green}${results.totalStats.markdownErrors}${colors.reset}`);
+    console.log(`Mermaid errors:       ${results.totalStats.mermaidErrors > 0 ? colors.yellow : colors.green}${results.totalStats.mermaidErrors}${colors.reset}`);
+    console.log(`Mermaid blocks found: ${results.totalStats.mermaidBlocksChecked}`);
+    console.log(`Link errors:          ${results.totalStats.linkErrors > 0 ? colors.red : colors.green}${results.totalStats.linkErrors}${colors.reset}`);
+    console.log(`Links checked:        ${results.totalStats.linksChecked}`);
+    console.log(`Math errors:          ${results.totalStats.mathErrors > 0 ? colors.red : colors.green}${results.totalStats.mathErrors}${colors.reset}`);
+    console.log(`Math formulas found:  ${results.totalStats.mathChecked}`);
+    if (results.totalStats.warnings > 0 || results.totalStats.infos > 0) {
+        console.log(`Warnings:             ${colors.yellow}${results.totalStats.warnings}${colors.reset}`);
+        console.log(`Info:                 ${results.totalStats.infos}`);
+    }
+}
+
+/**
+ * Handle validation watch mode - redraw the results whenever files change
+ */
+async function handleValidationWatch(inputPath, projectConfig) {
+    if (outputFormat !== 'text') {
+        console.error(`${colors.red}Error:${colors.reset} --watch only supports text output`);
+        process.exit(1);
+    }
+
+    const watcher = new ValidationWatcher(inputPath, { config: projectConfig });
+
+    watcher.on('update', ({ results, changed }) => {
+        // Clear the screen and scrollback, then redraw in place
+        process.stdout.write('\x1b[2J\x1b[3J\x1b[H');
+        console.log(`${colors.blue}Validating markdown files (watching for changes)...${colors.reset}\n`);
+        printValidationResults(results);
+
+        const time = new Date().toLocaleTimeString();
+        const status = results.totalStats.filesWithErrors > 0 ? `${colors.red}✗` : `${colors.green}✓`;
+        console.log(`\n${status}${colors.reset} ${colors.gray}${time} - checked ${changed.length} file(s). Press Ctrl+C to stop.${colors.reset}`);
+    });
+    watcher.on('error', (err) => {
+        console.error(`${colors.red}Watch error:${colors.reset} ${err.message}`);
+    });
+
+    try {
+        await watcher.start();
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset} ${error.message}`);
+        process.exit(1);
+    }
+
+    process.on('SIGINT', () => {
+        watcher.close();
+        process.exit(watcher.getResults().totalStats.filesWithErrors > 0 ? 1 : 0);
+    });
+}
+
+/**
+ * Handle --fix: write fixes (or print them as a diff with --dry-run) before validating
+ */
+async function handleFix(inputPath, projectConfig) {
+    // Keep stdout clean for machine-readable formats
+    const log = outputFormat === 'text' ? console.log : console.error;
+    let changes;
+
+    try {
+        changes = await fixMarkdownFiles(inputPath, { config: projectConfig });
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset} ${error.message}`);
+        process.exit(1);
+    }
+
+    if (dryRun) {
+        for (const change of changes) {
+            process.stdout.write(formatDiff(change));
+        }
+        const fixCount = changes.reduce((count, change) => count + change.fixes.length, 0);
+        console.error(`${fixCount} fix(es) in ${changes.length} file(s) (dry run, nothing written)`);
+        process.exit(0);
+    }
+
+    writeFixes(changes);
+    for (const change of changes) {
+        log(`${colors.green}🔧${colors.reset} ${path.relative(process.cwd(), change.path)}`);
+        for (const fix of change.fixes) {
+            log(`  ${colors.gray}:${fix.line}${colors.reset} ${fix.message}`);
+        }
+    }
+    if (changes.length > 0) {
+        log('');
+    }
+}
+
 /**
  * Handle validation mode
  */
-function handleValidation(inputPath) {
+async function handleValidation(inputPath) {
+    if (!formats.includes(outputFormat)) {
+        console.error(`${colors.red}Error:${colors.reset} Unknown format: ${outputFormat}. Use one of: ${formats.join(', ')}`);
+        process.exit(1);
+    }
+
+    // Rule severities, extra diagram types and ignored paths from .moremaidrc
+    let projectConfig;
+    try {
+        projectConfig = loadProjectConfig(inputPath);
+    } catch (error) {
+        console.error(`${colors.red}Error:${colors.reset} ${error.message}`);
+        process.exit(1);
+    }
+
+    if (fixMode) {
+        await handleFix(inputPath, projectConfig);
+    }
+
+    if (watchMode) {
+        return handleValidationWatch(inputPath, projectConfig);
+    }
+
+    if (outputFormat !== 'text') {
+        // Machine-readable output: nothing but the report on stdout
+        try {
+            const results = await validateMarkdown(inputPath, { config: projectConfig });
+            const report = formatReport(results, outputFormat);
+            if (report) {
+                console.log(report);
+            }
+            process.exit(results.totalStats.filesWithErrors > 0 ? 1 : 0);
+        } catch (error) {
+            console.error(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (projectConfig.path) {
+        console.log(`${colors.gray}Using ${path.relative(process.cwd(), projectConfig.path)}${colors.reset}`);
+    }
     console.log(`${colors.blue}Validating markdown files...${colors.reset}\n`);
 
     try {
-        const results = validateMarkdown(inputPath);
+        const results = await validateMarkdown(inputPath, { config: projectConfig });
 
         if (results.totalStats.filesChecked === 0) {
             console.log(`${colors.yellow}No markdown files found${colors.reset}`);
             process.exit(0);
         }
 
-        // Print results only for files with errors
-        for (const fileResult of results.files) {
-            if (fileResult.errors.length > 0) {
-                const relativePath = path.relative(process.cwd(), fileResult.path);
-                console.log(`${colors.red}✗${colors.reset} ${relativePath}`);
-
-                for (const error of fileResult.errors) {
-                    const lineInfo = error.line ? `:${error.line}` : '';
-                    const typeColor = error.type === 'mermaid' ? colors.yellow : colors.red;
-                    console.log(`  ${typeColor}[${error.type}]${colors.reset}${lineInfo} ${error.message}`);
-                }
-                console.log(''); // Add blank line between files
-            }
-        }
-
-        // Print summary
-        console.log('');
-        console.log(`${colors.blue}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━${colors.reset}`);
-        console.log(`Files checked:        ${results.totalStats.filesChecked}`);
-        console.log(`Files with errors:    ${results.totalStats.filesWithErrors > 0 ? colors.red : colors.green}${results.totalStats.filesWithErrors}${colors.reset}`);
-        console.log(`Markdown errors:      ${results.totalStats.markdownErrors > 0 ? colors.red : colors.green}${results.totalStats.markdownErrors}${colors.reset}`);
-        console.log(`Mermaid errors:       ${results.totalStats.mermaidErrors > 0 ? colors.yellow : colors.green}${results.totalStats.mermaidErrors}${colors.reset}`);
-        console.log(`Mermaid blocks found: ${results.totalStats.mermaidBlocksChecked}`);
+        printValidationResults(results);
 
         // Exit with error code if there were errors
         if (results.totalStats.filesWithErrors > 0) {
@@ -207,20 +422,30 @@ async function main() {
 
         // Handle validation mode early (before showing version)
         if (validateMode) {
-            handleValidation(inputPath);
-            return; // handleValidation exits, but adding return for clarity
+            await handleValidation(inputPath);
+            return; // handleValidation exits (or keeps watching), but adding return for clarity
         }
 
         console.log(`📊 Moremaid v${packageJson.version}`);
 
         const stats = fs.statSync(inputPath);
 
-        if (packMode) {
+        if (pdfMode) {
+            await handlePdf(inputPath, stats);
+        } else if (exportDiagramsMode) {
+            await handleExportDiagrams(inputPath, stats);
+        } else if (exportMode) {
+            await handleExport(inputPath, stats);
+        } else if (packMode) {
             // Pack mode - create archive
-            await packMarkdownFiles(inputPath, stats.isDirectory(), selectedTheme);
+            await packMarkdownFiles(inputPath, stats.isDirectory(), {
+                include: packGlobs['--include'],
+                exclude: packGlobs['--exclude'],
+                maxDepth
+            });
         } else if (stats.isDirectory()) {
             // Directory mode - start server
-            await startFolderServer(inputPath, false, selectedTheme, keepRunning);
+            await startFolderServer(new DiskFS(inputPath, { maxDepth }), false, selectedTheme, keepRunning);
         } else if (inputPath.match(config.archive.supportedExtensions)) {
             // Archive mode - serve directly from ZIP
             const result = await handleZipFile(inputPath);
@@ -251,7 +476,7 @@ async function main() {
                     const fileName = path.basename(inputPath);
                     console.log(`📄 Opening ${fileName} in browser...`);
                     // Use folder server but redirect to this specific file
-                    await startFolderServer(parentDir, false, selectedTheme, keepRunning, fileName);
+                    await startFolderServer(new DiskFS(parentDir, { maxDepth }), false, selectedTheme, keepRunning, fileName);
                 }
             }
         }
@@ -261,6 +486,100 @@ async function main() {
     }
 }
 
+/**
+ * Handle static site export
+ */
+async function handleExport(inputPath, stats) {
+    let virtualFS;
+    let title = path.basename(path.resolve(inputPath));
+
+    if (stats.isDirectory()) {
+        virtualFS = new DiskFS(inputPath, { maxDepth });
+    } else if (inputPath.match(config.archive.supportedExtensions)) {
+        const result = await handleZipFile(inputPath);
+        if (!result) {
+            process.exit(1);
+        }
+        virtualFS = result.virtualFS;
+        title = path.basename(inputPath).replace(config.archive.supportedExtensions, '');
+    } else {
+        virtualFS = new SingleFileFS(inputPath);
+    }
+
+    console.log(`📤 Exporting ${title} to ${outDir}...`);
+
+    const result = await exportSite(virtualFS, outDir, { theme: selectedTheme, title });
+    await virtualFS.close();
+
+    console.log(`✅ Exported ${result.pages} page(s) and ${result.files} other file(s)`);
+    console.log(`📄 Open ${path.join(outDir, result.indexPage)} or publish ${outDir}/ to any static host`);
+}
+
+/**
+ * Handle export of all Mermaid diagrams as SVG files
+ */
+async function handleExportDiagrams(inputPath, stats) {
+    let virtualFS;
+
+    if (stats.isDirectory()) {
+        virtualFS = new DiskFS(inputPath, { maxDepth });
+    } else if (inputPath.match(config.archive.supportedExtensions)) {
+        const result = await handleZipFile(inputPath);
+        if (!result) {
+            process.exit(1);
+        }
+        virtualFS = result.virtualFS;
+    } else {
+        virtualFS = new SingleFileFS(inputPath);
+    }
+
+    console.log(`🖼️  Exporting diagrams of ${path.basename(path.resolve(inputPath))} to ${outDir}...`);
+
+    const result = await exportDiagrams(virtualFS, outDir, { theme: selectedTheme });
+    await virtualFS.close();
+
+    for (const error of result.errors) {
+        console.error(`❌ ${error.file}:${error.line} ${error.message}`);
+    }
+    console.log(`✅ Wrote ${result.diagrams} diagram(s) from ${result.files} file(s)`);
+
+    if (result.errors.length > 0) {
+        process.exit(1);
+    }
+}
+
+/**
+ * Handle PDF export of a single document
+ */
+async function handlePdf(inputPath, stats) {
+    if (stats.isDirectory() || !inputPath.match(config.markdown.extensions)) {
+        console.error('Error: --pdf only supports markdown files');
+        process.exit(1);
+    }
+    if (selectedTheme && !config.themes.available.includes(selectedTheme)) {
+        console.error(`Error: Unknown theme: ${selectedTheme}. Use one of: ${config.themes.available.join(', ')}`);
+        process.exit(1);
+    }
+    if (selectedTypography && !config.typography.available.includes(selectedTypography)) {
+        console.error(`Error: Unknown typography: ${selectedTypography}. Use one of: ${config.typography.available.join(', ')}`);
+        process.exit(1);
+    }
+
+    const outputPath = outIndex !== -1 && args[outIndex + 1]
+        ? args[outIndex + 1]
+        : inputPath.replace(config.markdown.extensions, '') + '.pdf';
+    const singleFileFS = new SingleFileFS(inputPath);
+
+    console.log(`🖨️  Rendering ${path.basename(inputPath)} to PDF...`);
+
+    const result = await exportPdf(singleFileFS, singleFileFS.fileName, outputPath, {
+        theme: selectedTheme,
+        typography: selectedTypography
+    });
+
+    console.log(`✅ Wrote ${outputPath} (${formatSize(result.size)})`);
+}
+
 // Handle single file
 function handleSingleFile(filePath) {
     // Check if it's a markdown file
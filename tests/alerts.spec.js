@@ -0,0 +1,46 @@
+const { test, expect } = require('@playwright/test');
+const { generateHtmlFromMarkdown, generateIndexHtmlWithSearch } = require('../lib/html-generator');
+const { themes, getAlertStyles } = require('../lib/styles');
+
+// Content of the .container element
+function renderBody(markdown) {
+    const html = generateHtmlFromMarkdown(markdown, 'doc.md', false, false);
+    return html.substring(html.indexOf('<div class="container">'), html.indexOf('<script>', html.indexOf('<div class="container">')));
+}
+
+test.describe('Alerts', () => {
+    test('should render alert blockquotes as callouts', () => {
+        const body = renderBody('> [!WARNING]\n> Back up **first**.\n\n> [!tip]\n> Use `mm`.\n');
+        expect(body).toContain('<div class="markdown-alert markdown-alert-warning">\n' +
+            '<p class="markdown-alert-title"><span aria-hidden="true">⚠️</span>Warning</p>\n' +
+            '<p>Back up <strong>first</strong>.</p>\n</div>');
+        expect(body).toContain('<div class="markdown-alert markdown-alert-tip">');
+        expect(body).not.toContain('[!');
+        expect(body).not.toContain('<blockquote>');
+    });
+
+    test('should leave other blockquotes alone', () => {
+        const body = renderBody('> [!NOTE] on the same line\n\n> [!UNKNOWN]\n> text\n\n> Just a quote\n');
+        expect(body).not.toContain('markdown-alert');
+        expect(body).toContain('<p>[!NOTE] on the same line</p>');
+        expect(body.match(/<blockquote>/g)).toHaveLength(3);
+    });
+
+    test('should render alerts nested in lists', () => {
+        const body = renderBody('- Step\n\n  > [!CAUTION]\n  > Deletes files\n');
+        expect(body).toContain('<li><p>Step</p>\n<div class="markdown-alert markdown-alert-caution">');
+    });
+
+    test('should define alert colours for every theme', () => {
+        const styles = getAlertStyles();
+        for (const [name, css] of Object.entries(themes)) {
+            for (const type of ['note', 'tip', 'important', 'warning', 'caution']) {
+                expect(css, `${name} ${type}`).toMatch(new RegExp(`--alert-${type}-color: #[0-9a-f]{6};`));
+            }
+            expect(styles).toContain(name === 'light' ? ':root, [data-theme="light"] {' : `[data-theme="${name}"] {`);
+        }
+
+        expect(generateHtmlFromMarkdown('> [!NOTE]\n> x\n', 'doc.md', false, false)).toContain('.markdown-alert-caution');
+        expect(generateIndexHtmlWithSearch(process.cwd(), ['README.md'], 8080)).toContain('.markdown-alert-caution');
+    });
+});
@@ -0,0 +1,146 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DiskFS } = require('../lib/virtual-fs');
+
+let serverProcess;
+let port;
+let testDir;
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+    'base64'
+);
+
+test.describe('Static Assets', () => {
+    test.beforeAll(async () => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-assets-'));
+        fs.mkdirSync(path.join(testDir, 'docs', 'img'), { recursive: true });
+        fs.writeFileSync(path.join(testDir, 'docs', 'img', 'arch.png'), PNG);
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), [
+            '# Guide',
+            '',
+            '![diagram](./img/arch.png)',
+            '',
+            '[Setup](setup.md#install) and [readme](../README.md)',
+            '',
+            '<img src="img/arch.png" width="10">',
+            ''
+        ].join('\n'));
+        fs.writeFileSync(path.join(testDir, 'docs', 'setup.md'), '# Setup\n\n## Install\n');
+        fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n');
+        fs.writeFileSync(path.join(testDir, '.env'), 'TOKEN=1\n');
+        fs.writeFileSync(path.join(testDir, '.gitignore'), 'private/\n');
+        fs.mkdirSync(path.join(testDir, 'private'));
+        fs.writeFileSync(path.join(testDir, 'private', 'notes.txt'), 'secret\n');
+        // A sibling folder whose name starts with the served folder's
+        fs.mkdirSync(`${testDir}-secret`);
+        fs.writeFileSync(path.join(`${testDir}-secret`, 'a.txt'), 'secret\n');
+
+        port = 8895;
+        serverProcess = spawn('./mm.js', [testDir, '--keep-running'], {
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        await setTimeout(2000);
+
+        if (serverProcess.exitCode !== null) {
+            throw new Error('Server failed to start');
+        }
+    });
+
+    test.afterAll(async () => {
+        if (serverProcess && !serverProcess.killed) {
+            serverProcess.kill('SIGTERM');
+            await setTimeout(500);
+        }
+        fs.rmSync(testDir, { recursive: true, force: true });
+        fs.rmSync(`${testDir}-secret`, { recursive: true, force: true });
+    });
+
+    test('should rewrite relative images and links against the document directory', async ({ request }) => {
+        const response = await request.get(`http://localhost:${port}/view?file=docs/guide.md`);
+        const html = await response.text();
+
+        expect(html).toContain('src="/raw/docs/img/arch.png"');
+        expect(html).toContain('href="/view?file=docs%2Fsetup.md#install"');
+        expect(html).toContain('href="/view?file=README.md"');
+        expect(html).not.toContain('src="./img/arch.png"');
+        expect(html).not.toContain('src="img/arch.png"');
+    });
+
+    test('should serve binary assets with the correct MIME type', async ({ request }) => {
+        const response = await request.get(`http://localhost:${port}/raw/docs/img/arch.png`);
+        expect(response.status()).toBe(200);
+        expect(response.headers()['content-type']).toBe('image/png');
+
+        const body = await response.body();
+        expect(body.equals(PNG)).toBeTruthy();
+    });
+
+    test('should answer conditional requests with 304', async ({ request }) => {
+        const first = await request.get(`http://localhost:${port}/raw/docs/img/arch.png`);
+        const etag = first.headers()['etag'];
+        expect(etag).toBeTruthy();
+
+        const second = await request.get(`http://localhost:${port}/raw/docs/img/arch.png`, {
+            headers: { 'If-None-Match': etag }
+        });
+        expect(second.status()).toBe(304);
+    });
+
+    test('should serve byte ranges', async ({ request }) => {
+        const response = await request.get(`http://localhost:${port}/raw/docs/img/arch.png`, {
+            headers: { 'Range': 'bytes=0-7' }
+        });
+        expect(response.status()).toBe(206);
+        expect(response.headers()['content-range']).toBe(`bytes 0-7/${PNG.length}`);
+        expect((await response.body()).equals(PNG.subarray(0, 8))).toBeTruthy();
+
+        const unsatisfiable = await request.get(`http://localhost:${port}/raw/docs/img/arch.png`, {
+            headers: { 'Range': `bytes=${PNG.length + 10}-` }
+        });
+        expect(unsatisfiable.status()).toBe(416);
+    });
+
+    test('should not serve files outside the folder', async ({ request }) => {
+        const response = await request.get(`http://localhost:${port}/raw/..%2F..%2Fetc%2Fpasswd`);
+        expect(response.ok()).toBeFalsy();
+
+        const sibling = `..%2F${path.basename(testDir)}-secret%2Fa.txt`;
+        expect((await request.get(`http://localhost:${port}/raw/${sibling}`)).status()).toBe(404);
+
+        const virtualFS = new DiskFS(testDir);
+        const siblingPath = path.join('..', `${path.basename(testDir)}-secret`, 'a.txt');
+        await expect(virtualFS.readFile(siblingPath)).rejects.toThrow('Access denied');
+        expect(await virtualFS.exists(siblingPath)).toBe(false);
+        expect(await virtualFS.stat(siblingPath)).toBeNull();
+    });
+
+    test('should not serve hidden or ignored files', async ({ request }) => {
+        expect((await request.get(`http://localhost:${port}/raw/.env`)).status()).toBe(404);
+        expect((await request.get(`http://localhost:${port}/raw/private/notes.txt`)).status()).toBe(404);
+    });
+
+    test('should stream large files in ranges', async ({ request }) => {
+        const video = Buffer.alloc(3 * 1024 * 1024, 7);
+        video.write('tail', video.length - 4);
+        fs.writeFileSync(path.join(testDir, 'docs', 'clip.mp4'), video);
+
+        const whole = await request.get(`http://localhost:${port}/raw/docs/clip.mp4`);
+        expect(whole.headers()['content-length']).toBe(String(video.length));
+        expect((await whole.body()).equals(video)).toBeTruthy();
+
+        const tail = await request.get(`http://localhost:${port}/raw/docs/clip.mp4`, {
+            headers: { 'Range': 'bytes=-4' }
+        });
+        expect(tail.status()).toBe(206);
+        expect((await tail.body()).toString()).toBe('tail');
+        expect(tail.headers()['etag']).toBe(whole.headers()['etag']);
+    });
+});
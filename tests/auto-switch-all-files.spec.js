@@ -1,5 +1,6 @@
 const { test, expect } = require('@playwright/test');
 const path = require('path');
+const os = require('os');
 const { spawn } = require('child_process');
 
 // Helper to start the server for lib/ directory
@@ -10,7 +11,7 @@ async function startServerForDirectory(dirPath, port) {
             dirPath,
             '--keep-running'
         ], {
-            env: { ...process.env, PORT: port.toString() },
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
             stdio: ['ignore', 'pipe', 'pipe']
         });
 
@@ -1,5 +1,6 @@
 const { test, expect } = require('@playwright/test');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 const { spawn } = require('child_process');
 const http = require('http');
@@ -27,7 +28,7 @@ async function startServerForFile(filePath, port) {
             path.join(__dirname, '../mm.js'),
             filePath
         ], {
-            env: { ...process.env, PORT: port.toString() },
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
             stdio: ['ignore', 'pipe', 'pipe']
         });
 
@@ -0,0 +1,90 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { generateHtmlFromMarkdown, generateIndexHtmlWithSearch } = require('../lib/html-generator');
+const { diagramFileName } = require('../lib/diagram-export');
+
+const DOC = '# Guide\n\n```mermaid\ngraph TD\nA-->B\n```\n\n```mermaid\nsequenceDiagram\nAlice->>Bob: Hi\n```\n';
+
+let testDir;
+
+function mm(...args) {
+    return spawnSync('./mm.js', args, { encoding: 'utf-8', timeout: 60000 });
+}
+
+test.describe('Diagram Export', () => {
+    test.beforeAll(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-diagrams-'));
+        fs.mkdirSync(path.join(testDir, 'docs', 'api'), { recursive: true });
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), DOC);
+        fs.writeFileSync(path.join(testDir, 'docs', 'api', 'flow.md'), '# Flow\n\n- Step\n\n  ```mermaid\n  graph LR\n  X-->Y\n  ```\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'plain.md'), '# No diagrams\n');
+    });
+
+    test.afterAll(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should name diagram files after the document and index', () => {
+        expect(diagramFileName('guide.md', 0)).toBe('guide-1.svg');
+        expect(diagramFileName(path.join('docs', 'api', 'flow.markdown'), 2)).toBe('docs/api/flow-3.svg');
+
+        const html = generateHtmlFromMarkdown(DOC, 'guide.md', false, true, null, null, { filePath: 'docs/guide.md' });
+        expect(html).toContain('const diagramName = "guide";');
+        expect(html).toContain('function addDiagramExport(container, svg, name)');
+
+        // The index overlay names downloads after the file it shows
+        const index = generateIndexHtmlWithSearch(testDir, ['docs/guide.md'], 8080);
+        expect(index).toContain("addDiagramExport(container, svgContainer.querySelector('svg'), diagramName + '-' + (index + 1));");
+    });
+
+    test('should download diagrams as SVG and PNG', async ({ page }) => {
+        await page.setContent(generateHtmlFromMarkdown(DOC, 'guide.md', false, false));
+        await page.waitForSelector('body[data-diagrams-rendered]', { state: 'attached' });
+
+        const toolbars = page.locator('.mermaid-export');
+        await expect(toolbars).toHaveCount(2);
+        await expect(toolbars.first().locator('button')).toHaveText(['SVG', 'PNG 1x', '2x', '4x', 'Copy']);
+
+        await page.locator('.mermaid-container').nth(1).hover();
+        const [svgDownload] = await Promise.all([
+            page.waitForEvent('download'),
+            toolbars.nth(1).getByRole('button', { name: 'SVG' }).click()
+        ]);
+        expect(svgDownload.suggestedFilename()).toBe('guide-2.svg');
+        const svg = fs.readFileSync(await svgDownload.path(), 'utf-8');
+        expect(svg).toMatch(/^<svg[^>]+xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        expect(svg).toMatch(/^<svg[^>]+width="\d/);
+
+        await page.locator('.mermaid-container').first().hover();
+        const [pngDownload] = await Promise.all([
+            page.waitForEvent('download'),
+            toolbars.first().getByRole('button', { name: '2x' }).click()
+        ]);
+        expect(pngDownload.suggestedFilename()).toBe('guide-1@2x.png');
+        const png = fs.readFileSync(await pngDownload.path());
+        expect(png.subarray(1, 4).toString()).toBe('PNG');
+    });
+
+    test('should write every diagram with --export-diagrams', () => {
+        const out = path.join(testDir, 'out');
+        const result = mm('--export-diagrams', path.join(testDir, 'docs'), '--out', out);
+
+        expect(result.status, result.stdout + result.stderr).toBe(0);
+        expect(result.stdout).toContain('✅ Wrote 3 diagram(s) from 2 file(s)');
+        expect(fs.readdirSync(out).sort()).toEqual(['api', 'guide-1.svg', 'guide-2.svg']);
+        expect(fs.readFileSync(path.join(out, 'api', 'flow-1.svg'), 'utf-8')).toContain('<svg');
+    });
+
+    test('should report diagrams that fail to render', () => {
+        const broken = path.join(testDir, 'broken.md');
+        fs.writeFileSync(broken, '# Broken\n\n```mermaid\ngraph TD\nA-->\n```\n');
+
+        const result = mm('--export-diagrams', broken, '--out', path.join(testDir, 'broken-out'));
+        expect(result.status).toBe(1);
+        expect(result.stderr).toContain('broken.md:3');
+        expect(result.stdout).toContain('✅ Wrote 0 diagram(s) from 0 file(s)');
+    });
+});
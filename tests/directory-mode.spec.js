@@ -1,6 +1,8 @@
 const { test, expect } = require('@playwright/test');
 const { spawn } = require('child_process');
 const { setTimeout } = require('timers/promises');
+const path = require('path');
+const os = require('os');
 
 let serverProcess;
 let port;
@@ -10,7 +12,7 @@ test.describe('Directory Mode Navigation', () => {
         // Start server with test directory
         port = 8889; // Use a different port to avoid conflicts
         serverProcess = spawn('./mm.js', ['/tmp/moremaid-test'], {
-            env: { ...process.env, PORT: port.toString() },
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
             stdio: ['ignore', 'pipe', 'pipe']
         });
 
@@ -0,0 +1,101 @@
+const { test, expect } = require('@playwright/test');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+let testDir;
+let outDir;
+
+function exportDocs(sourceDir, targetDir) {
+    return execFileSync('./mm.js', ['--export', sourceDir, '--out', targetDir], { encoding: 'utf-8' });
+}
+
+test.describe('Static Site Export', () => {
+    test.beforeAll(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-export-'));
+        fs.mkdirSync(path.join(testDir, 'docs', 'img'), { recursive: true });
+        fs.writeFileSync(path.join(testDir, 'README.md'),
+            '# Home\n\nRead the [guide](docs/guide.md#setup).\n\n![logo](docs/img/logo.png)\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'),
+            '# Guide\n\n## Setup\n\nBack to [home](../README.md). The area is $\\pi r^2$.\n\n```mermaid\ngraph TD\nA-->B\n```\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'img', 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+        outDir = path.join(testDir, 'site');
+        exportDocs(testDir, outDir);
+    });
+
+    test.afterAll(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should write one page per markdown file and copy other files', () => {
+        expect(fs.existsSync(path.join(outDir, 'README.html'))).toBeTruthy();
+        expect(fs.existsSync(path.join(outDir, 'docs', 'guide.html'))).toBeTruthy();
+        expect(fs.readFileSync(path.join(outDir, 'docs', 'img', 'logo.png')))
+            .toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    });
+
+    test('should rewrite cross-document links to .html', () => {
+        const readme = fs.readFileSync(path.join(outDir, 'README.html'), 'utf-8');
+        expect(readme).toContain('href="docs/guide.html#setup"');
+        expect(readme).toContain('src="docs/img/logo.png"');
+
+        const guide = fs.readFileSync(path.join(outDir, 'docs', 'guide.html'), 'utf-8');
+        expect(guide).toContain('href="../README.html"');
+    });
+
+    test('should load bundled libraries relative to each page', () => {
+        const guide = fs.readFileSync(path.join(outDir, 'docs', 'guide.html'), 'utf-8');
+        expect(guide).toContain('src="../moremaid-assets/mermaid.min.js"');
+        expect(guide).not.toMatch(/https?:\/\/cdn\./);
+        expect(guide).not.toContain('/ws');
+
+        expect(fs.existsSync(path.join(outDir, 'moremaid-assets', 'mermaid.min.js'))).toBeTruthy();
+        expect(fs.existsSync(path.join(outDir, 'moremaid-assets', 'prism', 'components', 'prism-python.min.js'))).toBeTruthy();
+    });
+
+    test('should render math and copy the KaTeX styles', () => {
+        const guide = fs.readFileSync(path.join(outDir, 'docs', 'guide.html'), 'utf-8');
+        expect(guide).toContain('<span class="katex">');
+        expect(guide).toContain('href="../moremaid-assets/katex/katex.min.css"');
+
+        expect(fs.existsSync(path.join(outDir, 'moremaid-assets', 'katex', 'katex.min.css'))).toBeTruthy();
+        expect(fs.existsSync(path.join(outDir, 'moremaid-assets', 'katex', 'fonts', 'KaTeX_Main-Regular.woff2'))).toBeTruthy();
+    });
+
+    test('should generate a searchable index page', () => {
+        const index = fs.readFileSync(path.join(outDir, 'index.html'), 'utf-8');
+        expect(index).toContain('src="moremaid-assets/minisearch.min.js"');
+        expect(index).toContain('MiniSearch.loadJSON(');
+        expect(index).toContain('"href":"docs/guide.html"');
+    });
+
+    test('should not re-export a previous export inside the source folder', () => {
+        exportDocs(testDir, outDir);
+        expect(fs.existsSync(path.join(outDir, 'site'))).toBeFalsy();
+    });
+
+    test('should export a single file with the files it links to', () => {
+        const target = path.join(testDir, 'readme-site');
+        exportDocs(path.join(testDir, 'README.md'), target);
+
+        expect(fs.existsSync(path.join(target, 'README.html'))).toBeTruthy();
+        expect(fs.existsSync(path.join(target, 'docs', 'guide.html'))).toBeTruthy();
+        expect(fs.readFileSync(path.join(target, 'docs', 'img', 'logo.png')))
+            .toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+        expect(fs.existsSync(path.join(target, 'site'))).toBeFalsy();
+    });
+
+    test('should keep a root index.md and move the search page aside', () => {
+        const sourceDir = path.join(testDir, 'with-index');
+        fs.mkdirSync(sourceDir);
+        fs.writeFileSync(path.join(sourceDir, 'index.md'), '# Welcome\n');
+
+        const target = path.join(testDir, 'with-index-site');
+        exportDocs(sourceDir, target);
+
+        expect(fs.readFileSync(path.join(target, 'index.html'), 'utf-8')).toContain('Welcome');
+        expect(fs.existsSync(path.join(target, 'search.html'))).toBeTruthy();
+    });
+});
@@ -28,7 +28,7 @@ async function startServerForDirectory(dirPath, port) {
             path.join(__dirname, '../mm.js'),
             dirPath
         ], {
-            env: { ...process.env, PORT: port.toString() },
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
             stdio: ['ignore', 'pipe', 'pipe']
         });
 
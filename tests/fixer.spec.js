@@ -0,0 +1,68 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { fixMermaid, fixMarkdown } = require('../lib/fixer');
+const { validateMermaid } = require('../lib/validator');
+const { normalizeConfig } = require('../lib/project-config');
+
+test.describe('Validation Auto-Fix', () => {
+    test('should quote risky flowchart labels', async () => {
+        const diagram = 'graph TD\n  A[/usr/local/bin] --> B[a/b/c]\n  B --> C[Run<br>/etc/hosts]\n  C --> D[run (fast)]';
+        const { code, fixes } = await fixMermaid(diagram);
+
+        expect(code).toBe('graph TD\n  A["/usr/local/bin"] --> B["a/b/c"]\n  B --> C["Run<br>/etc/hosts"]\n  C --> D["run (fast)"]');
+        expect(fixes.map(fix => fix.line)).toEqual([2, 2, 3, 4]);
+        expect(await validateMermaid(code, 1)).toEqual([]);
+    });
+
+    test('should leave valid shapes and other diagrams alone', async () => {
+        const shapes = 'flowchart LR\n  A[/parallelogram/] --> B[\\trapezoid/] --> C[[sub/routine/x]] --> D["a/b/c"]';
+        expect((await fixMermaid(shapes)).fixes).toEqual([]);
+
+        const sequence = 'sequenceDiagram\n  Alice->>Bob: see [/usr/bin]';
+        expect((await fixMermaid(sequence)).code).toBe(sequence);
+    });
+
+    test('should keep indentation and line numbers of markdown', async () => {
+        const markdown = '# Doc\n\n- Item\n\n  ```Mermaid\n  graph TD\n    A[/tmp] --> B\n  ```\n';
+        const { content, fixes } = await fixMarkdown(markdown);
+
+        expect(content).toBe('# Doc\n\n- Item\n\n  ```mermaid\n  graph TD\n    A["/tmp"] --> B\n  ```\n');
+        expect(fixes.map(fix => `${fix.line} ${fix.rule}`)).toEqual(['5 mermaid/fence', '7 mermaid/syntax']);
+    });
+
+    test('should not apply fixes whose rule is turned off', async () => {
+        const markdown = '```Mermaid\ngraph TD\n  A[/tmp] --> B\n```\n';
+        const config = normalizeConfig({ rules: { 'mermaid/fence': 'off' } }, process.cwd());
+        const { content, fixes } = await fixMarkdown(markdown, { config });
+
+        expect(content).toBe(markdown);
+        expect(fixes).toEqual([]);
+        expect(config.severity('mermaid/fence')).toBe('off');
+    });
+
+    test('cli should write fixes, or print a diff with --dry-run', () => {
+        const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-fix-'));
+        const file = path.join(testDir, 'doc.md');
+        const original = '# Getting Started\n\n[Start](#Getting-Started)\n\n```mermaid\ngraph TD\n  A[/usr/bin] --> B\n```\n';
+        fs.writeFileSync(file, original);
+
+        try {
+            const dryRun = spawnSync(path.resolve('mm.js'), ['--validate', 'doc.md', '--fix', '--dry-run'], { encoding: 'utf-8', cwd: testDir });
+            expect(dryRun.status).toBe(0);
+            expect(dryRun.stdout).toContain('--- a/doc.md\n+++ b/doc.md\n');
+            expect(dryRun.stdout).toContain('-[Start](#Getting-Started)\n+[Start](#getting-started)\n');
+            expect(dryRun.stdout).toContain('+  A["/usr/bin"] --> B\n');
+            expect(fs.readFileSync(file, 'utf-8')).toBe(original);
+
+            const fix = spawnSync(path.resolve('mm.js'), ['--validate', 'doc.md', '--fix'], { encoding: 'utf-8', cwd: testDir });
+            expect(fix.status).toBe(0);
+            expect(fs.readFileSync(file, 'utf-8')).toContain('[Start](#getting-started)');
+            expect(fs.readFileSync(file, 'utf-8')).toContain('A["/usr/bin"] --> B');
+        } finally {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,126 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { parseFrontMatter, readMetadata, matchesFacets } = require('../lib/front-matter');
+const { generateHtmlFromMarkdown, getHeadingIds } = require('../lib/html-generator');
+
+let serverProcess;
+let port;
+let testDir;
+
+const GUIDE = [
+    '---',
+    'title: Getting Started',
+    'tags: [guide, setup]',
+    'author: Jane Doe',
+    'date: 2024-03-01',
+    '---',
+    '# Guide',
+    '',
+    'Install it.',
+    ''
+].join('\n');
+
+test.describe('Front Matter', () => {
+    test('should split front matter from the body', () => {
+        const { data, body } = parseFrontMatter(GUIDE);
+        expect(data).toEqual({ title: 'Getting Started', tags: ['guide', 'setup'], author: 'Jane Doe', date: '2024-03-01' });
+        expect(body).toBe('# Guide\n\nInstall it.\n');
+
+        // A horizontal rule followed by text is not front matter
+        const notFrontMatter = '---\nJust a paragraph\n---\n';
+        expect(parseFrontMatter(notFrontMatter)).toEqual({ data: {}, body: notFrontMatter });
+
+        // Anchors and aliases are resolved, invalid YAML is left alone
+        expect(parseFrontMatter('---\nauthor: &me Jane\nreviewer: *me\n---\nText\n').data).toEqual({ author: 'Jane', reviewer: 'Jane' });
+        const invalid = '---\ntitle: A\ntitle: B\n---\nText\n';
+        expect(parseFrontMatter(invalid)).toEqual({ data: {}, body: invalid });
+    });
+
+    test('should normalize tags, authors and dates', () => {
+        expect(readMetadata('---\ntags: guide, setup\nauthors: [Jane, John]\ndate: 2024\n---\n')).toEqual({
+            title: null, tags: ['guide', 'setup'], author: 'Jane, John', date: '2024'
+        });
+        expect(readMetadata('# No front matter')).toEqual({ title: null, tags: [], author: null, date: null });
+    });
+
+    test('should match facets', () => {
+        const metadata = readMetadata(GUIDE);
+        expect(matchesFacets(metadata, { tag: ['Guide', 'other'] })).toBe(true);
+        expect(matchesFacets(metadata, { tag: ['guide'], author: ['john'] })).toBe(false);
+        expect(matchesFacets(metadata, { date: ['2024-03'] })).toBe(true);
+        expect(matchesFacets(null, { date: ['2024'] })).toBe(false);
+    });
+
+    test('should render a metadata header instead of the front matter', () => {
+        const html = generateHtmlFromMarkdown(GUIDE, 'guide.md', false, false);
+        expect(html).toContain('<title>Getting Started</title>');
+        expect(html).toContain('<header class="front-matter"><span class="front-matter-author">✍️ Jane Doe</span>');
+        expect(html).toContain('<span class="front-matter-tag">guide</span><span class="front-matter-tag">setup</span>');
+        expect(html).not.toContain('<hr>');
+        expect(html).not.toMatch(/<(p|h2)[^>]*>title: Getting Started/);
+        expect([...getHeadingIds(GUIDE)]).toEqual(['guide']);
+    });
+
+    test.describe('Server', () => {
+        test.beforeAll(async () => {
+            testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-front-matter-'));
+            fs.mkdirSync(path.join(testDir, 'docs'));
+            fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), GUIDE);
+            fs.writeFileSync(path.join(testDir, 'docs', 'notes.md'),
+                '---\ntitle: "Release <Notes>"\ntags: [release]\nauthor: John\ndate: 2023-12-24\n---\nSee the guide.\n');
+            fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n\nThe guide is in docs.\n');
+
+            port = 8897;
+            serverProcess = spawn('./mm.js', [testDir, '--keep-running'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterAll(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+            fs.rmSync(testDir, { recursive: true, force: true });
+        });
+
+        test('should show titles and metadata in the index', async ({ request }) => {
+            const html = await (await request.get(`http://localhost:${port}/`)).text();
+            expect(html).toContain('<div class="file-name has-title" title="docs/guide.md">Getting Started</div>');
+            expect(html).toContain('Release &lt;Notes&gt;');
+            expect(html).toContain('"title":"Release \\u003cNotes>"');
+            expect(html).toContain('id="facetBar"');
+        });
+
+        test('should link tags in the metadata header to the index', async ({ request }) => {
+            const html = await (await request.get(`http://localhost:${port}/view?file=docs/guide.md`)).text();
+            expect(html).toContain('<a class="front-matter-tag" href="/?tag=guide">guide</a>');
+        });
+
+        test('should filter /api/search by facets', async ({ request }) => {
+            const byTag = await (await request.get(`http://localhost:${port}/api/search?tag=release`)).json();
+            expect(byTag.map(result => result.path)).toEqual(['docs/notes.md']);
+            expect(byTag[0]).toMatchObject({ title: 'Release <Notes>', tags: ['release'], author: 'John', date: '2023-12-24' });
+
+            const byContent = await (await request.get(`http://localhost:${port}/api/search?q=guide&mode=content&date=2023`)).json();
+            expect(byContent.map(result => result.path)).toEqual(['docs/notes.md']);
+
+            const byTitle = await (await request.get(`http://localhost:${port}/api/search?q=getting`)).json();
+            expect(byTitle.map(result => result.path)).toEqual(['docs/guide.md']);
+
+            const noQuery = await request.get(`http://localhost:${port}/api/search`);
+            expect(noQuery.status()).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+const { test, expect } = require('@playwright/test');
+const { slug, Slugger } = require('../lib/slugger');
+const { generateHtmlFromMarkdown, generateIndexHtmlWithSearch, getHeadingIds } = require('../lib/html-generator');
+const { validateLinks, LinkTargets } = require('../lib/validator');
+const { DiskFS } = require('../lib/virtual-fs');
+
+const DOC = '# Café & Crème\n\n## Setup\n\n## Setup\n\n## Setup 1\n\n## 日本語の見出し\n\n## Use `mm --pack` -- now!\n';
+
+test.describe('Heading IDs', () => {
+    test('should slug like GitHub', () => {
+        expect(slug('Café & Crème')).toBe('café--crème');
+        expect(slug('日本語の見出し')).toBe('日本語の見出し');
+        expect(slug('🚀 Launch: v2.0')).toBe('-launch-v20');
+        expect(slug('snake_case and kebab-case')).toBe('snake_case-and-kebab-case');
+    });
+
+    test('should number duplicate headings', () => {
+        const slugger = new Slugger();
+        expect(['Setup', 'Setup', 'Setup 1', 'Setup'].map(text => slugger.slug(text)))
+            .toEqual(['setup', 'setup-1', 'setup-1-1', 'setup-2']);
+    });
+
+    test('should use the same IDs for rendering and link checks', () => {
+        const ids = ['café--crème', 'setup', 'setup-1', 'setup-1-1', '日本語の見出し', 'use-mm---pack----now'];
+        expect([...getHeadingIds(DOC)]).toEqual(ids);
+
+        const html = generateHtmlFromMarkdown(DOC, 'doc.md', false, true);
+        expect([...html.matchAll(/<h[1-6] id="([^"]*)"/g)].map(match => match[1])).toEqual(ids);
+    });
+
+    test('should add a permalink to each heading', () => {
+        const html = generateHtmlFromMarkdown(DOC, 'doc.md', false, true);
+        expect(html).toContain('<h2 id="setup-1">Setup<a class="heading-permalink" href="#setup-1"');
+        expect(html).toContain('copyPermalink(link, url.href)');
+
+        // The overlay copies the /view URL, not the index URL
+        const index = generateIndexHtmlWithSearch(process.cwd(), ['README.md'], 8080);
+        expect(index).toContain("'/view?file=' + encodeURIComponent(currentOverlayFile) + permalink.hash");
+    });
+
+    test('should accept GitHub anchors to duplicate headings', async () => {
+        const markdown = DOC + '\n[second](#setup-1) [third](#setup-2) [text](#Setup)\n';
+        const { errors } = await validateLinks(markdown, 'doc.md', new LinkTargets(new DiskFS(process.cwd())));
+        expect(errors.map(error => error.url)).toEqual(['#setup-2', '#Setup']);
+        expect(errors[1].suggestion).toBe('#setup');
+    });
+});
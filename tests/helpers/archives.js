@@ -0,0 +1,42 @@
+/**
+ * Archives for the specs, written with archiver
+ */
+
+const fs = require('fs');
+const archiver = require('archiver');
+const archiverZipEncrypted = require('archiver-zip-encrypted');
+
+if (!archiver.isRegisteredFormat('zip-encrypted')) {
+    archiver.registerFormat('zip-encrypted', archiverZipEncrypted);
+}
+
+/**
+ * Write a ZIP archive (entries stored, not compressed)
+ * @param {string} target - Archive file to write
+ * @param {string|object} files - Folder to pack, or { name: content } entries
+ * @param {object} options - { password } (AES-256 encrypted entries)
+ * @returns {Promise<void>}
+ */
+function createArchive(target, files, options = {}) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(target);
+        const archive = options.password
+            ? archiver('zip-encrypted', { encryptionMethod: 'aes256', password: options.password })
+            : archiver('zip', { store: true });
+        output.on('close', resolve);
+        archive.on('error', reject);
+        archive.pipe(output);
+        if (typeof files === 'string') {
+            archive.directory(files, false);
+        } else {
+            for (const [name, content] of Object.entries(files)) {
+                archive.append(content, { name });
+            }
+        }
+        archive.finalize();
+    });
+}
+
+module.exports = {
+    createArchive
+};
@@ -0,0 +1,136 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { LinkGraph } = require('../lib/wiki-links');
+const { handleZipFile } = require('../lib/archive-handler');
+const { generateIndexHtmlWithSearch } = require('../lib/html-generator');
+const { createArchive } = require('./helpers/archives');
+
+let serverProcess;
+let port;
+let testDir;
+
+// README -> guide -> api, notes links nowhere, nothing links to README or notes
+function writeDocs(dir) {
+    fs.mkdirSync(path.join(dir, 'docs'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'img'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'README.md'), '# Readme\n\nStart with the [guide](docs/guide.md).\n');
+    fs.writeFileSync(path.join(dir, 'docs', 'guide.md'), '---\ntitle: User Guide\n---\nSee [[api]] and ![logo](../img/logo.png).\n');
+    fs.writeFileSync(path.join(dir, 'docs', 'api.md'), '# API\n\nBack to the [[User Guide|guide]]... [[guide]].\n');
+    fs.writeFileSync(path.join(dir, 'notes.md'), '# Notes\n');
+    fs.writeFileSync(path.join(dir, 'img', 'logo.png'), 'png');
+}
+
+function sortGraph(graph) {
+    return {
+        nodes: [...graph.nodes].sort((a, b) => (a.path < b.path ? -1 : 1)),
+        links: graph.links.map(link => `${link.source} -> ${link.target}`).sort()
+    };
+}
+
+test.describe('Link Graph', () => {
+    test.beforeAll(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-link-graph-'));
+        writeDocs(path.join(testDir, 'docs-root'));
+    });
+
+    test.afterAll(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should build the graph of a ZIP archive', async () => {
+        const archivePath = path.join(testDir, 'docs.moremaid');
+        await createArchive(archivePath, path.join(testDir, 'docs-root'));
+        const { virtualFS } = await handleZipFile(archivePath, { quiet: true });
+
+        const graph = sortGraph(await new LinkGraph(virtualFS).getGraph(await virtualFS.listFiles('*')));
+        expect(graph.nodes).toEqual([
+            { path: 'README.md', title: null, orphan: true },
+            { path: 'docs/api.md', title: null, orphan: false },
+            { path: 'docs/guide.md', title: 'User Guide', orphan: false },
+            { path: 'img/logo.png', title: null, orphan: false },
+            { path: 'notes.md', title: null, orphan: true }
+        ]);
+        expect(graph.links).toEqual([
+            'README.md -> docs/guide.md',
+            'docs/api.md -> docs/guide.md',
+            'docs/guide.md -> docs/api.md',
+            'docs/guide.md -> img/logo.png'
+        ]);
+    });
+
+    test('should render the index as a graph', () => {
+        const list = generateIndexHtmlWithSearch(process.cwd(), ['README.md'], 8080, null, '*');
+        expect(list).toContain('id="graphToggle" href="/graph?filter=*"');
+        expect(list).not.toContain('id="linkGraph"');
+
+        const graph = generateIndexHtmlWithSearch(process.cwd(), ['README.md'], 8080, null, '*.md', {}, { graph: true });
+        expect(graph).toContain('<title>Link Graph of');
+        expect(graph).toContain('id="graphToggle" href="/"');
+        expect(graph).toContain('<div class="container graph-view">');
+        expect(graph).toContain('<svg id="linkGraphSvg"');
+        expect(graph).toContain('<input name="filter" value="*.md"');
+        expect(graph).toContain("fetch('/api/graph?filter='");
+        expect(graph).toContain('showOverlay(drag.node.path');
+    });
+
+    test.describe('Server', () => {
+        test.beforeAll(async () => {
+            port = 8899;
+            serverProcess = spawn('./mm.js', [path.join(testDir, 'docs-root'), '--keep-running'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterAll(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+        });
+
+        test('should serve the graph page', async ({ request }) => {
+            const response = await request.get(`http://localhost:${port}/graph`);
+            expect(response.status()).toBe(200);
+            const html = await response.text();
+            expect(html).toContain('id="linkGraphSvg"');
+            expect(html).toContain('id="fileOverlay"');
+        });
+
+        test('should filter /api/graph like the index', async ({ request }) => {
+            const markdown = sortGraph(await (await request.get(`http://localhost:${port}/api/graph`)).json());
+            expect(markdown.nodes.map(node => node.path)).toEqual(['README.md', 'docs/api.md', 'docs/guide.md', 'notes.md']);
+            expect(markdown.links).toHaveLength(3);
+
+            const all = await (await request.get(`http://localhost:${port}/api/graph?filter=*`)).json();
+            expect(all.nodes).toHaveLength(5);
+            expect(all.links).toHaveLength(4);
+
+            const guides = await (await request.get(`http://localhost:${port}/api/graph?filter=${encodeURIComponent('g*.md')}`)).json();
+            expect(guides).toEqual({ nodes: [{ path: 'docs/guide.md', title: 'User Guide', orphan: false }], links: [] });
+        });
+
+        test('should rebuild the graph when the ignore files change', async ({ request }) => {
+            const backlinks = async () => {
+                const html = await (await request.get(`http://localhost:${port}/view?file=docs/guide.md`)).text();
+                return (html.match(/<aside class="backlinks">.*?<\/aside>/) || [''])[0];
+            };
+            expect(await backlinks()).toContain('docs/api.md');
+
+            fs.writeFileSync(path.join(testDir, 'docs-root', '.moremaidignore'), 'docs/api.md\n');
+            await setTimeout(1000);
+            expect(await backlinks()).not.toContain('docs/api.md');
+            expect(await backlinks()).toContain('README.md');
+        });
+    });
+});
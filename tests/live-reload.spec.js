@@ -0,0 +1,157 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const WebSocket = require('ws');
+const { FileWatcher } = require('../lib/watcher');
+
+let serverProcess;
+let port;
+let testDir;
+
+// Collect fileChange messages pushed by the server
+function collectMessages(ws) {
+    const messages = [];
+    ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        if (message.type === 'fileChange') {
+            messages.push(message);
+        }
+    });
+    return messages;
+}
+
+async function waitForMessage(messages, predicate, timeout = 3000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const found = messages.find(predicate);
+        if (found) return found;
+        await setTimeout(50);
+    }
+    return null;
+}
+
+test.describe('Live Reload', () => {
+    test.beforeAll(async () => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-live-reload-'));
+        fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n\nOriginal content\n');
+        fs.mkdirSync(path.join(testDir, 'docs'));
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), '# Guide\n');
+
+        port = 8894;
+        serverProcess = spawn('./mm.js', [testDir, '--keep-running'], {
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        await setTimeout(2000);
+
+        if (serverProcess.exitCode !== null) {
+            throw new Error('Server failed to start');
+        }
+    });
+
+    test.afterAll(async () => {
+        if (serverProcess && !serverProcess.killed) {
+            serverProcess.kill('SIGTERM');
+            await setTimeout(500);
+        }
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should push change, add and unlink events over the WebSocket', async () => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws`);
+        const messages = collectMessages(ws);
+        await new Promise(resolve => ws.on('open', resolve));
+
+        fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n\nUpdated content\n');
+        const change = await waitForMessage(messages, m => m.event === 'change' && m.path === 'README.md');
+        expect(change).not.toBeNull();
+        expect(change.file.fileName).toBe('README.md');
+
+        fs.writeFileSync(path.join(testDir, 'docs', 'new-page.md'), '# New Page\n');
+        const add = await waitForMessage(messages, m => m.event === 'add' && m.path === 'docs/new-page.md');
+        expect(add).not.toBeNull();
+        expect(add.file.directory).toBe('docs');
+
+        fs.unlinkSync(path.join(testDir, 'docs', 'new-page.md'));
+        const unlink = await waitForMessage(messages, m => m.event === 'unlink' && m.path === 'docs/new-page.md');
+        expect(unlink).not.toBeNull();
+        expect(unlink.file).toBeNull();
+
+        ws.close();
+    });
+
+    test('should not fail on folders removed while they are being watched', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-watch-'));
+        const watcher = new FileWatcher(dir);
+        const readdirSync = fs.readdirSync;
+        fs.readdirSync = () => {
+            throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' });
+        };
+        try {
+            // As flush() does for a new folder, which is gone again by now
+            expect(() => watcher.watchDirectory(dir)).not.toThrow();
+            expect(watcher.watchers.size).toBe(0);
+        } finally {
+            fs.readdirSync = readdirSync;
+            watcher.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should ignore hidden files', async () => {
+        const ws = new WebSocket(`ws://localhost:${port}/ws`);
+        const messages = collectMessages(ws);
+        await new Promise(resolve => ws.on('open', resolve));
+
+        fs.writeFileSync(path.join(testDir, '.draft.md'), '# Draft\n');
+        const hidden = await waitForMessage(messages, m => m.path === '.draft.md', 1000);
+        expect(hidden).toBeNull();
+
+        ws.close();
+    });
+
+    test('should serve the updated content after a change', async ({ request }) => {
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), '# Guide\n\nFreshly edited\n');
+        await setTimeout(300);
+
+        const response = await request.get(`http://localhost:${port}/view?file=docs/guide.md`);
+        expect(response.ok()).toBeTruthy();
+        expect(await response.text()).toContain('Freshly edited');
+    });
+
+    test('should re-render an open overlay when its file changes', async ({ page }) => {
+        await page.goto(`http://localhost:${port}/#file=README.md`);
+        await expect(page.locator('#overlayBody')).toContainText('content');
+
+        fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n\nLive edited content\n');
+        await expect(page.locator('#overlayBody')).toContainText('Live edited content');
+    });
+
+    test('should add new files to the index list', async ({ page }) => {
+        await page.goto(`http://localhost:${port}`);
+        await expect(page.locator('.file-item[data-path="docs/guide.md"]')).toBeVisible();
+
+        fs.writeFileSync(path.join(testDir, 'docs', 'added.md'), '# Added\n');
+        await expect(page.locator('.file-item[data-path="docs/added.md"]')).toBeVisible();
+
+        fs.unlinkSync(path.join(testDir, 'docs', 'added.md'));
+        await expect(page.locator('.file-item[data-path="docs/added.md"]')).toHaveCount(0);
+    });
+
+    test('should only add new files matching the filter', async ({ page }) => {
+        await page.goto(`http://localhost:${port}/?filter=${encodeURIComponent('guide-*')}`);
+        await expect(page.locator('.file-item')).toHaveCount(0);
+
+        fs.writeFileSync(path.join(testDir, 'docs', 'notes.md'), '# Notes\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide-diagram.png'), 'png');
+        await expect(page.locator('.file-item[data-path="docs/guide-diagram.png"]')).toBeVisible();
+        await expect(page.locator('.file-item[data-path="docs/notes.md"]')).toHaveCount(0);
+
+        fs.unlinkSync(path.join(testDir, 'docs', 'notes.md'));
+        fs.unlinkSync(path.join(testDir, 'docs', 'guide-diagram.png'));
+    });
+});
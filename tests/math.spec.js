@@ -0,0 +1,67 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { generateHtmlFromMarkdown, getHeadingIds } = require('../lib/html-generator');
+const { findMath } = require('../lib/math');
+const { validateMarkdownFile } = require('../lib/validator');
+
+// Content of the .container element
+function renderBody(markdown, isServer = true) {
+    const html = generateHtmlFromMarkdown(markdown, 'doc.md', false, isServer);
+    return html.substring(html.indexOf('<div class="container">'), html.indexOf('<script>', html.indexOf('<div class="container">')));
+}
+
+test.describe('Math', () => {
+    test('should render inline and block math with KaTeX', () => {
+        const body = renderBody('The area is $\\pi r^2$.\n\n$$\n\\int_0^1 x\\,dx\n$$\n');
+        expect(body).toContain('<annotation encoding="application/x-tex">\\pi r^2</annotation>');
+        expect(body).toContain('<div class="math-block"><span class="katex-display">');
+        expect(body).toContain('<annotation encoding="application/x-tex">\\int_0^1 x\\,dx</annotation>');
+    });
+
+    test('should leave prices, escaped dollars and code alone', () => {
+        const body = renderBody('Costs $5 and $10.\n\nA \\$x$ sign and `$x$`\n\n```\n$$y$$\n```\n');
+        expect(body).not.toContain('katex');
+        expect(body).toContain('<p>Costs $5 and $10.</p>');
+        expect(body).toContain('<p>A $x$ sign and <code>$x$</code></p>');
+    });
+
+    test('should use the TeX source for heading IDs', () => {
+        const body = renderBody('## Energy $E=mc^2$\n');
+        expect(body).toContain('<h2 id="energy-emc2">');
+        expect([...getHeadingIds('## Energy $E=mc^2$\n')]).toEqual(['energy-emc2']);
+    });
+
+    test('should embed the KaTeX fonts in standalone pages', () => {
+        const html = generateHtmlFromMarkdown('$x$', 'doc.md', false, false);
+        expect(html).toContain('src:url(data:font/woff2;base64,');
+        expect(html).not.toContain('url(fonts/');
+
+        expect(generateHtmlFromMarkdown('No math', 'doc.md', false, false)).not.toContain('KaTeX_Main');
+    });
+
+    test('should find math with its position', () => {
+        expect(findMath('---\nprice: $5 to $6$\n---\nSee $a$ and `$b$`\n\n  $$ c\n  d $$\n')).toEqual([
+            { tex: 'a', displayMode: false, line: 4, column: 6 },
+            { tex: 'c\n  d', displayMode: true, line: 6, column: 6 }
+        ]);
+    });
+
+    test('should report invalid TeX when validating', async () => {
+        const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-math-'));
+        const file = path.join(testDir, 'doc.md');
+        fs.writeFileSync(file, '# Doc\n\nFine $x^2$, broken $\\frac{1}{2$.\n\n$$\nx +\n  \\foo\n$$\n');
+
+        try {
+            const { errors, stats } = await validateMarkdownFile(file);
+            expect(errors).toEqual([
+                expect.objectContaining({ rule: 'math/syntax', line: 3, column: 31, severity: 'error' }),
+                expect.objectContaining({ rule: 'math/syntax', line: 7, column: 3, message: 'Math error: Undefined control sequence: \\foo' })
+            ]);
+            expect(stats).toMatchObject({ mathErrors: 2, mathChecked: 3 });
+        } finally {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,104 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { generateHtmlFromMarkdown } = require('../lib/html-generator');
+
+let serverProcess;
+let port;
+let testDir;
+
+test.describe('Offline Assets', () => {
+    test.beforeAll(async () => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-offline-'));
+        fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n\n```mermaid\ngraph TD\nA-->B\n```\n');
+        fs.writeFileSync(path.join(testDir, 'guide.md'), '# Guide\n');
+        fs.writeFileSync(path.join(testDir, 'script.py'), 'print("hi")\n');
+
+        port = 8896;
+        serverProcess = spawn('./mm.js', [testDir, '--keep-running'], {
+            env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        await setTimeout(2000);
+
+        if (serverProcess.exitCode !== null) {
+            throw new Error('Server failed to start');
+        }
+    });
+
+    test.afterAll(async () => {
+        if (serverProcess && !serverProcess.killed) {
+            serverProcess.kill('SIGTERM');
+            await setTimeout(500);
+        }
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should not reference any CDN from served pages', async ({ request }) => {
+        for (const url of ['/', '/view?file=README.md', '/view?file=script.py']) {
+            const html = await (await request.get(`http://localhost:${port}${url}`)).text();
+            expect(html).not.toMatch(/https?:\/\/cdn\./);
+        }
+
+        const index = await (await request.get(`http://localhost:${port}/`)).text();
+        expect(index).toContain('src="/assets/mermaid.min.js"');
+        expect(index).toContain('src="/assets/minisearch.min.js"');
+        expect(index).toContain('src="/assets/prism/components/prism-core.min.js"');
+    });
+
+    test('should serve bundled libraries from /assets', async ({ request }) => {
+        const mermaid = await request.get(`http://localhost:${port}/assets/mermaid.min.js`);
+        expect(mermaid.status()).toBe(200);
+        expect(mermaid.headers()['content-type']).toContain('javascript');
+
+        const minisearch = await request.get(`http://localhost:${port}/assets/minisearch.min.js`);
+        expect(minisearch.status()).toBe(200);
+        expect(await minisearch.text()).toContain('MiniSearch');
+
+        // Languages fetched on demand by the Prism autoloader
+        const python = await request.get(`http://localhost:${port}/assets/prism/components/prism-python.min.js`);
+        expect(python.status()).toBe(200);
+
+        const theme = await request.get(`http://localhost:${port}/assets/prism/themes/prism-tomorrow.min.css`);
+        expect(theme.headers()['content-type']).toContain('text/css');
+    });
+
+    test('should serve the KaTeX stylesheet and fonts', async ({ request }) => {
+        const index = await (await request.get(`http://localhost:${port}/`)).text();
+        expect(index).toContain('href="/assets/katex/katex.min.css"');
+
+        const css = await request.get(`http://localhost:${port}/assets/katex/katex.min.css`);
+        expect(css.headers()['content-type']).toContain('text/css');
+
+        const font = await request.get(`http://localhost:${port}/assets/katex/fonts/KaTeX_Main-Regular.woff2`);
+        expect(font.status()).toBe(200);
+        expect(font.headers()['content-type']).toBe('font/woff2');
+    });
+
+    test('should only serve known assets', async ({ request }) => {
+        const unknown = await request.get(`http://localhost:${port}/assets/prism/package.json`);
+        expect(unknown.status()).toBe(404);
+
+        const traversal = await request.get(`http://localhost:${port}/assets/prism/..%2F..%2Fpackage.json`);
+        expect(traversal.status()).toBe(404);
+    });
+
+    test('should inline libraries in standalone pages', () => {
+        const markdown = '# Doc\n\n```python\nprint(1)\n```\n\n```mermaid\ngraph TD\nA-->B\n```\n';
+        const html = generateHtmlFromMarkdown(markdown, 'doc.md', false, false);
+
+        expect(html).not.toContain('="/assets/');
+        expect(html).toContain('<script id="mermaid-lib">');
+        expect(html).toContain('Prism.languages.python');
+    });
+
+    test('should leave mermaid out of standalone pages without diagrams', () => {
+        const html = generateHtmlFromMarkdown('# Doc\n\nJust text.\n', 'doc.md', false, false);
+        expect(html).not.toContain('id="mermaid-lib"');
+        expect(html.length).toBeLessThan(500 * 1024);
+    });
+});
@@ -0,0 +1,154 @@
+const { test, expect } = require('@playwright/test');
+const { spawn, spawnSync } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { collectPackFiles, handleZipFile } = require('../lib/archive-handler');
+
+const mmPath = path.join(__dirname, '..', 'mm.js');
+let testDir;
+let docsDir;
+
+function writeFile(relativePath, content = '') {
+    const fullPath = path.join(docsDir, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+}
+
+// Runs mm --pack in testDir, answering the password prompt with Enter
+function pack(...args) {
+    return spawnSync(process.execPath, [mmPath, '--pack', ...args], { cwd: testDir, input: '\n', encoding: 'utf-8', timeout: 30000 });
+}
+
+test.describe('Packing', () => {
+    test.beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-pack-'));
+        docsDir = path.join(testDir, 'docs');
+        writeFile('README.md', '# Docs\n\nSee the [guide](guide/setup.md) and ![logo](logo.svg).\n');
+        writeFile('guide/setup.md', [
+            '# Setup',
+            '',
+            '![Architecture](img/architecture%20v2.png "Overview")',
+            '[Manual](../files/manual.pdf#page=2) and [the folder](../files/)',
+            '<img src="img/screen.png" alt="Screen">',
+            '![Gone](img/missing.png)',
+            '[Outside](../../secret.txt)',
+            '[Site](https://example.com/logo.png) [Top](#setup)',
+            '',
+            '```',
+            '![Not a reference](img/in-code.png)',
+            '```',
+            '',
+            '[diagram]: ../diagrams/flow.svg'
+        ].join('\n'));
+        writeFile('logo.svg', '<svg/>');
+        writeFile('guide/img/architecture v2.png', 'png');
+        writeFile('guide/img/screen.png', 'png');
+        writeFile('guide/img/unused.png', 'png');
+        writeFile('files/manual.pdf', 'pdf');
+        writeFile('diagrams/flow.svg', '<svg/>');
+        writeFile('assets/font.woff2', 'font');
+        writeFile('assets/source.psd', 'psd');
+        writeFile('drafts/notes.md', '# Notes\n\n![Sketch](sketch.png)\n');
+        writeFile('drafts/sketch.png', 'png');
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should collect referenced files and report missing ones', async () => {
+        const { files, assets, missing } = await collectPackFiles(docsDir, ['README.md', path.join('guide', 'setup.md')]);
+        expect(files).toEqual(['README.md', 'guide/setup.md']);
+        expect(assets).toEqual(['diagrams/flow.svg', 'files/manual.pdf', 'guide/img/architecture v2.png', 'guide/img/screen.png', 'logo.svg']);
+        expect(missing).toEqual([
+            { file: 'guide/setup.md', line: 6, url: 'img/missing.png', outside: false },
+            { file: 'guide/setup.md', line: 7, url: '../../secret.txt', outside: true }
+        ]);
+    });
+
+    test('should follow links into other markdown files', async () => {
+        const { files, assets } = await collectPackFiles(docsDir, ['README.md']);
+        expect(files).toEqual(['README.md', 'guide/setup.md']);
+        expect(assets).toContain('guide/img/screen.png');
+    });
+
+    test('should apply include and exclude globs', async () => {
+        const { files, assets } = await collectPackFiles(docsDir, ['README.md'], {
+            include: ['assets/**', 'drafts/'],
+            exclude: ['*.psd', '*.pdf', 'guide/img/']
+        });
+        expect(files).toEqual(['README.md', 'drafts/notes.md', 'guide/setup.md']);
+        expect(assets).toEqual(['assets/font.woff2', 'diagrams/flow.svg', 'drafts/sketch.png', 'logo.svg']);
+    });
+
+    test('should pack assets with the CLI', async () => {
+        const result = pack('docs', '--exclude', 'drafts/', '--include', 'assets/*.woff2');
+        expect(result.status).toBe(0);
+        expect(result.stdout).toContain('Contains 2 markdown file(s) and 6 other file(s)');
+        expect(result.stderr).toContain('2 referenced file(s) could not be packed');
+        expect(result.stderr).toContain('guide/setup.md:6  img/missing.png  (not found)');
+        expect(result.stderr).toContain('guide/setup.md:7  ../../secret.txt  (outside the packed folder)');
+
+        const { virtualFS } = await handleZipFile(path.join(testDir, 'docs.moremaid'), { quiet: true });
+        try {
+            expect(await virtualFS.listFiles('*')).toEqual([
+                'README.md', 'assets/font.woff2', 'diagrams/flow.svg', 'files/manual.pdf',
+                'guide/img/architecture v2.png', 'guide/img/screen.png', 'guide/setup.md', 'logo.svg'
+            ]);
+        } finally {
+            await virtualFS.close();
+        }
+    });
+
+    test('should pack the assets of a single file', async () => {
+        const result = pack(path.join('docs', 'drafts', 'notes.md'));
+        expect(result.status).toBe(0);
+
+        const { virtualFS } = await handleZipFile(path.join(testDir, 'drafts.moremaid'), { quiet: true });
+        try {
+            expect(await virtualFS.listFiles('*')).toEqual(['README.md', 'notes.md', 'sketch.png']);
+        } finally {
+            await virtualFS.close();
+        }
+    });
+
+    test.describe('Server', () => {
+        let serverProcess;
+        const port = 8990;
+
+        test.beforeEach(async () => {
+            expect(pack('docs').status).toBe(0);
+            serverProcess = spawn(mmPath, [path.join(testDir, 'docs.moremaid'), '--keep-running'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterEach(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+        });
+
+        test('should resolve relative references inside the archive', async ({ request }) => {
+            const html = await (await request.get(`http://localhost:${port}/view?file=guide/setup.md`)).text();
+            expect(html).toContain('src="/raw/guide/img/architecture%20v2.png"');
+            expect(html).toContain('href="/raw/files/manual.pdf#page=2"');
+
+            for (const asset of ['guide/img/architecture%20v2.png', 'guide/img/screen.png', 'files/manual.pdf', 'diagrams/flow.svg', 'logo.svg']) {
+                const response = await request.get(`http://localhost:${port}/raw/${asset}`);
+                expect(response.status()).toBe(200);
+            }
+            expect((await request.get(`http://localhost:${port}/raw/guide/img/unused.png`)).status()).toBe(404);
+        });
+    });
+});
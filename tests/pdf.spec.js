@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+let testDir;
+
+function mm(...args) {
+    return spawnSync('./mm.js', args, { encoding: 'utf-8', timeout: 60000 });
+}
+
+test.describe('PDF Export', () => {
+    test.beforeAll(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-pdf-'));
+        fs.writeFileSync(path.join(testDir, 'guide.md'), [
+            '---',
+            'title: User Guide',
+            '---',
+            '# Guide',
+            '',
+            '```javascript',
+            'const answer = 42;',
+            '```',
+            '',
+            '```mermaid',
+            'graph TD',
+            'A-->B',
+            '```',
+            ''
+        ].join('\n'));
+    });
+
+    test.afterAll(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should write a PDF with -o', () => {
+        const output = path.join(testDir, 'out.pdf');
+        const result = mm('--pdf', path.join(testDir, 'guide.md'), '-o', output, '--theme', 'dracula', '--typography', 'latex');
+
+        expect(result.status, result.stdout + result.stderr).toBe(0);
+        expect(result.stdout).toContain('✅ Wrote');
+        expect(fs.readFileSync(output).subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should default to the document name', () => {
+        const result = mm('--pdf', path.join(testDir, 'guide.md'));
+
+        expect(result.status, result.stdout + result.stderr).toBe(0);
+        expect(fs.existsSync(path.join(testDir, 'guide.pdf'))).toBeTruthy();
+    });
+
+    test('should reject directories and unknown typography', () => {
+        const directory = mm('--pdf', testDir);
+        expect(directory.status).toBe(1);
+        expect(directory.stderr).toContain('--pdf only supports markdown files');
+
+        const typography = mm('--pdf', path.join(testDir, 'guide.md'), '--typography', 'comic-sans');
+        expect(typography.status).toBe(1);
+        expect(typography.stderr).toContain('Unknown typography: comic-sans');
+    });
+
+    test('should keep -o as oneshot without --pdf', () => {
+        // No PATH, so the browser command is not found and nothing opens
+        const result = spawnSync(process.execPath, ['mm.js', path.join(testDir, 'guide.md'), '-o'], {
+            encoding: 'utf-8', timeout: 30000, env: { ...process.env, PATH: '' }
+        });
+
+        expect(result.status, result.stdout + result.stderr).toBe(0);
+        expect(result.stdout).toContain('📄 Opening guide.md in browser...');
+        expect(result.stdout).not.toContain('server running');
+        expect(fs.existsSync(path.join(testDir, 'guide.pdf'))).toBeFalsy();
+    });
+});
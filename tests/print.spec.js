@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const { generateHtmlFromMarkdown } = require('../lib/html-generator');
+const { getPrintStyles } = require('../lib/styles');
+
+const DOC = '# Guide\n\nSee [the site](https://example.com/docs) or [setup](#setup).\n\n## Setup\n\n```js\nconst a = 1;\n```\n';
+
+test.describe('Print Styles', () => {
+    test('should be part of document pages once', () => {
+        const html = generateHtmlFromMarkdown(DOC, 'guide.md', false, true);
+        expect(html.split(getPrintStyles()).length).toBe(2);
+
+        const print = getPrintStyles();
+        expect(print).toContain('@media print');
+        expect(print).toMatch(/:root,\s*html\[data-theme\] \{\s*--bg-color: white;/);
+        expect(print).toContain('html[data-theme="dracula"] .mermaid svg');
+        expect(print).not.toContain('html[data-theme="solarized-light"] .mermaid svg');
+    });
+
+    test('should print a light page without controls', async ({ page }) => {
+        await page.setContent(generateHtmlFromMarkdown(DOC, 'guide.md', false, false, 'dracula'));
+        await page.emulateMedia({ media: 'print' });
+
+        const styles = await page.evaluate(() => {
+            const external = document.querySelector('a[href^="https"]');
+            const internal = document.querySelector('.container a[href="#setup"]');
+            return {
+                background: getComputedStyle(document.body).backgroundColor,
+                controls: getComputedStyle(document.querySelector('.controls')).display,
+                copy: getComputedStyle(document.getElementById('copyButton')).display,
+                permalink: getComputedStyle(document.querySelector('.heading-permalink')).display,
+                externalUrl: getComputedStyle(external, '::after').content,
+                internalUrl: getComputedStyle(internal, '::after').content,
+                codeBreak: getComputedStyle(document.querySelector('pre')).breakInside,
+                toc: getComputedStyle(document.getElementById('tocSidebar')).display
+            };
+        });
+
+        expect(styles.background).toBe('rgb(255, 255, 255)');
+        expect(styles.controls).toBe('none');
+        expect(styles.copy).toBe('none');
+        expect(styles.permalink).toBe('none');
+        expect(styles.externalUrl).toBe('" (https://example.com/docs)"');
+        expect(styles.internalUrl).toBe('none');
+        expect(styles.codeBreak).toBe('avoid');
+        expect(styles.toc).toBe('none');
+    });
+
+    test('should print the table of contents when the sidebar is open', async ({ page }) => {
+        await page.setContent(generateHtmlFromMarkdown(DOC, 'guide.md', false, false));
+        await page.evaluate(() => document.body.classList.add('toc-open'));
+        await page.emulateMedia({ media: 'print' });
+
+        const toc = await page.evaluate(() => {
+            const style = getComputedStyle(document.getElementById('tocSidebar'));
+            return { display: style.display, position: style.position };
+        });
+        expect(toc).toEqual({ display: 'block', position: 'static' });
+    });
+});
@@ -0,0 +1,95 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadProjectConfig } = require('../lib/project-config');
+const { validateMarkdown } = require('../lib/validator');
+
+let testDir;
+
+test.describe('Project Config (.moremaidrc)', () => {
+    test.beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-config-'));
+        fs.mkdirSync(path.join(testDir, 'docs', 'drafts'), { recursive: true });
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'),
+            '# Guide\n\n[Missing](#nope) ![Gone](gone.png)\n\n```mermaid\narchitecture-beta\n  service db(database)[DB]\n```\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'drafts', 'wip.md'), '```mermaid\ngraph TD\n  A-->[x\n```\n');
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should read YAML config files', () => {
+        fs.writeFileSync(path.join(testDir, '.moremaidrc.yml'), [
+            'rules:',
+            '  link/anchor: &relaxed warning   # not fatal yet',
+            '  "mermaid/empty": off',
+            '  link/image: *relaxed',
+            'diagramTypes: [architecture-beta, "block-beta"]',
+            'ignore:',
+            '  - drafts/**'
+        ].join('\n'));
+
+        const config = loadProjectConfig(path.join(testDir, 'docs'));
+        expect(config.rules).toMatchObject({ 'link/anchor': 'warning', 'mermaid/empty': 'off', 'link/image': 'warning' });
+        expect(config.diagramTypes).toEqual(['architecture-beta', 'block-beta']);
+        expect(config.ignore).toEqual(['drafts/**']);
+
+        fs.writeFileSync(path.join(testDir, '.moremaidrc.yml'), 'rules:\n  link/anchor: warning\n  link/anchor: off\n');
+        expect(() => loadProjectConfig(testDir)).toThrow(/Invalid .*\.moremaidrc\.yml: Map keys must be unique at line 3, column 3$/);
+    });
+
+    test('should default to errors for every rule without a config file', async () => {
+        const config = loadProjectConfig(path.join(testDir, 'docs'));
+        expect(config.path).toBeNull();
+
+        const results = await validateMarkdown(path.join(testDir, 'docs'), { config });
+        expect(results.totalStats.filesChecked).toBe(2);
+        expect(results.totalStats.filesWithErrors).toBe(2);
+    });
+
+    test('should apply severities, diagram types and ignore globs', async () => {
+        fs.writeFileSync(path.join(testDir, '.moremaidrc.yml'), [
+            'rules:',
+            '  link/anchor: warning',
+            '  link/image: off',
+            'diagramTypes:',
+            '  - architecture-beta',
+            'ignore: ["docs/drafts/"]'
+        ].join('\n'));
+
+        const config = loadProjectConfig(path.join(testDir, 'docs'));
+        expect(config.path).toBe(path.join(testDir, '.moremaidrc.yml'));
+
+        const results = await validateMarkdown(path.join(testDir, 'docs'), { config });
+        expect(results.files.map(file => path.basename(file.path))).toEqual(['guide.md']);
+        expect(results.files[0].errors).toEqual([
+            expect.objectContaining({ rule: 'link/anchor', severity: 'warning', line: 3 })
+        ]);
+        expect(results.totalStats).toMatchObject({ filesWithErrors: 0, linkErrors: 0, mermaidErrors: 0, warnings: 1 });
+    });
+
+    test('should reject unknown rules and severities', () => {
+        fs.writeFileSync(path.join(testDir, '.moremaidrc'), '{ "rules": { "mermaid/typo": "error" } }');
+        expect(() => loadProjectConfig(testDir)).toThrow(/Unknown rule: mermaid\/typo/);
+
+        fs.writeFileSync(path.join(testDir, '.moremaidrc'), '{ "rules": { "link/anchor": "fatal" } }');
+        expect(() => loadProjectConfig(testDir)).toThrow(/Invalid setting for rule link\/anchor/);
+    });
+
+    test('cli should not fail on warnings', () => {
+        fs.writeFileSync(path.join(testDir, '.moremaidrc.json'), JSON.stringify({
+            rules: { 'link/anchor': 'warning', 'link/image': 'info', 'mermaid/unknown-diagram': 'warning' },
+            ignore: ['docs/drafts/**']
+        }));
+
+        const result = spawnSync(path.resolve('mm.js'), ['--validate', 'docs', '--format', 'json'], { encoding: 'utf-8', cwd: testDir });
+        expect(result.status).toBe(0);
+
+        const report = JSON.parse(result.stdout);
+        expect(report.files[0].errors.map(error => error.severity).sort()).toEqual(['info', 'warning', 'warning']);
+        expect(report.totalStats.filesWithErrors).toBe(0);
+    });
+});
@@ -0,0 +1,194 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DirectoryScanner } = require('../lib/scanner');
+const { DiskFS } = require('../lib/virtual-fs');
+const { FileWatcher } = require('../lib/watcher');
+const { getFileEntry } = require('../lib/html-generator');
+
+let testDir;
+
+function writeFile(relativePath, content = '# Doc\n') {
+    const fullPath = path.join(testDir, relativePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+}
+
+// Listed paths with '/' separators
+async function list(scanner, filter = '*') {
+    return (await scanner.list(filter)).map(file => file.split(path.sep).join('/'));
+}
+
+test.describe('Directory Scanner', () => {
+    test.beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-scan-'));
+        writeFile('README.md');
+        writeFile('logo.png', 'png');
+        writeFile('docs/guide.md');
+        writeFile('docs/api/reference.md');
+        writeFile('docs/api/v1/old.md');
+        writeFile('build/out.md');
+        writeFile('drafts/wip.md');
+        writeFile('notes/private.md');
+        writeFile('.hidden/secret.md');
+        writeFile('node_modules/pkg/README.md');
+        writeFile('.gitignore', 'build/\n');
+        writeFile('.moremaidignore', 'drafts/\n*private*\n');
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should skip hidden and ignored files', async () => {
+        const scanner = new DirectoryScanner(testDir);
+        expect(await list(scanner)).toEqual(['README.md', 'docs/api/reference.md', 'docs/api/v1/old.md', 'docs/guide.md', 'logo.png']);
+        expect(await list(scanner, '*.md')).toEqual(['README.md', 'docs/api/reference.md', 'docs/api/v1/old.md', 'docs/guide.md']);
+
+        const gitignoreOnly = new DirectoryScanner(testDir, { ignoreFiles: ['.gitignore'] });
+        expect(await list(gitignoreOnly, '*.md')).toContain('drafts/wip.md');
+        expect(await list(gitignoreOnly, '*.md')).not.toContain('build/out.md');
+    });
+
+    test('should limit the depth', async () => {
+        expect(await list(new DirectoryScanner(testDir, { maxDepth: 0 }))).toEqual(['README.md', 'logo.png']);
+        expect(await list(new DirectoryScanner(testDir, { maxDepth: 1 }), '*.md')).toEqual(['README.md', 'docs/guide.md']);
+
+        const scanner = new DirectoryScanner(testDir, { maxDepth: 2 });
+        expect(await list(scanner, '*.md')).toEqual(['README.md', 'docs/api/reference.md', 'docs/guide.md']);
+        expect(scanner.isIncluded('docs/api/reference.md')).toBe(true);
+        expect(scanner.isIncluded('docs/api/v1/old.md')).toBe(false);
+        expect(scanner.isIncluded('drafts/wip.md')).toBe(false);
+        expect(scanner.isIncluded('.hidden/secret.md')).toBe(false);
+    });
+
+    test('should scan once and keep stat metadata', async () => {
+        const scanner = new DirectoryScanner(testDir);
+        const stats = fs.statSync(path.join(testDir, 'logo.png'));
+        expect(await scanner.stat('logo.png')).toEqual({ mtimeMs: stats.mtimeMs, size: 3 });
+        expect(await scanner.stat('drafts/wip.md')).toBeNull();
+
+        // Later changes only show up once reported
+        writeFile('docs/new.md');
+        expect(await list(scanner, '*.md')).not.toContain('docs/new.md');
+        await scanner.update('docs/new.md');
+        expect(await list(scanner, '*.md')).toContain('docs/new.md');
+
+        writeFile('logo.png', 'a bigger png');
+        await scanner.update('logo.png');
+        expect((await scanner.stat('logo.png')).size).toBe(12);
+
+        // Ignored files stay out
+        writeFile('drafts/more.md');
+        await scanner.update('drafts/more.md');
+        expect(await list(scanner, '*.md')).not.toContain('drafts/more.md');
+
+        fs.rmSync(path.join(testDir, 'docs'), { recursive: true });
+        await scanner.remove('docs');
+        expect(await list(scanner, '*.md')).toEqual(['README.md']);
+
+        scanner.invalidate();
+        writeFile('docs/again.md');
+        expect(await list(scanner, '*.md')).toEqual(['README.md', 'docs/again.md']);
+    });
+
+    test('should list DiskFS files from the scan', async () => {
+        const virtualFS = new DiskFS(testDir, { maxDepth: 1 });
+        expect(await virtualFS.listFiles()).toEqual(['README.md', path.join('docs', 'guide.md')]);
+        expect(virtualFS.isIncluded('docs/api/reference.md')).toBe(false);
+        expect(virtualFS.gitignore.ignores('drafts/wip.md')).toBe(true);
+
+        // Unlisted files are still looked up
+        expect((await virtualFS.stat(path.join('drafts', 'wip.md'))).size).toBe(6);
+        expect(await virtualFS.stat('missing.md')).toBeNull();
+    });
+
+    test('should start the file watcher from the scan and follow the ignore files', async () => {
+        const scanner = new DirectoryScanner(testDir, { maxDepth: 1 });
+        const scan = scanner.scan.bind(scanner);
+        let scans = 0;
+        scanner.scan = () => {
+            scans++;
+            return scan();
+        };
+        await scanner.list();
+
+        const watcher = new FileWatcher(testDir, { scanner, debounceDelay: 50 }).start();
+        try {
+            await watcher.ready;
+            expect(scans).toBe(1);
+            expect([...watcher.knownFiles].sort()).toEqual(['README.md', 'docs/guide.md', 'logo.png']);
+
+            const events = [];
+            let ignoreChanges = 0;
+            watcher.on('all', (event, file) => events.push(`${event} ${file}`));
+            watcher.on('ignoreChange', () => ignoreChanges++);
+            writeFile('.moremaidignore', '*private*\n*.png\n');
+            await setTimeout(1000);
+
+            expect(ignoreChanges).toBe(1);
+            expect(scans).toBe(2);
+            expect(events.sort()).toEqual(['add drafts/wip.md', 'unlink logo.png']);
+            expect(await list(scanner)).toEqual(['README.md', 'docs/guide.md', 'drafts/wip.md']);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    test('should build file entries from stat metadata', () => {
+        const mtimeMs = Date.UTC(2024, 2, 1, 12);
+        const entry = getFileEntry(path.join('docs', 'guide.md'), 3, null, { mtimeMs, size: 2048 });
+        expect(entry).toMatchObject({ id: 3, fileName: 'guide.md', directory: 'docs', size: '2KB', sizeBytes: 2048, modified: '2024-03-01T12:00:00.000Z' });
+
+        expect(getFileEntry('archive.md', 0)).toMatchObject({ size: '', sizeBytes: 0, modified: '' });
+    });
+
+    test.describe('Server', () => {
+        let serverProcess;
+        let cacheHome;
+        const port = 8980;
+
+        test.beforeEach(async () => {
+            cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-cache-'));
+            serverProcess = spawn('./mm.js', [testDir, '--keep-running', '--max-depth', '1'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: cacheHome },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterEach(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+            fs.rmSync(cacheHome, { recursive: true, force: true });
+        });
+
+        test('should serve the scanned files and follow changes', async ({ request }) => {
+            const paths = async () => (await (await request.get(`http://localhost:${port}/api/search?q=md`)).json()).map(result => result.path);
+
+            expect(await paths()).toEqual(['README.md', 'docs/guide.md']);
+            const index = await (await request.get(`http://localhost:${port}/`)).text();
+            expect(index).toContain('"sizeBytes":6');
+            expect(index).not.toContain('reference.md');
+
+            writeFile('docs/added.md');
+            writeFile('docs/api/deep.md');
+            await setTimeout(1000);
+            expect(await paths()).toEqual(['README.md', 'docs/added.md', 'docs/guide.md']);
+
+            fs.rmSync(path.join(testDir, 'docs', 'guide.md'));
+            await setTimeout(1000);
+            expect(await paths()).toEqual(['README.md', 'docs/added.md']);
+        });
+    });
+});
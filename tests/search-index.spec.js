@@ -0,0 +1,250 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const config = require('../lib/config');
+const { DiskFS } = require('../lib/virtual-fs');
+const { SearchIndex, findMatchingLines, getCacheFile, pruneCacheFiles } = require('../lib/search-index');
+
+let testDir;
+
+// Counts the files read, to tell cached entries from re-indexed ones
+function countingFS(basePath) {
+    const virtualFS = new DiskFS(basePath);
+    const readFile = virtualFS.readFile.bind(virtualFS);
+    virtualFS.reads = [];
+    virtualFS.readFile = (file, encoding) => {
+        virtualFS.reads.push(file);
+        return readFile(file, encoding);
+    };
+    return virtualFS;
+}
+
+test.describe('Search Index', () => {
+    test.beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-search-'));
+        fs.mkdirSync(path.join(testDir, 'docs'));
+        fs.writeFileSync(path.join(testDir, 'README.md'), '# Readme\n\nInstall with npm.\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'install.md'), '# Installation\n\nInstall the package.\nThen install plugins.\n\nInstall again if needed.\n');
+        fs.writeFileSync(path.join(testDir, 'docs', 'usage.md'), '# Usage\n\nRun the server.\n');
+        fs.writeFileSync(path.join(testDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should find matching lines with context', () => {
+        const matches = findMatchingLines('one\ntwo Plugins\nthree', ['plugins']);
+        expect(matches).toEqual([{
+            lineNumber: 2,
+            text: 'two Plugins',
+            contextLines: [
+                { lineNumber: 1, text: 'one', isMatch: false },
+                { lineNumber: 2, text: 'two Plugins', isMatch: true },
+                { lineNumber: 3, text: 'three', isMatch: false }
+            ]
+        }]);
+    });
+
+    test('should rank matches and search only the given files', async () => {
+        const searchIndex = new SearchIndex(new DiskFS(testDir));
+        const files = ['README.md', path.join('docs', 'install.md'), path.join('docs', 'usage.md'), 'logo.png'];
+
+        const results = await searchIndex.search('install', files);
+        expect(results.map(result => result.path)).toEqual([path.join('docs', 'install.md'), 'README.md']);
+        expect(results[0]).toMatchObject({ fileName: 'install.md', directory: 'docs' });
+        expect(results[0].matches.map(match => match.lineNumber)).toEqual([1, 3, 4, 6]);
+
+        expect((await searchIndex.search('install', ['README.md'])).map(result => result.path)).toEqual(['README.md']);
+        expect(await searchIndex.search('install server', files)).toEqual([]);
+        expect((await searchIndex.search('instal', files)).length).toBe(2);
+        expect((await searchIndex.build()).miniSearch.documentCount).toBe(3);
+    });
+
+    test('should update and remove files', async () => {
+        const searchIndex = new SearchIndex(new DiskFS(testDir));
+        const usage = path.join('docs', 'usage.md');
+        expect(await searchIndex.search('deploy', [usage])).toEqual([]);
+
+        fs.writeFileSync(path.join(testDir, 'docs', 'usage.md'), '# Usage\n\nDeploy the server.\n');
+        await searchIndex.update('docs/usage.md');
+        expect((await searchIndex.search('deploy', [usage])).map(result => result.path)).toEqual([usage]);
+
+        fs.rmSync(path.join(testDir, 'docs', 'usage.md'));
+        await searchIndex.remove('docs/usage.md');
+        expect(await searchIndex.search('deploy', [usage])).toEqual([]);
+    });
+
+    test('should log failed updates and saves instead of rejecting', async () => {
+        const virtualFS = new DiskFS(testDir);
+        virtualFS.listFiles = async () => { throw new Error('Folder removed'); };
+        const searchIndex = new SearchIndex(virtualFS, { cacheFile: path.join(testDir, '.cache', 'search.json') });
+        const unhandled = [];
+        const onUnhandled = (error) => unhandled.push(error);
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            await searchIndex.update('docs/usage.md');
+            await searchIndex.remove('docs/usage.md');
+            searchIndex.scheduleSave();
+            await setTimeout(1200);
+            expect(unhandled).toEqual([]);
+        } finally {
+            process.off('unhandledRejection', onUnhandled);
+        }
+    });
+
+    test('should keep only recently searched texts in memory', async () => {
+        const virtualFS = countingFS(testDir);
+        const searchIndex = new SearchIndex(virtualFS);
+        const files = ['README.md', path.join('docs', 'install.md'), path.join('docs', 'usage.md')];
+        await searchIndex.build();
+        expect(searchIndex.contents.currentSize).toBe(0);
+
+        // Queries with operators read the texts, then take them from the cache
+        virtualFS.reads = [];
+        expect((await searchIndex.search('"the server"', files)).map(result => result.path)).toEqual([files[2]]);
+        expect(virtualFS.reads).toEqual(files);
+        await searchIndex.search('"the package"', files);
+        expect(virtualFS.reads).toHaveLength(3);
+
+        // Changed files are read again
+        fs.writeFileSync(path.join(testDir, 'docs', 'usage.md'), '# Usage\n\nStop the server.\n');
+        await searchIndex.update('docs/usage.md');
+        expect((await searchIndex.search('"stop the"', files)).map(result => result.path)).toEqual([files[2]]);
+
+        // Bounded by size: evicted texts are read again when needed
+        searchIndex.contents.maxSize = 40;
+        searchIndex.contents.clear();
+        virtualFS.reads = [];
+        await searchIndex.search('"the server"', files);
+        await searchIndex.search('"the server"', files);
+        expect(virtualFS.reads.length).toBeGreaterThan(3);
+        expect(searchIndex.contents.currentSize).toBeLessThanOrEqual(40);
+    });
+
+    test('should not read binaries or files over the size limit', async () => {
+        const { maxFileSize } = config.search.content;
+        config.search.content.maxFileSize = 40;
+        try {
+            fs.writeFileSync(path.join(testDir, 'notes.txt'), 'Install notes\n');
+            fs.writeFileSync(path.join(testDir, 'big.txt'), 'Install everything\n'.repeat(10));
+            const virtualFS = countingFS(testDir);
+            const searchIndex = new SearchIndex(virtualFS);
+            await searchIndex.build();
+            expect(virtualFS.reads.sort()).toEqual(['README.md', path.join('docs', 'usage.md'), 'notes.txt']);
+
+            await searchIndex.update('logo.png');
+            await searchIndex.update('big.txt');
+            expect(virtualFS.reads).toHaveLength(3);
+        } finally {
+            config.search.content.maxFileSize = maxFileSize;
+        }
+    });
+
+    test('should only re-read changed files with a cache', async () => {
+        const cacheFile = path.join(testDir, '.cache', 'search.json');
+        const first = countingFS(testDir);
+        await new SearchIndex(first, { cacheFile }).build();
+        expect(first.reads.length).toBe(3);
+        expect(fs.existsSync(cacheFile)).toBeTruthy();
+
+        // Same size, newer modification time
+        fs.writeFileSync(path.join(testDir, 'docs', 'usage.md'), '# Usage\n\nRun the deploy.\n');
+        fs.utimesSync(path.join(testDir, 'docs', 'usage.md'), new Date(), new Date(Date.now() + 5000));
+        fs.rmSync(path.join(testDir, 'README.md'));
+
+        const second = countingFS(testDir);
+        const searchIndex = new SearchIndex(second, { cacheFile });
+        const { fromCache } = await searchIndex.build();
+        expect(second.reads).toEqual([path.join('docs', 'usage.md')]);
+        expect(fromCache).toBe(1);
+
+        const files = await second.listFiles('*');
+        expect((await searchIndex.search('deploy', files)).map(result => result.path)).toEqual([path.join('docs', 'usage.md')]);
+        expect(await searchIndex.search('npm', files)).toEqual([]);
+        expect((await searchIndex.search('plugins', files)).map(result => result.path)).toEqual([path.join('docs', 'install.md')]);
+    });
+
+    test('should keep cache files per folder', () => {
+        expect(getCacheFile('/a')).not.toBe(getCacheFile('/b'));
+        expect(getCacheFile('/a')).toBe(getCacheFile('/a/'));
+        expect(path.basename(path.dirname(getCacheFile('/a')))).toBe('moremaid');
+    });
+
+    test('should delete cache files of folders not served for a while', async () => {
+        const cacheDir = path.join(testDir, '.cache');
+        fs.mkdirSync(cacheDir);
+        const day = 24 * 60 * 60 * 1000;
+        const write = (name, age) => {
+            fs.writeFileSync(path.join(cacheDir, name), '{}');
+            const time = new Date(Date.now() - age);
+            fs.utimesSync(path.join(cacheDir, name), time, time);
+        };
+        for (let index = 0; index < 22; index++) {
+            write(`search-${index.toString(16).padStart(16, '0')}.json`, (index + 1) * 60 * 1000);
+        }
+        write('search-00000000000000aa.json', 40 * day);
+        write('search-00000000000000bb.json.123.tmp', 40 * day);
+        write('notes.txt', 40 * day);
+
+        // Beyond the 20 most recent, or older than 30 days
+        expect(pruneCacheFiles(cacheDir).sort()).toEqual([
+            'search-0000000000000014.json', 'search-0000000000000015.json',
+            'search-00000000000000aa.json', 'search-00000000000000bb.json.123.tmp'
+        ]);
+        expect(fs.readdirSync(cacheDir)).toHaveLength(21);
+        expect(pruneCacheFiles(path.join(testDir, 'missing'))).toEqual([]);
+
+        // Loading a cache marks it as used
+        const cacheFile = path.join(cacheDir, 'search-0000000000000013.json');
+        await new SearchIndex(new DiskFS(testDir), { cacheFile }).build();
+        fs.utimesSync(cacheFile, new Date(Date.now() - 10 * day), new Date(Date.now() - 10 * day));
+        const { fromCache } = await new SearchIndex(new DiskFS(testDir), { cacheFile }).build();
+        expect(fromCache).toBe(3);
+        expect(Date.now() - fs.statSync(cacheFile).mtimeMs).toBeLessThan(day);
+    });
+
+    test.describe('Server', () => {
+        let serverProcess;
+        let cacheHome;
+        const port = 8960;
+
+        test.beforeEach(async () => {
+            cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-cache-'));
+            serverProcess = spawn('./mm.js', [testDir, '--keep-running'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: cacheHome },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterEach(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+            fs.rmSync(cacheHome, { recursive: true, force: true });
+        });
+
+        test('should search the index and follow file changes', async ({ request }) => {
+            const search = async (query) => (await request.get(`http://localhost:${port}/api/search?q=${query}&mode=content`)).json();
+
+            const results = await search('install');
+            expect(results.map(result => result.path)).toEqual(['docs/install.md', 'README.md']);
+            expect(results[1].matches[0]).toMatchObject({ lineNumber: 3, text: 'Install with npm.' });
+            expect(fs.readdirSync(path.join(cacheHome, 'moremaid'))).toEqual([path.basename(getCacheFile(testDir))]);
+
+            fs.writeFileSync(path.join(testDir, 'docs', 'usage.md'), '# Usage\n\nDeploy the server.\n');
+            await setTimeout(1000);
+            expect((await search('deploy')).map(result => result.path)).toEqual(['docs/usage.md']);
+        });
+    });
+});
@@ -0,0 +1,245 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DiskFS } = require('../lib/virtual-fs');
+const { SearchIndex } = require('../lib/search-index');
+const { parseQuery, isAdvancedQuery, needsContent, classifyLines, matchDocument, createMatcher } = require('../lib/search-query');
+const { generateIndexHtmlWithSearch } = require('../lib/html-generator');
+
+const guide = `---
+title: Getting Started Guide
+tags: [guide, setup]
+status: review
+---
+
+# Setup
+
+Install the package with npm before getting   started.
+
+\`\`\`bash
+npm install moremaid
+\`\`\`
+
+\`\`\`mermaid
+sequenceDiagram
+    Alice->>Bob: Hello
+\`\`\`
+
+Colors and colours, see https://example.com/colors.
+`;
+
+const notes = `# Notes
+
+A draft about the API. Call \`fetchData()\` first.
+`;
+
+function match(query, doc, mode = 'content') {
+    return matchDocument(parseQuery(query), doc, mode);
+}
+
+test.describe('Search Query', () => {
+    const guideDoc = { path: 'docs/guide.md', title: 'Getting Started Guide', content: guide };
+    const notesDoc = { path: 'api/notes.md', title: null, content: notes };
+
+    test('should parse words, phrases, exclusions, regexes and scopes', () => {
+        const { clauses, caseSensitive, wholeWord } = parseQuery('install "getting started" -draft /colou?r/i -tag:"old stuff" case:yes');
+        expect(clauses.map(({ negate, scope, kind, value }) => ({ negate, scope, kind, value }))).toEqual([
+            { negate: false, scope: null, kind: 'word', value: 'install' },
+            { negate: false, scope: null, kind: 'phrase', value: 'getting started' },
+            { negate: true, scope: null, kind: 'word', value: 'draft' },
+            { negate: false, scope: null, kind: 'regex', value: 'colou?r' },
+            { negate: true, scope: 'tag', kind: 'phrase', value: 'old stuff' }
+        ]);
+        expect(caseSensitive).toBe(true);
+        expect(wholeWord).toBe(false);
+
+        // URLs are words, invalid regexes are text, a lone "-" is nothing
+        expect(parseQuery('https://example.com').clauses).toMatchObject([{ scope: null, kind: 'word', value: 'https://example.com' }]);
+        expect(parseQuery('/a(b/').clauses).toMatchObject([{ kind: 'word', value: '/a(b/' }]);
+        expect(parseQuery('-').clauses).toEqual([]);
+
+        // Checked with their own flags: \- is an invalid escape in unicode mode
+        expect(parseQuery('/a\\-b/u').clauses).toMatchObject([{ kind: 'word', value: '/a\\-b/u' }]);
+        expect(parseQuery('/a\\-b/').clauses).toMatchObject([{ kind: 'regex', value: 'a\\-b' }]);
+    });
+
+    test('should tell plain queries from advanced ones', () => {
+        expect(isAdvancedQuery(parseQuery('install guide'))).toBe(false);
+        expect(isAdvancedQuery(parseQuery('install -draft'))).toBe(true);
+        expect(isAdvancedQuery(parseQuery('"install guide"'))).toBe(true);
+        expect(isAdvancedQuery(parseQuery('word:yes install'))).toBe(true);
+
+        expect(needsContent(parseQuery('install'), 'filename')).toBe(false);
+        expect(needsContent(parseQuery('path:api/ install'), 'filename')).toBe(false);
+        expect(needsContent(parseQuery('tag:guide'), 'filename')).toBe(true);
+        expect(needsContent(parseQuery('install'), 'content')).toBe(true);
+    });
+
+    test('should classify headings, code and diagrams', () => {
+        const kinds = classifyLines(guide).map(line => line.kind);
+        expect(kinds.slice(6, 18)).toEqual(['heading', 'text', 'text', 'text', 'fence', 'code', 'fence', 'text', 'fence', 'mermaid', 'mermaid', 'fence']);
+        expect(classifyLines('Call `fetchData()` first')[0].code).toBe('fetchData()');
+    });
+
+    test('should match documents line by line', () => {
+        expect(match('install npm', guideDoc)).toEqual([8, 11]);
+        expect(match('"getting started"', guideDoc)).toEqual([1, 8]);
+        expect(match('install -draft', guideDoc)).not.toBeNull();
+        expect(match('install -npm', guideDoc)).toBeNull();
+        expect(match('/colou?rs/', guideDoc)).toEqual([19]);
+        expect(match('https://example.com', guideDoc)).toEqual([19]);
+
+        expect(match('heading:setup', guideDoc)).toEqual([6]);
+        expect(match('heading:install', guideDoc)).toBeNull();
+        expect(match('code:npm', guideDoc)).toEqual([11]);
+        expect(match('code:fetchData', notesDoc)).toEqual([2]);
+        expect(match('mermaid:sequenceDiagram', guideDoc)).toEqual([15]);
+        expect(match('mermaid:npm', guideDoc)).toBeNull();
+    });
+
+    test('should match paths and front matter fields', () => {
+        expect(match('path:api/ draft', notesDoc)).toEqual([2]);
+        expect(match('path:api/', guideDoc)).toBeNull();
+        expect(match('tag:guide', guideDoc)).toEqual([]);
+        expect(match('-tag:guide', guideDoc)).toBeNull();
+        expect(match('title:"started guide"', guideDoc)).toEqual([]);
+        expect(match('status:review', guideDoc)).toEqual([]);
+        expect(match('status:review', notesDoc)).toBeNull();
+    });
+
+    test('should honour the case and whole word flags', () => {
+        expect(match('alice', guideDoc)).not.toBeNull();
+        expect(match('alice case:yes', guideDoc)).toBeNull();
+        expect(match('Alice case:yes', guideDoc)).toEqual([16]);
+        expect(match('color', guideDoc)).toEqual([19]);
+        expect(match('color word:yes', guideDoc)).toBeNull();
+        expect(match('colors word:yes', guideDoc)).toEqual([19]);
+
+        // Regexes that are invalid in unicode mode still work with whole words
+        const dashes = { path: 'dashes.md', content: 'a-b\nxa-by\n/a\\-b/u' };
+        expect(match('/a\\-b/ word:yes', dashes)).toEqual([0]);
+        expect(match('/a\\-b/u word:yes', dashes)).toEqual([2]);
+    });
+
+    test('should search names and titles in filename mode', () => {
+        expect(match('guide', { path: 'docs/guide.md', title: null }, 'filename')).toEqual([]);
+        expect(match('started', guideDoc, 'filename')).toEqual([]);
+        expect(match('install', guideDoc, 'filename')).toBeNull();
+        expect(match('docs -guide', guideDoc, 'filename')).toBeNull();
+        expect(match('guide tag:setup', guideDoc, 'filename')).toEqual([]);
+    });
+
+    test('should rank advanced content searches by matching lines', async () => {
+        const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-query-'));
+        try {
+            fs.mkdirSync(path.join(testDir, 'api'));
+            fs.writeFileSync(path.join(testDir, 'guide.md'), guide);
+            fs.writeFileSync(path.join(testDir, 'api', 'notes.md'), notes + '\nAnother draft.\n');
+
+            const searchIndex = new SearchIndex(new DiskFS(testDir));
+            const files = ['guide.md', path.join('api', 'notes.md')];
+
+            const results = await searchIndex.search('/draft|npm/', files);
+            expect(results.map(result => result.path)).toEqual([path.join('api', 'notes.md'), 'guide.md']);
+            expect(results[0].matches.map(result => result.lineNumber)).toEqual([3, 5]);
+            expect(results[1].matches.map(result => result.lineNumber)).toEqual([9, 12]);
+
+            expect((await searchIndex.search('npm -tag:guide', files))).toEqual([]);
+            expect((await searchIndex.search('path:api/ draft', files)).map(result => result.path)).toEqual([path.join('api', 'notes.md')]);
+        } finally {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should stop slow regexes once the time budget is spent', () => {
+        const slow = { path: 'slow.md', content: 'a'.repeat(40) + 'b\n' };
+        const fast = { path: 'fast.md', content: 'aaa\n' };
+
+        const match = createMatcher(parseQuery('/(a+)+$/'), 200);
+        expect(match(fast, 'content')).toEqual([0]);
+        const started = Date.now();
+        expect(match(slow, 'content')).toBeUndefined();
+        expect(Date.now() - started).toBeLessThan(1000);
+        // Nothing else is searched with this query
+        expect(match(fast, 'content')).toBeUndefined();
+    });
+
+    test('should add syntax hints and operator chips to the index page', () => {
+        const html = generateIndexHtmlWithSearch('/tmp/docs', ['guide.md'], 8080);
+        expect(html).toContain('id="searchSyntaxToggle"');
+        expect(html).toContain('data-example="&quot;getting started&quot;"');
+        expect(html).toContain('data-example="mermaid:sequenceDiagram"');
+        expect(html).toContain('id="queryChips"');
+    });
+
+    test.describe('Server', () => {
+        let serverProcess;
+        let testDir;
+        let cacheHome;
+        const port = 8970;
+
+        test.beforeEach(async () => {
+            testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-query-'));
+            cacheHome = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-cache-'));
+            fs.mkdirSync(path.join(testDir, 'api'));
+            fs.writeFileSync(path.join(testDir, 'guide.md'), guide);
+            fs.writeFileSync(path.join(testDir, 'api', 'notes.md'), notes);
+
+            serverProcess = spawn('./mm.js', [testDir, '--keep-running'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: cacheHome },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterEach(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+            fs.rmSync(testDir, { recursive: true, force: true });
+            fs.rmSync(cacheHome, { recursive: true, force: true });
+        });
+
+        test('should answer queries with operators in both modes', async ({ request }) => {
+            const search = async (query, mode) =>
+                (await request.get(`http://localhost:${port}/api/search?q=${encodeURIComponent(query)}&mode=${mode}`)).json();
+
+            const content = await search('"getting started" -draft', 'content');
+            expect(content.map(result => result.path)).toEqual(['guide.md']);
+            expect(content[0].matches.map(result => result.lineNumber)).toEqual([2, 9]);
+            expect((await search('code:fetchData', 'content')).map(result => result.path)).toEqual(['api/notes.md']);
+
+            expect((await search('-path:api/', 'filename')).map(result => result.path)).toEqual(['guide.md']);
+            expect((await search('tag:setup', 'filename')).map(result => result.path)).toEqual(['guide.md']);
+            expect((await search('started', 'filename')).map(result => result.path)).toEqual(['guide.md']);
+
+            // Invalid regexes are searched as text instead of failing
+            for (const mode of ['content', 'filename']) {
+                const response = await request.get(`http://localhost:${port}/api/search?q=${encodeURIComponent('/a\\-b/u')}&mode=${mode}`);
+                expect(response.status()).toBe(200);
+            }
+            expect((await search('install', 'content')).map(result => result.path)).toEqual(['guide.md']);
+        });
+
+        test('should answer slow regexes within the time budget', async ({ request }) => {
+            fs.writeFileSync(path.join(testDir, 'slow.md'), '```\n' + 'a'.repeat(40) + 'b\n```\n');
+            await setTimeout(1000);
+
+            for (const [query, mode] of [['/(a+)+$/', 'content'], ['code:/(a+)+$/', 'filename']]) {
+                const started = Date.now();
+                const response = await request.get(`http://localhost:${port}/api/search?q=${encodeURIComponent(query)}&mode=${mode}`);
+                expect(response.status()).toBe(200);
+                expect(Date.now() - started).toBeLessThan(5000);
+            }
+        });
+    });
+});
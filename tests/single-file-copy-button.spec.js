@@ -1,5 +1,6 @@
 const { test, expect } = require('@playwright/test');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 const { spawn } = require('child_process');
 
@@ -11,7 +12,7 @@ async function startServerForFile(filePath) {
             filePath,
             '--keep-running'
         ], {
-            env: { ...process.env, PORT: '8891' },
+            env: { ...process.env, PORT: '8891', XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
             stdio: ['ignore', 'pipe', 'pipe']
         });
 
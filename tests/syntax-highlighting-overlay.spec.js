@@ -1,6 +1,7 @@
 const { test, expect } = require('@playwright/test');
 const { spawn } = require('child_process');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 
 test.describe('Syntax Highlighting in Overlay', () => {
@@ -37,7 +38,7 @@ def hello():
                 path.join(__dirname, '..', 'mm.js'),
                 path.join(__dirname, '..', 'samples')
             ], {
-                env: { ...process.env, PORT: testPort.toString() },
+                env: { ...process.env, PORT: testPort.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
                 stdio: 'pipe'
             });
 
@@ -0,0 +1,49 @@
+const { test, expect } = require('@playwright/test');
+const { generateHtmlFromMarkdown, generateIndexHtmlWithSearch } = require('../lib/html-generator');
+
+const GUIDE = '# Guide\n\n[[toc]]\n\n## Install it\n\n### From npm\n\n## Usage $x^2$\n\nSee `[[toc]]`.\n';
+
+// Table of contents in the sidebar
+function sidebar(html) {
+    return html.match(/<nav class="toc-sidebar[^"]*" id="tocSidebar"[\s\S]*?<\/nav>/)[0];
+}
+
+test.describe('Table of Contents', () => {
+    test('should build the sidebar from the heading hierarchy', () => {
+        const html = generateHtmlFromMarkdown(GUIDE, 'guide.md', false, true);
+        expect(sidebar(html)).toContain('class="toc-sidebar has-toc"');
+        expect(sidebar(html)).toContain('<ul><li><a href="#guide">Guide</a>' +
+            '<ul><li><a href="#install-it">Install it</a><ul><li><a href="#from-npm">From npm</a></li></ul></li>' +
+            '<li><a href="#usage-x2">Usage x^2</a></li></ul></li></ul>');
+        expect(html).toContain('<button id="tocToggle" class="toc-toggle" title="Table of contents">');
+    });
+
+    test('should replace [[toc]] with an inline table of contents', () => {
+        const html = generateHtmlFromMarkdown(GUIDE, 'guide.md', false, false);
+        expect(html).toContain('<nav class="toc-inline" aria-label="Table of contents"><ul><li><a href="#guide">Guide</a>');
+        expect(html).not.toContain('<p>[[toc]]</p>');
+        expect(html).toContain('<code>[[toc]]</code>');
+    });
+
+    test('should close lists when headings skip levels', () => {
+        const html = generateHtmlFromMarkdown('### Deep\n\n# Top\n\n### Child\n', 'doc.md', false, false);
+        expect(sidebar(html)).toContain('<ul><li><a href="#deep">Deep</a></li></ul>' +
+            '<ul><li><a href="#top">Top</a><ul><li><a href="#child">Child</a></li></ul></li></ul>');
+    });
+
+    test('should hide the sidebar for documents with a single heading', () => {
+        const html = generateHtmlFromMarkdown('# Notes\n\nJust text.\n', 'notes.md', false, true);
+        expect(sidebar(html)).toContain('class="toc-sidebar"');
+        expect(sidebar(html)).not.toContain('<ul>');
+        expect(html).toContain('title="Table of contents" hidden>');
+    });
+
+    test('should save sidebar visibility next to theme and zoom', () => {
+        const html = generateHtmlFromMarkdown(GUIDE, 'guide.md', false, true);
+        expect(html).toContain("localStorage.setItem('tocVisible', visible)");
+
+        const index = generateIndexHtmlWithSearch(process.cwd(), ['README.md'], 8080);
+        expect(index).toContain('<nav class="toc-sidebar" id="overlayToc"');
+        expect(index).toContain("localStorage.setItem('tocVisible', visible)");
+    });
+});
@@ -0,0 +1,90 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { validateMarkdown, extractLinks } = require('../lib/validator');
+const { createArchive } = require('./helpers/archives');
+
+let testDir;
+
+const readme = [
+    '# Home',
+    '',
+    'See the [guide](docs/guide.md#setup) and [this](docs/guide.md#nope).',
+    '',
+    '![logo](docs/img/logo.png) ![gone](docs/img/gone.png)',
+    '',
+    '[Top](#home) [Missing](#other) [Site](https://example.com)',
+    '',
+    '```',
+    '[in code](nope.md)',
+    '```',
+    '',
+    '[ref]: docs/missing.md'
+].join('\n');
+
+const guide = '# Guide\n\n## Setup\n\n<a name="custom"></a>\n\nSee [custom](#custom) and [home](../README.md#home).\n';
+
+function linkErrors(results, file) {
+    const result = results.files.find(entry => entry.path.endsWith(file));
+    return result.errors.map(error => `${error.line}:${error.column} ${error.rule}`);
+}
+
+test.describe('Link Validation', () => {
+    test.beforeAll(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-links-'));
+        fs.mkdirSync(path.join(testDir, 'docs', 'img'), { recursive: true });
+        fs.writeFileSync(path.join(testDir, 'README.md'), readme);
+        fs.writeFileSync(path.join(testDir, 'docs', 'guide.md'), guide);
+        fs.writeFileSync(path.join(testDir, 'docs', 'img', 'logo.png'), 'png');
+    });
+
+    test.afterAll(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should extract links with positions and skip code', () => {
+        const links = extractLinks(readme);
+        expect(links.map(link => link.url)).not.toContain('nope.md');
+        expect(links[0]).toMatchObject({ url: 'docs/guide.md#setup', isImage: false, line: 3, column: 9 });
+        expect(links.find(link => link.url === 'docs/img/logo.png')).toMatchObject({ isImage: true, line: 5, column: 1 });
+    });
+
+    test('should report broken links, images and anchors in a directory', async () => {
+        const results = await validateMarkdown(testDir);
+
+        expect(linkErrors(results, 'README.md')).toEqual([
+            '3:42 link/anchor',
+            '5:28 link/image',
+            '7:14 link/anchor',
+            '13:8 link/broken'
+        ]);
+        expect(linkErrors(results, 'guide.md')).toEqual([]);
+        expect(results.totalStats.linkErrors).toBe(4);
+        expect(results.totalStats.linksChecked).toBe(9);
+    });
+
+    test('should use the heading IDs of the rendered page', async () => {
+        const file = path.join(testDir, 'headings.md');
+        fs.writeFileSync(file, '## Hello, World!\n\n[ok](#hello-world) [old](#hello-world-)\n');
+        try {
+            const results = await validateMarkdown(file);
+            expect(linkErrors(results, 'headings.md')).toEqual(['3:20 link/anchor']);
+        } finally {
+            fs.rmSync(file);
+        }
+    });
+
+    test('should validate links inside a .moremaid archive', async () => {
+        const archivePath = path.join(os.tmpdir(), `moremaid-links-${process.pid}.moremaid`);
+        await createArchive(archivePath, testDir);
+        try {
+            const results = await validateMarkdown(archivePath);
+            expect(results.totalStats.filesChecked).toBe(2);
+            expect(linkErrors(results, 'README.md')).toHaveLength(4);
+            expect(linkErrors(results, path.join('docs', 'guide.md'))).toEqual([]);
+        } finally {
+            fs.rmSync(archivePath, { force: true });
+        }
+    });
+});
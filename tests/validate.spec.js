@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { validateMermaid, validateMarkdown, extractMermaidBlocks } = require('../lib/validator');
+
+test.describe('Mermaid Validation', () => {
+    test('should accept valid diagrams of different types', async () => {
+        const diagrams = [
+            'graph TD\n  A-->B',
+            'sequenceDiagram\n  Alice->>Bob: Hello',
+            'classDiagram\n  class Animal',
+            'pie\n  "Dogs": 3\n  "Cats": 2',
+            'erDiagram\n  CUSTOMER ||--o{ ORDER : places'
+        ];
+
+        for (const diagram of diagrams) {
+            expect(await validateMermaid(diagram, 1)).toEqual([]);
+        }
+    });
+
+    test('should accept labels the old heuristics flagged', async () => {
+        const errors = await validateMermaid('flowchart LR\n  A["/usr/local/bin"] --> B["a/b/c"]', 1);
+        expect(errors).toEqual([]);
+    });
+
+    test('should report parser errors with line and column', async () => {
+        const errors = await validateMermaid('graph TD\n  A-->B\n  B-->[oops', 10);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].line).toBe(12);
+        expect(errors[0].column).toBe(7);
+        expect(errors[0].message).toContain('Parse error');
+    });
+
+    test('should report unknown diagram types', async () => {
+        const errors = await validateMermaid('notADiagram\n  A-->B', 5);
+        expect(errors[0].line).toBe(5);
+        expect(errors[0].column).toBe(1);
+        expect(errors[0].message).toContain('No diagram type detected');
+    });
+
+    test('should keep positions exact around comments and front matter', async () => {
+        const diagram = '---\ntitle: Example\n---\n%% a comment\nsequenceDiagram\n  Alice->>Bob: hi\n  Bob-->>';
+        const errors = await validateMermaid(diagram, 1);
+        expect(errors[0].line).toBe(7);
+        expect(errors[0].column).toBe(10);
+    });
+
+    test('should map errors in indented blocks back to the markdown file', async () => {
+        const markdown = '# Title\n\n- Item\n\n  ```mermaid\n  graph TD\n    A-->[bad\n  ```\n';
+        const blocks = extractMermaidBlocks(markdown);
+        expect(blocks[0].contentLine).toBe(6);
+        expect(blocks[0].indent).toBe(2);
+
+        const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-validate-'));
+        try {
+            fs.writeFileSync(path.join(testDir, 'doc.md'), markdown);
+            const results = await validateMarkdown(testDir);
+            const [error] = results.files[0].errors;
+
+            expect(error.type).toBe('mermaid');
+            expect(error.line).toBe(7);
+            expect(error.column).toBe(9);
+            expect(results.totalStats.mermaidErrors).toBe(1);
+        } finally {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+});
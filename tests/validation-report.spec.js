@@ -0,0 +1,96 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { formatReport } = require('../lib/validation-report');
+
+// Results as produced by validateMarkdown
+const results = {
+    files: [
+        {
+            path: path.join(process.cwd(), 'docs', 'broken.md'),
+            errors: [{
+                type: 'mermaid',
+                rule: 'mermaid/syntax',
+                severity: 'error',
+                line: 12,
+                column: 7,
+                message: "Parse error: Expecting 'NODE_STRING', got 'SQS'"
+            }],
+            stats: { markdownErrors: 0, mermaidErrors: 1, mermaidBlocksChecked: 1 }
+        },
+        {
+            path: path.join(process.cwd(), 'docs', 'fine.md'),
+            errors: [],
+            stats: { markdownErrors: 0, mermaidErrors: 0, mermaidBlocksChecked: 2 }
+        }
+    ],
+    totalStats: {
+        filesChecked: 2,
+        filesWithErrors: 1,
+        markdownErrors: 0,
+        mermaidErrors: 1,
+        mermaidBlocksChecked: 3
+    }
+};
+
+test.describe('Validation Report Formats', () => {
+    test('json should carry errors and totals with relative paths', () => {
+        const report = JSON.parse(formatReport(results, 'json'));
+        expect(report.totalStats).toEqual(results.totalStats);
+        expect(report.files[0].path).toBe('docs/broken.md');
+        expect(report.files[0].errors[0]).toMatchObject({ rule: 'mermaid/syntax', severity: 'error', line: 12, column: 7 });
+    });
+
+    test('sarif should produce a valid 2.1.0 log', () => {
+        const sarif = JSON.parse(formatReport(results, 'sarif'));
+        expect(sarif.version).toBe('2.1.0');
+
+        const run = sarif.runs[0];
+        expect(run.tool.driver.name).toBe('moremaid');
+        expect(run.tool.driver.rules.map(rule => rule.id)).toContain('mermaid/syntax');
+        expect(run.results).toHaveLength(1);
+        expect(run.results[0]).toMatchObject({
+            ruleId: 'mermaid/syntax',
+            level: 'error',
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: 'docs/broken.md' },
+                    region: { startLine: 12, startColumn: 7 }
+                }
+            }]
+        });
+    });
+
+    test('junit should have one test case per file', () => {
+        const xml = formatReport(results, 'junit');
+        expect(xml).toContain('<testsuite name="moremaid validate" tests="2" failures="1"');
+        expect(xml).toContain('<testcase classname="moremaid.validate" name="docs/fine.md"/>');
+        expect(xml).toContain('<failure type="mermaid/syntax" message="Parse error: Expecting \'NODE_STRING\', got \'SQS\'">');
+        expect(xml).toContain('docs/broken.md:12:7');
+    });
+
+    test('github should emit workflow annotations', () => {
+        const output = formatReport(results, 'github');
+        expect(output).toBe("::error file=docs/broken.md,line=12,col=7,title=mermaid/syntax::Parse error: Expecting 'NODE_STRING', got 'SQS'");
+    });
+
+    test('cli should print only the report and keep the exit code', () => {
+        const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-report-'));
+        try {
+            fs.writeFileSync(path.join(testDir, 'doc.md'), '# Doc\n\n```mermaid\ngraph TD\n  A-->[bad\n```\n');
+            const result = spawnSync(path.resolve('mm.js'), ['--validate', testDir, '--format', 'json'], {
+                encoding: 'utf-8',
+                cwd: testDir
+            });
+
+            expect(result.status).toBe(1);
+            const report = JSON.parse(result.stdout);
+            expect(report.files[0].path).toBe('doc.md');
+            expect(report.files[0].errors[0].line).toBe(5);
+        } finally {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+});
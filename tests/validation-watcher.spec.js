@@ -0,0 +1,67 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ValidationWatcher } = require('../lib/validation-watcher');
+
+let testDir;
+let watcher;
+
+function nextUpdate() {
+    return new Promise(resolve => watcher.once('update', resolve));
+}
+
+test.describe('Validation Watch Mode', () => {
+    test.beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-watch-'));
+        fs.writeFileSync(path.join(testDir, 'a.md'), '# A\n\nSee [b](b.md#setup).\n');
+        fs.writeFileSync(path.join(testDir, 'b.md'), '# B\n');
+        fs.writeFileSync(path.join(testDir, 'c.md'), '# C\n');
+        watcher = new ValidationWatcher(testDir, { debounceDelay: 50 });
+    });
+
+    test.afterEach(() => {
+        watcher.close();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should validate everything on start', async () => {
+        const update = nextUpdate();
+        await watcher.start();
+        const { results, changed } = await update;
+
+        expect(changed.sort()).toEqual(['a.md', 'b.md', 'c.md']);
+        expect(results.totalStats.filesChecked).toBe(3);
+        expect(results.totalStats.linkErrors).toBe(1);
+    });
+
+    test('should re-check only changed files and the files linking to them', async () => {
+        await watcher.start();
+
+        let update = nextUpdate();
+        fs.writeFileSync(path.join(testDir, 'b.md'), '# B\n\n## Setup\n');
+        let { results, changed } = await update;
+
+        expect(changed.sort()).toEqual(['a.md', 'b.md']);
+        expect(results.totalStats.filesWithErrors).toBe(0);
+
+        update = nextUpdate();
+        fs.writeFileSync(path.join(testDir, 'c.md'), '```mermaid\ngraph TD\n  A-->[bad\n```\n');
+        ({ results, changed } = await update);
+
+        expect(changed).toEqual(['c.md']);
+        expect(results.totalStats.mermaidErrors).toBe(1);
+        expect(results.files.find(file => file.path.endsWith('c.md')).errors[0].line).toBe(3);
+    });
+
+    test('should drop removed files from the totals', async () => {
+        await watcher.start();
+
+        const update = nextUpdate();
+        fs.unlinkSync(path.join(testDir, 'b.md'));
+        const { results } = await update;
+
+        expect(results.totalStats.filesChecked).toBe(2);
+        expect(results.files[0].errors[0].message).toBe('Broken link: b.md#setup');
+    });
+});
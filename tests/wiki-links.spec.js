@@ -0,0 +1,184 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const { setTimeout } = require('timers/promises');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { resolveWikiLink, findLinkedFiles, LinkGraph } = require('../lib/wiki-links');
+const { DiskFS } = require('../lib/virtual-fs');
+const { generateHtmlFromMarkdown } = require('../lib/html-generator');
+const { createArchive } = require('./helpers/archives');
+
+let serverProcess;
+let port;
+let testDir;
+
+const FILES = ['README.md', 'notes/Project Plan.md', 'notes/sub/project-plan.md', 'img/logo.png'];
+
+const README = [
+    '---',
+    'title: Home',
+    '---',
+    '# Home',
+    '',
+    'See [[Project Plan]], [[project plan#Next Steps|what is next]] and [[Nowhere]].',
+    '',
+    '[[toc]]',
+    '',
+    '`[[Project Plan]]` ![logo](img/logo.png)',
+    ''
+].join('\n');
+
+test.describe('Wiki Links', () => {
+    test('should resolve names like Obsidian', () => {
+        expect(resolveWikiLink('project plan', FILES, 'README.md')).toBe('notes/Project Plan.md');
+        expect(resolveWikiLink('project-plan', FILES, 'README.md')).toBe('notes/sub/project-plan.md');
+        expect(resolveWikiLink('Project_Plan', FILES, 'notes/sub/other.md')).toBe('notes/sub/project-plan.md');
+        expect(resolveWikiLink('sub/Project Plan', FILES, 'README.md')).toBe('notes/sub/project-plan.md');
+        expect(resolveWikiLink('logo.png', FILES, 'README.md')).toBe('img/logo.png');
+        expect(resolveWikiLink('logo', FILES, 'README.md')).toBeNull();
+    });
+
+    test('should render wiki links and keep [[toc]] and code', () => {
+        const html = generateHtmlFromMarkdown(README, 'README.md', false, true, null, null, { filePath: 'README.md', files: FILES });
+        expect(html).toContain('<a class="wiki-link" href="/view?file=notes%2FProject%20Plan.md">Project Plan</a>');
+        expect(html).toContain('<a class="wiki-link" href="/view?file=notes%2FProject%20Plan.md#next-steps">what is next</a>');
+        expect(html).toContain('<span class="wiki-link wiki-link-missing" title="No file named Nowhere">Nowhere</span>');
+        expect(html).toContain('<nav class="toc-inline"');
+        expect(html).toContain('<code>[[Project Plan]]</code>');
+
+        // Static site export links the exported page
+        const exported = generateHtmlFromMarkdown('[[Home#Intro]]', 'notes/a.md', false, false, null, null,
+            { filePath: 'notes/a.md', files: ['home.md', 'notes/a.md'], staticSite: true });
+        expect(exported).toContain('<a class="wiki-link" href="../home.html#intro">Home &gt; Intro</a>');
+    });
+
+    test('should find markdown links, images and wiki links outside code', () => {
+        expect([...findLinkedFiles(README, 'README.md', FILES)]).toEqual(['notes/Project Plan.md', 'img/logo.png']);
+        expect([...findLinkedFiles('[up](../../README.md) [[Project Plan]] [[project-plan]]', 'notes/sub/project-plan.md', FILES)])
+            .toEqual(['README.md', 'notes/Project Plan.md']);
+    });
+
+    test('should build backlinks and rebuild them when invalidated', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-graph-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'a.md'), '---\ntitle: Page A\n---\n[[b]]\n');
+            fs.writeFileSync(path.join(dir, 'b.md'), '# B\n');
+            fs.writeFileSync(path.join(dir, 'c.md'), '[B](b.md)\n');
+
+            const graph = new LinkGraph(new DiskFS(dir));
+            expect(await graph.getBacklinks('b.md')).toEqual([{ path: 'a.md', title: 'Page A' }, { path: 'c.md', title: null }]);
+
+            fs.writeFileSync(path.join(dir, 'c.md'), 'No links\n');
+            expect(await graph.getBacklinks('b.md')).toHaveLength(2);
+            graph.invalidate();
+            expect(await graph.getBacklinks('b.md')).toEqual([{ path: 'a.md', title: 'Page A' }]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should update only the changed files', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-graph-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'a.md'), '[[Plan]] [[b]]\n');
+            fs.writeFileSync(path.join(dir, 'b.md'), '# B\n');
+
+            const virtualFS = new DiskFS(dir);
+            const graph = new LinkGraph(virtualFS);
+            expect(await graph.getBacklinks('b.md')).toEqual([{ path: 'a.md', title: null }]);
+
+            // Only the updated file is read again
+            const readFile = virtualFS.readFile.bind(virtualFS);
+            const reads = [];
+            virtualFS.readFile = (file, ...args) => {
+                reads.push(file);
+                return readFile(file, ...args);
+            };
+
+            // A new file resolves links that pointed nowhere
+            fs.mkdirSync(path.join(dir, 'notes'));
+            fs.writeFileSync(path.join(dir, 'notes', 'plan.md'), '---\ntitle: Plan\n---\n[up](../b.md)\n');
+            await virtualFS.update('notes/plan.md');
+            await graph.update('notes/plan.md');
+            expect(await graph.getBacklinks('notes/plan.md')).toEqual([{ path: 'a.md', title: null }]);
+            expect(await graph.getBacklinks('b.md')).toEqual([{ path: 'a.md', title: null }, { path: 'notes/plan.md', title: 'Plan' }]);
+
+            fs.writeFileSync(path.join(dir, 'a.md'), 'No links\n');
+            await graph.update('a.md');
+            expect(await graph.getBacklinks('b.md')).toEqual([{ path: 'notes/plan.md', title: 'Plan' }]);
+
+            fs.rmSync(path.join(dir, 'notes'), { recursive: true });
+            await virtualFS.remove('notes');
+            await graph.update('notes/plan.md');
+            expect(await graph.getBacklinks('b.md')).toEqual([]);
+            expect(await graph.getFiles()).toEqual(['a.md', 'b.md']);
+            expect(reads).toEqual(['notes/plan.md', 'a.md', 'notes/plan.md']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should retry a failed build', async () => {
+        let failures = 1;
+        const virtualFS = {
+            listFiles: async () => {
+                if (failures-- > 0) throw new Error('Not ready');
+                return ['a.md'];
+            },
+            readFile: async () => '# A\n'
+        };
+        const graph = new LinkGraph(virtualFS);
+        await expect(graph.getFiles()).rejects.toThrow('Not ready');
+        expect(await graph.getFiles()).toEqual(['a.md']);
+    });
+
+    test('should resolve links against large file lists quickly', () => {
+        const files = Array.from({ length: 5000 }, (_, index) => `docs/section-${index % 50}/Page ${index}.md`);
+        const started = Date.now();
+        const resolved = files.map((file, index) => resolveWikiLink(`page-${index}`, files, 'README.md'));
+        expect(Date.now() - started).toBeLessThan(1000);
+        expect(resolved).toEqual(files);
+    });
+
+    test.describe('Archive', () => {
+        test.beforeAll(async () => {
+            testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-wiki-'));
+            const source = path.join(testDir, 'notes');
+            fs.mkdirSync(path.join(source, 'notes'), { recursive: true });
+            fs.writeFileSync(path.join(source, 'README.md'), README);
+            fs.writeFileSync(path.join(source, 'notes', 'Project Plan.md'), '# Project Plan\n\n## Next Steps\n\nBack [[README|home]].\n');
+            await createArchive(path.join(testDir, 'notes.moremaid'), source);
+
+            port = 8898;
+            serverProcess = spawn('./mm.js', [path.join(testDir, 'notes.moremaid'), '--keep-running'], {
+                env: { ...process.env, PORT: port.toString(), XDG_CACHE_HOME: path.join(os.tmpdir(), 'moremaid-test-cache') },
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            await setTimeout(2000);
+
+            if (serverProcess.exitCode !== null) {
+                throw new Error('Server failed to start');
+            }
+        });
+
+        test.afterAll(async () => {
+            if (serverProcess && !serverProcess.killed) {
+                serverProcess.kill('SIGTERM');
+                await setTimeout(500);
+            }
+            fs.rmSync(testDir, { recursive: true, force: true });
+        });
+
+        test('should resolve wiki links and show backlinks', async ({ request }) => {
+            const plan = await (await request.get(`http://localhost:${port}/view?file=${encodeURIComponent('notes/Project Plan.md')}`)).text();
+            expect(plan).toContain('<a class="wiki-link" href="/view?file=README.md">home</a>');
+            expect(plan).toContain('<aside class="backlinks"><div class="backlinks-title">Linked from</div>' +
+                '<ul><li><a href="/view?file=README.md">Home</a> <span class="backlink-path">README.md</span></li></ul></aside>');
+
+            const readme = await (await request.get(`http://localhost:${port}/view?file=README.md`)).text();
+            expect(readme).toContain('<li><a href="/view?file=notes%2FProject%20Plan.md">notes/Project Plan.md</a></li>');
+        });
+    });
+});
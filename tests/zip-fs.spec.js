@@ -0,0 +1,140 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { ZipReader } = require('@zip.js/zip.js');
+const { ZipFS, ZipFileReader, LRUCache } = require('../lib/virtual-fs');
+const { handleZipFile } = require('../lib/archive-handler');
+const { SearchIndex } = require('../lib/search-index');
+const { createArchive } = require('./helpers/archives');
+
+let testDir;
+
+// Counts the bytes read from the archive file
+function countingReader(filePath) {
+    const reader = new ZipFileReader(filePath);
+    const readUint8Array = reader.readUint8Array.bind(reader);
+    reader.bytesRead = 0;
+    reader.readUint8Array = async (offset, length) => {
+        const data = await readUint8Array(offset, length);
+        reader.bytesRead += data.length;
+        return data;
+    };
+    return reader;
+}
+
+async function openZipFS(archivePath, options = {}) {
+    const reader = countingReader(archivePath);
+    const zipReader = new ZipReader(reader, { password: options.password });
+    const entries = await zipReader.getEntries();
+    return new ZipFS(zipReader, entries, options.password || null, { preCache: [], reader, ...options });
+}
+
+test.describe('ZIP Archives', () => {
+    test.beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'moremaid-zip-'));
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('should only read the central directory and requested entries', async () => {
+        const archivePath = path.join(testDir, 'docs.moremaid');
+        // Stored, incompressible assets: reading them would show in the bytes read
+        await createArchive(archivePath, {
+            'README.md': '# Readme\n',
+            'docs/guide.md': '# Guide\n',
+            'assets/video.bin': crypto.randomBytes(4 * 1024 * 1024),
+            'assets/photo.bin': crypto.randomBytes(2 * 1024 * 1024)
+        });
+
+        const zipFS = await openZipFS(archivePath);
+        try {
+            expect(zipFS.reader.bytesRead).toBeLessThan(64 * 1024);
+            expect(await zipFS.listFiles('*')).toEqual(['README.md', 'assets/photo.bin', 'assets/video.bin', 'docs/guide.md']);
+            expect(await zipFS.exists('docs/guide.md')).toBe(true);
+            expect(await zipFS.exists('docs/missing.md')).toBe(false);
+            expect(await zipFS.stat('assets/video.bin')).toEqual({ mtimeMs: expect.any(Number), size: 4 * 1024 * 1024 });
+            expect(await zipFS.stat('docs/missing.md')).toBeNull();
+
+            // Indexing the contents leaves the assets alone
+            await new SearchIndex(zipFS).build();
+
+            expect(await zipFS.readFile('docs/guide.md')).toBe('# Guide\n');
+            expect(zipFS.reader.bytesRead).toBeLessThan(128 * 1024);
+
+            const photo = await zipFS.readFile('assets/photo.bin', null);
+            expect(photo.length).toBe(2 * 1024 * 1024);
+            expect(zipFS.reader.bytesRead).toBeLessThan(3 * 1024 * 1024);
+        } finally {
+            await zipFS.close();
+        }
+        expect(zipFS.reader.handle).toBeNull();
+    });
+
+    test('should serve repeated reads from the cache', async () => {
+        const archivePath = path.join(testDir, 'docs.moremaid');
+        await createArchive(archivePath, { 'README.md': '# Readme\n', 'big.bin': Buffer.alloc(2048, 1) });
+
+        const zipFS = await openZipFS(archivePath, { cacheSize: 1024 });
+        try {
+            await zipFS.readFile('README.md');
+            const bytesRead = zipFS.reader.bytesRead;
+            expect(await zipFS.readFile('/README.md')).toBe('# Readme\n');
+            expect(zipFS.reader.bytesRead).toBe(bytesRead);
+
+            // Entries larger than the cache are read every time and evict nothing
+            await zipFS.readFile('big.bin', null);
+            expect(zipFS.getStats()).toMatchObject({ cacheHits: 1, cacheMisses: 2, cache: { entries: 1 } });
+            await expect(zipFS.readFile('missing.md')).rejects.toThrow('File not found: missing.md');
+        } finally {
+            await zipFS.close();
+        }
+    });
+
+    test('should read encrypted entries with the password', async () => {
+        const archivePath = path.join(testDir, 'secret.moremaid');
+        await createArchive(archivePath, { 'README.md': '# Secret\n' }, { password: 'hunter2' });
+
+        const zipFS = await openZipFS(archivePath, { password: 'hunter2' });
+        try {
+            expect(await zipFS.readFile('README.md')).toBe('# Secret\n');
+        } finally {
+            await zipFS.close();
+        }
+    });
+
+    test('should open archives with handleZipFile', async () => {
+        const archivePath = path.join(testDir, 'docs.moremaid');
+        await createArchive(archivePath, { 'README.md': '# Readme\n', 'docs/guide.md': '# Guide\n' });
+
+        const { virtualFS } = await handleZipFile(archivePath, { quiet: true });
+        try {
+            expect(await virtualFS.listFiles()).toEqual(['README.md', 'docs/guide.md']);
+            expect(await virtualFS.readFile('docs/guide.md')).toBe('# Guide\n');
+        } finally {
+            await virtualFS.close();
+        }
+
+        fs.writeFileSync(path.join(testDir, 'broken.moremaid'), 'not a zip file');
+        const errors = [];
+        const consoleError = console.error;
+        console.error = (...args) => errors.push(args.join(' '));
+        try {
+            expect(await handleZipFile(path.join(testDir, 'broken.moremaid'), { quiet: true })).toBeNull();
+        } finally {
+            console.error = consoleError;
+        }
+        expect(errors[0]).toContain('Error opening zip file');
+    });
+
+    test('should not cache values larger than the cache', () => {
+        const cache = new LRUCache(10);
+        cache.set('a', 'aaaa', 4);
+        cache.set('b', 'b'.repeat(20), 20);
+        expect(cache.get('b')).toBeNull();
+        expect(cache.get('a')).toEqual({ content: 'aaaa', size: 4 });
+    });
+});